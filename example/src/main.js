@@ -6,7 +6,6 @@ const SkreenmeCaptureKIT = require('@levskiy0/skreenme-capture-kit').default;
 let mainWindow;
 let previewWindow;
 let capturer;
-let currentSession = null;
 
 const recordingsDir = path.join(__dirname, '..', 'videos');
 if (!fs.existsSync(recordingsDir)) {
@@ -112,7 +111,6 @@ async function initializeCapturer() {
 
   capturer.on('session-stopped', (data) => {
     console.log('[Main] Session stopped:', data);
-    currentSession = null;
     mainWindow?.webContents.send('session-stopped', data);
   });
 
@@ -162,7 +160,6 @@ ipcMain.handle('start-recording', async (event, params) => {
   params.outputPath = outputPath;
 
   const session = await capturer.startSession(params);
-  currentSession = session.sessionId;
 
   return {
     ...session,
@@ -171,13 +168,12 @@ ipcMain.handle('start-recording', async (event, params) => {
 });
 
 ipcMain.handle('stop-recording', async () => {
-  if (!capturer || !currentSession) {
+  const session = capturer?.getActiveSession();
+  if (!session || !session.sessionId) {
     throw new Error('No active recording session');
   }
 
-  const result = await capturer.stopSession(currentSession);
-  currentSession = null;
-  return result;
+  return await capturer.stopSession(session.sessionId);
 });
 
 ipcMain.handle('open-preview', (event, cameraId) => {
@@ -237,9 +233,7 @@ app.on('window-all-closed', () => {
 app.on('will-quit', async () => {
   if (capturer) {
     try {
-      if (currentSession) {
-        await capturer.stopSession(currentSession);
-      }
+      // Stops and finalizes an active recording before exiting
       await capturer.shutdown();
     } catch (err) {
       console.error('[Main] Error during cleanup:', err);
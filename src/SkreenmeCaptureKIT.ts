@@ -1,25 +1,101 @@
 import { EventEmitter } from 'events';
-import { spawn, ChildProcess } from 'child_process';
-import * as path from 'path';
+import {
+  SkreenmeCaptureKITError,
+  StartupError,
+  InvalidParamsError,
+  SessionStateError,
+  CommandTimeoutError,
+  CommandAbortedError,
+  ProcessTerminatedError,
+  createNativeError
+} from './errors';
+import { createLogger, parseNativeLogLine } from './logger';
+import { TraceWriter } from './trace';
+import StdioTransport from './transports/StdioTransport';
+import { createClickDetector } from './analysis';
+import { HealthMonitor } from './health';
+import { applyPreset, BUILTIN_PRESETS } from './presets';
+import { validatePreviewParams, validateScreenshotParams, validateSessionParams } from './validation';
 import type {
   SourcesData,
   StartSessionParams,
   StartSessionResponse,
   StopSessionResponse,
+  PauseSessionResponse,
   ConfigureCameraParams,
   ConfigureAudioParams,
   PermissionsStatus,
   SkreenmeCaptureKITOptions,
+  PreviewOptions,
+  PreviewParams,
   PreviewResponse,
-  SkreenmeCaptureKITEvents
+  SkreenmeCaptureKITEvents,
+  SupervisorOptions,
+  LostSessionInfo,
+  SessionInfo,
+  CommandName,
+  CommandOptions,
+  Logger,
+  Transport,
+  MouseEventsBatch,
+  ClickDetector,
+  SessionStats,
+  SessionPreset,
+  SessionParamsProblem,
+  ScreenshotParams,
+  ScreenshotResponse,
+  ScreenshotResult,
+  SourceLostInfo,
+  WatchSourcesOptions
 } from './types';
 
 interface PendingCommand {
+  command: string;
+  sessionId?: string;
+  sentAt: number;
   resolve: (value: any) => void;
   reject: (error: Error) => void;
   timeoutHandle?: NodeJS.Timeout;
+  cleanup?: () => void;
 }
 
+interface AbandonedCommand {
+  command: string;
+  sentAt: number;
+  reason: 'timeout' | 'aborted';
+}
+
+const DEFAULT_TIMEOUTS: Partial<Record<CommandName, number>> = {
+  listSources: 10000,
+  checkPermissions: 10000,
+  // Finishing the writers of a long recording
+  stopSession: 60000,
+  // Waits for the user to answer the system dialog
+  requestPermissions: 300000
+};
+
+// Abandoned ids are kept only to explain late replies, cap the bookkeeping
+const MAX_ABANDONED_COMMANDS = 100;
+
+interface SessionRecord extends SessionInfo {
+  // Start or stop command in flight, awaited by shutdown()
+  pending?: Promise<unknown>;
+  // The onSourceLost policy has acted; later losses leave the session alone
+  sourcePolicyApplied?: boolean;
+}
+
+const ACTIVE_STATES = ['starting', 'recording', 'paused', 'stopping'];
+
+const DEFAULT_SESSION_HISTORY = 50;
+
+const DEFAULT_SUPERVISOR: Required<SupervisorOptions> = {
+  maxRestarts: 5,
+  initialDelay: 500,
+  maxDelay: 30000,
+  backoffFactor: 2,
+  resetAfter: 60000
+};
+
 /**
  * SkreenmeCaptureKIT - Powerful library for screen recording via Swift backend
  *
@@ -29,8 +105,22 @@ interface PendingCommand {
  * - 'process-exit': Emitted when Swift process exits (code)
  * - 'session-started': Emitted when recording session starts (data)
  * - 'session-stopped': Emitted when recording session stops (data)
+ * - 'session-paused': Emitted when recording session is paused (data)
+ * - 'session-resumed': Emitted when recording session is resumed (data)
  * - 'stderr': Emitted for Swift stderr output (data)
- * - 'cursor-update': Emitted when cursor position updates
+ * - 'cursor-update': Emitted when the cursor kind changes (cursor)
+ * - 'session-stats': Emitted periodically while recording (stats)
+ * - 'session-warning': Emitted when stats cross a health threshold (warning)
+ * - 'preview-frame': Emitted with new preview frames while a preview runs (frame)
+ * - 'sources-changed': Emitted while watching sources when they change (changes)
+ * - 'source-lost': Emitted when a source of the running session goes away (info)
+ * - 'mouse-event': Emitted for live mouse events of a `liveEvents` session (event, sessionId)
+ * - 'click': Emitted for live clicks of a `liveEvents` session (click, sessionId)
+ * - 'session-lost': Emitted when the process dies during a recording (info)
+ * - 'late-response': Emitted when a timed-out or aborted command answers (info)
+ * - 'reconnecting': Emitted before a supervised restart attempt (info)
+ * - 'reconnected': Emitted after a supervised restart succeeded (info)
+ * - 'reconnect-failed': Emitted when supervised restarts are exhausted (info)
  *
  * @example
  * ```typescript
@@ -48,198 +138,760 @@ interface PendingCommand {
  * const sources = await capturer.listSources();
  * await capturer.startSession({ mode: 'display', displayId: sources.displays[0].id });
  * ```
+ *
+ * @example
+ * ```typescript
+ * // Without a Mac (e.g. Linux CI): drive the same API against the mock backend
+ * const capturer = new SkreenmeCaptureKIT({
+ *   backend: 'mock',
+ *   mock: { permissions: { screenRecording: false } }
+ * });
+ * ```
  */
 export default class SkreenmeCaptureKIT extends EventEmitter {
-  private options: Required<SkreenmeCaptureKITOptions>;
-  private process: ChildProcess | null = null;
+  private options: Required<Omit<SkreenmeCaptureKITOptions, 'binaryPath' | 'supervise' | 'logger' | 'logLevel' | 'replay' | 'trace' | 'transport' | 'presets'>> & {
+    binaryPath?: string;
+    replay?: string;
+    transport?: () => Transport;
+  };
+  private logger: Logger;
+  private tracer: TraceWriter | null;
+  private abandonedCommands = new Map<string, AbandonedCommand>();
+  private supervisor: Required<SupervisorOptions> | null;
+  private transport: Transport | null = null;
   private commandId = 1;
   private pendingCommands = new Map<string, PendingCommand>();
-  private buffer = '';
+  private stderrBuffer = '';
+  // Click detection state of the session currently streaming live events
+  private liveClicks: { sessionId: string; detector: ClickDetector } | null = null;
+  private healthMonitor: HealthMonitor | null = null;
+  private presets: Record<string, SessionPreset>;
   private isReady = false;
+  private isStarting = false;
+  private startupStderr = '';
+  private isShuttingDown = false;
+  private sessions: SessionRecord[] = [];
+  private restartAttempts = 0;
+  private restartTimer: NodeJS.Timeout | null = null;
+  private stableTimer: NodeJS.Timeout | null = null;
+  // Options of the active watchSources call, renewed after a supervised restart
+  private sourceWatch: WatchSourcesOptions | null = null;
 
   constructor(options: SkreenmeCaptureKITOptions = {}) {
     super();
 
     this.options = {
-      binaryPath: options.binaryPath || this._getDefaultBinaryPath(),
-      timeout: options.timeout || 30000
+      binaryPath: options.binaryPath,
+      backend: options.backend || 'native',
+      mock: options.mock || {},
+      replay: options.replay,
+      transport: options.transport,
+      timeout: options.timeout || 30000,
+      timeouts: { ...DEFAULT_TIMEOUTS, ...options.timeouts },
+      startupTimeout: options.startupTimeout || 10000,
+      health: options.health || {},
+      sessionHistory: Math.max(0, options.sessionHistory ?? DEFAULT_SESSION_HISTORY)
     };
+    this.presets = { ...BUILTIN_PRESETS, ...options.presets };
+    this.logger = createLogger(options.logger, options.logLevel);
+    this.tracer = options.trace
+      ? new TraceWriter(options.trace, error => this.logger.error({ error, trace: options.trace }, 'Failed to write trace, tracing disabled'))
+      : null;
+
+    this.supervisor = options.supervise
+      ? { ...DEFAULT_SUPERVISOR, ...(options.supervise === true ? {} : options.supervise) }
+      : null;
   }
 
   /**
-   * Get default Swift binary path based on environment
+   * Initialize and start the Swift process (or connect through the configured transport).
+   * Resolves once the backend has answered the `ping` handshake.
    */
-  private _getDefaultBinaryPath(): string {
-    const isDev = process.env.NODE_ENV === 'development';
-    const buildType = isDev ? 'debug' : 'release';
+  async initialize(): Promise<void> {
+    if (this.transport) {
+      throw new Error('SkreenmeCaptureKIT already initialized');
+    }
 
-    // Try to find the binary in multiple locations
-    const possiblePaths = [
-      // When installed as npm package
-      path.join(__dirname, `../bin/SkreenmeCaptureKIT`),
-      // When running from source
-      path.join(__dirname, `../src/native/.build/${buildType}/SkreenmeCaptureKIT`),
-      // Legacy path for compatibility
-      path.join(__dirname, `../../native/.build/${buildType}/SkreenmeCaptureKIT`)
-    ];
+    this.isShuttingDown = false;
+    this.restartAttempts = 0;
 
-    return possiblePaths[0];
+    try {
+      await this._start();
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      this.emit('error', error);
+      throw error;
+    }
+
+    this.emit('ready');
   }
 
   /**
-   * Initialize and start the Swift process
+   * Open the transport and wait for the handshake, tearing it down on failure
    */
-  async initialize(): Promise<void> {
-    if (this.process) {
-      throw new Error('SkreenmeCaptureKIT already initialized');
-    }
+  private async _start(): Promise<void> {
+    this.isStarting = true;
+    this.startupStderr = '';
+    this.stderrBuffer = '';
 
-    return new Promise((resolve, reject) => {
+    try {
+      const transport = this._createTransport();
+      this.transport = transport;
+      this._setupTransportHandlers(transport);
       try {
-        console.log('[SkreenmeCaptureKIT] Starting Swift process:', this.options.binaryPath);
+        await transport.open();
+      } catch (err) {
+        // Binary lookup failures from the stdio transport are already StartupErrors
+        if (err instanceof StartupError) throw err;
+        throw new StartupError(
+          'CONNECTION_FAILED',
+          `Failed to connect to ${transport.target}: ${err instanceof Error ? err.message : String(err)}`,
+          { binaryPath: transport.target }
+        );
+      }
+      this.tracer?.write('spawn', { backend: this.options.transport ? undefined : this.options.backend, transport: transport.kind, target: transport.target });
+      await this._handshake(transport);
+    } catch (err) {
+      this.isStarting = false;
+      if (this.transport) {
+        const transport = this.transport;
+        this.transport = null;
+        transport.destroy();
+      }
+      // Its exit is ignored, so nothing else ends the handshake's ping
+      this._rejectPendingCommands();
+      throw err;
+    }
+
+    this.isStarting = false;
+    this.isReady = true;
+  }
+
+  /**
+   * Restart the backend after an unexpected exit, with exponential backoff
+   */
+  private _scheduleRestart(lostSession: LostSessionInfo | null): void {
+    const supervisor = this.supervisor!;
+
+    if (this.restartAttempts >= supervisor.maxRestarts) {
+      this.emit('reconnect-failed', {
+        attempts: this.restartAttempts,
+        error: new Error(`Backend process restarted ${this.restartAttempts} times, giving up`)
+      });
+      return;
+    }
+
+    const attempt = ++this.restartAttempts;
+    const delay = Math.min(
+      supervisor.initialDelay * Math.pow(supervisor.backoffFactor, attempt - 1),
+      supervisor.maxDelay
+    );
 
-        this.process = spawn(this.options.binaryPath, [], {
-          stdio: ['pipe', 'pipe', 'pipe']
-        });
+    this.emit('reconnecting', { attempt, delay, maxRestarts: supervisor.maxRestarts });
 
-        this._setupProcessHandlers();
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      if (this.isShuttingDown) return;
 
-        this.isReady = true;
-        this.emit('ready');
-        resolve();
+      try {
+        await this._start();
       } catch (err) {
-        const error = err instanceof Error ? err : new Error(String(err));
-        this.emit('error', error);
-        reject(error);
+        this.logger.error({ attempt, error: err }, 'Restart attempt failed');
+        if (!this.isShuttingDown) {
+          this._scheduleRestart(lostSession);
+        }
+        return;
+      }
+
+      // Attempts only count as consecutive failures until the process stays up for a while
+      this.stableTimer = setTimeout(() => {
+        this.stableTimer = null;
+        this.restartAttempts = 0;
+      }, supervisor.resetAfter);
+
+      let permissions: PermissionsStatus | null = null;
+      try {
+        permissions = await this.checkPermissions();
+      } catch (err) {
+        this.logger.warn({ attempt, error: err }, 'Permission check after restart failed');
       }
+
+      if (this.sourceWatch) {
+        try {
+          await this.watchSources(this.sourceWatch);
+        } catch (err) {
+          this.logger.warn({ attempt, error: err }, 'Watching sources after restart failed');
+        }
+      }
+
+      this.emit('reconnected', { attempt, permissions, lostSession });
+    }, delay);
+  }
+
+  /**
+   * Wait for the backend to answer `ping`, translating early failures into StartupError
+   */
+  private _handshake(transport: Transport): Promise<void> {
+    const binaryPath = transport.kind === 'stdio' ? transport.target : undefined;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error?: Error) => {
+        if (settled) return;
+        settled = true;
+        transport.off('error', onError);
+        transport.off('exit', onExit);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const onError = (err: NodeJS.ErrnoException) => {
+        if (transport.kind !== 'stdio') {
+          settle(new StartupError('CONNECTION_FAILED', `Connection to ${transport.target} failed: ${err.message}`));
+          return;
+        }
+        const code = err.code === 'ENOENT' ? 'BINARY_NOT_FOUND' : 'NOT_EXECUTABLE';
+        settle(new StartupError(code, `Failed to start backend process: ${err.message}`, {
+          binaryPath,
+          triedPaths: binaryPath ? [binaryPath] : []
+        }));
+      };
+
+      const onExit = (exitCode: number | null, signal: NodeJS.Signals | null) => {
+        // SIGKILL on launch usually means Gatekeeper rejected a quarantined binary
+        const reason = signal ? `signal ${signal}` : `code ${exitCode}`;
+        settle(new StartupError('EXITED_DURING_STARTUP', `Backend process exited during startup with ${reason}`, {
+          binaryPath,
+          exitCode,
+          signal,
+          stderr: this.startupStderr
+        }));
+      };
+
+      transport.on('error', onError);
+      transport.on('exit', onExit);
+
+      this._dispatch('ping', null, this.options.startupTimeout).then(
+        () => settle(),
+        (err: Error) => settle(err instanceof CommandTimeoutError
+          ? new StartupError(
+              'HANDSHAKE_TIMEOUT',
+              `Backend process did not answer the handshake within ${this.options.startupTimeout}ms`,
+              { binaryPath, stderr: this.startupStderr }
+            )
+          // An error reply or a closed transport keeps its own code
+          : err)
+      );
     });
   }
 
   /**
-   * Setup process event handlers
+   * Create the transport for the configured backend
    */
-  private _setupProcessHandlers(): void {
-    if (!this.process) return;
+  private _createTransport(): Transport {
+    if (this.options.transport) {
+      const transport = this.options.transport();
+      this.logger.info({ transport: transport.kind, target: transport.target }, 'Connecting to backend');
+      return transport;
+    }
 
-    this.process.stdout?.on('data', (data: Buffer) => {
-      this.buffer += data.toString();
+    const { backend } = this.options;
+    if (backend === 'replay' && !this.options.replay) {
+      throw new InvalidParamsError('INVALID_PARAMS', "backend 'replay' requires the replay option", { command: 'ping' });
+    }
 
-      // Process JSON responses line by line
-      const lines = this.buffer.split('\n');
-      this.buffer = lines.pop() || '';
+    const transport = backend === 'mock'
+      ? StdioTransport.mock(this.options.mock)
+      : backend === 'replay'
+        ? StdioTransport.replay(this.options.replay!)
+        : StdioTransport.native(this.options.binaryPath);
+    this.logger.info({ backend, replay: this.options.replay }, `Starting ${backend} backend`);
+    return transport;
+  }
 
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const response = JSON.parse(line);
-            this._handleResponse(response);
-          } catch (err) {
-            console.error('[SkreenmeCaptureKIT] Failed to parse response:', line, err);
-            this.emit('error', new Error(`Failed to parse response: ${err instanceof Error ? err.message : String(err)}`));
-          }
-        }
+  /**
+   * Setup transport event handlers
+   */
+  private _setupTransportHandlers(transport: Transport): void {
+    transport.on('line', (line: string) => {
+      try {
+        const response = JSON.parse(line);
+        this.tracer?.write(response.event ? 'event' : 'response', response);
+        this._handleResponse(response);
+      } catch (err) {
+        this.tracer?.write('stdout', line);
+        this.logger.error({ line, error: err }, 'Failed to parse response');
+        this.emit('error', new Error(`Failed to parse response: ${err instanceof Error ? err.message : String(err)}`));
       }
     });
 
-    this.process.stderr?.on('data', (data: Buffer) => {
-      const message = data.toString();
-      console.error('[SkreenmeCaptureKIT] stderr:', message);
+    transport.on('stderr', (message: string) => {
+      this.tracer?.write('stderr', message);
+      this._logNativeOutput(message);
+      if (this.isStarting) {
+        this.startupStderr = (this.startupStderr + message).slice(-4096);
+      }
       this.emit('stderr', message);
     });
 
-    this.process.on('close', (code: number | null) => {
-      console.log('[SkreenmeCaptureKIT] Process exited with code:', code);
+    transport.on('exit', (code: number | null, signal: NodeJS.Signals | null) => {
+      // A transport that never got through the handshake was already reported by
+      // _start(), and a failed one may close after its replacement was created
+      if (this.transport !== transport || !this.isReady) return;
+      this.tracer?.write('exit', { code, signal, shuttingDown: this.isShuttingDown });
+      if (this.isShuttingDown || code === 0) {
+        this.logger.info({ exitCode: code }, 'Process exited');
+      } else {
+        this.logger.warn({ exitCode: code, signal }, 'Process exited unexpectedly');
+      }
+      const wasReady = this.isReady;
       this.isReady = false;
-      this.process = null;
+      this.transport = null;
 
-      // Reject all pending commands
-      for (const [id, { reject, timeoutHandle }] of this.pendingCommands.entries()) {
-        if (timeoutHandle) clearTimeout(timeoutHandle);
-        reject(new Error('Swift process terminated'));
+      this._rejectPendingCommands();
+
+      if (this.stableTimer) {
+        clearTimeout(this.stableTimer);
+        this.stableTimer = null;
+      }
+
+      // The native session dies with the process
+      let lostSession: LostSessionInfo | null = null;
+      const active = this._activeRecord();
+      if (active) {
+        this._failSession(active, new ProcessTerminatedError('PROCESS_TERMINATED', 'Swift process terminated', {
+          command: active.state === 'starting' ? 'startSession' : undefined
+        }));
+        if (active.sessionId) {
+          lostSession = {
+            sessionId: active.sessionId,
+            outputPath: active.outputPath || '',
+            params: active.params,
+            startedAt: active.startedAt,
+            exitCode: code
+          };
+          this.emit('session-lost', lostSession);
+        }
       }
-      this.pendingCommands.clear();
 
       this.emit('process-exit', code);
+
+      if (wasReady && this.supervisor && !this.isShuttingDown) {
+        this._scheduleRestart(lostSession);
+      }
     });
 
-    this.process.on('error', (err: Error) => {
-      console.error('[SkreenmeCaptureKIT] Process error:', err);
-      this.emit('error', err);
+    transport.on('error', (err: Error) => {
+      this.logger.error({ error: err }, 'Process error');
+      // Startup failures are reported through initialize()
+      if (!this.isStarting) {
+        this.emit('error', err);
+      }
     });
   }
 
+  /**
+   * Fail every command still waiting for the backend that went away
+   */
+  private _rejectPendingCommands(): void {
+    for (const [id, { command, reject, timeoutHandle, cleanup }] of this.pendingCommands.entries()) {
+      if (timeoutHandle) clearTimeout(timeoutHandle);
+      cleanup?.();
+      reject(new ProcessTerminatedError('PROCESS_TERMINATED', 'Swift process terminated', { command, commandId: id }));
+    }
+    this.pendingCommands.clear();
+    this.abandonedCommands.clear();
+  }
+
+  /**
+   * Forward complete stderr lines of the native process to the logger
+   */
+  private _logNativeOutput(chunk: string): void {
+    this.stderrBuffer += chunk;
+    const lines = this.stderrBuffer.split('\n');
+    this.stderrBuffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const { level, message } = parseNativeLogLine(line);
+      this.logger[level]({ source: 'native' }, message);
+    }
+  }
+
+  /**
+   * Re-emit a live batch event by event, detecting clicks along the way
+   */
+  private _handleMouseEvents({ sessionId, events }: MouseEventsBatch): void {
+    if (!this.liveClicks || this.liveClicks.sessionId !== sessionId) {
+      this.liveClicks = { sessionId, detector: createClickDetector() };
+    }
+    const { detector } = this.liveClicks;
+
+    for (const mouseEvent of events || []) {
+      this.emit('mouse-event', mouseEvent, sessionId);
+      const click = detector.push(mouseEvent);
+      if (click) {
+        this.emit('click', click, sessionId);
+      }
+    }
+  }
+
+  /**
+   * Keep the latest report on the session and check it against the health thresholds
+   */
+  private _handleSessionStats(stats: SessionStats): void {
+    const record = this._findRecord(stats.sessionId);
+    if (record) {
+      record.stats = stats;
+    }
+    this.emit('session-stats', stats);
+
+    if (!this.healthMonitor || this.healthMonitor.sessionId !== stats.sessionId) {
+      this.healthMonitor = new HealthMonitor(stats.sessionId, this.options.health);
+    }
+    for (const warning of this.healthMonitor.check(stats)) {
+      this.logger.warn({ sessionId: warning.sessionId, code: warning.code, track: warning.track }, warning.message);
+      this.emit('session-warning', warning);
+    }
+  }
+
+  /**
+   * Apply the session's `onSourceLost` policy to a source that went away
+   */
+  private _handleSourceLost(payload: Omit<SourceLostInfo, 'action'>): void {
+    const record = this._findRecord(payload.sessionId);
+    let action = record?.params.onSourceLost ?? 'continue';
+    // A session that is already paused or stopping is left as it is
+    if (record?.sourcePolicyApplied) action = 'continue';
+    if (action === 'pause' && record?.state !== 'recording') action = 'continue';
+    if (action === 'stop' && record && !['recording', 'paused'].includes(record.state)) action = 'continue';
+    if (record && action !== 'continue') record.sourcePolicyApplied = true;
+
+    const info: SourceLostInfo = { ...payload, action };
+    this.logger.warn({ sessionId: info.sessionId, kind: info.kind, id: info.id, action }, 'Session source went away');
+    this.emit('source-lost', info);
+
+    if (action === 'stop') {
+      this.stopSession(info.sessionId).catch(err => {
+        this.logger.error({ sessionId: info.sessionId, error: err }, 'Failed to stop session after losing a source');
+      });
+    } else if (action === 'pause') {
+      this.pauseSession(info.sessionId).catch(err => {
+        this.logger.error({ sessionId: info.sessionId, error: err }, 'Failed to pause session after losing a source');
+      });
+    }
+  }
+
   /**
    * Handle response from Swift process
    */
   private _handleResponse(response: any): void {
-    console.log('[SkreenmeCaptureKIT] Response:', response);
-
-    const { id, success, payload, error, event } = response;
+    const { id, success, payload, error, errorCode, event } = response;
 
     // Handle events from Swift (like cursor updates)
     if (event === 'cursorUpdate' && payload?.cursor) {
       this.emit('cursor-update', payload.cursor);
       return;
     }
+    if (event === 'mouseEvents' && payload?.sessionId) {
+      this._handleMouseEvents(payload);
+      return;
+    }
+    if (event === 'sessionStats' && payload?.sessionId) {
+      this._handleSessionStats(payload);
+      return;
+    }
+    if (event === 'sourcesChanged' && payload) {
+      this.emit('sources-changed', payload);
+      return;
+    }
+    if (event === 'sourceLost' && payload?.sessionId) {
+      this._handleSourceLost(payload);
+      return;
+    }
+    if (event === 'previewFrame' && payload) {
+      this.emit('preview-frame', payload);
+      return;
+    }
+
+    const abandoned = this.abandonedCommands.get(id);
+    if (abandoned) {
+      this.abandonedCommands.delete(id);
+      this._handleLateResponse(id, abandoned, response);
+      return;
+    }
 
     if (this.pendingCommands.has(id)) {
       const command = this.pendingCommands.get(id)!;
-      const { resolve, reject, timeoutHandle } = command;
+      const { resolve, reject, timeoutHandle, cleanup } = command;
 
       if (timeoutHandle) clearTimeout(timeoutHandle);
+      cleanup?.();
       this.pendingCommands.delete(id);
 
+      const fields = {
+        command: command.command,
+        commandId: id,
+        sessionId: command.sessionId || payload?.sessionId,
+        duration: Date.now() - command.sentAt
+      };
       if (!success || error) {
-        reject(new Error(error || 'Unknown error'));
+        this.logger.warn({ ...fields, errorCode, error }, 'Command failed');
+        reject(createNativeError(errorCode, error || 'Unknown error', { command: command.command, commandId: id }));
       } else {
+        this.logger.debug(fields, 'Command completed');
         resolve(payload || {});
       }
     }
   }
 
+  /**
+   * Report a reply to a command the caller stopped waiting for
+   */
+  private _handleLateResponse(id: string, abandoned: AbandonedCommand, response: any): void {
+    const { success, payload, error, errorCode } = response;
+    this.logger.warn({
+      command: abandoned.command,
+      commandId: id,
+      reason: abandoned.reason,
+      duration: Date.now() - abandoned.sentAt,
+      errorCode
+    }, 'Late response');
+
+    // The session started after all; stop it so the backend is not left recording
+    if (abandoned.command === 'startSession' && success && payload?.sessionId) {
+      this._dispatch('stopSession', { sessionId: payload.sessionId }, this._timeoutFor('stopSession')).catch(err => {
+        this.logger.error({ sessionId: payload.sessionId, error: err }, 'Failed to stop abandoned session');
+      });
+    }
+
+    this.emit('late-response', {
+      commandId: id,
+      command: abandoned.command,
+      reason: abandoned.reason,
+      elapsed: Date.now() - abandoned.sentAt,
+      success: Boolean(success && !error),
+      payload,
+      error,
+      errorCode
+    });
+  }
+
   /**
    * Send command to Swift process
    */
-  async sendCommand<T = any>(method: string, params: any = null, options: { timeout?: number } = {}): Promise<T> {
-    if (!this.process || !this.isReady) {
-      throw new Error('SkreenmeCaptureKIT not initialized');
+  async sendCommand<T = any>(method: string, params: any = null, options: CommandOptions = {}): Promise<T> {
+    if (!this.transport || !this.isReady) {
+      throw new SkreenmeCaptureKITError('NOT_INITIALIZED', 'SkreenmeCaptureKIT not initialized', { command: method });
     }
 
+    return this._dispatch<T>(method, params, options.timeout || this._timeoutFor(method), options.signal);
+  }
+
+  private _timeoutFor(method: string): number {
+    return this.options.timeouts[method as CommandName] || this.options.timeout;
+  }
+
+  /**
+   * Write a command to the backend and wait for its response.
+   * On timeout or abort the backend is asked to cancel the command.
+   */
+  private _dispatch<T>(method: string, params: any, timeoutMs: number, signal?: AbortSignal): Promise<T> {
     return new Promise((resolve, reject) => {
       const id = String(this.commandId++);
+
+      if (signal?.aborted) {
+        reject(new CommandAbortedError('ABORTED', `Command aborted: ${method}`, { command: method, commandId: id }));
+        return;
+      }
+
       const command = {
         id,
         command: method,
         payload: params
       };
 
-      const timeoutMs = options.timeout || this.options.timeout;
+      const abandon = (reason: AbandonedCommand['reason'], error: Error) => {
+        const pending = this.pendingCommands.get(id);
+        if (!pending) return;
+        clearTimeout(pending.timeoutHandle);
+        pending.cleanup?.();
+        this.pendingCommands.delete(id);
+        this.logger.warn({
+          command: method,
+          commandId: id,
+          sessionId: pending.sessionId,
+          duration: Date.now() - pending.sentAt
+        }, reason === 'timeout' ? 'Command timed out' : 'Command aborted');
+        this._cancelCommand(id, { command: method, sentAt: pending.sentAt, reason });
+        reject(error);
+      };
+
       const timeoutHandle = setTimeout(() => {
-        if (this.pendingCommands.has(id)) {
-          this.pendingCommands.delete(id);
-          reject(new Error(`Command timeout: ${method}`));
-        }
+        abandon('timeout', new CommandTimeoutError('TIMEOUT', `Command timeout: ${method}`, { command: method, commandId: id }));
       }, timeoutMs);
 
-      this.pendingCommands.set(id, { resolve, reject, timeoutHandle });
+      let cleanup: (() => void) | undefined;
+      if (signal) {
+        const onAbort = () => {
+          abandon('aborted', new CommandAbortedError('ABORTED', `Command aborted: ${method}`, { command: method, commandId: id }));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      const sessionId = params?.sessionId;
+      this.pendingCommands.set(id, { command: method, sessionId, sentAt: Date.now(), resolve, reject, timeoutHandle, cleanup });
+      this.logger.debug({ command: method, commandId: id, sessionId }, 'Command sent');
 
       const commandStr = JSON.stringify(command) + '\n';
-      this.process!.stdin!.write(commandStr);
+      this.tracer?.write('command', command);
+      this.transport!.send(commandStr);
     });
   }
 
+  /**
+   * Remember an abandoned command and ask the backend to cancel it
+   */
+  private _cancelCommand(commandId: string, abandoned: AbandonedCommand): void {
+    // Nothing to cancel when the cancel itself goes unanswered
+    if (abandoned.command === 'cancel' || !this.transport) return;
+
+    this.abandonedCommands.set(commandId, abandoned);
+    if (this.abandonedCommands.size > MAX_ABANDONED_COMMANDS) {
+      const oldest = this.abandonedCommands.keys().next().value as string;
+      this.abandonedCommands.delete(oldest);
+    }
+
+    // Binaries without cancel support answer UNKNOWN_COMMAND, which is fine to ignore
+    this._dispatch('cancel', { commandId }, this.options.timeout).catch(() => undefined);
+  }
+
   /**
    * List available sources (displays, windows, cameras, audio devices)
    */
-  async listSources(): Promise<SourcesData> {
-    return await this.sendCommand<SourcesData>('listSources');
+  async listSources(options: CommandOptions = {}): Promise<SourcesData> {
+    return await this.sendCommand<SourcesData>('listSources', null, options);
   }
 
   /**
-   * Start recording session
+   * Emit 'sources-changed' whenever displays, windows, cameras or microphones
+   * appear, go away or change. Resolves with the current sources, which the
+   * first change is relative to. Calling again changes the interval.
    */
-  async startSession(params: StartSessionParams): Promise<StartSessionResponse> {
-    const result = await this.sendCommand<StartSessionResponse>('startSession', params);
+  async watchSources(watchOptions: WatchSourcesOptions = {}, options: CommandOptions = {}): Promise<SourcesData> {
+    const { interval } = watchOptions;
+    if (interval !== undefined && !(typeof interval === 'number' && interval > 0)) {
+      const problem = { path: 'interval', message: 'must be a positive number of milliseconds' };
+      throw new InvalidParamsError(
+        'INVALID_PARAMS',
+        `Invalid watch params: ${problem.path}: ${problem.message}`,
+        { command: 'watchSources' },
+        [problem]
+      );
+    }
+    const sources = await this.sendCommand<SourcesData>('watchSources', watchOptions, options);
+    this.sourceWatch = watchOptions;
+    return sources;
+  }
+
+  /**
+   * Stop the 'sources-changed' events. Sessions keep checking their own sources.
+   */
+  async unwatchSources(options: CommandOptions = {}): Promise<void> {
+    this.sourceWatch = null;
+    await this.sendCommand('unwatchSources', null, options);
+  }
+
+  /**
+   * Add a preset for `StartSessionParams.preset`, replacing any preset with that name
+   */
+  definePreset(name: string, preset: SessionPreset): void {
+    this.presets[name] = preset;
+  }
+
+  /**
+   * Built-in and user-defined presets by name
+   */
+  getPresets(): Record<string, SessionPreset> {
+    return { ...this.presets };
+  }
+
+  /**
+   * Check session params against the current sources without starting anything.
+   * Returns every problem found; an empty list means startSession will accept the params.
+   */
+  async validateSessionParams(params: StartSessionParams, options: CommandOptions = {}): Promise<SessionParamsProblem[]> {
+    let resolved: StartSessionParams;
+    try {
+      resolved = applyPreset(params, this.presets);
+    } catch (err) {
+      if (err instanceof InvalidParamsError) return err.problems;
+      throw err;
+    }
+    return validateSessionParams(resolved, await this.listSources(options));
+  }
+
+  /**
+   * Start recording session. Only one session can be active at a time.
+   */
+  async startSession(params: StartSessionParams, options: CommandOptions = {}): Promise<StartSessionResponse> {
+    const active = this._activeRecord();
+    if (active) {
+      throw new SessionStateError(
+        'SESSION_ALREADY_RUNNING',
+        active.sessionId
+          ? `Session already running: ${active.sessionId} is ${active.state}`
+          : 'Session already running: another session is starting',
+        { command: 'startSession' }
+      );
+    }
+    params = applyPreset(params, this.presets);
+    const problems = validateSessionParams(params);
+    if (problems.length > 0) {
+      throw new InvalidParamsError(
+        'INVALID_PARAMS',
+        `Invalid session params: ${problems.map(({ path, message }) => `${path}: ${message}`).join('; ')}`,
+        { command: 'startSession' },
+        problems
+      );
+    }
+
+    const record: SessionRecord = {
+      sessionId: null,
+      state: 'starting',
+      params,
+      startedAt: Date.now()
+    };
+    this.sessions.push(record);
+
+    // Behind a relay the backend's parent process is not this app, so name the one whose audio to leave out
+    const { systemAudio } = params;
+    const payload = systemAudio && (systemAudio === true || systemAudio.excludeOwnAudio !== false)
+      ? { ...params, systemAudio: { ...(systemAudio === true ? {} : systemAudio), excludeProcessId: process.pid } }
+      : params;
+    const start = this.sendCommand<StartSessionResponse>('startSession', payload, options);
+    record.pending = start;
+    let result: StartSessionResponse;
+    try {
+      result = await start;
+    } catch (err) {
+      this._failSession(record, err);
+      throw err;
+    } finally {
+      record.pending = undefined;
+    }
+
+    // The process may have died while the response was being delivered
+    if (record.state === 'starting') {
+      record.sessionId = result.sessionId;
+      record.outputPath = result.outputPath;
+      record.state = 'recording';
+    }
+    this.logger.info({ sessionId: result.sessionId, outputPath: result.outputPath }, 'Session started');
     this.emit('session-started', result);
     return result;
   }
@@ -248,73 +900,275 @@ export default class SkreenmeCaptureKIT extends EventEmitter {
    * Stop recording session
    * @param sessionId - Session ID to stop
    */
-  async stopSession(sessionId: string): Promise<StopSessionResponse> {
+  async stopSession(sessionId: string, options: CommandOptions = {}): Promise<StopSessionResponse> {
     if (!sessionId) {
-      throw new Error('Session ID is required');
+      throw new InvalidParamsError('INVALID_PARAMS', 'Session ID is required', { command: 'stopSession' });
+    }
+
+    const record = this._findRecord(sessionId);
+    if (record?.state === 'stopping') {
+      throw new SessionStateError('SESSION_NOT_RUNNING', `Session ${sessionId} is already stopping`, { command: 'stopSession' });
     }
-    const result = await this.sendCommand<StopSessionResponse>('stopSession', { sessionId });
+
+    const stop = this.sendCommand<StopSessionResponse>('stopSession', { sessionId }, options);
+    let result: StopSessionResponse;
+    if (record && ACTIVE_STATES.includes(record.state)) {
+      record.state = 'stopping';
+      record.pending = stop;
+      try {
+        result = await stop;
+      } catch (err) {
+        this._failSession(record, err);
+        throw err;
+      } finally {
+        record.pending = undefined;
+      }
+      record.state = 'completed';
+      record.stoppedAt = Date.now();
+      record.recording = result.recording;
+      this._pruneSessions();
+    } else {
+      result = await stop;
+    }
+
+    this.logger.info({ sessionId, duration: Math.round(result.recording.duration * 1000) }, 'Session stopped');
     this.emit('session-stopped', result);
     return result;
   }
 
+  /**
+   * The session that is starting, recording, paused or stopping, if any
+   */
+  getActiveSession(): SessionInfo | null {
+    const record = this._activeRecord();
+    return record ? this._toSessionInfo(record) : null;
+  }
+
+  /**
+   * Sessions started by this instance, oldest first: the active one and the
+   * last `sessionHistory` completed or failed ones
+   */
+  listSessions(): SessionInfo[] {
+    return this.sessions.map(record => this._toSessionInfo(record));
+  }
+
+  private _activeRecord(): SessionRecord | undefined {
+    return this.sessions.find(record => ACTIVE_STATES.includes(record.state));
+  }
+
+  private _findRecord(sessionId: string): SessionRecord | undefined {
+    return this.sessions.find(record => record.sessionId === sessionId);
+  }
+
+  private _failSession(record: SessionRecord, err: unknown): void {
+    if (record.state === 'failed') return;
+    record.state = 'failed';
+    record.stoppedAt = Date.now();
+    record.error = err instanceof Error ? err : new Error(String(err));
+    this._pruneSessions();
+  }
+
+  /**
+   * Drop the oldest completed and failed sessions beyond `sessionHistory`
+   */
+  private _pruneSessions(): void {
+    let excess = this.sessions.filter(record => !ACTIVE_STATES.includes(record.state)).length - this.options.sessionHistory;
+    if (excess <= 0) return;
+    this.sessions = this.sessions.filter(record => ACTIVE_STATES.includes(record.state) || excess-- <= 0);
+  }
+
+  private _toSessionInfo(record: SessionRecord): SessionInfo {
+    const { pending, ...info } = record;
+    return { ...info };
+  }
+
+  /**
+   * Pause recording session. Paused time is cut from the screen, camera and
+   * audio files and from event timestamps.
+   * @param sessionId - Session ID to pause
+   */
+  async pauseSession(sessionId: string, options: CommandOptions = {}): Promise<PauseSessionResponse> {
+    if (!sessionId) {
+      throw new InvalidParamsError('INVALID_PARAMS', 'Session ID is required', { command: 'pauseSession' });
+    }
+    const result = await this.sendCommand<PauseSessionResponse>('pauseSession', { sessionId }, options);
+    const record = this._findRecord(sessionId);
+    if (record?.state === 'recording') {
+      record.state = 'paused';
+    }
+    this.emit('session-paused', result);
+    return result;
+  }
+
+  /**
+   * Resume a paused recording session
+   * @param sessionId - Session ID to resume
+   */
+  async resumeSession(sessionId: string, options: CommandOptions = {}): Promise<PauseSessionResponse> {
+    if (!sessionId) {
+      throw new InvalidParamsError('INVALID_PARAMS', 'Session ID is required', { command: 'resumeSession' });
+    }
+    const result = await this.sendCommand<PauseSessionResponse>('resumeSession', { sessionId }, options);
+    const record = this._findRecord(sessionId);
+    if (record?.state === 'paused') {
+      record.state = 'recording';
+    }
+    this.emit('session-resumed', result);
+    return result;
+  }
+
+  /**
+   * Take a still image of a display, window or region. Needs no session and
+   * leaves a running one alone. With `outputPath` the image is written there,
+   * otherwise it is returned as `buffer`.
+   */
+  async captureScreenshot(params: ScreenshotParams, options: CommandOptions = {}): Promise<ScreenshotResult> {
+    const problems = validateScreenshotParams(params);
+    if (problems.length > 0) {
+      throw new InvalidParamsError(
+        'INVALID_PARAMS',
+        `Invalid screenshot params: ${problems.map(({ path, message }) => `${path}: ${message}`).join('; ')}`,
+        { command: 'captureScreenshot' },
+        problems
+      );
+    }
+
+    const { data, ...result } = await this.sendCommand<ScreenshotResponse>('captureScreenshot', params, options);
+    return data === undefined ? result : { ...result, buffer: Buffer.from(data, 'base64') };
+  }
+
+  /**
+   * Start emitting 'preview-frame' events with what the backend sees, scaled down
+   * to `maxWidth`/`maxHeight`. During a session the frames come from the recording;
+   * otherwise from the target and camera given here. Calling again replaces the
+   * source and settings.
+   */
+  async startPreview(params: PreviewParams = {}, options: CommandOptions = {}): Promise<void> {
+    this._checkPreviewParams(params, 'startPreview');
+    await this.sendCommand('startPreview', params, options);
+  }
+
+  /**
+   * Stop the 'preview-frame' events and release the preview's stream and camera
+   */
+  async stopPreview(options: CommandOptions = {}): Promise<void> {
+    await this.sendCommand('stopPreview', null, options);
+  }
+
+  /**
+   * The latest preview frames, encoded with `settings` or else the running
+   * preview's. Fails with PREVIEW_NOT_RUNNING when neither a preview nor a
+   * session is running.
+   */
+  async getPreview(settings: PreviewOptions = {}, options: CommandOptions = {}): Promise<PreviewResponse> {
+    this._checkPreviewParams(settings, 'getPreview');
+    return await this.sendCommand<PreviewResponse>('getPreview', settings, options);
+  }
+
+  /**
+   * Throw InvalidParamsError listing every problem with preview params
+   */
+  private _checkPreviewParams(params: PreviewParams, command: CommandName): void {
+    const problems = validatePreviewParams(params);
+    if (problems.length > 0) {
+      throw new InvalidParamsError(
+        'INVALID_PARAMS',
+        `Invalid preview params: ${problems.map(({ path, message }) => `${path}: ${message}`).join('; ')}`,
+        { command },
+        problems
+      );
+    }
+  }
+
   /**
    * Check permissions
    */
-  async checkPermissions(): Promise<PermissionsStatus> {
-    return await this.sendCommand<PermissionsStatus>('checkPermissions');
+  async checkPermissions(options: CommandOptions = {}): Promise<PermissionsStatus> {
+    return await this.sendCommand<PermissionsStatus>('checkPermissions', null, options);
   }
 
   /**
    * Request permissions
    */
-  async requestPermissions(): Promise<PermissionsStatus> {
-    return await this.sendCommand<PermissionsStatus>('requestPermissions');
+  async requestPermissions(options: CommandOptions = {}): Promise<PermissionsStatus> {
+    return await this.sendCommand<PermissionsStatus>('requestPermissions', null, options);
   }
 
   /**
    * Configure camera
    */
-  async configureCamera(params: ConfigureCameraParams): Promise<{ success: boolean }> {
-    return await this.sendCommand<{ success: boolean }>('configureCamera', params);
+  async configureCamera(params: ConfigureCameraParams, options: CommandOptions = {}): Promise<{ success: boolean }> {
+    return await this.sendCommand<{ success: boolean }>('configureCamera', params, options);
   }
 
   /**
    * Configure audio
    */
-  async configureAudio(params: ConfigureAudioParams): Promise<{ success: boolean }> {
-    return await this.sendCommand<{ success: boolean }>('configureAudio', params);
+  async configureAudio(params: ConfigureAudioParams, options: CommandOptions = {}): Promise<{ success: boolean }> {
+    return await this.sendCommand<{ success: boolean }>('configureAudio', params, options);
   }
 
   /**
-   * Shutdown the Swift process
+   * Shutdown the Swift process.
+   * An active session is stopped first so its files are finalized.
    */
   async shutdown(): Promise<void> {
-    if (!this.process) {
-      return;
+    this.isShuttingDown = true;
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+    if (this.stableTimer) {
+      clearTimeout(this.stableTimer);
+      this.stableTimer = null;
     }
 
-    console.log('[SkreenmeCaptureKIT] Shutting down...');
+    if (!this.transport) {
+      return;
+    }
 
-    // Kill process
-    this.process.kill('SIGTERM');
+    this.logger.info({}, 'Shutting down');
 
-    // Wait a bit for graceful shutdown
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await this._finishActiveSession();
 
-    // Force kill if still running
-    if (this.process) {
-      this.process.kill('SIGKILL');
+    // The backend may have gone away while the session was stopping
+    const transport = this.transport;
+    if (!transport) {
+      this.isReady = false;
+      return;
     }
 
+    await transport.close();
+
     this.isReady = false;
-    this.process = null;
+    this.transport = null;
+  }
+
+  /**
+   * Wait for a starting or stopping session and stop a recording one
+   */
+  private async _finishActiveSession(): Promise<void> {
+    const record = this._activeRecord();
+    if (!record) return;
+
+    if (record.pending) {
+      await record.pending.catch(() => undefined);
+    }
+
+    if ((record.state === 'recording' || record.state === 'paused') && record.sessionId && this.ready) {
+      try {
+        await this.stopSession(record.sessionId);
+      } catch (err) {
+        this.logger.error({ sessionId: record.sessionId, error: err }, 'Failed to stop session during shutdown');
+      }
+    }
   }
 
   /**
    * Check if capturer is ready
    */
   get ready(): boolean {
-    return this.isReady && this.process !== null;
+    return this.isReady && this.transport !== null;
   }
 
   // EventEmitter type-safe overrides
@@ -0,0 +1,417 @@
+import * as fs from 'fs';
+import type {
+  MouseEvent,
+  KeyboardEvent,
+  MouseButton,
+  TimedPoint,
+  Click,
+  Drag,
+  ScrollBurst,
+  IdlePeriod,
+  ActivitySegment,
+  ActivityState,
+  AnalysisOptions,
+  EventAnalysis,
+  ClickDetector
+} from './types';
+
+const DEFAULT_OPTIONS: Required<Omit<AnalysisOptions, 'duration'>> = {
+  clickMaxDistance: 0.01,
+  doubleClickInterval: 0.5,
+  doubleClickDistance: 0.02,
+  scrollGap: 0.3,
+  simplifyTolerance: 0.002,
+  idleThreshold: 2,
+  segmentDuration: 1
+};
+
+interface Press {
+  button: MouseButton;
+  down: MouseEvent;
+  up: MouseEvent;
+  path: TimedPoint[];
+}
+
+function distance(a: { x: number; y: number }, b: { x: number; y: number }): number {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function pathLength(path: TimedPoint[]): number {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += distance(path[i - 1], path[i]);
+  }
+  return length;
+}
+
+function sortByTime(events: MouseEvent[]): MouseEvent[] {
+  // Cursor polling and the event tap interleave, keep ties in original order
+  return events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => a.event.t - b.event.t || a.index - b.index)
+    .map(({ event }) => event);
+}
+
+/**
+ * Read a `*.events.json` file written by stopSession
+ */
+export function readEventsFile(filePath: string): MouseEvent[] {
+  const events = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(events)) {
+    throw new Error(`Events file does not contain an array: ${filePath}`);
+  }
+  return events;
+}
+
+/**
+ * Read a `*.keyboard.json` file written by stopSession when keyboard capture was enabled
+ */
+export function readKeyboardFile(filePath: string): KeyboardEvent[] {
+  const events = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(events)) {
+    throw new Error(`Keyboard file does not contain an array: ${filePath}`);
+  }
+  return events;
+}
+
+/**
+ * Pair every `down` with the following `up` of the same button, collecting the pointer path in between
+ */
+function pairPresses(events: MouseEvent[]): Press[] {
+  const presses: Press[] = [];
+  const open = new Map<MouseButton, { down: MouseEvent; path: TimedPoint[] }>();
+
+  for (const event of sortByTime(events)) {
+    if (event.type === 'down') {
+      const button = event.button || 'left';
+      open.set(button, { down: event, path: [{ x: event.x, y: event.y, t: event.t }] });
+    } else if (event.type === 'up') {
+      const button = event.button || 'left';
+      const pending = open.get(button);
+      if (!pending) continue;
+      open.delete(button);
+      pending.path.push({ x: event.x, y: event.y, t: event.t });
+      presses.push({ button, down: pending.down, up: event, path: pending.path });
+    } else if (event.type === 'move') {
+      for (const pending of open.values()) {
+        pending.path.push({ x: event.x, y: event.y, t: event.t });
+      }
+    }
+  }
+
+  return presses;
+}
+
+function isClick(press: Press, maxDistance: number): boolean {
+  return press.path.every(point => distance(point, press.down) <= maxDistance);
+}
+
+/**
+ * Incremental click detection for events arriving in time order, e.g. the live
+ * `mouse-event` stream. Gives the same clicks as `detectClicks` for the same events.
+ */
+export function createClickDetector(options: AnalysisOptions = {}): ClickDetector {
+  const { clickMaxDistance, doubleClickInterval, doubleClickDistance } = { ...DEFAULT_OPTIONS, ...options };
+  const open = new Map<MouseButton, { down: MouseEvent; travelled: boolean }>();
+  let previous: Click | undefined;
+
+  return {
+    push(event: MouseEvent): Click | null {
+      if (event.type === 'down') {
+        open.set(event.button || 'left', { down: event, travelled: false });
+        return null;
+      }
+
+      if (event.type === 'move') {
+        for (const pending of open.values()) {
+          if (distance(event, pending.down) > clickMaxDistance) pending.travelled = true;
+        }
+        return null;
+      }
+
+      if (event.type !== 'up') return null;
+
+      const button = event.button || 'left';
+      const pending = open.get(button);
+      if (!pending) return null;
+      open.delete(button);
+      if (pending.travelled || distance(event, pending.down) > clickMaxDistance) return null;
+
+      const { down } = pending;
+      const isRepeat = previous !== undefined &&
+        previous.button === button &&
+        down.t - (previous.t + previous.duration) <= doubleClickInterval &&
+        distance(previous, down) <= doubleClickDistance;
+
+      previous = {
+        x: down.x,
+        y: down.y,
+        t: down.t,
+        button,
+        duration: event.t - down.t,
+        count: isRepeat ? previous!.count + 1 : 1,
+        cursor: down.cursor
+      };
+      return previous;
+    }
+  };
+}
+
+/**
+ * Detect clicks (down/up pairs without significant pointer travel).
+ * Consecutive clicks close in time and space get an increasing `count`.
+ */
+export function detectClicks(events: MouseEvent[], options: AnalysisOptions = {}): Click[] {
+  const detector = createClickDetector(options);
+  const clicks: Click[] = [];
+
+  for (const event of sortByTime(events)) {
+    const click = detector.push(event);
+    if (click) clicks.push(click);
+  }
+
+  return clicks;
+}
+
+/**
+ * Detect double-clicks, returning the second click of each pair
+ */
+export function detectDoubleClicks(events: MouseEvent[], options: AnalysisOptions = {}): Click[] {
+  return detectClicks(events, options).filter(click => click.count === 2);
+}
+
+/**
+ * Detect drags (down/up pairs where the pointer travelled beyond `clickMaxDistance`)
+ */
+export function detectDrags(events: MouseEvent[], options: AnalysisOptions = {}): Drag[] {
+  const { clickMaxDistance } = { ...DEFAULT_OPTIONS, ...options };
+
+  return pairPresses(events)
+    .filter(press => !isClick(press, clickMaxDistance))
+    .map(press => ({
+      button: press.button,
+      start: press.path[0],
+      end: press.path[press.path.length - 1],
+      duration: press.up.t - press.down.t,
+      distance: pathLength(press.path),
+      path: press.path
+    }));
+}
+
+/**
+ * Group wheel events into bursts separated by more than `scrollGap` seconds
+ */
+export function detectScrolls(events: MouseEvent[], options: AnalysisOptions = {}): ScrollBurst[] {
+  const { scrollGap } = { ...DEFAULT_OPTIONS, ...options };
+  const bursts: ScrollBurst[] = [];
+
+  for (const event of sortByTime(events)) {
+    if (event.type !== 'wheel') continue;
+
+    const current = bursts[bursts.length - 1];
+    if (current && event.t - current.end <= scrollGap) {
+      current.end = event.t;
+      current.count++;
+      current.delta += event.delta || 0;
+    } else {
+      bursts.push({
+        x: event.x,
+        y: event.y,
+        start: event.t,
+        end: event.t,
+        count: 1,
+        delta: event.delta || 0
+      });
+    }
+  }
+
+  return bursts;
+}
+
+/**
+ * Ramer-Douglas-Peucker over normalized coordinates (iterative, runs can hold thousands of samples)
+ */
+function simplifyRun(points: MouseEvent[], tolerance: number): MouseEvent[] {
+  if (points.length <= 2) return points;
+
+  const keep = new Array<boolean>(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack: Array<[number, number]> = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [from, to] = stack.pop()!;
+    const first = points[from];
+    const last = points[to];
+    const dx = last.x - first.x;
+    const dy = last.y - first.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let maxDistance = -1;
+    let index = from;
+    for (let i = from + 1; i < to; i++) {
+      const point = points[i];
+      let d: number;
+      if (lengthSquared === 0) {
+        d = distance(point, first);
+      } else {
+        const u = Math.max(0, Math.min(1, ((point.x - first.x) * dx + (point.y - first.y) * dy) / lengthSquared));
+        d = Math.hypot(point.x - (first.x + u * dx), point.y - (first.y + u * dy));
+      }
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([from, index], [index, to]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Thin out `move` samples so the path deviates at most `simplifyTolerance` from the original.
+ * Button, wheel and other non-move events are kept unchanged and in place.
+ */
+export function simplifyMoves(events: MouseEvent[], options: AnalysisOptions = {}): MouseEvent[] {
+  const { simplifyTolerance } = { ...DEFAULT_OPTIONS, ...options };
+  const result: MouseEvent[] = [];
+  let run: MouseEvent[] = [];
+
+  const flush = () => {
+    for (const event of simplifyRun(run, simplifyTolerance)) {
+      result.push(event);
+    }
+    run = [];
+  };
+
+  for (const event of sortByTime(events)) {
+    if (event.type === 'move') {
+      run.push(event);
+    } else {
+      flush();
+      result.push(event);
+    }
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * Find gaps of at least `idleThreshold` seconds without any event
+ */
+export function detectIdlePeriods(events: MouseEvent[], options: AnalysisOptions = {}): IdlePeriod[] {
+  const { idleThreshold, duration } = { ...DEFAULT_OPTIONS, ...options };
+  const times = sortByTime(events).map(event => event.t);
+  const idle: IdlePeriod[] = [];
+
+  const boundaries = [0, ...times];
+  if (duration !== undefined) boundaries.push(duration);
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const start = boundaries[i - 1];
+    const end = boundaries[i];
+    if (end - start >= idleThreshold) {
+      idle.push({ start, end, duration: end - start });
+    }
+  }
+
+  return idle;
+}
+
+/**
+ * Split the recording into fixed-length segments and describe the activity in each
+ */
+export function buildActivityTimeline(events: MouseEvent[], options: AnalysisOptions = {}): ActivitySegment[] {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const sorted = sortByTime(events);
+  const lastTime = sorted.length > 0 ? sorted[sorted.length - 1].t : 0;
+  const duration = opts.duration ?? lastTime;
+  const segmentCount = Math.max(1, Math.ceil(duration / opts.segmentDuration));
+
+  const segments = Array.from({ length: segmentCount }, (_, i) => ({
+    start: i * opts.segmentDuration,
+    end: Math.min((i + 1) * opts.segmentDuration, Math.max(duration, opts.segmentDuration)),
+    distance: 0,
+    clicks: 0,
+    scrolls: 0,
+    dragging: false
+  }));
+  const segmentAt = (t: number) => segments[Math.min(segmentCount - 1, Math.max(0, Math.floor(t / opts.segmentDuration)))];
+
+  let previous: MouseEvent | undefined;
+  const held = new Set<MouseButton>();
+  for (const event of sorted) {
+    const segment = segmentAt(event.t);
+    if (previous) {
+      segment.distance += distance(previous, event);
+    }
+    if (event.type === 'down') {
+      segment.clicks++;
+      held.add(event.button || 'left');
+    } else if (event.type === 'up') {
+      held.delete(event.button || 'left');
+    } else if (event.type === 'wheel') {
+      segment.scrolls++;
+    } else if (event.type === 'move' && held.size > 0) {
+      segment.dragging = true;
+    }
+    previous = event;
+  }
+
+  // Weighted so that a click counts about as much as crossing a tenth of the screen
+  const scores = segments.map(segment => segment.distance + segment.clicks * 0.1 + segment.scrolls * 0.02);
+  const maxScore = scores.reduce((max, score) => Math.max(max, score), 0);
+
+  return segments.map((segment, i) => {
+    let state: ActivityState = 'idle';
+    if (segment.dragging) {
+      state = 'dragging';
+    } else if (segment.clicks > 0) {
+      state = 'clicking';
+    } else if (segment.scrolls > 0) {
+      state = 'scrolling';
+    } else if (segment.distance > 0) {
+      state = 'moving';
+    }
+
+    return {
+      start: segment.start,
+      end: segment.end,
+      state,
+      intensity: maxScore > 0 ? scores[i] / maxScore : 0,
+      distance: segment.distance,
+      clicks: segment.clicks,
+      scrolls: segment.scrolls
+    };
+  });
+}
+
+/**
+ * Run every analysis over the events returned by stopSession
+ *
+ * @example
+ * ```typescript
+ * const { events, recording } = await capturer.stopSession(sessionId);
+ * const analysis = analyzeEvents(events, { duration: recording.duration });
+ * analysis.clicks.forEach(click => console.log(click.t, click.x, click.y));
+ * ```
+ */
+export function analyzeEvents(events: MouseEvent[], options: AnalysisOptions = {}): EventAnalysis {
+  const clicks = detectClicks(events, options);
+
+  return {
+    clicks,
+    doubleClicks: clicks.filter(click => click.count === 2),
+    drags: detectDrags(events, options),
+    scrolls: detectScrolls(events, options),
+    idle: detectIdlePeriods(events, options),
+    activity: buildActivityTimeline(events, options),
+    simplified: simplifyMoves(events, options)
+  };
+}
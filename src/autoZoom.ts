@@ -0,0 +1,283 @@
+import { detectClicks } from './analysis';
+import { loadSource } from './eventSource';
+import type {
+  MouseEvent,
+  KeyboardEvent,
+  Point,
+  StopSessionResponse,
+  AutoZoomOptions,
+  ZoomKeyframe,
+  ZoomReason,
+  ZoomTrack
+} from './types';
+
+const DEFAULT_OPTIONS: Required<Omit<AutoZoomOptions, 'duration'>> = {
+  maxScale: 2.5,
+  defaultScale: 2,
+  minHold: 1.5,
+  transition: 0.6,
+  smoothing: 0.5,
+  clusterRadius: 0.15,
+  clusterGap: 2,
+  dwellTime: 1.5,
+  dwellRadius: 0.03,
+  typingHold: 3,
+  easing: 'ease-in-out'
+};
+
+const FULL_FRAME: Point = { x: 0.5, y: 0.5 };
+
+interface Focus {
+  start: number;
+  end: number;
+  points: Point[];
+  reason: Exclude<ZoomReason, 'reset'>;
+}
+
+interface Shot {
+  start: number;
+  end: number;
+  center: Point;
+  scale: number;
+  reason: Exclude<ZoomReason, 'reset'>;
+}
+
+function distance(a: Point, b: Point): number {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function centroid(points: Point[]): Point {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+/**
+ * Click clusters; a click on a text cursor keeps the focus for `typingHold`
+ */
+function clickFocuses(events: MouseEvent[], opts: Required<Omit<AutoZoomOptions, 'duration'>>): Focus[] {
+  const focuses: Focus[] = [];
+
+  for (const click of detectClicks(events)) {
+    const current = focuses[focuses.length - 1];
+    const typing = click.cursor === 'ibeam';
+    const end = click.t + (typing ? opts.typingHold : opts.minHold);
+
+    if (current && click.t - current.end <= opts.clusterGap && distance(centroid(current.points), click) <= opts.clusterRadius) {
+      current.points.push(click);
+      current.end = Math.max(current.end, end);
+      if (typing) current.reason = 'typing';
+    } else {
+      focuses.push({ start: click.t, end, points: [click], reason: typing ? 'typing' : 'click' });
+    }
+  }
+
+  return focuses;
+}
+
+/**
+ * Bursts of typing (key presses without shortcut modifiers), focused on the last
+ * pointer position before the burst, which is usually the text field
+ */
+function typingFocuses(events: MouseEvent[], keyboard: KeyboardEvent[], opts: Required<Omit<AutoZoomOptions, 'duration'>>): Focus[] {
+  const keys = keyboard.filter(event => !event.combo).sort((a, b) => a.t - b.t);
+  const pointer = [...events].sort((a, b) => a.t - b.t);
+  const focuses: Focus[] = [];
+  let burst: { start: number; end: number } | null = null;
+
+  const flush = () => {
+    if (!burst) return;
+    const start = burst.start;
+    const anchor = pointer.filter(event => event.t <= start).pop();
+    if (anchor) {
+      focuses.push({ start, end: burst.end + opts.minHold, points: [anchor], reason: 'typing' });
+    }
+    burst = null;
+  };
+
+  for (const key of keys) {
+    if (burst && key.t - burst.end <= opts.clusterGap) {
+      burst.end = key.t;
+    } else {
+      flush();
+      burst = { start: key.t, end: key.t };
+    }
+  }
+  flush();
+
+  return focuses;
+}
+
+/**
+ * Periods where the cursor rests within `dwellRadius` for at least `dwellTime`
+ */
+function dwellFocuses(events: MouseEvent[], opts: Required<Omit<AutoZoomOptions, 'duration'>>): Focus[] {
+  const moves = events.filter(event => event.type === 'move').sort((a, b) => a.t - b.t);
+  const focuses: Focus[] = [];
+  let anchor = 0;
+
+  for (let i = 1; i <= moves.length; i++) {
+    const next = moves[i];
+    if (next && distance(moves[anchor], next) <= opts.dwellRadius) continue;
+
+    // The cursor stayed near the anchor until it left (or the recording ended)
+    const end = next ? next.t : moves[i - 1].t;
+    if (end - moves[anchor].t >= opts.dwellTime) {
+      focuses.push({
+        start: moves[anchor].t,
+        end,
+        points: moves.slice(anchor, i),
+        reason: 'dwell'
+      });
+    }
+    anchor = i;
+  }
+
+  return focuses;
+}
+
+/**
+ * Merge overlapping focuses; where distant focuses overlap, the later one wins
+ */
+function mergeFocuses(focuses: Focus[], clusterRadius: number): Focus[] {
+  const sorted = [...focuses].sort((a, b) => a.start - b.start);
+  const merged: Focus[] = [];
+
+  for (const focus of sorted) {
+    const previous = merged[merged.length - 1];
+    if (previous && focus.start <= previous.end) {
+      if (distance(centroid(previous.points), centroid(focus.points)) <= clusterRadius) {
+        previous.end = Math.max(previous.end, focus.end);
+        previous.points = previous.points.concat(focus.points);
+        // Clicks and typing are stronger signals than a resting cursor
+        if (previous.reason === 'dwell') previous.reason = focus.reason;
+        continue;
+      }
+      previous.end = focus.start;
+    }
+    merged.push({ ...focus, points: [...focus.points] });
+  }
+
+  return merged.filter(focus => focus.end > focus.start);
+}
+
+function clampCenter(center: Point, scale: number): Point {
+  const half = 0.5 / scale;
+  return {
+    x: Math.min(1 - half, Math.max(half, center.x)),
+    y: Math.min(1 - half, Math.max(half, center.y))
+  };
+}
+
+function toShots(focuses: Focus[], opts: Required<Omit<AutoZoomOptions, 'duration'>>): Shot[] {
+  const shots: Shot[] = [];
+
+  for (const focus of focuses) {
+    const bounds = focus.points.reduce(
+      (acc, p) => ({
+        minX: Math.min(acc.minX, p.x),
+        maxX: Math.max(acc.maxX, p.x),
+        minY: Math.min(acc.minY, p.y),
+        maxY: Math.max(acc.maxY, p.y)
+      }),
+      { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+    );
+    const spread = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    // Keep the whole focus area visible with some margin
+    const scale = Math.max(1, Math.min(opts.maxScale, opts.defaultScale, 0.8 / Math.max(spread, 1e-6)));
+
+    let center = centroid(focus.points);
+    const previous = shots[shots.length - 1];
+    if (previous && distance(previous.center, center) < 0.5 / previous.scale) {
+      // Target is already visible, damp the pan
+      center = {
+        x: center.x + (previous.center.x - center.x) * opts.smoothing,
+        y: center.y + (previous.center.y - center.y) * opts.smoothing
+      };
+    }
+
+    shots.push({
+      start: focus.start,
+      end: Math.max(focus.end, focus.start + opts.minHold),
+      center: clampCenter(center, scale),
+      scale,
+      reason: focus.reason
+    });
+  }
+
+  // Holds extended to minHold may now overlap the next shot
+  for (let i = 0; i < shots.length - 1; i++) {
+    shots[i].end = Math.min(shots[i].end, shots[i + 1].start);
+  }
+
+  return shots;
+}
+
+/**
+ * Generate zoom and pan keyframes that follow where the user is working.
+ *
+ * Focus comes from click clusters, typing (clicks into text fields, and key
+ * presses when keyboard capture was enabled) and places where the cursor
+ * rests. The result is a `ZoomTrack`: keyframes are sorted by `t`, and the
+ * camera interpolates from one keyframe to the next using the easing of the
+ * later keyframe.
+ *
+ * @param source - A stopSession response, a session folder or a `*.events.json` file
+ *
+ * @example
+ * ```typescript
+ * const result = await capturer.stopSession(sessionId);
+ * const track = generateZoomKeyframes(result, { maxScale: 2 });
+ * fs.writeFileSync('zoom.json', JSON.stringify(track));
+ * ```
+ */
+export function generateZoomKeyframes(source: StopSessionResponse | string, options: AutoZoomOptions = {}): ZoomTrack {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const loaded = loadSource(source);
+  const events = loaded.events;
+  const lastEvent = [...events, ...loaded.keyboard].reduce((max, event) => Math.max(max, event.t), 0);
+  const duration = options.duration ?? loaded.duration ?? lastEvent;
+
+  const focuses = mergeFocuses(
+    [...clickFocuses(events, opts), ...typingFocuses(events, loaded.keyboard, opts), ...dwellFocuses(events, opts)],
+    opts.clusterRadius
+  );
+  const shots = toShots(focuses, opts);
+
+  const keyframes: ZoomKeyframe[] = [
+    { t: 0, center: FULL_FRAME, scale: 1, easing: 'linear', reason: 'reset' }
+  ];
+  const push = (keyframe: ZoomKeyframe) => {
+    if (keyframe.t > keyframes[keyframes.length - 1].t) {
+      keyframes.push(keyframe);
+    }
+  };
+
+  shots.forEach((shot, i) => {
+    const last = keyframes[keyframes.length - 1];
+    const arrival = Math.max(shot.start, last.t + opts.transition * 0.5);
+    if (arrival > duration) return;
+
+    // Hold the previous state until the transition begins
+    const departure = arrival - opts.transition;
+    if (departure > last.t) {
+      push({ ...last, t: departure, easing: 'linear' });
+    }
+    push({ t: arrival, center: shot.center, scale: shot.scale, easing: opts.easing, reason: shot.reason });
+
+    const holdEnd = Math.min(shot.end, duration);
+    if (holdEnd > arrival) {
+      push({ t: holdEnd, center: shot.center, scale: shot.scale, easing: 'linear', reason: shot.reason });
+    }
+
+    // Zoom back out unless the next shot follows closely (then it pans directly)
+    const next = shots[i + 1];
+    if (!next || next.start - holdEnd >= opts.transition * 2) {
+      const resetAt = Math.min(holdEnd + opts.transition, duration);
+      if (resetAt > holdEnd) {
+        push({ t: resetAt, center: FULL_FRAME, scale: 1, easing: opts.easing, reason: 'reset' });
+      }
+    }
+  });
+
+  return { version: 1, duration, keyframes };
+}
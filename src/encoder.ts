@@ -0,0 +1,123 @@
+import { InvalidParamsError } from './errors';
+import type {
+  EncoderSettings,
+  VideoEncoderSettings,
+  AudioEncoderSettings,
+  VideoCodec,
+  AudioCodec,
+  VideoContainer,
+  SessionParamsProblem
+} from './types';
+
+/**
+ * Everything the native encoder accepts, per codec
+ */
+export const ENCODER_OPTIONS = {
+  video: {
+    h264: { profiles: ['baseline', 'main', 'high'], containers: ['mp4', 'mov'], bitrate: true },
+    hevc: { profiles: ['main', 'main10'], containers: ['mp4', 'mov'], bitrate: true },
+    // ProRes is intra-frame with a fixed data rate per flavor, chosen via `profile`
+    prores: { profiles: ['proxy', 'lt', '422', 'hq', '4444'], containers: ['mov'], bitrate: false }
+  } as Record<VideoCodec, { profiles: string[]; containers: VideoContainer[]; bitrate: boolean }>,
+  audio: {
+    aac: { sampleRates: [22050, 32000, 44100, 48000], containers: ['mp4', 'mov'], bitrate: true },
+    alac: { sampleRates: [44100, 48000], containers: ['mp4', 'mov'], bitrate: false },
+    pcm: { sampleRates: [44100, 48000], containers: ['mov'], bitrate: false }
+  } as Record<AudioCodec, { sampleRates: number[]; containers: VideoContainer[]; bitrate: boolean }>,
+  videoBitrate: { min: 100_000, max: 200_000_000 },
+  audioBitrate: { min: 32_000, max: 320_000 }
+};
+
+function oneOf<T>(problems: SessionParamsProblem[], path: string, value: T, allowed: readonly T[]): boolean {
+  if (allowed.includes(value)) return true;
+  problems.push({ path, message: `must be one of ${allowed.join(', ')}, got ${String(value)}` });
+  return false;
+}
+
+function checkVideo(problems: SessionParamsProblem[], track: 'screen' | 'camera', settings: VideoEncoderSettings): void {
+  const codec = settings.codec || 'h264';
+  if (!oneOf(problems, `${track}.codec`, codec, Object.keys(ENCODER_OPTIONS.video) as VideoCodec[])) return;
+  const supported = ENCODER_OPTIONS.video[codec];
+
+  if (settings.container !== undefined) {
+    if (oneOf(problems, `${track}.container`, settings.container, ['mp4', 'mov'] as VideoContainer[])
+      && !supported.containers.includes(settings.container)) {
+      problems.push({ path: `${track}.container`, message: `${codec} cannot be written to ${settings.container}, use ${supported.containers.join(' or ')}` });
+    }
+  } else if (!supported.containers.includes('mp4')) {
+    problems.push({ path: `${track}.container`, message: `${codec} needs ${supported.containers.join(' or ')}` });
+  }
+
+  if (settings.profile !== undefined) {
+    oneOf(problems, `${track}.profile`, settings.profile, supported.profiles);
+  }
+
+  if (settings.bitrate !== undefined && settings.quality !== undefined) {
+    problems.push({ path: `${track}.quality`, message: 'bitrate and quality are mutually exclusive' });
+  }
+  if (!supported.bitrate) {
+    for (const key of ['bitrate', 'quality', 'keyframeInterval'] as const) {
+      if (settings[key] !== undefined) {
+        problems.push({ path: `${track}.${key}`, message: `${codec} does not take ${key}, pick a profile instead` });
+      }
+    }
+    return;
+  }
+  if (settings.bitrate !== undefined) {
+    const { min, max } = ENCODER_OPTIONS.videoBitrate;
+    if (!Number.isInteger(settings.bitrate) || settings.bitrate < min || settings.bitrate > max) {
+      problems.push({ path: `${track}.bitrate`, message: `must be an integer between ${min} and ${max} bits per second` });
+    }
+  }
+  if (settings.quality !== undefined && !(settings.quality > 0 && settings.quality <= 1)) {
+    problems.push({ path: `${track}.quality`, message: 'must be greater than 0 and at most 1' });
+  }
+  if (settings.keyframeInterval !== undefined && !(settings.keyframeInterval > 0)) {
+    problems.push({ path: `${track}.keyframeInterval`, message: 'must be a positive number of seconds' });
+  }
+}
+
+function checkAudio(problems: SessionParamsProblem[], settings: AudioEncoderSettings, container: VideoContainer): void {
+  const codec = settings.codec || 'aac';
+  if (!oneOf(problems, 'audio.codec', codec, Object.keys(ENCODER_OPTIONS.audio) as AudioCodec[])) return;
+  const supported = ENCODER_OPTIONS.audio[codec];
+
+  // Audio is muxed into the screen file
+  if (!supported.containers.includes(container)) {
+    problems.push({ path: 'audio.codec', message: `${codec} audio cannot be written to ${container}, set screen.container to ${supported.containers.join(' or ')}` });
+  }
+  if (settings.sampleRate !== undefined) {
+    oneOf(problems, 'audio.sampleRate', settings.sampleRate, supported.sampleRates);
+  }
+  if (settings.bitrate !== undefined) {
+    const { min, max } = ENCODER_OPTIONS.audioBitrate;
+    if (!supported.bitrate) {
+      problems.push({ path: 'audio.bitrate', message: `${codec} audio is lossless and does not take a bitrate` });
+    } else if (!Number.isInteger(settings.bitrate) || settings.bitrate < min || settings.bitrate > max) {
+      problems.push({ path: 'audio.bitrate', message: `must be an integer between ${min} and ${max} bits per second` });
+    }
+  }
+}
+
+/**
+ * Every way the settings differ from `ENCODER_OPTIONS`, with paths relative to the settings
+ */
+export function checkEncoderSettings(settings: EncoderSettings): SessionParamsProblem[] {
+  const problems: SessionParamsProblem[] = [];
+  if (settings.screen) checkVideo(problems, 'screen', settings.screen);
+  if (settings.camera) checkVideo(problems, 'camera', settings.camera);
+  if (settings.audio) checkAudio(problems, settings.audio, settings.screen?.container || 'mp4');
+  return problems;
+}
+
+/**
+ * Check encoder settings against `ENCODER_OPTIONS`, throwing InvalidParamsError
+ * for unknown values and combinations the native encoder would reject
+ */
+export function validateEncoderSettings(settings: EncoderSettings): void {
+  const problems = checkEncoderSettings(settings);
+  if (problems.length > 0) {
+    const [{ path, message }] = problems;
+    throw new InvalidParamsError('INVALID_PARAMS', `Invalid encoder settings: ${path}: ${message}`, { command: 'startSession' }, problems);
+  }
+}
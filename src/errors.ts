@@ -0,0 +1,200 @@
+import type { ErrorCode, ExportErrorCode, NativeErrorCode, ProjectErrorCode, SessionParamsProblem, StartupErrorCode } from './types';
+
+export interface ErrorContext {
+  command?: string;
+  commandId?: string;
+}
+
+/**
+ * Base class for every error raised by SkreenmeCaptureKIT.
+ * Switch on `code` rather than on `message`, which is meant for humans.
+ */
+export class SkreenmeCaptureKITError extends Error {
+  readonly code: ErrorCode;
+  readonly command?: string;
+  readonly commandId?: string;
+
+  constructor(code: ErrorCode, message: string, context: ErrorContext = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    this.command = context.command;
+    this.commandId = context.commandId;
+  }
+}
+
+/**
+ * Error reported by the native backend in response to a command
+ */
+export class NativeCommandError extends SkreenmeCaptureKITError {
+  declare readonly code: NativeErrorCode;
+}
+
+/**
+ * A session was started while another is running, a stopped/unknown session was addressed,
+ * or a session was paused or resumed twice
+ */
+export class SessionStateError extends NativeCommandError {}
+
+/**
+ * The requested display, window, camera or audio device does not exist
+ */
+export class SourceNotFoundError extends NativeCommandError {}
+
+/**
+ * The command payload was missing or invalid, either rejected by the backend
+ * or caught by the client before sending
+ */
+export class InvalidParamsError extends SkreenmeCaptureKITError {
+  /**
+   * Every problem found when the client rejected the params itself
+   */
+  readonly problems: SessionParamsProblem[];
+
+  constructor(code: ErrorCode, message: string, context: ErrorContext = {}, problems: SessionParamsProblem[] = []) {
+    super(code, message, context);
+    this.problems = problems;
+  }
+}
+
+/**
+ * The backend does not know the command
+ */
+export class UnknownCommandError extends NativeCommandError {}
+
+/**
+ * No response arrived within the command timeout
+ */
+export class CommandTimeoutError extends SkreenmeCaptureKITError {}
+
+/**
+ * The command was aborted through its AbortSignal
+ */
+export class CommandAbortedError extends SkreenmeCaptureKITError {}
+
+/**
+ * The backend process exited while the command was pending
+ */
+export class ProcessTerminatedError extends SkreenmeCaptureKITError {}
+
+export interface StartupErrorDetails {
+  binaryPath?: string;
+  triedPaths?: string[];
+  exitCode?: number | null;
+  signal?: NodeJS.Signals | null;
+  stderr?: string;
+}
+
+/**
+ * Thrown by initialize() when the backend process cannot be started or never
+ * answers the readiness handshake
+ */
+export class StartupError extends SkreenmeCaptureKITError {
+  declare readonly code: StartupErrorCode;
+  readonly binaryPath?: string;
+  readonly triedPaths: string[];
+  readonly exitCode?: number | null;
+  readonly signal?: NodeJS.Signals | null;
+  readonly stderr?: string;
+
+  constructor(code: StartupErrorCode, message: string, details: StartupErrorDetails = {}) {
+    super(code, message, { command: 'ping' });
+    this.binaryPath = details.binaryPath;
+    this.triedPaths = details.triedPaths || [];
+    this.exitCode = details.exitCode;
+    this.signal = details.signal;
+    this.stderr = details.stderr;
+  }
+}
+
+/**
+ * Thrown by loadProject() for folders that are not a readable recording
+ */
+export class ProjectError extends SkreenmeCaptureKITError {
+  declare readonly code: ProjectErrorCode;
+
+  constructor(code: ProjectErrorCode, message: string, readonly path: string) {
+    super(code, message);
+  }
+}
+
+export interface ExportErrorDetails {
+  ffmpegPath?: string;
+  exitCode?: number | null;
+  stderr?: string;
+}
+
+/**
+ * Thrown by CompositeExporter when ffmpeg cannot run or fails
+ */
+export class ExportError extends SkreenmeCaptureKITError {
+  declare readonly code: ExportErrorCode;
+  readonly ffmpegPath?: string;
+  readonly exitCode?: number | null;
+  readonly stderr?: string;
+
+  constructor(code: ExportErrorCode, message: string, details: ExportErrorDetails = {}) {
+    super(code, message);
+    this.ffmpegPath = details.ffmpegPath;
+    this.exitCode = details.exitCode;
+    this.stderr = details.stderr;
+  }
+}
+
+// Binaries built before `errorCode` existed only send the localized description
+const LEGACY_MESSAGES: Array<[RegExp, NativeErrorCode]> = [
+  [/^Failed to get device list/, 'SHAREABLE_CONTENT_UNAVAILABLE'],
+  [/^Session already running/, 'SESSION_ALREADY_RUNNING'],
+  [/^Session not running/, 'SESSION_NOT_RUNNING'],
+  [/^Session already paused/, 'SESSION_ALREADY_PAUSED'],
+  [/^Session not paused/, 'SESSION_NOT_PAUSED'],
+  [/^Display not found/, 'DISPLAY_NOT_FOUND'],
+  [/^Window not found/, 'WINDOW_NOT_FOUND'],
+  [/^Invalid capture region/, 'INVALID_REGION'],
+  [/^No recording file/, 'OUTPUT_UNAVAILABLE'],
+  [/^Camera not found/, 'CAMERA_NOT_FOUND'],
+  [/^Failed to configure camera input/, 'CAMERA_INPUT_FAILURE'],
+  [/^Failed to configure camera output/, 'CAMERA_OUTPUT_FAILURE'],
+  [/^Audio device not found/, 'AUDIO_DEVICE_NOT_FOUND'],
+  [/^Failed to configure audio input/, 'AUDIO_INPUT_FAILURE'],
+  [/^Failed to configure audio output/, 'AUDIO_OUTPUT_FAILURE'],
+  [/^Command payload missing/, 'MISSING_PAYLOAD'],
+  [/^Invalid command/, 'INVALID_COMMAND'],
+  [/^Unknown command/, 'UNKNOWN_COMMAND']
+];
+
+/**
+ * Build the error class matching a native error response
+ */
+export function createNativeError(
+  errorCode: string | undefined,
+  message: string,
+  context: ErrorContext = {}
+): SkreenmeCaptureKITError {
+  const code = (errorCode || LEGACY_MESSAGES.find(([pattern]) => pattern.test(message))?.[1] || 'NATIVE_ERROR') as NativeErrorCode;
+
+  switch (code) {
+    case 'SESSION_ALREADY_RUNNING':
+    case 'SESSION_NOT_RUNNING':
+    case 'SESSION_ALREADY_PAUSED':
+    case 'SESSION_NOT_PAUSED':
+    case 'SESSION_NOT_OWNED':
+      return new SessionStateError(code, message, context);
+    case 'DISPLAY_NOT_FOUND':
+    case 'WINDOW_NOT_FOUND':
+    case 'CAMERA_NOT_FOUND':
+    case 'AUDIO_DEVICE_NOT_FOUND':
+      return new SourceNotFoundError(code, message, context);
+    case 'INVALID_REGION':
+    case 'UNSUPPORTED_ENCODER_SETTINGS':
+    case 'WINDOW_EXCLUSION_CONFLICT':
+    case 'MISSING_PAYLOAD':
+    case 'INVALID_PAYLOAD':
+    case 'INVALID_COMMAND':
+      return new InvalidParamsError(code, message, context);
+    case 'UNKNOWN_COMMAND':
+      return new UnknownCommandError(code, message, context);
+    default:
+      return new NativeCommandError(code, message, context);
+  }
+}
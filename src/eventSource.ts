@@ -0,0 +1,61 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { readEventsFile, readKeyboardFile } from './analysis';
+import type { KeyboardEvent, MouseEvent, ProjectManifest, StopSessionResponse } from './types';
+
+export interface LoadedSource {
+  events: MouseEvent[];
+  keyboard: KeyboardEvent[];
+  duration?: number;
+}
+
+/**
+ * Load events and duration from a stopSession response, a session folder or a `*.events.json` file
+ */
+export function loadSource(source: StopSessionResponse | string): LoadedSource {
+  if (typeof source !== 'string') {
+    return { events: source.events, keyboard: source.keyboard || [], duration: source.recording.duration };
+  }
+
+  const stat = fs.statSync(source);
+  if (stat.isFile()) {
+    const keyboardFile = source.replace(/\.events\.json$/, '.keyboard.json');
+    return {
+      events: readEventsFile(source),
+      keyboard: keyboardFile !== source && fs.existsSync(keyboardFile) ? readKeyboardFile(keyboardFile) : []
+    };
+  }
+
+  const manifestPath = path.join(source, 'project.json');
+  if (fs.existsSync(manifestPath)) {
+    return loadManifest(manifestPath);
+  }
+
+  // Folders recorded before project.json existed
+  const candidates = fs.readdirSync(source).filter(name => name.endsWith('.events.json'));
+  if (candidates.length === 0) {
+    throw new Error(`No *.events.json file found in ${source}`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`${source} has several *.events.json files (${candidates.join(', ')}), pass one of them instead`);
+  }
+  return loadSource(path.join(source, candidates[0]));
+}
+
+/**
+ * Event files and duration as listed in a session's project.json
+ */
+function loadManifest(manifestPath: string): LoadedSource {
+  const dir = path.dirname(manifestPath);
+  const manifest: Partial<ProjectManifest> = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const mouseFile = manifest.events?.mouse;
+  if (typeof mouseFile !== 'string') {
+    throw new Error(`${manifestPath} does not list a mouse events file`);
+  }
+  const keyboardFile = manifest.events?.keyboard;
+  return {
+    events: readEventsFile(path.join(dir, mouseFile)),
+    keyboard: typeof keyboardFile === 'string' ? readKeyboardFile(path.join(dir, keyboardFile)) : [],
+    duration: typeof manifest.duration === 'number' ? manifest.duration : undefined
+  };
+}
@@ -0,0 +1,556 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { detectClicks, readEventsFile } from '../analysis';
+import { ExportError, InvalidParamsError } from '../errors';
+import { loadProject } from '../project';
+import LineDecoder from '../transports/LineDecoder';
+import type {
+  CameraBubbleOptions,
+  ClickHighlightOptions,
+  CompositeExportOptions,
+  CompositeExportResult,
+  CursorOverlayOptions,
+  ExportProgress,
+  MouseEvent,
+  RecordingProject,
+  SessionParamsProblem
+} from '../types';
+
+const CAMERA_DEFAULTS: Required<Omit<CameraBubbleOptions, 'shape'>> = {
+  position: 'bottom-right',
+  size: 0.2,
+  margin: 0.03,
+  cornerRadius: 0.15,
+  mirror: false
+};
+
+const CLICK_DEFAULTS: Required<ClickHighlightOptions> = {
+  color: '#ffffff',
+  size: 0.05,
+  duration: 0.5
+};
+
+const CURSOR_DEFAULTS: Required<Omit<CursorOverlayOptions, 'image'>> = {
+  smoothing: 0.5,
+  size: 0.015,
+  color: '#ffffff'
+};
+
+// Smoothing time constant in seconds at `smoothing: 1`
+const MAX_SMOOTHING_TIME = 0.25;
+
+// Tail of ffmpeg's stderr kept for the error message
+const STDERR_LIMIT = 4000;
+
+// How long an aborted ffmpeg gets to exit after SIGTERM
+const TERMINATE_TIMEOUT = 2000;
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const SHAPES = ['circle', 'rounded', 'rectangle'];
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+export interface CompositeExporterOptions {
+  /**
+   * ffmpeg executable, defaults to `ffmpeg` on the PATH
+   */
+  ffmpegPath?: string;
+}
+
+interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface ExportPlan {
+  args: string[];
+  cursorCommands?: string;
+  duration?: number;
+}
+
+function even(value: number): number {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+function rgb(color: string): [number, number, number] {
+  const value = parseInt(color.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Quote a filter option value, e.g. a file path
+ */
+function quote(value: string): string {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function isFraction(value: unknown): boolean {
+  return typeof value === 'number' && value > 0 && value < 1;
+}
+
+function optionsOf<T extends object>(value: boolean | T | undefined, enabled: boolean): T | null {
+  if (value === false || (value === undefined && !enabled)) return null;
+  return typeof value === 'object' ? value : {} as T;
+}
+
+/**
+ * Every reason the export options cannot be applied to this recording
+ */
+function checkExportOptions(project: RecordingProject, options: CompositeExportOptions): SessionParamsProblem[] {
+  const problems: SessionParamsProblem[] = [];
+  const problem = (path: string, message: string) => problems.push({ path, message });
+
+  if (typeof options.outputPath !== 'string' || !options.outputPath) {
+    problem('outputPath', 'is required');
+  }
+
+  const { start = 0, end } = options.trim || {};
+  if (!(typeof start === 'number' && start >= 0)) {
+    problem('trim.start', 'must be a number of seconds, at least 0');
+  }
+  if (end !== undefined && !(typeof end === 'number' && end > start)) {
+    problem('trim.end', 'must be a number of seconds after trim.start');
+  }
+
+  const { width, height } = options.resolution || {};
+  for (const [key, value] of [['width', width], ['height', height]] as const) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      problem(`resolution.${key}`, 'must be a positive number of pixels');
+    }
+  }
+  if (!project.tracks.screen.resolution && (width === undefined || height === undefined)) {
+    problem('resolution', 'width and height are required for recordings without project.json');
+  }
+  if (options.fps !== undefined && !(typeof options.fps === 'number' && options.fps > 0)) {
+    problem('fps', 'must be a positive number');
+  }
+  if (options.crf !== undefined && !(Number.isInteger(options.crf) && options.crf >= 0 && options.crf <= 51)) {
+    problem('crf', 'must be an integer from 0 to 51');
+  }
+
+  if (options.camera && !project.tracks.camera) {
+    problem('camera', 'the recording has no camera track');
+  }
+  if (typeof options.camera === 'object') {
+    const { position, size, margin, shape, cornerRadius } = options.camera;
+    if (position !== undefined && !POSITIONS.includes(position)) {
+      problem('camera.position', `must be one of ${POSITIONS.join(', ')}, got ${String(position)}`);
+    }
+    if (shape !== undefined && !SHAPES.includes(shape)) {
+      problem('camera.shape', `must be one of ${SHAPES.join(', ')}, got ${String(shape)}`);
+    }
+    if (size !== undefined && !isFraction(size)) {
+      problem('camera.size', 'must be a fraction of the output width, between 0 and 1');
+    }
+    if (margin !== undefined && !(typeof margin === 'number' && margin >= 0 && margin < 0.5)) {
+      problem('camera.margin', 'must be a fraction of the output width, from 0 to 0.5');
+    }
+    if (cornerRadius !== undefined && !(typeof cornerRadius === 'number' && cornerRadius >= 0 && cornerRadius <= 0.5)) {
+      problem('camera.cornerRadius', 'must be a fraction of the shorter side, from 0 to 0.5');
+    }
+  }
+
+  if (typeof options.clicks === 'object') {
+    const { color, size, duration } = options.clicks;
+    if (color !== undefined && !COLOR.test(color)) problem('clicks.color', 'must be a #rrggbb color');
+    if (size !== undefined && !isFraction(size)) problem('clicks.size', 'must be a fraction of the output width, between 0 and 1');
+    if (duration !== undefined && !(typeof duration === 'number' && duration > 0)) problem('clicks.duration', 'must be a positive number of seconds');
+  }
+
+  if (options.cursor) {
+    // The system cursor is part of the video unless the recording hid it
+    if (project.params && project.params.showCursor !== false) {
+      problem('cursor', 'the recording shows the system cursor, record with showCursor: false to draw the pointer');
+    }
+    if (typeof options.cursor === 'object') {
+      const { smoothing, size, color, image } = options.cursor;
+      if (smoothing !== undefined && !(typeof smoothing === 'number' && smoothing >= 0 && smoothing <= 1)) {
+        problem('cursor.smoothing', 'must be a number from 0 to 1');
+      }
+      if (size !== undefined && !isFraction(size)) problem('cursor.size', 'must be a fraction of the output width, between 0 and 1');
+      if (color !== undefined && !COLOR.test(color)) problem('cursor.color', 'must be a #rrggbb color');
+      if (image !== undefined && !fs.existsSync(image)) problem('cursor.image', `${image} does not exist`);
+    }
+  }
+
+  if (typeof options.audio === 'object') {
+    for (const kind of ['microphone', 'system'] as const) {
+      const gain = options.audio[kind];
+      if (gain !== undefined && !(typeof gain === 'number' && gain >= 0 && gain <= 2)) {
+        problem(`audio.${kind}`, 'must be a gain from 0 to 2');
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Alpha of a rectangle with rounded corners of `radius` pixels, for geq
+ */
+function roundedAlpha(radius: number): string {
+  const corner = (axis: 'X' | 'Y', size: 'W' | 'H') => `max(abs(${axis}-${size}/2)-(${size}/2-${radius}),0)`;
+  return `255*clip(${radius}+0.5-hypot(${corner('X', 'W')},${corner('Y', 'H')}),0,1)`;
+}
+
+/**
+ * sendcmd script moving the pointer overlay once per frame: the recorded path
+ * sampled at `fps`, smoothed forwards and backwards so it does not lag behind
+ */
+function cursorCommands(
+  events: MouseEvent[],
+  options: { start: number; duration?: number; fps: number; content: Rect; hotspot: number; smoothing: number }
+): string {
+  const samples = events.filter(event => Number.isFinite(event.x) && Number.isFinite(event.y)).sort((a, b) => a.t - b.t);
+  if (samples.length === 0) return '';
+
+  const { start, fps, content, hotspot } = options;
+  const duration = options.duration ?? samples[samples.length - 1].t - start;
+  const frames = Math.max(0, Math.ceil(duration * fps));
+  const xs = new Float64Array(frames + 1);
+  const ys = new Float64Array(frames + 1);
+
+  let index = 0;
+  for (let frame = 0; frame <= frames; frame++) {
+    const t = start + frame / fps;
+    while (index < samples.length - 1 && samples[index + 1].t <= t) index++;
+    const from = samples[index];
+    const to = samples[index + 1];
+    const u = to && t > from.t && to.t > from.t ? (t - from.t) / (to.t - from.t) : 0;
+    xs[frame] = from.x + ((to?.x ?? from.x) - from.x) * u;
+    ys[frame] = from.y + ((to?.y ?? from.y) - from.y) * u;
+  }
+
+  const timeConstant = options.smoothing * MAX_SMOOTHING_TIME;
+  if (timeConstant > 0) {
+    const alpha = 1 - Math.exp(-1 / (fps * timeConstant));
+    for (const values of [xs, ys]) {
+      for (let frame = 1; frame <= frames; frame++) {
+        values[frame] = values[frame - 1] + alpha * (values[frame] - values[frame - 1]);
+      }
+      for (let frame = frames - 1; frame >= 0; frame--) {
+        values[frame] = values[frame + 1] + alpha * (values[frame] - values[frame + 1]);
+      }
+    }
+  }
+
+  const lines: string[] = [];
+  let previous = '';
+  for (let frame = 0; frame <= frames; frame++) {
+    const x = Math.round(content.x + xs[frame] * content.width - hotspot);
+    const y = Math.round(content.y + ys[frame] * content.height - hotspot);
+    const position = `${x} ${y}`;
+    if (position === previous) continue;
+    previous = position;
+    lines.push(`${(frame / fps).toFixed(3)} overlay@cursor x ${x}, overlay@cursor y ${y};`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build the ffmpeg arguments and filter graph for one export
+ */
+function planExport(project: RecordingProject, options: CompositeExportOptions, events: MouseEvent[], workDir: string): ExportPlan {
+  const { screen, camera: cameraTrack } = project.tracks;
+  const start = options.trim?.start ?? 0;
+  const end = options.trim?.end ?? project.duration;
+  const duration = end !== undefined ? Math.max(0, end - start) : undefined;
+  const fps = options.fps ?? screen.fps ?? 30;
+
+  // Output size: the screen scaled to fit, centered on black if the aspect ratio differs
+  const source = screen.resolution ?? { width: options.resolution!.width!, height: options.resolution!.height! };
+  const ratio = source.width / source.height;
+  const requested = options.resolution || {};
+  const width = even(requested.width ?? (requested.height !== undefined ? requested.height * ratio : source.width));
+  const height = even(requested.height ?? (requested.width !== undefined ? requested.width / ratio : source.height));
+  const scale = Math.min(width / source.width, height / source.height);
+  const contentWidth = Math.min(width, even(source.width * scale));
+  const contentHeight = Math.min(height, even(source.height * scale));
+  const content: Rect = {
+    x: Math.floor((width - contentWidth) / 2),
+    y: Math.floor((height - contentHeight) / 2),
+    width: contentWidth,
+    height: contentHeight
+  };
+
+  const seek = ['-ss', String(start), ...(duration !== undefined ? ['-t', String(duration)] : [])];
+  const inputs = [...seek, '-i', screen.path];
+  const filters: string[] = [];
+  const letterbox = content.width !== width || content.height !== height
+    ? `,pad=${width}:${height}:${content.x}:${content.y}:black`
+    : '';
+  filters.push(`[0:v]fps=${fps},scale=${content.width}:${content.height}:flags=lanczos,setsar=1${letterbox}[base]`);
+
+  let current = 'base';
+  let step = 0;
+  const chain = (inputs: string, filter: string) => {
+    const next = `v${step++}`;
+    filters.push(`${inputs}${filter}[${next}]`);
+    current = next;
+  };
+
+  const camera = cameraTrack ? optionsOf(options.camera, true) : null;
+  if (camera && cameraTrack) {
+    const { position, size, margin, cornerRadius, mirror } = { ...CAMERA_DEFAULTS, ...camera };
+    const aspect = cameraTrack.resolution
+      ? cameraTrack.resolution.width / cameraTrack.resolution.height
+      : project.params?.cameraFormat === 'wide' ? 16 / 9 : 1;
+    const wide = project.params?.cameraFormat ? project.params.cameraFormat === 'wide' : aspect > 1.2;
+    const shape = camera.shape ?? (wide ? 'rounded' : 'circle');
+
+    const bubbleWidth = even(width * size);
+    const bubbleHeight = even(bubbleWidth / aspect);
+    const shorter = Math.min(bubbleWidth, bubbleHeight);
+    const radius = shape === 'circle' ? shorter / 2 : shape === 'rounded' ? Math.round(shorter * cornerRadius) : 0;
+    const offset = Math.round(width * margin);
+    const x = position.endsWith('left') ? offset : width - bubbleWidth - offset;
+    const y = position.startsWith('top') ? offset : height - bubbleHeight - offset;
+
+    inputs.push(...seek, '-i', cameraTrack.path);
+    const mask = radius > 0 ? `,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='${roundedAlpha(radius)}'` : '';
+    filters.push(`[1:v]fps=${fps},scale=${bubbleWidth}:${bubbleHeight}:flags=lanczos,setsar=1${mirror ? ',hflip' : ''},format=rgba${mask}[camera]`);
+    chain(`[${current}][camera]`, `overlay=x=${x}:y=${y}:eof_action=pass`);
+  }
+
+  // One ripple clip, copied and delayed to every click inside the trimmed range
+  const clickOptions = optionsOf(options.clicks, true);
+  const clicks = clickOptions
+    ? detectClicks(events).filter(click => click.t >= start && (end === undefined || click.t < end))
+    : [];
+  if (clickOptions && clicks.length > 0) {
+    const { color, size, duration: rippleDuration } = { ...CLICK_DEFAULTS, ...clickOptions };
+    const [r, g, b] = rgb(color);
+    const diameter = even(width * size);
+    const thickness = Math.max(2, Math.round(diameter * 0.08));
+    const center = diameter / 2;
+    const ring = `(${center - thickness})*(0.3+0.7*T/${rippleDuration})`;
+    const alpha = `st(0,hypot(X-${center},Y-${center}));st(1,${ring});`
+      + `255*(1-T/${rippleDuration})*max(clip(${thickness / 2}+0.5-abs(ld(0)-ld(1)),0,1),0.25*clip(ld(1)-ld(0)+0.5,0,1))`;
+    const copies = clicks.map((_, index) => `[ripple${index}]`).join('');
+    filters.push(`color=c=black@0:s=${diameter}x${diameter}:r=${fps}:d=${rippleDuration},format=rgba,`
+      + `geq=r=${r}:g=${g}:b=${b}:a='${alpha}',split=${clicks.length}${copies}`);
+
+    clicks.forEach((click, index) => {
+      const x = Math.round(content.x + click.x * content.width - center);
+      const y = Math.round(content.y + click.y * content.height - center);
+      filters.push(`[ripple${index}]setpts=PTS-STARTPTS+${(click.t - start).toFixed(3)}/TB[ripple${index}at]`);
+      chain(`[${current}][ripple${index}at]`, `overlay=x=${x}:y=${y}:eof_action=pass`);
+    });
+  }
+
+  let cursorCommandsScript: string | undefined;
+  const cursor = optionsOf(options.cursor, false);
+  if (cursor) {
+    const { smoothing, size, color } = { ...CURSOR_DEFAULTS, ...cursor };
+    let hotspot = 0;
+    if (cursor.image) {
+      inputs.push('-loop', '1', '-i', cursor.image);
+      filters.push(`[${camera ? 2 : 1}:v]fps=${fps},format=rgba[pointer]`);
+    } else {
+      const diameter = even(width * size);
+      const [r, g, b] = rgb(color);
+      const edge = Math.max(1, Math.round(diameter * 0.12));
+      const distance = `hypot(X-${diameter / 2}+0.5,Y-${diameter / 2}+0.5)`;
+      const fill = (value: number) => `if(gt(${distance},${diameter / 2 - edge}),40,${value})`;
+      filters.push(`color=c=black@0:s=${diameter}x${diameter}:r=${fps},format=rgba,`
+        + `geq=r='${fill(r)}':g='${fill(g)}':b='${fill(b)}':a='255*clip(${diameter / 2}+0.5-${distance},0,1)'[pointer]`);
+      hotspot = diameter / 2;
+    }
+
+    cursorCommandsScript = cursorCommands(events, { start, duration, fps, content, hotspot, smoothing });
+    if (cursorCommandsScript) {
+      chain(`[${current}]`, `sendcmd=f=${quote(path.join(workDir, 'cursor.cmd'))}`);
+      // Off screen until the first command
+      chain(`[${current}][pointer]`, `overlay@cursor=x=-${width}:y=-${height}:eof_action=pass`);
+    } else {
+      filters.push('[pointer]nullsink');
+    }
+  }
+  filters.push(`[${current}]format=yuv420p[vout]`);
+
+  // Audio tracks live in the screen file; each keeps its gain unless overridden
+  const audioArgs: string[] = [];
+  if (options.audio !== false) {
+    const gains = typeof options.audio === 'object' ? options.audio : {};
+    const tracks = project.tracks.audio;
+    if (tracks.length > 0) {
+      const labels = tracks.map((_, index) => tracks.length === 1 ? '[aout]' : `[a${index}]`);
+      tracks.forEach((track, index) => {
+        filters.push(`[0:a:${track.trackIndex}]volume=${gains[track.kind] ?? track.gain}${labels[index]}`);
+      });
+      if (tracks.length > 1) {
+        // amix divides every input by the input count
+        filters.push(`${labels.join('')}amix=inputs=${tracks.length}:duration=longest:dropout_transition=0,volume=${tracks.length}[aout]`);
+      }
+      audioArgs.push('-map', '[aout]');
+    } else if (project.version === 0) {
+      // Folders without project.json do not say which audio tracks exist
+      audioArgs.push('-map', '0:a?');
+    }
+    if (audioArgs.length > 0) {
+      audioArgs.push('-c:a', 'aac', '-b:a', '192k');
+    }
+  }
+
+  const videoCodec = options.videoCodec || 'libx264';
+  const quality = videoCodec === 'libx264' || videoCodec === 'libx265' ? ['-crf', String(options.crf ?? 20)] : [];
+
+  return {
+    args: [
+      '-hide_banner', '-nostdin', '-y',
+      '-loglevel', 'error', '-nostats', '-progress', 'pipe:1',
+      ...inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[vout]',
+      ...audioArgs,
+      '-c:v', videoCodec, ...quality,
+      '-pix_fmt', 'yuv420p', '-r', String(fps),
+      '-movflags', '+faststart',
+      options.outputPath
+    ],
+    cursorCommands: cursorCommandsScript || undefined,
+    duration
+  };
+}
+
+/**
+ * CompositeExporter - Turns a recording folder into one shareable video with a
+ * local ffmpeg: the camera as a bubble over the screen, click ripples and an
+ * optional smoothed pointer drawn from the recorded events.
+ *
+ * Events: 'progress' (ExportProgress)
+ *
+ * @example
+ * ```typescript
+ * const exporter = new CompositeExporter({ ffmpegPath: '/opt/homebrew/bin/ffmpeg' });
+ * exporter.on('progress', ({ fraction }) => bar.update(fraction));
+ * await exporter.export('/Users/me/Recordings/demo', { outputPath: '/Users/me/demo.mp4' });
+ * ```
+ */
+export default class CompositeExporter extends EventEmitter {
+  private readonly ffmpegPath: string;
+
+  constructor(options: CompositeExporterOptions = {}) {
+    super();
+    this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
+  }
+
+  /**
+   * Export a recording folder (or a project from `loadProject`) to `options.outputPath`
+   */
+  async export(source: string | RecordingProject, options: CompositeExportOptions): Promise<CompositeExportResult> {
+    const project = typeof source === 'string' ? await loadProject(source) : source;
+    const problems = checkExportOptions(project, options);
+    if (problems.length > 0) {
+      throw new InvalidParamsError(
+        'INVALID_PARAMS',
+        `Invalid export options: ${problems.map(({ path, message }) => `${path}: ${message}`).join('; ')}`,
+        {},
+        problems
+      );
+    }
+    if (options.signal?.aborted) {
+      throw new ExportError('EXPORT_ABORTED', 'Export aborted', { ffmpegPath: this.ffmpegPath });
+    }
+
+    const events = project.events.mouse ? readEventsFile(project.events.mouse) : [];
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'skreenme-export-'));
+    try {
+      const plan = planExport(project, options, events, workDir);
+      if (plan.cursorCommands) {
+        await fs.promises.writeFile(path.join(workDir, 'cursor.cmd'), plan.cursorCommands);
+      }
+
+      const written = await this._run(plan.args, options, plan.duration);
+      const { size } = await fs.promises.stat(options.outputPath);
+      return { outputPath: options.outputPath, duration: written, size };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run ffmpeg, emitting 'progress' for every `-progress` block; resolves with the seconds written
+   */
+  private _run(args: string[], options: CompositeExportOptions, duration: number | undefined): Promise<number> {
+    const { outputPath, signal } = options;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const decoder = new LineDecoder();
+      let fields: Record<string, string> = {};
+      let written = 0;
+      let stderr = '';
+      let aborted = false;
+      let killTimer: NodeJS.Timeout | undefined;
+
+      const onAbort = () => {
+        aborted = true;
+        child.kill('SIGTERM');
+        killTimer = setTimeout(() => child.kill('SIGKILL'), TERMINATE_TIMEOUT);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      child.stdout.on('data', (data: Buffer) => {
+        for (const line of decoder.push(data)) {
+          const separator = line.indexOf('=');
+          if (separator < 0) continue;
+          const key = line.slice(0, separator).trim();
+          fields[key] = line.slice(separator + 1).trim();
+          if (key !== 'progress') continue;
+
+          // out_time_ms is in microseconds as well, older builds only send that one
+          const micros = Number(fields.out_time_us ?? fields.out_time_ms);
+          if (Number.isFinite(micros) && micros >= 0) written = micros / 1e6;
+          const fps = parseFloat(fields.fps);
+          const speed = parseFloat(fields.speed);
+          const progress: ExportProgress = {
+            outputPath,
+            t: written,
+            duration,
+            fraction: duration ? Math.min(1, written / duration) : undefined,
+            fps: Number.isFinite(fps) ? fps : undefined,
+            speed: Number.isFinite(speed) ? speed : undefined
+          };
+          this.emit('progress', progress);
+          fields = {};
+        }
+      });
+      child.stderr.on('data', (data: Buffer) => {
+        stderr = (stderr + data.toString()).slice(-STDERR_LIMIT);
+      });
+
+      const finish = () => {
+        signal?.removeEventListener('abort', onAbort);
+        if (killTimer) clearTimeout(killTimer);
+      };
+
+      child.on('error', (err: NodeJS.ErrnoException) => {
+        finish();
+        reject(err.code === 'ENOENT'
+          ? new ExportError('FFMPEG_NOT_FOUND', `ffmpeg not found at ${this.ffmpegPath}, install it or pass ffmpegPath`, { ffmpegPath: this.ffmpegPath })
+          : new ExportError('EXPORT_FAILED', `Could not start ffmpeg: ${err.message}`, { ffmpegPath: this.ffmpegPath }));
+      });
+
+      child.on('close', (exitCode: number | null) => {
+        finish();
+        if (aborted) {
+          fs.rm(outputPath, { force: true }, () => {
+            reject(new ExportError('EXPORT_ABORTED', 'Export aborted', { ffmpegPath: this.ffmpegPath, exitCode, stderr }));
+          });
+          return;
+        }
+        if (exitCode !== 0) {
+          const detail = stderr.trim().split('\n').pop() || `exit code ${exitCode}`;
+          reject(new ExportError('EXPORT_FAILED', `ffmpeg failed: ${detail}`, { ffmpegPath: this.ffmpegPath, exitCode, stderr }));
+          return;
+        }
+        resolve(written);
+      });
+    });
+  }
+}
@@ -0,0 +1,282 @@
+import { detectClicks } from './analysis';
+import { loadSource } from './eventSource';
+import type {
+  ActivitySegment,
+  ActivityState,
+  CaptionCue,
+  CaptionOptions,
+  Chapter,
+  ChapterOptions,
+  Click,
+  CursorCSVOptions,
+  MouseEvent,
+  StopSessionResponse
+} from './types';
+
+const DEFAULT_CAPTION_OPTIONS = {
+  clicks: true,
+  shortcuts: true,
+  clickDuration: 1,
+  shortcutDuration: 1.5,
+  markerDuration: 3
+};
+
+const DEFAULT_CLICK_LABELS = {
+  click: 'Click',
+  doubleClick: 'Double-click',
+  tripleClick: 'Triple-click',
+  rightClick: 'Right-click',
+  middleClick: 'Middle-click'
+};
+
+const DEFAULT_CHAPTER_TITLES: Record<ActivityState, string> = {
+  idle: 'Idle',
+  moving: 'Moving',
+  clicking: 'Clicking',
+  dragging: 'Dragging',
+  scrolling: 'Scrolling'
+};
+
+// Cues starting this close together are shown as one
+const SIMULTANEOUS = 0.05;
+
+function clickLabel(click: Click, labels: typeof DEFAULT_CLICK_LABELS): string {
+  if (click.button === 'right') return labels.rightClick;
+  if (click.button === 'middle') return labels.middleClick;
+  if (click.count >= 3) return labels.tripleClick;
+  return click.count === 2 ? labels.doubleClick : labels.click;
+}
+
+/**
+ * `HH:MM:SS.mmm`, with `,` before the milliseconds for SRT
+ */
+function timestamp(seconds: number, separator = '.'): string {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (value: number, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3_600_000))}:${pad(Math.floor(ms / 60_000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Cue text safe for VTT and SRT: a blank line would end the cue early and
+ * `-->` would be read as a timing line
+ */
+function cueText(text: string): string {
+  return text.replace(/\r\n?/g, '\n').replace(/\n\s*\n/g, '\n').trim().replace(/-->/g, '->');
+}
+
+/**
+ * Build caption cues for clicks, keyboard shortcuts and markers. Cues never
+ * overlap: one starting while another is shown cuts the earlier one short,
+ * and cues starting together are joined into one with a line each.
+ *
+ * @example
+ * ```typescript
+ * const response = await capturer.stopSession(sessionId);
+ * const cues = buildCaptionCues(response, { markers: [{ t: 12, label: 'Open the settings' }] });
+ * fs.writeFileSync('captions.vtt', toWebVTT(cues));
+ * ```
+ */
+export function buildCaptionCues(source: StopSessionResponse | string, options: CaptionOptions = {}): CaptionCue[] {
+  const opts = { ...DEFAULT_CAPTION_OPTIONS, ...options };
+  const labels = { ...DEFAULT_CLICK_LABELS, ...options.labels };
+  const { events, keyboard, duration: sourceDuration } = loadSource(source);
+  const duration = opts.duration ?? sourceDuration;
+
+  const cues: CaptionCue[] = [];
+  if (opts.clicks) {
+    const clicks = detectClicks(events);
+    clicks.forEach((click, i) => {
+      // A double-click replaces the caption of its first click
+      const next = clicks[i + 1];
+      if (next && next.count > click.count && next.button === click.button) return;
+      cues.push({ start: click.t, end: click.t + opts.clickDuration, text: clickLabel(click, labels), kind: 'click' });
+    });
+  }
+  if (opts.shortcuts) {
+    for (const event of keyboard) {
+      if (!event.combo) continue;
+      cues.push({ start: event.t, end: event.t + opts.shortcutDuration, text: event.combo, kind: 'shortcut' });
+    }
+  }
+  for (const marker of opts.markers || []) {
+    cues.push({ start: marker.t, end: marker.t + (marker.duration ?? opts.markerDuration), text: marker.label, kind: 'marker' });
+  }
+
+  const merged: CaptionCue[] = [];
+  for (const cue of cues.sort((a, b) => a.start - b.start)) {
+    const previous = merged[merged.length - 1];
+    if (previous && cue.start - previous.start < SIMULTANEOUS) {
+      previous.text += `\n${cue.text}`;
+      previous.end = Math.max(previous.end, cue.end);
+      continue;
+    }
+    if (previous && previous.end > cue.start) {
+      previous.end = cue.start;
+    }
+    merged.push({ ...cue });
+  }
+
+  return merged
+    .map(cue => duration === undefined ? cue : { ...cue, end: Math.min(cue.end, duration) })
+    .filter(cue => cue.end > cue.start);
+}
+
+/**
+ * Format cues as a WebVTT caption file
+ */
+export function toWebVTT(cues: CaptionCue[]): string {
+  const escape = (text: string) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const blocks = cues.map(cue => `${timestamp(cue.start)} --> ${timestamp(cue.end)}\n${escape(cueText(cue.text))}`);
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Format cues as a SubRip (SRT) caption file
+ */
+export function toSRT(cues: CaptionCue[]): string {
+  return cues
+    .map((cue, i) => `${i + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cueText(cue.text)}\n`)
+    .join('\n');
+}
+
+/**
+ * Turn the activity timeline into chapters. Runs of one activity state become
+ * chapters; runs shorter than `minDuration` are merged into the chapter before
+ * them, which is titled after its busiest state, or idle if it is mostly idle.
+ * Neighbouring chapters with the same title are joined.
+ *
+ * @example
+ * ```typescript
+ * const { activity } = analyzeEvents(events, { duration: recording.duration });
+ * fs.writeFileSync('chapters.txt', toFFMetadata(buildChapters(activity)));
+ * // ffmpeg -i screen.mp4 -i chapters.txt -map_metadata 1 -codec copy out.mp4
+ * ```
+ */
+export function buildChapters(activity: ActivitySegment[], options: ChapterOptions = {}): Chapter[] {
+  const minDuration = options.minDuration ?? 10;
+  const titles = { ...DEFAULT_CHAPTER_TITLES, ...options.titles };
+
+  interface Span { start: number; end: number; time: Map<ActivityState, number> }
+  const spans: Span[] = [];
+  for (const segment of activity) {
+    const last = spans[spans.length - 1];
+    const length = segment.end - segment.start;
+    if (last && last.time.size === 1 && last.time.has(segment.state)) {
+      last.end = segment.end;
+      last.time.set(segment.state, last.time.get(segment.state)! + length);
+    } else {
+      spans.push({ start: segment.start, end: segment.end, time: new Map([[segment.state, length]]) });
+    }
+  }
+
+  const merged: Span[] = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && (span.end - span.start < minDuration || last.end - last.start < minDuration)) {
+      last.end = span.end;
+      for (const [state, time] of span.time) {
+        last.time.set(state, (last.time.get(state) ?? 0) + time);
+      }
+    } else {
+      merged.push(span);
+    }
+  }
+
+  const chapters: Chapter[] = [];
+  for (const span of merged) {
+    // Pauses between actions don't name a chapter unless it is mostly idle
+    const ranked = [...span.time].sort((a, b) => b[1] - a[1]);
+    const idle = span.time.get('idle') ?? 0;
+    const state = idle > (span.end - span.start) / 2 ? 'idle' : ranked.find(([candidate]) => candidate !== 'idle')?.[0] ?? 'idle';
+    const last = chapters[chapters.length - 1];
+    if (last && last.title === titles[state]) {
+      last.end = span.end;
+    } else {
+      chapters.push({ start: span.start, end: span.end, title: titles[state] });
+    }
+  }
+
+  const markers = [...(options.markers || [])].sort((a, b) => a.t - b.t);
+  for (const marker of markers) {
+    const index = chapters.findIndex(chapter => marker.t >= chapter.start && marker.t < chapter.end);
+    if (index === -1) continue;
+    const chapter = chapters[index];
+    if (marker.t - chapter.start < SIMULTANEOUS) {
+      chapter.title = marker.label;
+    } else {
+      chapters.splice(index + 1, 0, { start: marker.t, end: chapter.end, title: marker.label });
+      chapter.end = marker.t;
+    }
+  }
+
+  return chapters;
+}
+
+/**
+ * Format chapters as an ffmpeg metadata file, for `-i chapters.txt -map_metadata 1`
+ */
+export function toFFMetadata(chapters: Chapter[], title?: string): string {
+  const escape = (text: string) => text.replace(/[\\=;#\n]/g, match => `\\${match}`);
+  const lines = [';FFMETADATA1'];
+  if (title !== undefined) {
+    lines.push(`title=${escape(title)}`);
+  }
+  for (const chapter of chapters) {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escape(chapter.title)}`
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format chapters as an OGM-style chapter list, read by `MP4Box -chap` and mp4chaps
+ */
+export function toMP4Chapters(chapters: Chapter[]): string {
+  return chapters
+    .map((chapter, i) => {
+      const number = String(i + 1).padStart(2, '0');
+      return `CHAPTER${number}=${timestamp(chapter.start)}\nCHAPTER${number}NAME=${chapter.title.replace(/\n/g, ' ')}\n`;
+    })
+    .join('');
+}
+
+/**
+ * Format chapters as a WebVTT chapters track, for `<track kind="chapters">`
+ */
+export function toWebVTTChapters(chapters: Chapter[]): string {
+  return toWebVTT(chapters.map(({ start, end, title }) => ({ start, end, text: title, kind: 'marker' })));
+}
+
+/**
+ * Format mouse events as CSV with a header row: `t,type,x,y,button,cursor,delta`,
+ * followed by `px,py` when `size` is given. Events are written in time order.
+ */
+export function toCursorCSV(events: MouseEvent[], options: CursorCSVOptions = {}): string {
+  const { size } = options;
+  const field = (value: string | number | undefined) => {
+    if (value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const header = ['t', 'type', 'x', 'y', 'button', 'cursor', 'delta'];
+  if (size) header.push('px', 'py');
+
+  const rows = events
+    .filter(event => !options.moves || event.type === 'move')
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => a.event.t - b.event.t || a.index - b.index)
+    .map(({ event }) => {
+      const row = [event.t, event.type, event.x, event.y, event.button, event.cursor, event.delta].map(field);
+      if (size) row.push(String(Math.round(event.x * size.width)), String(Math.round(event.y * size.height)));
+      return row.join(',');
+    });
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,95 @@
+import type { HealthThresholds, SessionStats, SessionWarning } from './types';
+
+const DEFAULT_THRESHOLDS: Required<HealthThresholds> = {
+  minFreeDiskSpace: 1024 * 1024 * 1024,
+  noFramesTimeout: 3,
+  maxDropRate: 0.1,
+  cameraStartTimeout: 5
+};
+
+function formatBytes(bytes: number): string {
+  return bytes >= 1024 * 1024 * 1024
+    ? `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+    : `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+/**
+ * Turns the 'session-stats' reports of one session into 'session-warning's.
+ * A warning is returned once when its condition starts and re-armed when it clears.
+ */
+export class HealthMonitor {
+  private readonly thresholds: Required<HealthThresholds>;
+  private readonly active = new Set<string>();
+  private previous: SessionStats | null = null;
+  // Timeline position of the last progress per track
+  private screenProgressAt = 0;
+  private audioProgressAt = 0;
+
+  constructor(readonly sessionId: string, thresholds: HealthThresholds = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  }
+
+  check(stats: SessionStats): SessionWarning[] {
+    const { minFreeDiskSpace, noFramesTimeout, maxDropRate, cameraStartTimeout } = this.thresholds;
+    const previous = this.previous;
+    this.previous = stats;
+    const warnings: SessionWarning[] = [];
+
+    const update = (key: string, condition: boolean, warning: Omit<SessionWarning, 'sessionId' | 't' | 'stats'>) => {
+      if (!condition) {
+        this.active.delete(key);
+        return;
+      }
+      if (this.active.has(key)) return;
+      this.active.add(key);
+      warnings.push({ sessionId: this.sessionId, t: stats.t, stats, ...warning });
+    };
+
+    if (!previous || stats.screen.framesWritten > previous.screen.framesWritten) {
+      this.screenProgressAt = stats.t;
+    }
+    if (!previous || !stats.audio || stats.audio.samples > (previous.audio?.samples ?? 0)) {
+      this.audioProgressAt = stats.t;
+    }
+
+    update('LOW_DISK_SPACE', stats.freeDiskSpace !== undefined && stats.freeDiskSpace < minFreeDiskSpace, {
+      code: 'LOW_DISK_SPACE',
+      message: `Only ${formatBytes(stats.freeDiskSpace || 0)} left on the output volume`
+    });
+
+    // The timeline stands still while paused, so pauses never count as stalls
+    update('NO_FRAMES', stats.t - this.screenProgressAt >= noFramesTimeout, {
+      code: 'NO_FRAMES',
+      message: `No screen frames written for ${(stats.t - this.screenProgressAt).toFixed(1)}s`,
+      track: 'screen'
+    });
+
+    update('NO_AUDIO', stats.audio !== undefined && stats.t - this.audioProgressAt >= noFramesTimeout, {
+      code: 'NO_AUDIO',
+      message: `No audio samples written for ${(stats.t - this.audioProgressAt).toFixed(1)}s`,
+      track: 'audio'
+    });
+
+    for (const track of ['screen', 'camera'] as const) {
+      const current = stats[track];
+      const before = previous?.[track];
+      if (!current) continue;
+      const captured = current.framesCaptured - (before?.framesCaptured ?? 0);
+      const dropped = current.framesDropped - (before?.framesDropped ?? 0);
+      const rate = captured > 0 ? dropped / captured : 0;
+      update(`FRAMES_DROPPED:${track}`, rate > maxDropRate, {
+        code: 'FRAMES_DROPPED',
+        message: `${Math.round(rate * 100)}% of ${track} frames dropped`,
+        track
+      });
+    }
+
+    update('CAMERA_NOT_STARTED', stats.camera !== undefined && !stats.camera.started && stats.t >= cameraStartTimeout, {
+      code: 'CAMERA_NOT_STARTED',
+      message: `Camera writer has not received a frame after ${stats.t.toFixed(1)}s`,
+      track: 'camera'
+    });
+
+    return warnings;
+  }
+}
@@ -1,6 +1,44 @@
 // Export all types
 export * from './types';
 
+// Export error classes
+export * from './errors';
+
+// Export mouse-event analysis helpers
+export * from './analysis';
+export * from './autoZoom';
+
+// Export caption, chapter and cursor CSV converters
+export { buildCaptionCues, toWebVTT, toSRT, buildChapters, toFFMetadata, toMP4Chapters, toWebVTTChapters, toCursorCSV } from './formats';
+
+// Export encoder capabilities and validation
+export { ENCODER_OPTIONS, validateEncoderSettings, checkEncoderSettings } from './encoder';
+
+// Export session presets and params validation
+export { BUILTIN_PRESETS, applyPreset } from './presets';
+export { validateSessionParams, validateScreenshotParams, validatePreviewParams } from './validation';
+
+// Export the project manifest loader
+export { loadProject, PROJECT_MANIFEST_VERSION } from './project';
+export { recoverSession } from './recovery';
+
+// Export the ffmpeg composite exporter
+export { default as CompositeExporter } from './export/CompositeExporter';
+export type { CompositeExporterOptions } from './export/CompositeExporter';
+
+// Export protocol trace helpers
+export { readTrace, inspectTrace, formatTrace } from './trace';
+
+// Export transports and the relay for sharing one backend between processes
+export { default as StdioTransport, resolveNativeBinary } from './transports/StdioTransport';
+export type { StdioTransportOptions } from './transports/StdioTransport';
+export { default as UnixSocketTransport } from './transports/UnixSocketTransport';
+export { default as WebSocketTransport } from './transports/WebSocketTransport';
+export type { WebSocketLike, WebSocketConstructor, WebSocketTransportOptions } from './transports/WebSocketTransport';
+export { default as LineDecoder, encodeLine } from './transports/LineDecoder';
+export { default as RelayServer } from './relay/RelayServer';
+export type { RelayServerOptions } from './relay/RelayServer';
+
 // Export main class as both default and named export
 export { default as SkreenmeCaptureKIT } from './SkreenmeCaptureKIT';
 export { default } from './SkreenmeCaptureKIT';
@@ -0,0 +1,60 @@
+import type { Logger, LogFields, LogLevel } from './types';
+
+const LEVELS: Record<LogLevel, number> = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const noop = () => undefined;
+
+const SILENT_LOGGER: Logger = {
+  debug: noop,
+  info: noop,
+  warn: noop,
+  error: noop
+};
+
+/**
+ * Wrap a user logger so records below `level` never reach it.
+ * Without a logger everything is dropped.
+ */
+export function createLogger(logger: Logger | undefined, level: LogLevel = 'info'): Logger {
+  if (!logger) return SILENT_LOGGER;
+
+  const threshold = LEVELS[level];
+  const forward = (name: LogLevel) =>
+    LEVELS[name] >= threshold
+      ? (fields: LogFields, message: string) => logger[name](fields, message)
+      : noop;
+
+  return {
+    debug: forward('debug'),
+    info: forward('info'),
+    warn: forward('warn'),
+    error: forward('error')
+  };
+}
+
+const NATIVE_PREFIX = /^\[Swift\]\s*/;
+
+/**
+ * Turn one stderr line of the native process into a log record.
+ * The Swift side only writes free text, so the level is inferred from its wording.
+ */
+export function parseNativeLogLine(line: string): { level: LogLevel; message: string } {
+  const message = line.replace(NATIVE_PREFIX, '').trim();
+
+  let level: LogLevel = 'debug';
+  if (/\bwarn(ing)?\b/i.test(message)) {
+    level = 'warn';
+  } else if (/\b(error|failed|fatal)\b/i.test(message)) {
+    level = 'error';
+  } else if (!NATIVE_PREFIX.test(line)) {
+    // Output not written by the kit itself (system frameworks, crash reports)
+    level = 'warn';
+  }
+
+  return { level, message };
+}
@@ -0,0 +1,975 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { randomUUID } from 'crypto';
+import type {
+  AudioTrack,
+  SourcesData,
+  PermissionsStatus,
+  MockBackendOptions,
+  SessionStats,
+  TrackStats,
+  MouseEvent,
+  KeyboardEvent,
+  KeyboardCaptureMode,
+  PausedInterval,
+  PreviewResponse,
+  ProjectManifest,
+  RecordingMode,
+  RecordingSource,
+  NativeErrorCode,
+  SourceChanges,
+  SourceKind,
+  SourcesChangedEvent
+} from '../types';
+
+interface CommandEnvelope {
+  id: string;
+  command: string;
+  payload?: any;
+}
+
+interface MockSession {
+  sessionId: string;
+  params: any;
+  mode: RecordingMode;
+  offset: { x: number; y: number };
+  outputPath: string;
+  projectDir: string;
+  inProjectDir: boolean;
+  cameraPath?: string;
+  startedAt: number;
+  frameRate: number;
+  resolution: { width: number; height: number };
+  pixelDensity: number;
+  camera?: { width: number; height: number };
+  keyboard: KeyboardCaptureMode;
+  pausedAt: number | null;
+  pausedIntervals: PausedInterval[];
+  live: { moves: boolean; timer: NodeJS.Timeout; next: number } | null;
+  audioTracks: AudioTrack[];
+  stats: { timer: NodeJS.Timeout; at: number; written: { screen: number; camera: number } } | null;
+  sources: { kind: SourceKind; id: string; name?: string; lost: boolean }[];
+  journal: {
+    timer: NodeJS.Timeout;
+    mousePath: string;
+    keyboardPath?: string;
+    mouseNext: number;
+    keyboardNext: number;
+  } | null;
+}
+
+interface MockPreviewSettings {
+  maxWidth: number;
+  maxHeight?: number;
+  fps: number;
+  format: 'png' | 'jpeg';
+}
+
+interface MockPreview {
+  settings: MockPreviewSettings;
+  screen?: { width: number; height: number };
+  camera?: { width: number; height: number };
+  timer: NodeJS.Timeout;
+}
+
+const DEFAULT_SOURCES: SourcesData = {
+  displays: [
+    {
+      id: '1',
+      name: 'Mock Display',
+      frame: { x: 0, y: 0, width: 1920, height: 1080 },
+      scaleFactor: 2
+    }
+  ],
+  windows: [
+    {
+      id: '100',
+      name: 'Mock Window',
+      ownerName: 'Mock Application',
+      frame: { x: 100, y: 100, width: 1280, height: 720 }
+    }
+  ],
+  cameras: [
+    { id: 'mock-camera', name: 'Mock Camera' }
+  ],
+  audio: [
+    { id: 'mock-microphone', name: 'Mock Microphone', type: 'input' }
+  ]
+};
+
+const DEFAULT_PERMISSIONS: PermissionsStatus = {
+  screenRecording: true,
+  camera: 'granted',
+  microphone: 'granted',
+  accessibility: true
+};
+
+/**
+ * An MP4 box: 32-bit size, four-character type, payload
+ */
+function mp4Box(type: string, payload: Buffer = Buffer.alloc(0)): Buffer {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function pngChunk(type: string, data: Buffer): Buffer {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  let crc = 0xffffffff;
+  for (const byte of body) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(data.length, 0);
+  const trailer = Buffer.alloc(4);
+  trailer.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 0);
+  return Buffer.concat([header, body, trailer]);
+}
+
+/**
+ * A uniformly grey PNG of the given size, standing in for a screenshot
+ */
+function mockPng(width: number, height: number): Buffer {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(8, 8);  // Bit depth
+  header.writeUInt8(0, 9);  // Greyscale
+  const row = Buffer.alloc(width + 1, 0x80);
+  row[0] = 0;  // No filter
+  const pixels = zlib.deflateSync(Buffer.concat(Array.from({ length: height }, () => row)));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', pixels),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Start and end of image markers only, like the placeholder movies
+const MOCK_JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+
+function sourceChanges<T extends { id: string }>(previous: T[], current: T[]): SourceChanges<T> {
+  const previousById = new Map(previous.map(source => [source.id, source]));
+  const currentIds = new Set(current.map(source => source.id));
+  return {
+    added: current.filter(source => !previousById.has(source.id)),
+    removed: previous.filter(source => !currentIds.has(source.id)),
+    updated: current.filter(source => previousById.has(source.id) && JSON.stringify(previousById.get(source.id)) !== JSON.stringify(source))
+  };
+}
+
+/**
+ * Preview settings with the defaults and limits of the Swift `PreviewSettings`
+ */
+function previewSettings(payload: any): MockPreviewSettings {
+  return {
+    maxWidth: Math.max(16, payload?.maxWidth ?? 640),
+    maxHeight: payload?.maxHeight === undefined ? undefined : Math.max(16, payload.maxHeight),
+    fps: Math.min(Math.max(payload?.fps ?? 10, 1), 30),
+    format: payload?.format === 'png' ? 'png' : 'jpeg'
+  };
+}
+
+/**
+ * Largest size with the same aspect ratio inside the preview bounds; never scales up
+ */
+function previewSize(size: { width: number; height: number }, settings: MockPreviewSettings): { width: number; height: number } {
+  const scale = Math.min(1, settings.maxWidth / size.width, (settings.maxHeight ?? Infinity) / size.height);
+  return { width: Math.max(1, Math.round(size.width * scale)), height: Math.max(1, Math.round(size.height * scale)) };
+}
+
+/**
+ * Codes and messages mirror the Swift `CodedError` / `LocalizedError` conformances
+ */
+class MockCommandError extends Error {
+  constructor(readonly code: NativeErrorCode, message: string) {
+    super(message);
+  }
+}
+
+/**
+ * MockCommandServer - Pure JS stand-in for the Swift `CommandServer`
+ *
+ * Speaks the same newline-delimited JSON protocol, serves scripted sources and
+ * permissions and writes placeholder output files, so the client API can be
+ * driven end-to-end on machines without ScreenCaptureKit.
+ */
+export default class MockCommandServer {
+  private sources: SourcesData;
+  private permissions: PermissionsStatus;
+  private readonly grantedPermissions: PermissionsStatus;
+  private readonly events: MouseEvent[];
+  private readonly keyboardEvents: KeyboardEvent[];
+  private readonly responseDelay: number;
+  private readonly health: NonNullable<MockBackendOptions['health']>;
+  private session: MockSession | null = null;
+  private preview: MockPreview | null = null;
+  private watchingSources = false;
+  // Delayed commands by id, so `cancel` can drop them like the Swift task registry
+  private scheduled = new Map<string, NodeJS.Timeout>();
+
+  constructor(
+    options: MockBackendOptions,
+    private readonly write: (message: object) => void
+  ) {
+    this.sources = { ...DEFAULT_SOURCES, ...options.sources };
+    this.permissions = { ...DEFAULT_PERMISSIONS, ...options.permissions };
+    this.grantedPermissions = { ...this.permissions, ...options.grantedPermissions };
+    this.events = options.events || [];
+    this.keyboardEvents = options.keyboardEvents || [];
+    this.responseDelay = options.responseDelay || 0;
+    this.health = options.health || {};
+
+    for (const change of options.sourceChanges || []) {
+      setTimeout(() => this._changeSources(change.sources), change.after);
+    }
+  }
+
+  /**
+   * Handle a single protocol line received from the client
+   */
+  handleLine(line: string): void {
+    if (!line.trim()) return;
+
+    let envelope: CommandEnvelope;
+    try {
+      envelope = JSON.parse(line);
+      if (typeof envelope.id !== 'string' || typeof envelope.command !== 'string') {
+        throw new Error('Missing id or command');
+      }
+    } catch (err) {
+      this.write({
+        id: 'unknown',
+        success: false,
+        error: `Invalid command: ${err instanceof Error ? err.message : String(err)}`,
+        errorCode: 'INVALID_COMMAND'
+      });
+      return;
+    }
+
+    if (envelope.command === 'cancel') {
+      this._handleCommand(envelope);
+      return;
+    }
+
+    this.scheduled.set(envelope.id, setTimeout(() => {
+      this.scheduled.delete(envelope.id);
+      this._handleCommand(envelope);
+    }, this.responseDelay));
+  }
+
+  private _cancel(commandId: string) {
+    const timer = this.scheduled.get(commandId);
+    if (!timer) return { cancelled: false };
+
+    clearTimeout(timer);
+    this.scheduled.delete(commandId);
+    this.write({ id: commandId, success: false, error: 'Command cancelled.', errorCode: 'CANCELLED' });
+    return { cancelled: true };
+  }
+
+  private _handleCommand(envelope: CommandEnvelope): void {
+    try {
+      const payload = this._execute(envelope);
+      this.write({ id: envelope.id, success: true, payload });
+    } catch (err) {
+      this.write({
+        id: envelope.id,
+        success: false,
+        error: err instanceof Error ? err.message : String(err),
+        errorCode: err instanceof MockCommandError ? err.code : 'NATIVE_ERROR'
+      });
+    }
+  }
+
+  private _execute({ command, payload }: CommandEnvelope): unknown {
+    switch (command) {
+      case 'listSources':
+        return this.sources;
+
+      case 'startSession':
+        if (!payload) throw new MockCommandError('MISSING_PAYLOAD', 'Command payload missing.');
+        return this._startSession(payload);
+
+      case 'stopSession':
+        if (!payload) throw new MockCommandError('MISSING_PAYLOAD', 'Command payload missing.');
+        return this._stopSession(payload.sessionId);
+
+      case 'pauseSession':
+        if (!payload) throw new MockCommandError('MISSING_PAYLOAD', 'Command payload missing.');
+        return this._pauseSession(payload.sessionId);
+
+      case 'resumeSession':
+        if (!payload) throw new MockCommandError('MISSING_PAYLOAD', 'Command payload missing.');
+        return this._resumeSession(payload.sessionId);
+
+      case 'captureScreenshot':
+        if (!payload) throw new MockCommandError('MISSING_PAYLOAD', 'Command payload missing.');
+        return this._captureScreenshot(payload);
+
+      case 'watchSources':
+        this.watchingSources = true;
+        return this.sources;
+
+      case 'unwatchSources':
+        this.watchingSources = false;
+        return {};
+
+      case 'startPreview':
+        return this._startPreview(payload || {});
+
+      case 'stopPreview':
+        this._stopPreview();
+        return {};
+
+      case 'getPreview': {
+        if (!this.session && !this.preview) {
+          throw new MockCommandError('PREVIEW_NOT_RUNNING', 'Neither a preview nor a session is running.');
+        }
+        // Without options the frames match the running preview
+        const options = payload && Object.keys(payload).length > 0 ? payload : undefined;
+        return this._previewFrame(options || !this.preview ? previewSettings(options) : this.preview.settings);
+      }
+
+      case 'cancel':
+        if (!payload) throw new MockCommandError('MISSING_PAYLOAD', 'Command payload missing.');
+        return this._cancel(payload.commandId);
+
+      case 'ping':
+        return ['pong'];
+
+      case 'configureCamera':
+        if (payload?.cameraSourceId && !this.sources.cameras.some(c => c.id === payload.cameraSourceId)) {
+          throw new MockCommandError('CAMERA_NOT_FOUND', 'Camera not found.');
+        }
+        return {};
+
+      case 'configureAudio':
+        return {};
+
+      case 'checkPermissions':
+        return this.permissions;
+
+      case 'requestPermissions':
+        this.permissions = this.grantedPermissions;
+        return this.permissions;
+
+      default:
+        throw new MockCommandError('UNKNOWN_COMMAND', `Unknown command ${command}.`);
+    }
+  }
+
+  private _startSession(payload: any) {
+    if (this.session) {
+      throw new MockCommandError('SESSION_ALREADY_RUNNING', 'Session already running.');
+    }
+
+    const { resolution, pixelDensity, offset } = this._resolveTarget(payload);
+
+    let camera: MockSession['camera'];
+    if (payload.cameraSourceId) {
+      if (!payload.cameraWidth || !payload.cameraHeight) {
+        throw new MockCommandError('INVALID_REGION', 'Invalid capture region.');
+      }
+      if (!this.sources.cameras.some(c => c.id === payload.cameraSourceId)) {
+        throw new MockCommandError('CAMERA_NOT_FOUND', 'Camera not found.');
+      }
+      camera = { width: payload.cameraWidth, height: payload.cameraHeight };
+    }
+
+    const outputPath = this._resolveOutputPath(payload.outputPath, payload.encoder?.screen?.container || 'mp4');
+
+    this.session = {
+      sessionId: randomUUID().toUpperCase(),
+      params: payload,
+      mode: payload.mode,
+      offset,
+      outputPath,
+      projectDir: payload.outputPath ? payload.outputPath : path.dirname(outputPath),
+      inProjectDir: Boolean(payload.outputPath),
+      startedAt: Date.now(),
+      frameRate: payload.frameRate || 30,
+      resolution,
+      pixelDensity,
+      camera,
+      cameraPath: camera
+        ? path.join(path.dirname(outputPath), `camera.${payload.encoder?.camera?.container || 'mp4'}`)
+        : undefined,
+      keyboard: payload.keyboard || 'off',
+      pausedAt: null,
+      pausedIntervals: [],
+      live: null,
+      audioTracks: this._audioTracks(payload, path.basename(outputPath)),
+      stats: null,
+      journal: null,
+      sources: this._sessionSources(payload)
+    };
+
+    if (payload.liveEvents) {
+      this._startLiveEvents(this.session, payload.liveEvents === true ? {} : payload.liveEvents);
+    }
+    const statsInterval = payload.statsInterval ?? 1000;
+    if (statsInterval > 0) {
+      const session = this.session;
+      session.stats = {
+        timer: setInterval(() => this._writeStats(session), Math.max(100, statsInterval)),
+        at: Date.now(),
+        written: { screen: 0, camera: 0 }
+      };
+    }
+
+    if (payload.crashSafe) {
+      this._startJournal(this.session, payload.crashSafe === true ? {} : payload.crashSafe);
+    }
+
+    return { sessionId: this.session.sessionId, outputPath };
+  }
+
+  /**
+   * Sources the Swift backend checks during a session; regions are on the first display
+   */
+  private _sessionSources(payload: any): MockSession['sources'] {
+    const sources: MockSession['sources'] = [];
+    if (payload.mode === 'display' || payload.mode === 'region') {
+      const displayId = payload.mode === 'region' ? this.sources.displays[0]?.id : payload.displayId;
+      const display = this.sources.displays.find(d => d.id === displayId);
+      if (display) sources.push({ kind: 'display', id: display.id, name: display.name, lost: false });
+    } else if (payload.mode === 'window') {
+      const window = this.sources.windows.find(w => w.id === payload.windowId);
+      sources.push({ kind: 'window', id: payload.windowId, name: window?.name, lost: false });
+    }
+    if (payload.cameraSourceId) {
+      const camera = this.sources.cameras.find(c => c.id === payload.cameraSourceId);
+      sources.push({ kind: 'camera', id: payload.cameraSourceId, name: camera?.name, lost: false });
+    }
+    const microphoneId = payload.microphone?.deviceId ?? payload.audioSourceId;
+    if (microphoneId) {
+      const device = this.sources.audio.find(d => d.id === microphoneId);
+      sources.push({ kind: 'microphone', id: microphoneId, name: device?.name, lost: false });
+    }
+    return sources;
+  }
+
+  /**
+   * Apply a scripted `sourceChanges` entry: report the diff to a watcher and
+   * the sources the running session lost
+   */
+  private _changeSources(changed: Partial<SourcesData>): void {
+    const previous = this.sources;
+    this.sources = { ...previous, ...changed };
+
+    if (this.watchingSources) {
+      const changes: SourcesChangedEvent = {
+        displays: sourceChanges(previous.displays, this.sources.displays),
+        windows: sourceChanges(previous.windows, this.sources.windows),
+        cameras: sourceChanges(previous.cameras, this.sources.cameras),
+        audio: sourceChanges(previous.audio, this.sources.audio),
+        sources: this.sources
+      };
+      const lists = [changes.displays, changes.windows, changes.cameras, changes.audio];
+      if (lists.some(list => list.added.length || list.removed.length || list.updated.length)) {
+        this.write({ event: 'sourcesChanged', payload: changes });
+      }
+    }
+
+    const session = this.session;
+    if (!session) return;
+    const lists: Record<SourceKind, { id: string }[]> = {
+      display: this.sources.displays,
+      window: this.sources.windows,
+      camera: this.sources.cameras,
+      microphone: this.sources.audio
+    };
+    for (const source of session.sources) {
+      if (source.lost || lists[source.kind].some(({ id }) => id === source.id)) continue;
+      source.lost = true;
+      this.write({ event: 'sourceLost', payload: { sessionId: session.sessionId, kind: source.kind, id: source.id, name: source.name } });
+    }
+  }
+
+  /**
+   * Pixel size, scale and top-left corner of the display, window or region a payload names
+   */
+  private _resolveTarget(payload: any): { resolution: { width: number; height: number }; pixelDensity: number; offset: { x: number; y: number } } {
+    let resolution: { width: number; height: number };
+    let pixelDensity = 1;
+    let offset = { x: 0, y: 0 };
+
+    switch (payload.mode) {
+      case 'display': {
+        const display = this.sources.displays.find(d => d.id === payload.displayId);
+        if (!display) throw new MockCommandError('DISPLAY_NOT_FOUND', 'Display not found.');
+        pixelDensity = display.scaleFactor || 1;
+        resolution = this._scaledSize(display.frame, pixelDensity);
+        offset = { x: display.frame?.x || 0, y: display.frame?.y || 0 };
+        break;
+      }
+      case 'window': {
+        const window = this.sources.windows.find(w => w.id === payload.windowId);
+        if (!window) throw new MockCommandError('WINDOW_NOT_FOUND', 'Window not found.');
+        pixelDensity = this.sources.displays[0]?.scaleFactor || 1;
+        resolution = this._scaledSize(window.frame, pixelDensity);
+        offset = { x: window.frame?.x || 0, y: window.frame?.y || 0 };
+        break;
+      }
+      case 'region': {
+        if (!payload.region) throw new MockCommandError('INVALID_REGION', 'Invalid capture region.');
+        pixelDensity = this.sources.displays[0]?.scaleFactor || 1;
+        resolution = this._scaledSize(payload.region, pixelDensity);
+        offset = { x: payload.region.x, y: payload.region.y };
+        break;
+      }
+      default:
+        throw new MockCommandError('INVALID_PAYLOAD', `Invalid command: unsupported mode ${payload.mode}`);
+    }
+
+    return { resolution, pixelDensity, offset };
+  }
+
+  private _captureScreenshot(payload: any) {
+    const { resolution, pixelDensity, offset } = this._resolveTarget(payload);
+    const format: 'png' | 'jpeg' = payload.format || (/\.jpe?g$/i.test(payload.outputPath || '') ? 'jpeg' : 'png');
+    const image = format === 'png' ? mockPng(resolution.width, resolution.height) : MOCK_JPEG;
+
+    let outputPath: string | undefined;
+    if (payload.outputPath) {
+      outputPath = path.resolve(payload.outputPath);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, image);
+    }
+
+    // The pointer rests where the scripted events start, or in the middle
+    const first = this.events[0];
+    return {
+      format,
+      outputPath,
+      data: outputPath ? undefined : image.toString('base64'),
+      width: resolution.width,
+      height: resolution.height,
+      scaleFactor: pixelDensity,
+      offset,
+      cursor: { x: first?.x ?? 0.5, y: first?.y ?? 0.5, inside: true, cursor: first?.cursor || 'arrow' },
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Preview-only frames come from the payload's target and camera; during a
+   * session from the session's. Every tick sends both, as if the screen changed.
+   */
+  private _startPreview(payload: any) {
+    const settings = previewSettings(payload);
+    const screen = payload.mode ? previewSize(this._resolveTarget(payload).resolution, settings) : undefined;
+    if (payload.cameraSourceId && !this.sources.cameras.some(c => c.id === payload.cameraSourceId)) {
+      throw new MockCommandError('CAMERA_NOT_FOUND', 'Camera not found.');
+    }
+    const camera = payload.cameraSourceId
+      ? { width: payload.cameraWidth ?? 640, height: payload.cameraHeight ?? 640 }
+      : undefined;
+
+    this._stopPreview();
+    this.preview = {
+      settings,
+      screen,
+      camera,
+      timer: setInterval(() => {
+        const frame = this._previewFrame(settings);
+        if (frame.videoFrame || frame.cameraFrame) {
+          this.write({ event: 'previewFrame', payload: frame });
+        }
+      }, 1000 / settings.fps)
+    };
+    return {};
+  }
+
+  private _stopPreview(): void {
+    if (this.preview) {
+      clearInterval(this.preview.timer);
+      this.preview = null;
+    }
+  }
+
+  private _previewFrame(settings: MockPreviewSettings): PreviewResponse {
+    const session = this.session;
+    const screen = session ? session.resolution : this.preview?.screen;
+    const camera = session ? session.camera : this.preview?.camera;
+    const image = (size: { width: number; height: number }) => {
+      const data = settings.format === 'png' ? mockPng(size.width, size.height) : MOCK_JPEG;
+      return `data:image/${settings.format};base64,${data.toString('base64')}`;
+    };
+
+    const frame: PreviewResponse = { sessionId: session?.sessionId };
+    if (screen) {
+      frame.videoSize = previewSize(screen, settings);
+      frame.videoFrame = image(frame.videoSize);
+    }
+    if (camera) {
+      frame.cameraSize = previewSize(camera, settings);
+      frame.cameraFrame = image(frame.cameraSize);
+    }
+    return frame;
+  }
+
+  /**
+   * Crash-safe mode like the Swift backend: movie files made of fragments, events
+   * appended to *.events.jsonl and a project.partial.json rewritten on every flush
+   */
+  private _startJournal(session: MockSession, options: { eventsFlushInterval?: number }): void {
+    const base = session.outputPath.replace(/\.(mp4|mov)$/, '');
+    const journal = {
+      timer: setInterval(() => this._flushJournal(session), Math.max(100, options.eventsFlushInterval || 1000)),
+      mousePath: `${base}.events.jsonl`,
+      keyboardPath: session.keyboard !== 'off' ? `${base}.keyboard.jsonl` : undefined,
+      mouseNext: 0,
+      keyboardNext: 0
+    };
+    session.journal = journal;
+
+    // Placeholder movies: a header now and one empty fragment per flush
+    for (const file of [session.outputPath, session.cameraPath]) {
+      if (file) fs.writeFileSync(file, Buffer.concat([mp4Box('ftyp', Buffer.from('isom')), mp4Box('moov', mp4Box('mvex'))]));
+    }
+    fs.writeFileSync(journal.mousePath, '');
+    if (journal.keyboardPath) fs.writeFileSync(journal.keyboardPath, '');
+    this._writePartialManifest(session);
+  }
+
+  private _flushJournal(session: MockSession): void {
+    const journal = session.journal;
+    if (!journal) return;
+
+    const t = this._timelinePosition(session);
+    const lines = (events: Array<{ t: number }>, next: number) => {
+      let end = next;
+      while (end < events.length && events[end].t <= t) end++;
+      return { text: events.slice(next, end).map(event => JSON.stringify(event) + '\n').join(''), end };
+    };
+
+    const mouse = lines(this.events, journal.mouseNext);
+    fs.appendFileSync(journal.mousePath, mouse.text);
+    journal.mouseNext = mouse.end;
+    if (journal.keyboardPath) {
+      const keyboard = lines(this._filterKeyboardEvents(session.keyboard), journal.keyboardNext);
+      fs.appendFileSync(journal.keyboardPath, keyboard.text);
+      journal.keyboardNext = keyboard.end;
+    }
+
+    for (const file of [session.outputPath, session.cameraPath]) {
+      if (file) fs.appendFileSync(file, Buffer.concat([mp4Box('moof'), mp4Box('mdat')]));
+    }
+    this._writePartialManifest(session);
+  }
+
+  private _writePartialManifest(session: MockSession): void {
+    const journal = session.journal!;
+    const manifest = this._manifest(session, this._timelinePosition(session), {
+      mouse: path.basename(journal.mousePath),
+      keyboard: journal.keyboardPath && path.basename(journal.keyboardPath)
+    });
+    fs.writeFileSync(this._manifestPath(session, true), JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Same track layout as the Swift writer: the microphone first, then system audio
+   */
+  private _audioTracks(payload: any, file: string): AudioTrack[] {
+    const gain = (value: unknown) => typeof value === 'number' ? Math.min(Math.max(value, 0), 2) : 1;
+    const sampleRate = payload.encoder?.audio?.sampleRate || 48000;
+    const tracks: AudioTrack[] = [];
+    const deviceId = payload.microphone?.deviceId ?? payload.audioSourceId;
+    if (deviceId) {
+      tracks.push({ kind: 'microphone', file, trackIndex: 0, deviceId, gain: gain(payload.microphone?.gain), sampleRate, channels: 1 });
+    }
+    if (payload.systemAudio) {
+      tracks.push({ kind: 'system', file, trackIndex: tracks.length, gain: gain(payload.systemAudio.gain), sampleRate, channels: 2 });
+    }
+    return tracks;
+  }
+
+  private _trackSources(session: MockSession): { screen: RecordingSource; camera?: RecordingSource } {
+    const size = (file: string) => {
+      try {
+        return fs.statSync(file).size;
+      } catch {
+        return 0;
+      }
+    };
+    return {
+      screen: {
+        file: path.basename(session.outputPath),
+        size: size(session.outputPath),
+        resolution: session.resolution,
+        fps: session.frameRate,
+        pixelDensity: session.pixelDensity
+      },
+      camera: session.camera && session.cameraPath
+        ? {
+            file: path.basename(session.cameraPath),
+            size: size(session.cameraPath),
+            resolution: session.camera,
+            fps: session.frameRate,
+            pixelDensity: 1
+          }
+        : undefined
+    };
+  }
+
+  private _manifest(session: MockSession, duration: number, events: ProjectManifest['events']): ProjectManifest {
+    const { screen, camera } = this._trackSources(session);
+    return {
+      version: 1,
+      sessionId: session.sessionId,
+      createdAt: new Date(session.startedAt).toISOString(),
+      duration,
+      capture: { mode: session.mode, offset: session.offset, scaleFactor: session.pixelDensity },
+      tracks: {
+        screen,
+        camera,
+        audio: session.audioTracks
+      },
+      events,
+      pausedIntervals: session.pausedIntervals,
+      params: session.params
+    };
+  }
+
+  private _manifestPath(session: MockSession, partial: boolean): string {
+    const name = partial ? 'project.partial.json' : 'project.json';
+    return session.inProjectDir
+      ? path.join(session.projectDir, name)
+      : session.outputPath.replace(/\.(mp4|mov)$/, `.${name}`);
+  }
+
+  /**
+   * Stream the scripted events as their `t` is reached, batched and throttled like the Swift backend
+   */
+  private _startLiveEvents(session: MockSession, options: { interval?: number; moves?: boolean }): void {
+    const interval = Math.max(16, options.interval || 50);
+    session.live = {
+      moves: options.moves !== false,
+      timer: setInterval(() => this._flushLiveEvents(session, this._timelinePosition(session)), interval),
+      next: 0
+    };
+  }
+
+  private _flushLiveEvents(session: MockSession, until: number): void {
+    const live = session.live;
+    if (!live) return;
+
+    const batch: MouseEvent[] = [];
+    while (live.next < this.events.length && this.events[live.next].t <= until) {
+      const event = this.events[live.next++];
+      if (event.type === 'move') {
+        if (!live.moves) continue;
+        if (batch.length > 0 && batch[batch.length - 1].type === 'move') {
+          batch[batch.length - 1] = event;
+          continue;
+        }
+      }
+      batch.push(event);
+    }
+
+    if (batch.length > 0) {
+      this.write({ event: 'mouseEvents', payload: { sessionId: session.sessionId, events: batch } });
+    }
+  }
+
+  /**
+   * Synthetic health report: frames at the session frame rate, degraded by the `health` mock options
+   */
+  private _writeStats(session: MockSession): void {
+    const stats = session.stats;
+    if (!stats) return;
+
+    const t = this._timelinePosition(session);
+    const now = Date.now();
+    const elapsed = Math.max((now - stats.at) / 1000, 0.001);
+    stats.at = now;
+    const recorded = this.health.stallAfter !== undefined ? Math.min(t, this.health.stallAfter) : t;
+    const paused = session.pausedAt !== null;
+
+    const track = (name: 'screen' | 'camera', bytesPerFrame: number): TrackStats => {
+      const framesCaptured = Math.floor(recorded * session.frameRate);
+      const framesDropped = Math.floor(framesCaptured * (this.health.dropRate || 0));
+      const framesWritten = framesCaptured - framesDropped;
+      const fps = paused ? 0 : (framesWritten - stats.written[name]) / elapsed;
+      stats.written[name] = framesWritten;
+      return { started: framesWritten > 0, framesCaptured, framesWritten, framesDropped, fps, bytes: framesWritten * bytesPerFrame };
+    };
+
+    const audio = { samples: Math.floor(recorded * 48000), buffersDropped: 0 };
+
+    const report: SessionStats = {
+      sessionId: session.sessionId,
+      t,
+      paused,
+      screen: track('screen', 20000),
+      camera: session.camera ? track('camera', 5000) : undefined,
+      audio: session.audioTracks.some(({ kind }) => kind === 'microphone') ? audio : undefined,
+      systemAudio: session.audioTracks.some(({ kind }) => kind === 'system') ? audio : undefined,
+      freeDiskSpace: this.health.freeDiskSpace ?? this._freeDiskSpace(path.dirname(session.outputPath))
+    };
+    this.write({ event: 'sessionStats', payload: report });
+  }
+
+  private _freeDiskSpace(dir: string): number | undefined {
+    try {
+      const { bavail, bsize } = fs.statfsSync(dir);
+      return bavail * bsize;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private _activeSession(sessionId: string): MockSession {
+    const session = this.session;
+    if (!session || session.sessionId !== sessionId) {
+      throw new MockCommandError('SESSION_NOT_RUNNING', 'Session not running.');
+    }
+    return session;
+  }
+
+  /**
+   * Recorded seconds so far, excluding pauses
+   */
+  private _timelinePosition(session: MockSession, now = Date.now()): number {
+    const paused = session.pausedIntervals.reduce((sum, interval) => sum + interval.duration, 0);
+    const end = session.pausedAt ?? now;
+    return (end - session.startedAt) / 1000 - paused;
+  }
+
+  private _pauseSession(sessionId: string) {
+    const session = this._activeSession(sessionId);
+    if (session.pausedAt !== null) {
+      throw new MockCommandError('SESSION_ALREADY_PAUSED', 'Session already paused.');
+    }
+    session.pausedAt = Date.now();
+    return { sessionId, paused: true, t: this._timelinePosition(session) };
+  }
+
+  private _closePause(session: MockSession): void {
+    if (session.pausedAt === null) return;
+    const t = this._timelinePosition(session);
+    session.pausedIntervals.push({ start: t, duration: (Date.now() - session.pausedAt) / 1000 });
+    session.pausedAt = null;
+  }
+
+  private _resumeSession(sessionId: string) {
+    const session = this._activeSession(sessionId);
+    if (session.pausedAt === null) {
+      throw new MockCommandError('SESSION_NOT_PAUSED', 'Session not paused.');
+    }
+    this._closePause(session);
+    return { sessionId, paused: false, t: session.pausedIntervals[session.pausedIntervals.length - 1].start };
+  }
+
+  private _stopSession(sessionId: string) {
+    const session = this._activeSession(sessionId);
+    this.session = null;
+
+    this._closePause(session);
+    const duration = this._timelinePosition(session);
+
+    if (session.stats) {
+      clearInterval(session.stats.timer);
+      session.stats = null;
+    }
+    if (session.live) {
+      clearInterval(session.live.timer);
+      this._flushLiveEvents(session, Infinity);
+      session.live = null;
+    }
+
+    if (session.journal) {
+      clearInterval(session.journal.timer);
+    } else {
+      // Placeholder media: the files exist so consumers can stat and move them
+      fs.writeFileSync(session.outputPath, '');
+      if (session.cameraPath) fs.writeFileSync(session.cameraPath, '');
+    }
+    const { screen, camera } = this._trackSources(session);
+
+    const eventsPath = session.outputPath.replace(/\.(mp4|mov)$/, '.events.json');
+    fs.writeFileSync(eventsPath, JSON.stringify(this.events, null, 2));
+
+    let keyboard: KeyboardEvent[] | undefined;
+    let keyboardPath: string | undefined;
+    if (session.keyboard !== 'off') {
+      keyboard = this._filterKeyboardEvents(session.keyboard);
+      keyboardPath = session.outputPath.replace(/\.(mp4|mov)$/, '.keyboard.json');
+      fs.writeFileSync(keyboardPath, JSON.stringify(keyboard, null, 2));
+    }
+
+    const manifest = this._manifest(session, duration, {
+      mouse: path.basename(eventsPath),
+      keyboard: keyboardPath && path.basename(keyboardPath)
+    });
+    const manifestPath = this._manifestPath(session, false);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    if (session.journal) {
+      for (const file of [session.journal.mousePath, session.journal.keyboardPath, this._manifestPath(session, true)]) {
+        if (file) fs.rmSync(file, { force: true });
+      }
+      session.journal = null;
+    }
+
+    return {
+      recording: {
+        status: 'completed',
+        outputPath: session.projectDir,
+        duration,
+        screen,
+        camera,
+        audio: session.audioTracks,
+        manifest: path.basename(manifestPath)
+      },
+      events: this.events,
+      keyboard,
+      pausedIntervals: session.pausedIntervals
+    };
+  }
+
+  /**
+   * Apply the privacy mode the same way the Swift event tap does
+   */
+  private _filterKeyboardEvents(mode: KeyboardCaptureMode): KeyboardEvent[] {
+    switch (mode) {
+      case 'timing':
+        return this.keyboardEvents.map(({ t }) => ({ type: 'key', t }));
+      case 'shortcuts':
+        return this.keyboardEvents
+          .filter(event => event.modifiers?.some(modifier => modifier !== 'shift'))
+          .map(({ type, t, key, modifiers, combo }) => ({ type, t, key, modifiers, combo }));
+      default:
+        return this.keyboardEvents;
+    }
+  }
+
+  private _resolveOutputPath(outputPath: string | undefined, extension: string): string {
+    if (outputPath) {
+      fs.mkdirSync(outputPath, { recursive: true });
+      return path.join(outputPath, `screen.${extension}`);
+    }
+
+    const folder = path.join(os.tmpdir(), 'SkreenRecord');
+    fs.mkdirSync(folder, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(folder, `Recording-${timestamp}.${extension}`);
+  }
+
+  private _scaledSize(frame: { width: number; height: number } | undefined, scale: number) {
+    return {
+      width: Math.max(1, Math.round((frame?.width || 1920) * scale)),
+      height: Math.max(1, Math.round((frame?.height || 1080) * scale))
+    };
+  }
+}
@@ -0,0 +1,152 @@
+import type { TraceRecord } from '../types';
+
+interface CommandEnvelope {
+  id: string;
+  command: string;
+  payload?: any;
+}
+
+export interface ReplayOutput {
+  stdout: (message: object | string) => void;
+  stderr: (chunk: string) => void;
+  exit: (code: number, signal?: NodeJS.Signals) => void;
+}
+
+/**
+ * ReplayCommandServer - Plays a recorded trace back as if it were the backend
+ *
+ * Every incoming command is matched with the next unused recorded command of
+ * the same name and answered with its recorded response, with the id swapped
+ * for the caller's. Events, stderr output and a recorded exit are emitted in
+ * their original order around those responses. Timing is not reproduced:
+ * records are replayed as fast as the client sends commands.
+ *
+ * Only the first process of the trace (up to the second `spawn`) is replayed.
+ */
+export default class ReplayCommandServer {
+  private readonly records: TraceRecord[];
+  private readonly consumed = new Set<number>();
+  // Recorded command id -> id used by the current client
+  private readonly ids = new Map<string, string>();
+  // Recorded responses reached before their command was replayed
+  private readonly held = new Map<string, object>();
+  private cursor = 0;
+  private exited = false;
+
+  constructor(records: TraceRecord[], private readonly output: ReplayOutput) {
+    const firstSpawn = records.findIndex(record => record.type === 'spawn');
+    const secondSpawn = records.findIndex((record, index) => index > firstSpawn && record.type === 'spawn');
+    this.records = records
+      .slice(firstSpawn + 1, secondSpawn === -1 ? undefined : secondSpawn)
+      .filter(record => record.type !== 'spawn');
+  }
+
+  /**
+   * Emit output recorded before the first command, e.g. startup logging
+   */
+  start(): void {
+    this._flushUntilCommand();
+  }
+
+  /**
+   * Handle a single protocol line received from the client
+   */
+  handleLine(line: string): void {
+    if (!line.trim() || this.exited) return;
+
+    let envelope: CommandEnvelope;
+    try {
+      envelope = JSON.parse(line);
+    } catch (err) {
+      this.output.stdout({
+        id: 'unknown',
+        success: false,
+        error: `Invalid command: ${err instanceof Error ? err.message : String(err)}`,
+        errorCode: 'INVALID_COMMAND'
+      });
+      return;
+    }
+
+    const index = this.records.findIndex((record, i) =>
+      record.type === 'command' && !this.consumed.has(i) && record.data.command === envelope.command
+    );
+    if (index === -1) {
+      this.output.stdout({
+        id: envelope.id,
+        success: false,
+        error: `Replay has no recorded ${envelope.command} command left.`,
+        errorCode: 'NATIVE_ERROR'
+      });
+      return;
+    }
+
+    this.consumed.add(index);
+    const recordedId = String(this.records[index].data.id);
+    this.ids.set(recordedId, envelope.id);
+
+    const held = this.held.get(recordedId);
+    if (held) {
+      this.held.delete(recordedId);
+      this.output.stdout({ ...held, id: envelope.id });
+      return;
+    }
+
+    // The response is somewhere ahead; replay everything up to and including it
+    const responseIndex = this.records.findIndex((record, i) =>
+      i > index && record.type === 'response' && String(record.data.id) === recordedId
+    );
+    if (responseIndex === -1) return;  // Never answered in the recording
+
+    while (this.cursor <= responseIndex && !this.exited) {
+      this._emit(this.cursor++);
+    }
+    this._flushUntilCommand();
+  }
+
+  /**
+   * Emit records up to the next recorded command, so output that followed the
+   * last response (including a crash) is not held back
+   */
+  private _flushUntilCommand(): void {
+    while (this.cursor < this.records.length && !this.exited && this.records[this.cursor].type !== 'command') {
+      const record = this.records[this.cursor];
+      if (record.type === 'response' && !this.ids.has(String(record.data.id))) {
+        // Answer to a command the client has not sent yet, keep order by stopping here
+        return;
+      }
+      this._emit(this.cursor++);
+    }
+  }
+
+  private _emit(index: number): void {
+    const record = this.records[index];
+
+    switch (record.type) {
+      case 'response': {
+        const recordedId = String(record.data.id);
+        const id = this.ids.get(recordedId);
+        if (id) {
+          this.output.stdout({ ...record.data, id });
+        } else {
+          this.held.set(recordedId, record.data);
+        }
+        break;
+      }
+      case 'event':
+        this.output.stdout(record.data);
+        break;
+      case 'stdout':
+        this.output.stdout(String(record.data));
+        break;
+      case 'stderr':
+        this.output.stderr(String(record.data));
+        break;
+      case 'exit':
+        // Exits caused by the client shutting down are not part of the bug being replayed
+        if (record.data.shuttingDown) break;
+        this.exited = true;
+        this.output.exit(typeof record.data.code === 'number' ? record.data.code : 1, record.data.signal || undefined);
+        break;
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import * as readline from 'readline';
+import MockCommandServer from './MockCommandServer';
+import ReplayCommandServer from './ReplayCommandServer';
+import { readTrace } from '../trace';
+import type { MockBackendOptions } from '../types';
+
+/**
+ * Entry point of the mock and replay backend processes.
+ *
+ * Spawned by SkreenmeCaptureKIT instead of the Swift binary when
+ * `backend: 'mock'` or `backend: 'replay'` is set. Scripted data arrives via
+ * SKREENME_MOCK_CONFIG, the trace to replay via SKREENME_REPLAY_TRACE.
+ */
+const writeLine = (message: object | string) => {
+  process.stdout.write((typeof message === 'string' ? message : JSON.stringify(message)) + '\n');
+};
+
+let server: { handleLine(line: string): void };
+
+if (process.env.SKREENME_REPLAY_TRACE) {
+  const replay = new ReplayCommandServer(readTrace(process.env.SKREENME_REPLAY_TRACE), {
+    stdout: writeLine,
+    stderr: (chunk) => process.stderr.write(chunk),
+    exit: (code, signal) => process.stdout.write('', () => {
+      if (signal) process.kill(process.pid, signal);
+      process.exit(code);
+    })
+  });
+  replay.start();
+  server = replay;
+} else {
+  const config: MockBackendOptions = process.env.SKREENME_MOCK_CONFIG
+    ? JSON.parse(process.env.SKREENME_MOCK_CONFIG)
+    : {};
+  server = new MockCommandServer(config, writeLine);
+}
+
+const input = readline.createInterface({ input: process.stdin });
+input.on('line', (line) => server.handleLine(line));
+input.on('close', () => process.exit(0));
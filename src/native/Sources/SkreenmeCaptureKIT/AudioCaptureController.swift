@@ -68,7 +68,7 @@ extension AudioCaptureController: AVCaptureAudioDataOutputSampleBufferDelegate {
 }
 
 extension AudioCaptureController {
-    enum AudioError: LocalizedError {
+    enum AudioError: LocalizedError, CodedError {
         case deviceNotFound
         case inputFailure
         case outputFailure
@@ -83,5 +83,16 @@ extension AudioCaptureController {
                 return "Failed to configure audio output."
             }
         }
+
+        var code: String {
+            switch self {
+            case .deviceNotFound:
+                return "AUDIO_DEVICE_NOT_FOUND"
+            case .inputFailure:
+                return "AUDIO_INPUT_FAILURE"
+            case .outputFailure:
+                return "AUDIO_OUTPUT_FAILURE"
+            }
+        }
     }
 }
@@ -20,6 +20,11 @@ final class CameraController: NSObject {
     private var targetHeight: CGFloat = 640
     private var format: Format = .square
 
+    /// Whether frames already come from this device at this size
+    func isCapturing(deviceId: String, width: Int, height: Int, format: Format) -> Bool {
+        activeDeviceId == deviceId && targetWidth == CGFloat(width) && targetHeight == CGFloat(height) && self.format == format
+    }
+
     func start(deviceId: String, targetWidth: Int = 640, targetHeight: Int = 640, format: Format = .square) throws {
         self.targetWidth = CGFloat(targetWidth)
         self.targetHeight = CGFloat(targetHeight)
@@ -135,7 +140,7 @@ private extension CIContext {
 }
 
 extension CameraController {
-    enum CameraError: LocalizedError {
+    enum CameraError: LocalizedError, CodedError {
         case deviceNotFound
         case inputFailure
         case outputFailure
@@ -150,5 +155,16 @@ extension CameraController {
                 return "Failed to configure camera output."
             }
         }
+
+        var code: String {
+            switch self {
+            case .deviceNotFound:
+                return "CAMERA_NOT_FOUND"
+            case .inputFailure:
+                return "CAMERA_INPUT_FAILURE"
+            case .outputFailure:
+                return "CAMERA_OUTPUT_FAILURE"
+            }
+        }
     }
 }
@@ -7,6 +7,8 @@ final class CommandServer {
     private let queue = DispatchQueue(label: "skreen.record.command.queue")
     private var readSource: DispatchSourceRead?
     private var buffer = Data()
+    // In-flight command work by command id, so `cancel` can reach it (accessed on `queue`)
+    private var tasks: [String: Task<Void, Never>] = [:]
 
     init() {
         encoder.outputFormatting = [.withoutEscapingSlashes]
@@ -15,6 +17,21 @@ final class CommandServer {
         coordinator.onCursorUpdate = { [weak self] cursorType in
             self?.sendCursorUpdate(cursorType: cursorType)
         }
+        coordinator.onMouseEvents = { [weak self] sessionId, events in
+            self?.sendMouseEvents(sessionId: sessionId, events: events)
+        }
+        coordinator.onSessionStats = { [weak self] stats in
+            self?.emit(EventEnvelope(event: "sessionStats", payload: stats))
+        }
+        coordinator.onPreviewFrame = { [weak self] frame in
+            self?.emit(EventEnvelope(event: "previewFrame", payload: frame))
+        }
+        coordinator.onSourcesChanged = { [weak self] changes in
+            self?.emit(EventEnvelope(event: "sourcesChanged", payload: changes))
+        }
+        coordinator.onSourceLost = { [weak self] source in
+            self?.emit(EventEnvelope(event: "sourceLost", payload: source))
+        }
     }
 
     func run() {
@@ -56,7 +73,8 @@ final class CommandServer {
                 id: "unknown",
                 success: false,
                 payload: nil,
-                error: "Invalid command: \(error.localizedDescription)"
+                error: "Invalid command: \(error.localizedDescription)",
+                errorCode: "INVALID_COMMAND"
             )
             emit(message)
         }
@@ -65,7 +83,7 @@ final class CommandServer {
     private func handleCommand(_ envelope: CommandEnvelope) {
         switch envelope.command {
         case "listSources":
-            Task {
+            tasks[envelope.id] = Task {
                 do {
                     let payload = try await coordinator.listSources()
                     respond(id: envelope.id, payload: payload)
@@ -74,8 +92,23 @@ final class CommandServer {
                 }
             }
 
+        case "watchSources":
+            tasks[envelope.id] = Task {
+                do {
+                    let payload = try envelope.payload?.decode(WatchSourcesPayload.self)
+                    let response = try await coordinator.watchSources(interval: payload?.interval ?? 2000)
+                    respond(id: envelope.id, payload: response)
+                } catch {
+                    respond(id: envelope.id, error: error)
+                }
+            }
+
+        case "unwatchSources":
+            coordinator.unwatchSources()
+            respond(id: envelope.id, payload: EmptyPayload())
+
         case "startSession":
-            Task {
+            tasks[envelope.id] = Task {
                 do {
                     guard let payloadValue = envelope.payload else {
                         throw CommandError.missingPayload
@@ -83,7 +116,7 @@ final class CommandServer {
                     let payload = try payloadValue.decode(StartSessionPayload.self)
                     coordinator.setExcludedWindow(id: payload.excludedWindowId)
                     coordinator.setExcludedWindow(title: payload.excludedWindowTitle)
-                    let response = try await coordinator.startSession(payload: payload)
+                    let response = try await coordinator.startSession(payload: payload, params: payloadValue)
                     respond(id: envelope.id, payload: response)
                 } catch {
                     respond(id: envelope.id, error: error)
@@ -91,7 +124,7 @@ final class CommandServer {
             }
 
         case "stopSession":
-            Task {
+            tasks[envelope.id] = Task {
                 do {
                     guard let payloadValue = envelope.payload else {
                         throw CommandError.missingPayload
@@ -104,11 +137,100 @@ final class CommandServer {
                 }
             }
 
+        case "pauseSession":
+            tasks[envelope.id] = Task {
+                do {
+                    guard let payloadValue = envelope.payload else {
+                        throw CommandError.missingPayload
+                    }
+                    let payload = try payloadValue.decode(SessionIdPayload.self)
+                    let response = try coordinator.pauseSession(sessionId: payload.sessionId)
+                    respond(id: envelope.id, payload: response)
+                } catch {
+                    respond(id: envelope.id, error: error)
+                }
+            }
+
+        case "resumeSession":
+            tasks[envelope.id] = Task {
+                do {
+                    guard let payloadValue = envelope.payload else {
+                        throw CommandError.missingPayload
+                    }
+                    let payload = try payloadValue.decode(SessionIdPayload.self)
+                    let response = try coordinator.resumeSession(sessionId: payload.sessionId)
+                    respond(id: envelope.id, payload: response)
+                } catch {
+                    respond(id: envelope.id, error: error)
+                }
+            }
+
+        case "captureScreenshot":
+            tasks[envelope.id] = Task {
+                do {
+                    guard let payloadValue = envelope.payload else {
+                        throw CommandError.missingPayload
+                    }
+                    let payload = try payloadValue.decode(ScreenshotPayload.self)
+                    let response = try await coordinator.captureScreenshot(payload: payload)
+                    respond(id: envelope.id, payload: response)
+                } catch {
+                    respond(id: envelope.id, error: error)
+                }
+            }
+
+        case "startPreview":
+            tasks[envelope.id] = Task {
+                do {
+                    let payloadValue = envelope.payload ?? .object([:])
+                    let payload = try payloadValue.decode(StartPreviewPayload.self)
+                    let settings = try payloadValue.decode(PreviewSettings.self)
+                    try await coordinator.startPreview(payload: payload, settings: settings)
+                    respond(id: envelope.id, payload: EmptyPayload())
+                } catch {
+                    respond(id: envelope.id, error: error)
+                }
+            }
+
+        case "stopPreview":
+            tasks[envelope.id] = Task {
+                await coordinator.stopPreview()
+                respond(id: envelope.id, payload: EmptyPayload())
+            }
+
+        case "getPreview":
+            tasks[envelope.id] = Task {
+                do {
+                    // Without options the frames match the running preview
+                    var settings: PreviewSettings?
+                    if case .object(let fields)? = envelope.payload, !fields.isEmpty {
+                        settings = try envelope.payload?.decode(PreviewSettings.self)
+                    }
+                    let response = try coordinator.getPreview(settings: settings)
+                    respond(id: envelope.id, payload: response)
+                } catch {
+                    respond(id: envelope.id, error: error)
+                }
+            }
+
+        case "cancel":
+            do {
+                guard let payloadValue = envelope.payload else {
+                    throw CommandError.missingPayload
+                }
+                let payload = try payloadValue.decode(CancelPayload.self)
+                let task = tasks.removeValue(forKey: payload.commandId)
+                task?.cancel()
+                respond(id: envelope.id, payload: CancelResponse(cancelled: task != nil))
+            } catch {
+                respond(id: envelope.id, error: error)
+            }
+
         case "ping":
             respond(id: envelope.id, payload: ["pong"])
 
         case "configureCamera":
-            Task {
+            tasks[envelope.id] = Task {
                 do {
                     let payload = try envelope.payload?.decode(ConfigureCameraPayload.self)
                     try coordinator.configureCamera(deviceId: payload?.cameraSourceId)
@@ -119,7 +241,7 @@ final class CommandServer {
             }
 
         case "configureAudio":
-            Task {
+            tasks[envelope.id] = Task {
                 do {
                     let payload = try envelope.payload?.decode(ConfigureAudioPayload.self)
                     try coordinator.configureAudio(deviceId: payload?.audioSourceId)
@@ -134,7 +256,7 @@ final class CommandServer {
             respond(id: envelope.id, payload: response)
 
         case "requestPermissions":
-            Task {
+            tasks[envelope.id] = Task {
                 let response = await coordinator.requestPermissions()
                 respond(id: envelope.id, payload: response)
             }
@@ -145,23 +267,67 @@ final class CommandServer {
     }
 
     private func respond<Payload: Encodable>(id: String, payload: Payload) {
+        finish(id: id)
         let response = ResponseEnvelope(id: id, success: true, payload: payload, error: nil)
         emit(response)
     }
 
     private func respond(id: String, error: Error) {
+        finish(id: id)
         let response = ResponseEnvelope<EmptyPayload>(
             id: id,
             success: false,
             payload: nil,
-            error: error.localizedDescription
+            error: error.localizedDescription,
+            errorCode: errorCode(for: error)
         )
         emit(response)
     }
 
-    private func emit<Payload: Encodable>(_ response: ResponseEnvelope<Payload>) {
+    /// Forget the task of a command that has answered. Runs after `handleCommand`
+    /// returns, so a task that answers immediately is still removed.
+    private func finish(id: String) {
+        queue.async { [weak self] in
+            self?.tasks[id] = nil
+        }
+    }
+
+    private func errorCode(for error: Error) -> String {
+        if let coded = error as? CodedError {
+            return coded.code
+        }
+        if error is DecodingError {
+            return "INVALID_PAYLOAD"
+        }
+        if error is CancellationError {
+            return "CANCELLED"
+        }
+        return "NATIVE_ERROR"
+    }
+
+    private func emit<Message: Encodable>(_ message: Message) {
+        do {
+            let data = try encoder.encode(message)
+            if let jsonString = String(data: data, encoding: .utf8) {
+                print(jsonString, terminator: "\n")
+                fflush(stdout)
+            }
+        } catch {
+        }
+    }
+
+    private func sendMouseEvents(sessionId: String, events: [[String: Any]]) {
+        // Live batch, same event objects as the final events list
+        let event: [String: Any] = [
+            "event": "mouseEvents",
+            "payload": [
+                "sessionId": sessionId,
+                "events": events
+            ]
+        ]
+
         do {
-            let data = try encoder.encode(response)
+            let data = try JSONSerialization.data(withJSONObject: event, options: [])
             if let jsonString = String(data: data, encoding: .utf8) {
                 print(jsonString, terminator: "\n")
                 fflush(stdout)
@@ -191,7 +357,7 @@ final class CommandServer {
 }
 
 extension CommandServer {
-    enum CommandError: LocalizedError {
+    enum CommandError: LocalizedError, CodedError {
         case missingPayload
         case unknownCommand(String)
 
@@ -203,5 +369,14 @@ extension CommandServer {
                 return "Unknown command \(command)."
             }
         }
+
+        var code: String {
+            switch self {
+            case .missingPayload:
+                return "MISSING_PAYLOAD"
+            case .unknownCommand:
+                return "UNKNOWN_COMMAND"
+            }
+        }
     }
 }
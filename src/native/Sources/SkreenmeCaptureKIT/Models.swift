@@ -65,39 +65,46 @@ struct ResponseEnvelope<Payload: Encodable>: Encodable {
     let success: Bool
     let payload: Payload?
     let error: String?
+    let errorCode: String?
 
-    init(id: String, success: Bool, payload: Payload? = nil, error: String? = nil) {
+    init(id: String, success: Bool, payload: Payload? = nil, error: String? = nil, errorCode: String? = nil) {
         self.id = id
         self.success = success
         self.payload = payload
         self.error = error
+        self.errorCode = errorCode
     }
 }
 
+/// Errors with a stable machine-readable code that is sent to the client as `errorCode`
+protocol CodedError: Error {
+    var code: String { get }
+}
+
 struct EmptyPayload: Encodable {}
 
 struct SourceListingPayload: Encodable {
-    struct Display: Encodable {
+    struct Display: Encodable, Equatable, Identifiable {
         let id: String
         let name: String
         let frame: CGRect
         let scaleFactor: Double
     }
 
-    struct Window: Encodable {
+    struct Window: Encodable, Equatable, Identifiable {
         let id: String
         let name: String
         let ownerName: String
         let frame: CGRect
     }
 
-    struct AudioDevice: Encodable {
+    struct AudioDevice: Encodable, Equatable, Identifiable {
         let id: String
         let name: String
         let type: String
     }
 
-    struct Camera: Encodable {
+    struct Camera: Encodable, Equatable, Identifiable {
         let id: String
         let name: String
     }
@@ -108,6 +115,66 @@ struct SourceListingPayload: Encodable {
     let cameras: [Camera]
 }
 
+struct WatchSourcesPayload: Decodable {
+    let interval: Int?  // Milliseconds between checks, defaults to 2000
+}
+
+/// Sources that appeared, went away or changed name or frame between two listings
+struct SourceChanges<Source: Encodable & Equatable & Identifiable>: Encodable where Source.ID == String {
+    let added: [Source]
+    let removed: [Source]
+    let updated: [Source]
+
+    init(previous: [Source], current: [Source]) {
+        let previousById = Dictionary(previous.map { ($0.id, $0) }, uniquingKeysWith: { first, _ in first })
+        let currentIds = Set(current.map(\.id))
+        added = current.filter { previousById[$0.id] == nil }
+        removed = previous.filter { !currentIds.contains($0.id) }
+        updated = current.filter { source in
+            previousById[source.id].map { $0 != source } ?? false
+        }
+    }
+
+    var isEmpty: Bool {
+        added.isEmpty && removed.isEmpty && updated.isEmpty
+    }
+}
+
+struct SourcesChangedEvent: Encodable {
+    let displays: SourceChanges<SourceListingPayload.Display>
+    let windows: SourceChanges<SourceListingPayload.Window>
+    let audio: SourceChanges<SourceListingPayload.AudioDevice>
+    let cameras: SourceChanges<SourceListingPayload.Camera>
+    let sources: SourceListingPayload  // Full listing after the change
+
+    init(previous: SourceListingPayload, current: SourceListingPayload) {
+        displays = SourceChanges(previous: previous.displays, current: current.displays)
+        windows = SourceChanges(previous: previous.windows, current: current.windows)
+        audio = SourceChanges(previous: previous.audio, current: current.audio)
+        cameras = SourceChanges(previous: previous.cameras, current: current.cameras)
+        sources = current
+    }
+
+    var isEmpty: Bool {
+        displays.isEmpty && windows.isEmpty && audio.isEmpty && cameras.isEmpty
+    }
+}
+
+/// A display, window, camera or microphone of the running session went away
+struct SourceLostEvent: Encodable {
+    enum Kind: String, Encodable {
+        case display
+        case window
+        case camera
+        case microphone
+    }
+
+    let sessionId: String
+    let kind: Kind
+    let id: String
+    let name: String?
+}
+
 struct StartSessionPayload: Decodable {
     enum Mode: String, Decodable {
         case display
@@ -120,6 +187,99 @@ struct StartSessionPayload: Decodable {
         case wide
     }
 
+    enum KeyboardCapture: String, Decodable {
+        case off
+        case timing     // Timestamps only
+        case shortcuts  // Only key presses with Control, Option or Command held
+        case full       // Every key with characters
+    }
+
+    /// Live mouse event streaming; `true`, `false` or `{ interval, moves }`
+    struct LiveEvents: Decodable {
+        let enabled: Bool
+        let interval: Int  // Milliseconds between batches
+        let moves: Bool  // Whether move samples are streamed (the latest per batch)
+
+        private enum CodingKeys: String, CodingKey {
+            case interval
+            case moves
+        }
+
+        init(from decoder: Decoder) throws {
+            if let enabled = try? decoder.singleValueContainer().decode(Bool.self) {
+                self.enabled = enabled
+                self.interval = 50
+                self.moves = true
+                return
+            }
+            let container = try decoder.container(keyedBy: CodingKeys.self)
+            self.enabled = true
+            self.interval = max(16, try container.decodeIfPresent(Int.self, forKey: .interval) ?? 50)
+            self.moves = try container.decodeIfPresent(Bool.self, forKey: .moves) ?? true
+        }
+    }
+
+    /// Crash-safe writing; `true`, `false` or `{ fragmentInterval, eventsFlushInterval }`
+    struct CrashSafe: Decodable {
+        let enabled: Bool
+        let fragmentInterval: Double  // Seconds of video per movie fragment
+        let eventsFlushInterval: Int  // Milliseconds between writes to the events journal
+
+        private enum CodingKeys: String, CodingKey {
+            case fragmentInterval
+            case eventsFlushInterval
+        }
+
+        init(from decoder: Decoder) throws {
+            if let enabled = try? decoder.singleValueContainer().decode(Bool.self) {
+                self.enabled = enabled
+                self.fragmentInterval = 2
+                self.eventsFlushInterval = 1000
+                return
+            }
+            let container = try decoder.container(keyedBy: CodingKeys.self)
+            self.enabled = true
+            self.fragmentInterval = max(0.5, try container.decodeIfPresent(Double.self, forKey: .fragmentInterval) ?? 2)
+            self.eventsFlushInterval = max(100, try container.decodeIfPresent(Int.self, forKey: .eventsFlushInterval) ?? 1000)
+        }
+    }
+
+    /// System audio through ScreenCaptureKit; `true`, `false` or `{ excludeOwnAudio, excludeProcessId, gain }`.
+    /// Excluding own audio (the default) excludes the app from the display filter, so excluded
+    /// windows must belong to that app; windows of other apps fail with WINDOW_EXCLUSION_CONFLICT
+    struct SystemAudio: Decodable {
+        let enabled: Bool
+        let excludeOwnAudio: Bool
+        let excludeProcessId: Int32?  // App whose audio is left out, the parent process when nil
+        let gain: Float
+
+        private enum CodingKeys: String, CodingKey {
+            case excludeOwnAudio
+            case excludeProcessId
+            case gain
+        }
+
+        init(from decoder: Decoder) throws {
+            if let enabled = try? decoder.singleValueContainer().decode(Bool.self) {
+                self.enabled = enabled
+                self.excludeOwnAudio = true
+                self.excludeProcessId = nil
+                self.gain = 1
+                return
+            }
+            let container = try decoder.container(keyedBy: CodingKeys.self)
+            self.enabled = true
+            self.excludeOwnAudio = try container.decodeIfPresent(Bool.self, forKey: .excludeOwnAudio) ?? true
+            self.excludeProcessId = try container.decodeIfPresent(Int32.self, forKey: .excludeProcessId)
+            self.gain = AudioTrack.clampGain(try container.decodeIfPresent(Float.self, forKey: .gain) ?? 1)
+        }
+    }
+
+    struct Microphone: Decodable {
+        let deviceId: String
+        let gain: Float?
+    }
+
     struct Region: Decodable {
         let x: Double
         let y: Double
@@ -131,7 +291,9 @@ struct StartSessionPayload: Decodable {
     let displayId: String?
     let windowId: String?
     let region: Region?
-    let audioSourceId: String?
+    let audioSourceId: String?  // Same as `microphone: { deviceId }`
+    let microphone: Microphone?
+    let systemAudio: SystemAudio?
     let cameraSourceId: String?
     let cameraWidth: Int?
     let cameraHeight: Int?
@@ -141,17 +303,202 @@ struct StartSessionPayload: Decodable {
     let excludedWindowId: UInt32?
     let excludedWindowTitle: [String]?
     let showCursor: Bool?
+    let keyboard: KeyboardCapture?
+    let liveEvents: LiveEvents?
+    let statsInterval: Int?  // Milliseconds between sessionStats events, 0 disables, defaults to 1000
+    let encoder: EncoderSettings?
+    let crashSafe: CrashSafe?
+
+    var microphoneDeviceId: String? {
+        microphone?.deviceId ?? audioSourceId
+    }
+
+    var microphoneGain: Float {
+        AudioTrack.clampGain(microphone?.gain ?? 1)
+    }
+}
+
+/// Codec and container per output file; audio goes into the screen file
+struct EncoderSettings: Decodable {
+    struct Video: Decodable {
+        enum Codec: String, Decodable {
+            case h264
+            case hevc
+            case prores
+        }
+
+        let codec: Codec?
+        let bitrate: Int?  // Average bits per second
+        let quality: Double?  // 0...1, instead of bitrate
+        let keyframeInterval: Double?  // Seconds
+        let profile: String?
+        let container: Container?
+    }
+
+    struct Audio: Decodable {
+        enum Codec: String, Decodable {
+            case aac
+            case alac
+            case pcm
+        }
+
+        let codec: Codec?
+        let sampleRate: Int?
+        let bitrate: Int?
+    }
+
+    enum Container: String, Decodable {
+        case mp4
+        case mov
+    }
+
+    let screen: Video?
+    let camera: Video?
+    let audio: Audio?
 }
 
 struct StopSessionPayload: Decodable {
     let sessionId: String
 }
 
+struct SessionIdPayload: Decodable {
+    let sessionId: String
+}
+
+struct CancelPayload: Decodable {
+    let commandId: String
+}
+
+struct CancelResponse: Encodable {
+    let cancelled: Bool  // false if the command had already answered or was unknown
+}
+
 struct StartSessionResponse: Encodable {
     let sessionId: String
     let outputPath: String
 }
 
+enum ImageFormat: String, Codable {
+    case png
+    case jpeg
+
+    var mimeType: String {
+        "image/\(rawValue)"
+    }
+}
+
+/// Still image of a display, window or region; independent of any session
+struct ScreenshotPayload: Decodable {
+    let mode: StartSessionPayload.Mode
+    let displayId: String?
+    let windowId: String?
+    let region: StartSessionPayload.Region?
+    let showCursor: Bool?
+    let excludedWindowId: UInt32?
+    let excludedWindowTitle: [String]?
+    let format: ImageFormat?
+    let quality: Double?  // JPEG quality 0...1, defaults to 0.9
+    let outputPath: String?  // Image file to write; the image is returned inline when nil
+
+    /// Explicit format, else from the output file extension, else PNG
+    var resolvedFormat: ImageFormat {
+        if let format {
+            return format
+        }
+        let fileExtension = outputPath.map { URL(fileURLWithPath: $0).pathExtension.lowercased() }
+        return fileExtension == "jpg" || fileExtension == "jpeg" ? .jpeg : .png
+    }
+}
+
+struct ScreenshotResponse: Encodable {
+    struct Point: Encodable {
+        let x: Double
+        let y: Double
+    }
+
+    struct Cursor: Encodable {
+        let x: Double  // Normalized to the image, clamped to 0...1 like recorded events
+        let y: Double
+        let inside: Bool  // Whether the pointer was over the captured area
+        let cursor: String
+    }
+
+    let format: ImageFormat
+    let outputPath: String?
+    let data: String?  // Base64 image when no outputPath was given
+    let width: Int  // Pixels
+    let height: Int
+    let scaleFactor: Double
+    let offset: Point  // Top-left corner of the captured area in global points
+    let cursor: Cursor
+    let capturedAt: String  // ISO 8601
+}
+
+/// Live preview source: a display, window or region and/or a camera. Without a
+/// target the frames come from the running session only
+struct StartPreviewPayload: Decodable {
+    let mode: StartSessionPayload.Mode?
+    let displayId: String?
+    let windowId: String?
+    let region: StartSessionPayload.Region?
+    let showCursor: Bool?
+    let excludedWindowId: UInt32?
+    let excludedWindowTitle: [String]?
+    let cameraSourceId: String?
+    let cameraWidth: Int?
+    let cameraHeight: Int?
+    let cameraFormat: StartSessionPayload.CameraFormat?
+}
+
+/// Size, rate and encoding of preview frames; read from the same payload as the source
+struct PreviewSettings: Decodable {
+    let maxWidth: Int
+    let maxHeight: Int?
+    let fps: Int  // previewFrame events per second, 1...30
+    let format: ImageFormat
+    let quality: Double  // JPEG quality 0...1
+
+    private enum CodingKeys: String, CodingKey {
+        case maxWidth
+        case maxHeight
+        case fps
+        case format
+        case quality
+    }
+
+    init(maxWidth: Int = 640, maxHeight: Int? = nil, fps: Int = 10, format: ImageFormat = .jpeg, quality: Double = 0.6) {
+        self.maxWidth = max(16, maxWidth)
+        self.maxHeight = maxHeight.map { max(16, $0) }
+        self.fps = min(max(fps, 1), 30)
+        self.format = format
+        self.quality = min(max(quality, 0), 1)
+    }
+
+    init(from decoder: Decoder) throws {
+        let container = try decoder.container(keyedBy: CodingKeys.self)
+        self.init(
+            maxWidth: try container.decodeIfPresent(Int.self, forKey: .maxWidth) ?? 640,
+            maxHeight: try container.decodeIfPresent(Int.self, forKey: .maxHeight),
+            fps: try container.decodeIfPresent(Int.self, forKey: .fps) ?? 10,
+            format: try container.decodeIfPresent(ImageFormat.self, forKey: .format) ?? .jpeg,
+            quality: try container.decodeIfPresent(Double.self, forKey: .quality) ?? 0.6
+        )
+    }
+}
+
+struct PreviewResponse: Encodable {
+    struct Size: Encodable {
+        let width: Int
+        let height: Int
+    }
+
+    var videoFrame: String?  // data: URL
+    var cameraFrame: String?
+    var videoSize: Size?
+    var cameraSize: Size?
+    var sessionId: String?  // Set while the screen frames come from a recording
+}
+
 struct RecordingSource: Encodable {
     struct Resolution: Encodable {
         let width: Double
@@ -165,6 +512,27 @@ struct RecordingSource: Encodable {
     let pixelDensity: Double
 }
 
+/// One audio track of a recording
+struct AudioTrack: Encodable {
+    enum Kind: String, Encodable {
+        case system
+        case microphone
+    }
+
+    let kind: Kind
+    let file: String  // Audio is muxed into the screen file
+    let trackIndex: Int  // Position among the audio tracks of `file`
+    let deviceId: String?  // Microphone only
+    let gain: Double  // Stored as the track volume, the samples are not changed
+    let sampleRate: Int
+    let channels: Int
+
+    /// Track volume is 8.8 fixed point; louder than 2x only adds clipping
+    static func clampGain(_ gain: Float) -> Float {
+        min(max(gain, 0), 2)
+    }
+}
+
 struct StopSessionResponse: Encodable {
     struct RecordingMetadata: Encodable {
         let status: String  // "completed" | "failed"
@@ -172,15 +540,95 @@ struct StopSessionResponse: Encodable {
         let duration: Double
         let screen: RecordingSource?
         let camera: RecordingSource?
+        let audio: [AudioTrack]
+        let manifest: String?  // File name of the project manifest, nil if it could not be written
     }
 
     let recording: RecordingMetadata
     let events: [JSONValue]
+    let keyboard: [JSONValue]?  // nil unless keyboard capture was enabled
+    let pausedIntervals: [PausedInterval]
 }
 
-struct PreviewResponse: Encodable {
-    let videoFrame: String?
-    let cameraFrame: String?
+/// project.json: everything needed to reopen a recording folder
+struct ProjectManifest: Encodable {
+    static let currentVersion = 1
+
+    struct Point: Encodable {
+        let x: Double
+        let y: Double
+    }
+
+    struct Capture: Encodable {
+        let mode: String  // "display" | "window" | "region"
+        let offset: Point  // Origin of the captured area in screen points
+        let scaleFactor: Double
+    }
+
+    struct Tracks: Encodable {
+        let screen: RecordingSource?
+        let camera: RecordingSource?
+        let audio: [AudioTrack]
+    }
+
+    struct EventFiles: Encodable {
+        let mouse: String?
+        let keyboard: String?
+    }
+
+    let version: Int
+    let sessionId: String
+    let createdAt: String  // ISO 8601
+    let duration: Double
+    let capture: Capture
+    let tracks: Tracks
+    let events: EventFiles
+    let pausedIntervals: [PausedInterval]
+    let params: JSONValue?  // startSession payload as sent
+}
+
+/// Periodic health report of a recording session
+struct SessionStats: Encodable {
+    struct Track: Encodable {
+        let started: Bool  // The writer received its first frame
+        let framesCaptured: Int
+        let framesWritten: Int
+        let framesDropped: Int  // Writer not ready, append failed or frame out of order
+        let fps: Double  // Frames written per second since the previous report
+        let bytes: Int64  // Size of the output file so far
+    }
+
+    struct Audio: Encodable {
+        let samples: Int64
+        let buffersDropped: Int
+    }
+
+    let sessionId: String
+    let t: Double  // Position on the output timeline
+    let paused: Bool
+    let screen: Track
+    let camera: Track?  // nil without a camera
+    let audio: Audio?  // Microphone, nil without one
+    let systemAudio: Audio?  // nil unless recording system audio
+    let freeDiskSpace: Int64?  // Bytes available on the output volume
+}
+
+/// A push event, written as `{ "event": ..., "payload": ... }`
+struct EventEnvelope<Payload: Encodable>: Encodable {
+    let event: String
+    let payload: Payload
+}
+
+/// A pause, positioned on the output timeline (the recording excludes it)
+struct PausedInterval: Encodable {
+    let start: Double
+    let duration: Double
+}
+
+struct PauseSessionResponse: Encodable {
+    let sessionId: String
+    let paused: Bool
+    let t: Double  // Output timeline position of the pause
 }
 
 struct ConfigureCameraPayload: Decodable {
@@ -5,6 +5,7 @@ import CoreImage
 import CoreVideo
 import AppKit
 import Darwin
+import VideoToolbox
 
 private let axHitTestAttribute: CFString = "AXHitTest" as CFString
 private let axEditableAttribute: CFString = "AXEditable" as CFString
@@ -31,6 +32,32 @@ private enum CursorKind: String {
     var value: String { rawValue }
 }
 
+/// A source the running session depends on
+private struct WatchedSource {
+    let kind: SourceLostEvent.Kind
+    let id: String
+    let name: String?
+    var lost = false
+}
+
+/// A resolved display, window or region: the filter and the pixel size to capture it at
+private struct CaptureTarget {
+    let filter: SCContentFilter
+    let width: Int
+    let height: Int
+    let scale: Double
+    let offset: CGPoint  // Top-left corner in global points
+    let sourceRect: CGRect?  // Part of the display to capture, for regions
+
+    func apply(to configuration: SCStreamConfiguration) {
+        if let sourceRect {
+            configuration.sourceRect = sourceRect
+        }
+        configuration.width = width
+        configuration.height = height
+    }
+}
+
 final class ScreenCaptureCoordinator: NSObject {
     private static let timebaseInfo: mach_timebase_info_data_t = {
         var info = mach_timebase_info_data_t(numer: 0, denom: 0)
@@ -48,12 +75,26 @@ final class ScreenCaptureCoordinator: NSObject {
     var onCursorUpdate: ((String) -> Void)?
     private var lastSentCursorType: String?
 
+    // Callback for live mouse event batches (session id, events)
+    var onMouseEvents: ((String, [[String: Any]]) -> Void)?
+
+    // Callback for periodic session health reports
+    var onSessionStats: ((SessionStats) -> Void)?
+
+    // Callback for live preview frames
+    var onPreviewFrame: ((PreviewResponse) -> Void)?
+
+    // Callbacks for source watching and for sources of the session that went away
+    var onSourcesChanged: ((SourcesChangedEvent) -> Void)?
+    var onSourceLost: ((SourceLostEvent) -> Void)?
+
     private var stream: SCStream?
     private var streamOutput: StreamSampleHandler?
 
     private var assetWriter: AVAssetWriter?
     private var videoInput: AVAssetWriterInput?
-    private var audioInput: AVAssetWriterInput?
+    private var audioInput: AVAssetWriterInput?  // Microphone
+    private var systemAudioInput: AVAssetWriterInput?
     private var pixelBufferAdaptor: AVAssetWriterInputPixelBufferAdaptor?
 
     // Separate writer for camera
@@ -65,23 +106,55 @@ final class ScreenCaptureCoordinator: NSObject {
     private var outputURL: URL?
     private var cameraOutputURL: URL?
     private var projectDirURL: URL?
+    // Kept for the project manifest
+    private var sessionParams: JSONValue?
+    private var sessionCreatedAt: Date?
+    private var sessionAudioTracks: [AudioTrack] = []
 
     // Mouse and keyboard event tracking
     private var mouseEvents: [[String: Any]] = []
     private var keyboardEvents: [[String: Any]] = []
+    private var keyboardCapture: StartSessionPayload.KeyboardCapture = .off
     private var eventTap: CFMachPort?
 
-    private var latestVideoImage: CGImage?
-    private var latestCameraImage: CGImage?
+    // Live event streaming; the batch is accessed on mouseEventsQueue
+    private var liveEvents: StartSessionPayload.LiveEvents?
+    private var liveEventBatch: [[String: Any]] = []
+    private var liveEventTimer: DispatchSourceTimer?
 
-    private var cachedVideoBase64: String?
-    private var cachedCameraBase64: String?
+    // Latest frames for the preview, guarded by previewLock. Screen frames of the
+    // session and of the preview stream share one counter so a change is always seen
+    private let previewLock = NSLock()
+    private var latestVideoBuffer: CVPixelBuffer?
+    private var latestPreviewBuffer: CVPixelBuffer?
+    private var latestCameraImage: CGImage?
+    private var screenFrameNumber = 0
+    private var cameraFrameNumber = 0
+
+    // Live preview; the timer and the numbers of the last sent frames live on previewQueue
+    private let previewQueue = DispatchQueue(label: "skreen.record.preview.queue")
+    private var previewSettings: PreviewSettings?
+    private var previewCamera: StartPreviewPayload?  // Camera to bring back when a session ends
+    private var previewStream: SCStream?
+    private var previewStreamOutput: PreviewStreamOutput?
+    private var previewTimer: DispatchSourceTimer?
+    private var sentScreenFrame: Int?
+    private var sentCameraFrame: Int?
 
     private var cameraController: CameraController?
     private var audioController: AudioCaptureController?
 
     private let mouseEventsQueue = DispatchQueue(label: "skreen.record.mouse-events")
 
+    // Source watching and the session's source checks; accessed on sourceWatchQueue
+    private let sourceWatchQueue = DispatchQueue(label: "skreen.record.sources.queue")
+    private var sourceWatchInterval: Double?  // Seconds, set while watching
+    private var watchedSources: SourceListingPayload?
+    private var sessionSources: (sessionId: String, sources: [WatchedSource])?
+    private var sourceTimer: DispatchSourceTimer?
+    private var sourceObservers: [NSObjectProtocol] = []
+    private var isCheckingSources = false
+
     private var cachedContent: SCShareableContent?
 
     private var excludedWindowId: UInt32?
@@ -95,6 +168,8 @@ final class ScreenCaptureCoordinator: NSObject {
     // Camera dimensions (set from parameters, no defaults)
     private var cameraWidth: Int = 0
     private var cameraHeight: Int = 0
+    // Camera encoder settings, applied when the camera writer is lazily created
+    private var cameraEncoder: EncoderSettings.Video?
 
     // Recording frame rate (set from parameters)
     private var recordingFrameRate: Int = 30
@@ -108,15 +183,50 @@ final class ScreenCaptureCoordinator: NSObject {
     private var captureMode: String = "display"     // "display", "window", "region"
     private var captureSize: CGSize = .zero         // Physical pixel size of capture target
 
-    private var lastPreviewUpdateTime: Date?
-    private let previewUpdateInterval: TimeInterval = 1.0 / 30.0 // 30 fps max for preview
-
     // Cursor polling timer - records cursor position at fixed intervals
     private var cursorPollTimer: DispatchSourceTimer?
     private var lastCursorPosition: CGPoint = .zero
     private var recordingStartMediaTime: CFTimeInterval = 0.0
     private var recordingStartEventTime: CFTimeInterval?
 
+    // Pause state; mutated on writerQueue, paused time is cut from every timeline
+    private var isPaused = false
+    private var pauseStartedAt: CFTimeInterval?
+    private var pauseTimelinePosition: Double = 0.0
+    private var totalPausedDuration: CFTimeInterval = 0.0
+    private var pausedIntervals: [PausedInterval] = []
+    private var lastVideoPresentationTime: CMTime?
+    private var lastAudioPresentationTimes: [AudioTrack.Kind: CMTime] = [:]
+    private var cameraPausedOffset: CFTimeInterval = 0.0
+
+    // Health counters; mutated on writerQueue, reported by the stats timer
+    private struct TrackCounters {
+        var captured = 0
+        var written = 0
+        var dropped = 0
+    }
+    private var screenCounters = TrackCounters()
+    private var cameraCounters = TrackCounters()
+    private struct AudioCounters {
+        var samples: Int64 = 0
+        var buffersDropped = 0
+    }
+    private var audioCounters: [AudioTrack.Kind: AudioCounters] = [:]
+    private var lastStatsTime: CFTimeInterval = 0.0
+    private var lastScreenWritten = 0
+    private var lastCameraWritten = 0
+    private var statsTimer: DispatchSourceTimer?
+
+    // Crash-safe mode: fragmented movie files, an append-only events journal and a
+    // project.partial.json that is rewritten on every journal flush
+    private var crashSafe: StartSessionPayload.CrashSafe?
+    private let journalQueue = DispatchQueue(label: "skreen.record.journal")
+    private var journalTimer: DispatchSourceTimer?
+    private var mouseJournal: FileHandle?
+    private var keyboardJournal: FileHandle?
+    private var journaledMouseEvents = 0
+    private var journaledKeyboardEvents = 0
+
     func setExcludedWindow(id: UInt32?) {
         excludedWindowId = id
     }
@@ -125,22 +235,27 @@ final class ScreenCaptureCoordinator: NSObject {
         excludedWindowTitle = title
     }
 
-    private func isWindowExcludedByTitle(_ windowTitle: String?) -> Bool {
-        guard let excludedWindowTitle = excludedWindowTitle,
+    private func isWindowExcluded(title windowTitle: String?, by excludedTitles: [String]?) -> Bool {
+        guard let excludedTitles,
               let windowTitle = windowTitle else {
             return false
         }
-        return excludedWindowTitle.contains { excludedTitle in
+        return excludedTitles.contains { excludedTitle in
             windowTitle.caseInsensitiveCompare(excludedTitle.trimmingCharacters(in: .whitespaces)) == .orderedSame
         }
     }
 
     func listSources() async throws -> SourceListingPayload {
         cachedContent = try await SCShareableContent.current
+        try Task.checkCancellation()
         guard let content = cachedContent else {
             throw ScreenCaptureError.shareableContentUnavailable
         }
+        return makeSourceListing(from: content, logging: true)
+    }
 
+    /// `logging` writes the discovered cameras to stderr; source watching checks quietly
+    private func makeSourceListing(from content: SCShareableContent, logging: Bool) -> SourceListingPayload {
         let displays = content.displays.map { display in
             let displayIdString = String(display.displayID)
             let fallbackName = "Display \(displayIdString)"
@@ -158,7 +273,7 @@ final class ScreenCaptureCoordinator: NSObject {
             if let excludedWindowId, window.windowID == excludedWindowId {
                 return false
             }
-            if isWindowExcludedByTitle(window.title) {
+            if isWindowExcluded(title: window.title, by: excludedWindowTitle) {
                 return false
             }
             return true
@@ -206,7 +321,7 @@ final class ScreenCaptureCoordinator: NSObject {
         let allDevices = Array(allDevicesDict.values)
 
         // Log all discovered devices for debugging
-        for device in allDevices {
+        for device in allDevices where logging {
             var positionStr = "unspecified"
             switch device.position {
             case .front: positionStr = "front"
@@ -237,7 +352,9 @@ final class ScreenCaptureCoordinator: NSObject {
 
             if (isExternal || isContinuity) && device.localizedName.contains("iPhone") {
                 hasIPhoneContinuityCamera = true
-                fputs("[Swift] Detected iPhone Continuity Camera: '\(device.localizedName)'\n", stderr)
+                if logging {
+                    fputs("[Swift] Detected iPhone Continuity Camera: '\(device.localizedName)'\n", stderr)
+                }
                 break
             }
         }
@@ -250,14 +367,18 @@ final class ScreenCaptureCoordinator: NSObject {
             // Skip FaceTime HD Camera if iPhone Continuity Camera is present
             // (it's redirected to iPhone and will be a duplicate)
             if hasIPhoneContinuityCamera && isBuiltInFaceTime {
-                fputs("[Swift] Filtering out '\(device.localizedName)' (redirected to iPhone Continuity Camera)\n", stderr)
+                if logging {
+                    fputs("[Swift] Filtering out '\(device.localizedName)' (redirected to iPhone Continuity Camera)\n", stderr)
+                }
                 continue
             }
 
             filteredDevices.append(device)
         }
 
-        fputs("[Swift] === After filtering: \(filteredDevices.count) unique cameras ===\n", stderr)
+        if logging {
+            fputs("[Swift] === After filtering: \(filteredDevices.count) unique cameras ===\n", stderr)
+        }
 
         let cameraDevices = filteredDevices.map { device in
             SourceListingPayload.Camera(
@@ -274,16 +395,34 @@ final class ScreenCaptureCoordinator: NSObject {
         )
     }
 
-    func startSession(payload: StartSessionPayload) async throws -> StartSessionResponse {
+    /// `params` is the payload as sent, written to the project manifest
+    func startSession(payload: StartSessionPayload, params: JSONValue? = nil) async throws -> StartSessionResponse {
         guard stream == nil else {
             throw ScreenCaptureError.sessionAlreadyRunning
         }
 
+        do {
+            let response = try await beginSession(payload: payload)
+            sessionParams = params
+            if let crashSafe {
+                try startJournal(crashSafe, sessionId: response.sessionId)
+            }
+            return response
+        } catch {
+            // Failed or cancelled part way: release what was set up so the next start works
+            await abandonStart()
+            throw error
+        }
+    }
+
+    private func beginSession(payload: StartSessionPayload) async throws -> StartSessionResponse {
         cachedContent = try await SCShareableContent.current
+        try Task.checkCancellation()
         guard let content = cachedContent else {
             throw ScreenCaptureError.shareableContentUnavailable
         }
         let sessionId = UUID().uuidString
+        crashSafe = payload.crashSafe?.enabled == true ? payload.crashSafe : nil
         let outputURL = try resolveOutputURL(for: payload)
 
         // Use frameRate from payload, default to 30 if not specified
@@ -300,6 +439,15 @@ final class ScreenCaptureCoordinator: NSObject {
         configuration.colorSpaceName = CGColorSpace.sRGB
         configuration.showsCursor = payload.showCursor ?? true  // Capture actual visual cursor from screen
 
+        let systemAudio = payload.systemAudio?.enabled == true ? payload.systemAudio : nil
+        if systemAudio != nil {
+            // The writer converts to the encoder's sample rate
+            configuration.capturesAudio = true
+            configuration.sampleRate = 48000
+            configuration.channelCount = 2
+            configuration.excludesCurrentProcessAudio = true
+        }
+
         captureSize = .zero
         let contentFilter = try makeContentFilter(for: payload, content: content, configuration: configuration)
 
@@ -309,6 +457,9 @@ final class ScreenCaptureCoordinator: NSObject {
 
         if let stream = stream {
             try stream.addStreamOutput(streamOutput, type: .screen, sampleHandlerQueue: captureQueue)
+            if systemAudio != nil {
+                try stream.addStreamOutput(streamOutput, type: .audio, sampleHandlerQueue: captureQueue)
+            }
         }
 
         // Configure camera with format and dimensions if camera source is specified
@@ -322,8 +473,9 @@ final class ScreenCaptureCoordinator: NSObject {
             try configureCamera(deviceId: nil)
         }
 
-        try setupAssetWriter(url: outputURL, configuration: configuration, captureAudio: payload.audioSourceId != nil)
-        try configureAudio(deviceId: payload.audioSourceId)
+        let microphone = payload.microphoneDeviceId.map { (deviceId: $0, gain: payload.microphoneGain) }
+        try setupAssetWriter(url: outputURL, configuration: configuration, microphone: microphone, systemAudio: systemAudio, encoder: payload.encoder)
+        try configureAudio(deviceId: payload.microphoneDeviceId)
 
         // If camera is enabled, prepare camera dimensions and URL (but don't create writer yet)
         if payload.cameraSourceId != nil || cameraController != nil {
@@ -333,26 +485,83 @@ final class ScreenCaptureCoordinator: NSObject {
             }
             self.cameraWidth = width
             self.cameraHeight = height
-            let cameraURL = try resolveCameraOutputURL(basedOn: outputURL)
+            // Reject bad camera settings now rather than when the first camera frame arrives
+            _ = try Self.videoOutputSettings(payload.encoder?.camera, width: width, height: height, defaultBitrate: 2_000_000)
+            self.cameraEncoder = payload.encoder?.camera
+            let cameraURL = try resolveCameraOutputURL(basedOn: outputURL, container: payload.encoder?.camera?.container ?? .mp4)
             self.cameraOutputURL = cameraURL
             // Note: Camera asset writer will be lazily initialized when first frame arrives
         }
 
+        try Task.checkCancellation()
         try await stream?.startCapture()
         currentSessionId = sessionId
         self.outputURL = outputURL
+        sessionCreatedAt = Date()
+        try Task.checkCancellation()
 
         // Start mouse event tracking
         resetMouseEventsStorage()
-        keyboardEvents = []
+        keyboardCapture = payload.keyboard ?? .off
         sessionStartTime = CFAbsoluteTimeGetCurrent()
         recordingStartEventTime = nil
+        startLiveEvents(payload.liveEvents, sessionId: sessionId)
         startEventMonitoring()
         startCursorPolling()
+        startStats(interval: payload.statsInterval ?? 1000, sessionId: sessionId)
+        startSessionSourceChecks(payload: payload, content: content, sessionId: sessionId)
 
         return StartSessionResponse(sessionId: sessionId, outputPath: outputURL.path)
     }
 
+    private func abandonStart() async {
+        if let stream {
+            try? await stream.stopCapture()
+        }
+        streamOutput?.invalidate()
+        stream = nil
+        streamOutput = nil
+
+        cameraController?.stop()
+        cameraController = nil
+        audioController?.stop()
+        audioController = nil
+
+        writerQueue.sync {
+            assetWriter?.cancelWriting()
+            assetWriter = nil
+            videoInput = nil
+            audioInput = nil
+            systemAudioInput = nil
+            pixelBufferAdaptor = nil
+            sessionStarted = false
+            firstFrameTime = nil
+            lastAudioPresentationTimes = [:]
+        }
+        sessionAudioTracks = []
+        stopLiveEvents(flushingFor: nil)
+        stopStats()
+        stopSessionSourceChecks()
+        stopJournal()
+        if crashSafe != nil, let outputURL {
+            removeJournalFiles(for: outputURL)
+        }
+        crashSafe = nil
+        cameraOutputURL = nil
+        cameraEncoder = nil
+        currentSessionId = nil
+        outputURL = nil
+        projectDirURL = nil
+        sessionCreatedAt = nil
+        cachedContent = nil
+        clearSessionPreviewFrame()
+        restorePreviewCamera()
+        keyboardCapture = .off
+        sessionStartTime = nil
+        recordingStartMediaTime = 0.0
+        recordingStartEventTime = nil
+    }
+
     func stopSession(sessionId: String) async throws -> StopSessionResponse {
         guard let stream else {
             throw ScreenCaptureError.sessionNotRunning
@@ -363,6 +572,22 @@ final class ScreenCaptureCoordinator: NSObject {
             throw ScreenCaptureError.sessionNotRunning
         }
 
+        // No reports about writers that are being finished
+        stopStats()
+        stopSessionSourceChecks()
+        stopJournal()
+
+        // Stopping while paused closes the open interval
+        writerQueue.sync {
+            if let pauseStartedAt {
+                let pausedFor = CACurrentMediaTime() - pauseStartedAt
+                pausedIntervals.append(PausedInterval(start: pauseTimelinePosition, duration: pausedFor))
+                totalPausedDuration += pausedFor
+                self.pauseStartedAt = nil
+            }
+        }
+        let duration = calculateRecordingDuration()
+        let sessionPausedIntervals = pausedIntervals
 
         try await stream.stopCapture()
         streamOutput?.invalidate()
@@ -377,6 +602,7 @@ final class ScreenCaptureCoordinator: NSObject {
         writerQueue.sync {
             videoInput?.markAsFinished()
             audioInput?.markAsFinished()
+            systemAudioInput?.markAsFinished()
             cameraVideoInput?.markAsFinished()
         }
 
@@ -400,6 +626,7 @@ final class ScreenCaptureCoordinator: NSObject {
         assetWriter = nil
         videoInput = nil
         audioInput = nil
+        systemAudioInput = nil
         pixelBufferAdaptor = nil
 
         let savedCameraURL = cameraOutputURL
@@ -407,17 +634,24 @@ final class ScreenCaptureCoordinator: NSObject {
         cameraVideoInput = nil
         cameraPixelBufferAdaptor = nil
         cameraOutputURL = nil
+        cameraEncoder = nil
 
         sessionStarted = false
         cameraSessionStarted = false
         firstFrameTime = nil
         cameraFirstFrameTime = nil
         sessionStartTime = nil
-        cachedVideoBase64 = nil
-        cachedCameraBase64 = nil
-        lastPreviewUpdateTime = nil
+        clearSessionPreviewFrame()
         recordingStartMediaTime = 0.0
         recordingStartEventTime = nil
+        isPaused = false
+        pauseTimelinePosition = 0.0
+        totalPausedDuration = 0.0
+        pausedIntervals = []
+        lastVideoPresentationTime = nil
+        lastAudioPresentationTimes = [:]
+        cameraPausedOffset = 0.0
+        restorePreviewCamera()
 
         guard let outputURL else {
             throw ScreenCaptureError.outputUnavailable
@@ -431,10 +665,10 @@ final class ScreenCaptureCoordinator: NSObject {
         // Stop event tracking
         stopEventMonitoring()
         stopCursorPolling()
+        stopLiveEvents(flushingFor: sessionId)
 
         // Gather recording metadata
         let projectDir = projectDirURL ?? outputURL.deletingLastPathComponent()
-        let duration = calculateRecordingDuration()
 
         // Collect screen recording metadata
         var screenSource: RecordingSource?
@@ -474,21 +708,67 @@ final class ScreenCaptureCoordinator: NSObject {
 
         // Save events to JSON file next to the video
         let eventsFileURL = outputURL.deletingPathExtension().appendingPathExtension("events.json")
+        var eventsFile: String?
         do {
             let jsonData = try JSONSerialization.data(withJSONObject: snapshotMouseEvents(), options: [.prettyPrinted])
             try jsonData.write(to: eventsFileURL)
+            eventsFile = eventsFileURL.lastPathComponent
             fputs("[Swift] Saved \(snapshotMouseEvents().count) events to \(eventsFileURL.path)\n", stderr)
         } catch {
             fputs("[Swift] Warning: Failed to save events.json: \(error)\n", stderr)
         }
 
+        // Save keyboard events next to the video when capture was enabled
+        var keyboardJSON: [JSONValue]?
+        var keyboardFile: String?
+        if keyboardCapture != .off {
+            let keyboardSnapshot = snapshotKeyboardEvents()
+            keyboardJSON = try convertEventsToJSON(keyboardSnapshot)
+            let keyboardFileURL = outputURL.deletingPathExtension().appendingPathExtension("keyboard.json")
+            do {
+                let jsonData = try JSONSerialization.data(withJSONObject: keyboardSnapshot, options: [.prettyPrinted])
+                try jsonData.write(to: keyboardFileURL)
+                keyboardFile = keyboardFileURL.lastPathComponent
+                fputs("[Swift] Saved \(keyboardSnapshot.count) keyboard events to \(keyboardFileURL.path)\n", stderr)
+            } catch {
+                fputs("[Swift] Warning: Failed to save keyboard.json: \(error)\n", stderr)
+            }
+        }
+        keyboardCapture = .off
+
+        // Describe the recording next to its files so it can be reopened without this response
+        let manifest = makeManifest(
+            sessionId: sessionId,
+            duration: duration,
+            screen: screenSource,
+            camera: cameraSource,
+            events: ProjectManifest.EventFiles(mouse: eventsFile, keyboard: keyboardFile),
+            pausedIntervals: sessionPausedIntervals
+        )
+        let manifestURL = manifestURL(for: outputURL, partial: false)
+        var manifestFile: String?
+        do {
+            try Self.writeJSON(manifest, to: manifestURL)
+            manifestFile = manifestURL.lastPathComponent
+        } catch {
+            fputs("[Swift] Warning: Failed to save project.json: \(error)\n", stderr)
+        }
+
+        // The journal is only needed until the final files are in place
+        if crashSafe != nil, manifestFile != nil, eventsFile != nil, keyboardJSON == nil || keyboardFile != nil {
+            removeJournalFiles(for: outputURL)
+        }
+        crashSafe = nil
+
         // Build response
         let metadata = StopSessionResponse.RecordingMetadata(
             status: "completed",
             outputPath: projectDir.path,
             duration: duration,
             screen: screenSource,
-            camera: cameraSource
+            camera: cameraSource,
+            audio: sessionAudioTracks,
+            manifest: manifestFile
         )
 
         // Reset recording parameters AFTER creating metadata
@@ -496,8 +776,313 @@ final class ScreenCaptureCoordinator: NSObject {
         displayScaleFactor = 1.0
         captureOffset = .zero
         captureMode = "display"
+        projectDirURL = nil
+        sessionParams = nil
+        sessionCreatedAt = nil
+        sessionAudioTracks = []
+
+        return StopSessionResponse(
+            recording: metadata,
+            events: eventsJSON,
+            keyboard: keyboardJSON,
+            pausedIntervals: sessionPausedIntervals
+        )
+    }
+
+    private func makeManifest(
+        sessionId: String,
+        duration: Double,
+        screen: RecordingSource?,
+        camera: RecordingSource?,
+        events: ProjectManifest.EventFiles,
+        pausedIntervals: [PausedInterval]
+    ) -> ProjectManifest {
+        ProjectManifest(
+            version: ProjectManifest.currentVersion,
+            sessionId: sessionId,
+            createdAt: ISO8601DateFormatter().string(from: sessionCreatedAt ?? Date()),
+            duration: duration,
+            capture: ProjectManifest.Capture(
+                mode: captureMode,
+                offset: ProjectManifest.Point(x: Double(captureOffset.x), y: Double(captureOffset.y)),
+                scaleFactor: Double(displayScaleFactor)
+            ),
+            tracks: ProjectManifest.Tracks(
+                screen: screen,
+                camera: camera,
+                audio: sessionAudioTracks
+            ),
+            events: events,
+            pausedIntervals: pausedIntervals,
+            params: sessionParams
+        )
+    }
+
+    /// A project folder gets project.json, a recording in the shared folder Recording-<date>.project.json
+    private func manifestURL(for outputURL: URL, partial: Bool) -> URL {
+        let name = partial ? "project.partial.json" : "project.json"
+        if let projectDirURL {
+            return projectDirURL.appendingPathComponent(name)
+        }
+        return outputURL.deletingPathExtension().appendingPathExtension(name)
+    }
+
+    private static func writeJSON<T: Encodable>(_ value: T, to url: URL) throws {
+        let encoder = JSONEncoder()
+        encoder.outputFormatting = [.prettyPrinted, .sortedKeys]
+        try encoder.encode(value).write(to: url, options: .atomic)
+    }
+
+    // MARK: - Crash-safe journal
+
+    private func journalURL(for outputURL: URL, kind: String) -> URL {
+        outputURL.deletingPathExtension().appendingPathExtension("\(kind).jsonl")
+    }
+
+    private func startJournal(_ options: StartSessionPayload.CrashSafe, sessionId: String) throws {
+        guard let outputURL else { return }
+
+        let mouseURL = journalURL(for: outputURL, kind: "events")
+        FileManager.default.createFile(atPath: mouseURL.path, contents: nil)
+        mouseJournal = try FileHandle(forWritingTo: mouseURL)
+        if keyboardCapture != .off {
+            let keyboardURL = journalURL(for: outputURL, kind: "keyboard")
+            FileManager.default.createFile(atPath: keyboardURL.path, contents: nil)
+            keyboardJournal = try FileHandle(forWritingTo: keyboardURL)
+        }
+        journaledMouseEvents = 0
+        journaledKeyboardEvents = 0
+
+        // Marks the recording as unfinished until stopSession removes it
+        writePartialManifest(sessionId: sessionId, outputURL: outputURL)
+
+        let timer = DispatchSource.makeTimerSource(queue: journalQueue)
+        let interval = DispatchTimeInterval.milliseconds(options.eventsFlushInterval)
+        timer.schedule(deadline: .now() + interval, repeating: interval)
+        timer.setEventHandler { [weak self] in
+            self?.flushJournal(sessionId: sessionId, outputURL: outputURL)
+        }
+        timer.resume()
+        journalTimer = timer
+    }
+
+    /// Append the events recorded since the last flush. Runs on journalQueue.
+    private func flushJournal(sessionId: String, outputURL: URL) {
+        let (mouse, keyboard) = mouseEventsQueue.sync { () -> ([[String: Any]], [[String: Any]]) in
+            let mouse = Array(mouseEvents.dropFirst(journaledMouseEvents))
+            let keyboard = Array(keyboardEvents.dropFirst(journaledKeyboardEvents))
+            journaledMouseEvents = mouseEvents.count
+            journaledKeyboardEvents = keyboardEvents.count
+            return (mouse, keyboard)
+        }
+        Self.appendLines(mouse, to: mouseJournal)
+        Self.appendLines(keyboard, to: keyboardJournal)
+        writePartialManifest(sessionId: sessionId, outputURL: outputURL)
+    }
+
+    private static func appendLines(_ events: [[String: Any]], to handle: FileHandle?) {
+        guard let handle, !events.isEmpty else { return }
+        var data = Data()
+        for event in events {
+            guard let line = try? JSONSerialization.data(withJSONObject: event) else { continue }
+            data.append(line)
+            data.append(0x0A)
+        }
+        do {
+            try handle.write(contentsOf: data)
+        } catch {
+            fputs("[Swift] Warning: Failed to append to events journal: \(error)\n", stderr)
+        }
+    }
+
+    /// The manifest as far as it is known, with the journal as event files
+    private func writePartialManifest(sessionId: String, outputURL: URL) {
+        let (pausedIntervals, position) = writerQueue.sync { (self.pausedIntervals, currentTimelinePosition()) }
+        let screen = RecordingSource(
+            file: outputURL.lastPathComponent,
+            size: Self.fileSize(at: outputURL),
+            resolution: RecordingSource.Resolution(width: Double(captureSize.width), height: Double(captureSize.height)),
+            fps: recordingFrameRate,
+            pixelDensity: Double(displayScaleFactor)
+        )
+        let camera = cameraOutputURL.map { url in
+            RecordingSource(
+                file: url.lastPathComponent,
+                size: Self.fileSize(at: url),
+                resolution: RecordingSource.Resolution(width: Double(cameraWidth), height: Double(cameraHeight)),
+                fps: recordingFrameRate,
+                pixelDensity: 1.0
+            )
+        }
+        let events = ProjectManifest.EventFiles(
+            mouse: journalURL(for: outputURL, kind: "events").lastPathComponent,
+            keyboard: keyboardJournal != nil ? journalURL(for: outputURL, kind: "keyboard").lastPathComponent : nil
+        )
+        let manifest = makeManifest(
+            sessionId: sessionId,
+            duration: position,
+            screen: screen,
+            camera: camera,
+            events: events,
+            pausedIntervals: pausedIntervals
+        )
+        do {
+            try Self.writeJSON(manifest, to: manifestURL(for: outputURL, partial: true))
+        } catch {
+            fputs("[Swift] Warning: Failed to save project.partial.json: \(error)\n", stderr)
+        }
+    }
+
+    private func stopJournal() {
+        journalTimer?.cancel()
+        journalTimer = nil
+        // Waits for a flush in progress
+        journalQueue.sync {
+            try? mouseJournal?.close()
+            try? keyboardJournal?.close()
+            mouseJournal = nil
+            keyboardJournal = nil
+        }
+    }
 
-        return StopSessionResponse(recording: metadata, events: eventsJSON)
+    private func removeJournalFiles(for outputURL: URL) {
+        for url in [
+            journalURL(for: outputURL, kind: "events"),
+            journalURL(for: outputURL, kind: "keyboard"),
+            manifestURL(for: outputURL, partial: true)
+        ] {
+            try? FileManager.default.removeItem(at: url)
+        }
+    }
+
+    func pauseSession(sessionId: String) throws -> PauseSessionResponse {
+        guard stream != nil, let activeSessionId = currentSessionId, activeSessionId == sessionId else {
+            throw ScreenCaptureError.sessionNotRunning
+        }
+
+        return try writerQueue.sync {
+            guard !isPaused else {
+                throw ScreenCaptureError.sessionAlreadyPaused
+            }
+            isPaused = true
+            pauseTimelinePosition = currentTimelinePosition()
+            pauseStartedAt = CACurrentMediaTime()
+            fputs("[Swift] Session paused at t=\(pauseTimelinePosition)\n", stderr)
+            return PauseSessionResponse(sessionId: sessionId, paused: true, t: pauseTimelinePosition)
+        }
+    }
+
+    func resumeSession(sessionId: String) throws -> PauseSessionResponse {
+        guard stream != nil, let activeSessionId = currentSessionId, activeSessionId == sessionId else {
+            throw ScreenCaptureError.sessionNotRunning
+        }
+
+        return try writerQueue.sync {
+            guard isPaused, let pauseStartedAt else {
+                throw ScreenCaptureError.sessionNotPaused
+            }
+            let pausedFor = CACurrentMediaTime() - pauseStartedAt
+            pausedIntervals.append(PausedInterval(start: pauseTimelinePosition, duration: pausedFor))
+            totalPausedDuration += pausedFor
+            self.pauseStartedAt = nil
+            isPaused = false
+            fputs("[Swift] Session resumed after \(pausedFor)s pause\n", stderr)
+            return PauseSessionResponse(sessionId: sessionId, paused: false, t: pauseTimelinePosition)
+        }
+    }
+
+    private func startStats(interval: Int, sessionId: String) {
+        writerQueue.sync {
+            screenCounters = TrackCounters()
+            cameraCounters = TrackCounters()
+            audioCounters = [:]
+            lastScreenWritten = 0
+            lastCameraWritten = 0
+            lastStatsTime = CACurrentMediaTime()
+        }
+        guard interval > 0 else { return }
+
+        let timer = DispatchSource.makeTimerSource(queue: DispatchQueue.global(qos: .utility))
+        let period = max(100, interval)
+        timer.schedule(deadline: .now() + .milliseconds(period), repeating: .milliseconds(period))
+        timer.setEventHandler { [weak self] in
+            guard let self, let stats = self.collectStats(sessionId: sessionId) else { return }
+            self.onSessionStats?(stats)
+        }
+        timer.resume()
+        statsTimer = timer
+    }
+
+    private func stopStats() {
+        statsTimer?.cancel()
+        statsTimer = nil
+    }
+
+    private func collectStats(sessionId: String) -> SessionStats? {
+        guard let outputURL else { return nil }
+        let cameraURL = cameraOutputURL
+
+        let freeDiskSpace = (try? outputURL.deletingLastPathComponent()
+            .resourceValues(forKeys: [.volumeAvailableCapacityForImportantUsageKey]))?
+            .volumeAvailableCapacityForImportantUsage
+
+        return writerQueue.sync {
+            let now = CACurrentMediaTime()
+            let elapsed = max(now - lastStatsTime, 0.001)
+            let screenFps = Double(screenCounters.written - lastScreenWritten) / elapsed
+            let cameraFps = Double(cameraCounters.written - lastCameraWritten) / elapsed
+            lastStatsTime = now
+            lastScreenWritten = screenCounters.written
+            lastCameraWritten = cameraCounters.written
+
+            let screen = SessionStats.Track(
+                started: sessionStarted,
+                framesCaptured: screenCounters.captured,
+                framesWritten: screenCounters.written,
+                framesDropped: screenCounters.dropped,
+                fps: isPaused ? 0 : screenFps,
+                bytes: Self.fileSize(at: outputURL)
+            )
+            let camera = cameraURL.map { url in
+                SessionStats.Track(
+                    started: cameraSessionStarted,
+                    framesCaptured: cameraCounters.captured,
+                    framesWritten: cameraCounters.written,
+                    framesDropped: cameraCounters.dropped,
+                    fps: isPaused ? 0 : cameraFps,
+                    bytes: Self.fileSize(at: url)
+                )
+            }
+            let audio = { (kind: AudioTrack.Kind) in
+                let counters = self.audioCounters[kind] ?? AudioCounters()
+                return SessionStats.Audio(samples: counters.samples, buffersDropped: counters.buffersDropped)
+            }
+
+            return SessionStats(
+                sessionId: sessionId,
+                t: currentTimelinePosition(),
+                paused: isPaused,
+                screen: screen,
+                camera: camera,
+                audio: audioInput != nil ? audio(.microphone) : nil,
+                systemAudio: systemAudioInput != nil ? audio(.system) : nil,
+                freeDiskSpace: freeDiskSpace
+            )
+        }
+    }
+
+    private static func fileSize(at url: URL) -> Int64 {
+        let attributes = try? FileManager.default.attributesOfItem(atPath: url.path)
+        return (attributes?[.size] as? NSNumber)?.int64Value ?? 0
+    }
+
+    /// Position on the output timeline, i.e. recorded time without pauses
+    private func currentTimelinePosition() -> Double {
+        guard recordingStartMediaTime > 0 else {
+            return 0.0
+        }
+        let ongoingPause = pauseStartedAt.map { CACurrentMediaTime() - $0 } ?? 0.0
+        return CACurrentMediaTime() - recordingStartMediaTime - totalPausedDuration - ongoingPause
     }
 
     private func writeCameraFrame(_ cameraImage: CGImage) {
@@ -514,6 +1099,12 @@ final class ScreenCaptureCoordinator: NSObject {
         guard let cameraVideoInput, cameraVideoInput.isReadyForMoreMediaData,
               let adaptor = cameraPixelBufferAdaptor,
               let writer = cameraAssetWriter else {
+            if cameraAssetWriter != nil, !isPaused {
+                writerQueue.async { [weak self] in
+                    self?.cameraCounters.captured += 1
+                    self?.cameraCounters.dropped += 1
+                }
+            }
             return
         }
 
@@ -571,15 +1162,23 @@ final class ScreenCaptureCoordinator: NSObject {
             // Render to buffer
             self.ciContext.render(croppedImage, to: buffer, bounds: CGRect(origin: .zero, size: targetSize), colorSpace: self.rgbColorSpace)
 
+            guard !self.isPaused else {
+                return
+            }
+            self.cameraCounters.captured += 1
+
             // Get presentation time for camera (independent of main video)
             let now = CMTime(seconds: CACurrentMediaTime(), preferredTimescale: 600)
             let presentationTime: CMTime
 
             if let cameraFirstTime = self.cameraFirstFrameTime {
-                presentationTime = CMTimeSubtract(now, cameraFirstTime)
+                // Only pauses after the first camera frame shift the camera timeline
+                let pausedOffset = CMTime(seconds: self.totalPausedDuration - self.cameraPausedOffset, preferredTimescale: 600)
+                presentationTime = CMTimeSubtract(CMTimeSubtract(now, cameraFirstTime), pausedOffset)
             } else {
                 // First camera frame - initialize time
                 self.cameraFirstFrameTime = now
+                self.cameraPausedOffset = self.totalPausedDuration
                 presentationTime = CMTime.zero
             }
 
@@ -590,31 +1189,38 @@ final class ScreenCaptureCoordinator: NSObject {
             }
 
             guard writer.status == .writing else {
+                self.cameraCounters.dropped += 1
                 return
             }
 
-            if !adaptor.append(buffer, withPresentationTime: presentationTime) {
+            if adaptor.append(buffer, withPresentationTime: presentationTime) {
+                self.cameraCounters.written += 1
+            } else {
+                self.cameraCounters.dropped += 1
             }
         }
     }
 
     func configureCamera(deviceId: String?, width: Int = 640, height: Int = 640, format: CameraController.Format = .square) throws {
         if let deviceId {
-            if let controller = cameraController, controller.activeDeviceId == deviceId {
+            // A preview camera at another size is restarted for the recording
+            if let controller = cameraController, controller.isCapturing(deviceId: deviceId, width: width, height: height, format: format) {
                 return
             }
             cameraController?.stop()
             let controller = CameraController()
             try controller.start(deviceId: deviceId, targetWidth: width, targetHeight: height, format: format)
             controller.onFrame = { [weak self] image in
-                self?.latestCameraImage = image
+                self?.storePreviewFrame(camera: image)
                 self?.writeCameraFrame(image)
             }
             cameraController = controller
         } else {
             cameraController?.stop()
             cameraController = nil
+            previewLock.lock()
             latestCameraImage = nil
+            previewLock.unlock()
         }
     }
 
@@ -638,12 +1244,459 @@ final class ScreenCaptureCoordinator: NSObject {
         audioController?.stop()
         let controller = AudioCaptureController()
         controller.onSampleBuffer = { [weak self] buffer in
-            self?.appendAudioSampleBuffer(buffer)
+            self?.appendAudioSampleBuffer(buffer, to: .microphone)
         }
         try controller.start(deviceId: deviceId)
         audioController = controller
     }
 
+    // MARK: - Screenshots
+
+    func captureScreenshot(payload: ScreenshotPayload) async throws -> ScreenshotResponse {
+        let content = try await SCShareableContent.current
+        try Task.checkCancellation()
+        let target = try resolveCaptureTarget(
+            mode: payload.mode,
+            displayId: payload.displayId,
+            windowId: payload.windowId,
+            region: payload.region,
+            content: content,
+            excludedWindows: resolveExcludedWindows(from: content, id: payload.excludedWindowId, titles: payload.excludedWindowTitle),
+            systemAudio: nil
+        )
+
+        let configuration = SCStreamConfiguration()
+        configuration.pixelFormat = kCVPixelFormatType_32BGRA
+        configuration.scalesToFit = true
+        configuration.colorSpaceName = CGColorSpace.sRGB
+        configuration.showsCursor = payload.showCursor ?? true
+        target.apply(to: configuration)
+
+        // Read the pointer first so it matches the picture as closely as possible
+        let location = CGEvent(source: nil)?.location ?? .zero
+        let cursorKind = getCurrentCursorType()
+        let capturedAt = Date()
+        let image = try await captureImage(filter: target.filter, configuration: configuration)
+        try Task.checkCancellation()
+
+        let format = payload.resolvedFormat
+        guard let data = image.encoded(as: format, quality: min(max(payload.quality ?? 0.9, 0), 1)) else {
+            throw ScreenCaptureError.screenshotFailed
+        }
+
+        var outputPath: String?
+        if let path = payload.outputPath {
+            let url = URL(fileURLWithPath: path)
+            try FileManager.default.createDirectory(at: url.deletingLastPathComponent(), withIntermediateDirectories: true)
+            try data.write(to: url, options: .atomic)
+            outputPath = url.path
+        }
+
+        // Same transform as recorded mouse events
+        let width = Double(max(1, target.width))
+        let height = Double(max(1, target.height))
+        let x = Double(location.x - target.offset.x) * target.scale / width
+        let y = Double(location.y - target.offset.y) * target.scale / height
+
+        return ScreenshotResponse(
+            format: format,
+            outputPath: outputPath,
+            data: outputPath == nil ? data.base64EncodedString() : nil,
+            width: image.width,
+            height: image.height,
+            scaleFactor: target.scale,
+            offset: ScreenshotResponse.Point(x: Double(target.offset.x), y: Double(target.offset.y)),
+            cursor: ScreenshotResponse.Cursor(
+                x: max(0.0, min(1.0, x)),
+                y: max(0.0, min(1.0, y)),
+                inside: (0.0...1.0).contains(x) && (0.0...1.0).contains(y),
+                cursor: cursorKind.value
+            ),
+            capturedAt: ISO8601DateFormatter().string(from: capturedAt)
+        )
+    }
+
+    private func captureImage(filter: SCContentFilter, configuration: SCStreamConfiguration) async throws -> CGImage {
+        if #available(macOS 14.0, *) {
+            return try await SCScreenshotManager.captureImage(contentFilter: filter, configuration: configuration)
+        }
+
+        // macOS 13 has no screenshot API: run a stream until its first complete frame
+        let output = SingleFrameOutput(ciContext: ciContext)
+        let stream = SCStream(filter: filter, configuration: configuration, delegate: output)
+        try stream.addStreamOutput(output, type: .screen, sampleHandlerQueue: DispatchQueue(label: "skreen.record.screenshot.queue"))
+        try await stream.startCapture()
+        do {
+            let image = try await withTaskCancellationHandler {
+                try await output.firstFrame()
+            } onCancel: {
+                output.finish(.failure(CancellationError()))
+            }
+            try? await stream.stopCapture()
+            return image
+        } catch {
+            try? await stream.stopCapture()
+            throw error
+        }
+    }
+
+    // MARK: - Source watching
+
+    /// Start sending `sourcesChanged` events, checking every `interval` milliseconds and
+    /// whenever a camera or microphone is connected or disconnected. Returns the listing
+    /// later changes are relative to.
+    func watchSources(interval: Int) async throws -> SourceListingPayload {
+        let content = try await SCShareableContent.current
+        let listing = makeSourceListing(from: content, logging: false)
+        sourceWatchQueue.sync {
+            watchedSources = listing
+            sourceWatchInterval = Double(max(500, interval)) / 1000
+            updateSourceTimer()
+        }
+        return listing
+    }
+
+    func unwatchSources() {
+        sourceWatchQueue.sync {
+            watchedSources = nil
+            sourceWatchInterval = nil
+            updateSourceTimer()
+        }
+    }
+
+    /// Check every second that the session's display or window, camera and microphone are still there
+    private func startSessionSourceChecks(payload: StartSessionPayload, content: SCShareableContent, sessionId: String) {
+        var sources: [WatchedSource] = []
+        switch payload.mode {
+        case .display, .region:
+            // Regions are recorded from the first display
+            let displayId = payload.mode == .display ? payload.displayId : content.displays.first.map { String($0.displayID) }
+            if let displayId, let display = content.displays.first(where: { String($0.displayID) == displayId }) {
+                let name = ScreenCaptureCoordinator.displayAttributes(for: display.displayID).name
+                sources.append(WatchedSource(kind: .display, id: displayId, name: name))
+            }
+        case .window:
+            if let windowId = payload.windowId {
+                let window = content.windows.first(where: { "\($0.windowID)" == windowId })
+                sources.append(WatchedSource(kind: .window, id: windowId, name: window?.title))
+            }
+        }
+        if let cameraId = payload.cameraSourceId {
+            sources.append(WatchedSource(kind: .camera, id: cameraId, name: AVCaptureDevice(uniqueID: cameraId)?.localizedName))
+        }
+        if let microphoneId = payload.microphoneDeviceId {
+            sources.append(WatchedSource(kind: .microphone, id: microphoneId, name: AVCaptureDevice(uniqueID: microphoneId)?.localizedName))
+        }
+
+        sourceWatchQueue.sync {
+            sessionSources = (sessionId, sources)
+            updateSourceTimer()
+        }
+    }
+
+    private func stopSessionSourceChecks() {
+        sourceWatchQueue.sync {
+            sessionSources = nil
+            updateSourceTimer()
+        }
+    }
+
+    /// Run the check timer while watching or recording, at the shorter of the two intervals.
+    /// Called on sourceWatchQueue
+    private func updateSourceTimer() {
+        sourceTimer?.cancel()
+        sourceTimer = nil
+
+        var interval = sourceWatchInterval
+        if sessionSources != nil {
+            interval = min(interval ?? 1, 1)
+        }
+        guard let interval else {
+            sourceObservers.forEach { NotificationCenter.default.removeObserver($0) }
+            sourceObservers = []
+            return
+        }
+
+        let timer = DispatchSource.makeTimerSource(queue: sourceWatchQueue)
+        timer.schedule(deadline: .now() + interval, repeating: interval)
+        timer.setEventHandler { [weak self] in
+            self?.checkSources()
+        }
+        timer.resume()
+        sourceTimer = timer
+
+        // Device changes are reported right away instead of on the next tick
+        if sourceObservers.isEmpty {
+            let names = [
+                AVCaptureDevice.wasConnectedNotification,
+                AVCaptureDevice.wasDisconnectedNotification,
+                NSApplication.didChangeScreenParametersNotification
+            ]
+            sourceObservers = names.map { name in
+                NotificationCenter.default.addObserver(forName: name, object: nil, queue: nil) { [weak self] _ in
+                    self?.sourceWatchQueue.async {
+                        self?.checkSources()
+                    }
+                }
+            }
+        }
+    }
+
+    /// Called on sourceWatchQueue
+    private func checkSources() {
+        guard !isCheckingSources, watchedSources != nil || sessionSources != nil else { return }
+        isCheckingSources = true
+        Task { [weak self] in
+            guard let self else { return }
+            let content = try? await SCShareableContent.current
+            let listing = content.map { self.makeSourceListing(from: $0, logging: false) }
+            self.sourceWatchQueue.async {
+                self.isCheckingSources = false
+                guard let listing else { return }
+                if let previous = self.watchedSources {
+                    let changes = SourcesChangedEvent(previous: previous, current: listing)
+                    self.watchedSources = listing
+                    if !changes.isEmpty {
+                        self.onSourcesChanged?(changes)
+                    }
+                }
+                self.reportLostSources(in: listing)
+            }
+        }
+    }
+
+    /// Report each source of the session once when it goes away. Called on sourceWatchQueue
+    private func reportLostSources(in listing: SourceListingPayload) {
+        guard var session = sessionSources else { return }
+        for index in session.sources.indices where !session.sources[index].lost {
+            let source = session.sources[index]
+            let present: Bool
+            switch source.kind {
+            case .display:
+                present = listing.displays.contains { $0.id == source.id }
+            case .window:
+                present = listing.windows.contains { $0.id == source.id }
+            case .camera, .microphone:
+                // The listing leaves out cameras hidden by Continuity Camera, so ask the device
+                present = AVCaptureDevice(uniqueID: source.id)?.isConnected == true
+            }
+            guard !present else { continue }
+            session.sources[index].lost = true
+            onSourceLost?(SourceLostEvent(sessionId: session.sessionId, kind: source.kind, id: source.id, name: source.name))
+        }
+        sessionSources = session
+    }
+
+    // MARK: - Preview
+
+    /// Start sending `previewFrame` events. A target gets its own small stream for the
+    /// time no session runs; during a session the frames come from the recording.
+    /// Calling again replaces the source and the settings.
+    func startPreview(payload: StartPreviewPayload, settings: PreviewSettings) async throws {
+        await stopPreviewStream()
+
+        if let mode = payload.mode {
+            let content = try await SCShareableContent.current
+            try Task.checkCancellation()
+            let target = try resolveCaptureTarget(
+                mode: mode,
+                displayId: payload.displayId,
+                windowId: payload.windowId,
+                region: payload.region,
+                content: content,
+                excludedWindows: resolveExcludedWindows(from: content, id: payload.excludedWindowId, titles: payload.excludedWindowTitle),
+                systemAudio: nil
+            )
+
+            let configuration = SCStreamConfiguration()
+            configuration.pixelFormat = kCVPixelFormatType_32BGRA
+            configuration.scalesToFit = true
+            configuration.colorSpaceName = CGColorSpace.sRGB
+            configuration.showsCursor = payload.showCursor ?? true
+            configuration.minimumFrameInterval = CMTime(value: 1, timescale: CMTimeScale(settings.fps))
+            configuration.queueDepth = 3
+            target.apply(to: configuration)
+            // Scaled down by the stream, so frames arrive at preview size
+            let size = Self.previewSize(width: target.width, height: target.height, settings: settings)
+            configuration.width = size.width
+            configuration.height = size.height
+
+            let output = PreviewStreamOutput { [weak self] pixelBuffer in
+                self?.storePreviewFrame(screen: pixelBuffer, fromSession: false)
+            }
+            let stream = SCStream(filter: target.filter, configuration: configuration, delegate: output)
+            try stream.addStreamOutput(output, type: .screen, sampleHandlerQueue: previewQueue)
+            try await stream.startCapture()
+            previewStream = stream
+            previewStreamOutput = output
+        }
+
+        // A running session owns the camera; the preview gets it when the session ends
+        if currentSessionId == nil {
+            if payload.cameraSourceId != nil {
+                try startPreviewCamera(payload)
+            } else if previewCamera != nil {
+                try configureCamera(deviceId: nil)
+            }
+        }
+        previewCamera = payload.cameraSourceId == nil ? nil : payload
+
+        previewQueue.sync {
+            previewSettings = settings
+            sentScreenFrame = nil
+            sentCameraFrame = nil
+            startPreviewTimer(fps: settings.fps)
+        }
+    }
+
+    func stopPreview() async {
+        previewQueue.sync {
+            previewTimer?.cancel()
+            previewTimer = nil
+            previewSettings = nil
+        }
+        await stopPreviewStream()
+        if previewCamera != nil, currentSessionId == nil {
+            try? configureCamera(deviceId: nil)
+        }
+        previewCamera = nil
+    }
+
+    /// The latest frames, whether or not they changed since the last event
+    func getPreview(settings: PreviewSettings?) throws -> PreviewResponse {
+        try previewQueue.sync {
+            guard currentSessionId != nil || previewSettings != nil else {
+                throw ScreenCaptureError.previewNotRunning
+            }
+            return makePreviewFrame(settings: settings ?? previewSettings ?? PreviewSettings(), changedOnly: false)
+        }
+    }
+
+    private func stopPreviewStream() async {
+        if let previewStream {
+            try? await previewStream.stopCapture()
+        }
+        previewStream = nil
+        previewStreamOutput = nil
+        previewLock.lock()
+        latestPreviewBuffer = nil
+        previewLock.unlock()
+    }
+
+    private func startPreviewCamera(_ payload: StartPreviewPayload) throws {
+        guard let deviceId = payload.cameraSourceId else { return }
+        let format: CameraController.Format = payload.cameraFormat == .wide ? .wide : .square
+        try configureCamera(deviceId: deviceId, width: payload.cameraWidth ?? 640, height: payload.cameraHeight ?? 640, format: format)
+    }
+
+    /// Bring the preview's camera back once a session has released it
+    private func restorePreviewCamera() {
+        guard let previewCamera else { return }
+        do {
+            try startPreviewCamera(previewCamera)
+        } catch {
+            fputs("[Swift] Failed to restore the preview camera: \(error.localizedDescription)\n", stderr)
+        }
+    }
+
+    private func storePreviewFrame(screen pixelBuffer: CVPixelBuffer, fromSession: Bool) {
+        previewLock.lock()
+        if fromSession {
+            latestVideoBuffer = pixelBuffer
+        } else {
+            latestPreviewBuffer = pixelBuffer
+        }
+        screenFrameNumber += 1
+        previewLock.unlock()
+    }
+
+    private func storePreviewFrame(camera image: CGImage) {
+        previewLock.lock()
+        latestCameraImage = image
+        cameraFrameNumber += 1
+        previewLock.unlock()
+    }
+
+    /// Drop the frames of a session that ended, so the preview falls back to its own
+    private func clearSessionPreviewFrame() {
+        previewLock.lock()
+        latestVideoBuffer = nil
+        latestCameraImage = nil
+        previewLock.unlock()
+    }
+
+    // Called on previewQueue
+    private func startPreviewTimer(fps: Int) {
+        previewTimer?.cancel()
+        let interval = 1.0 / Double(fps)
+        let timer = DispatchSource.makeTimerSource(queue: previewQueue)
+        timer.schedule(deadline: .now() + interval, repeating: interval)
+        timer.setEventHandler { [weak self] in
+            guard let self, let settings = self.previewSettings else { return }
+            let frame = self.makePreviewFrame(settings: settings, changedOnly: true)
+            if frame.videoFrame != nil || frame.cameraFrame != nil {
+                self.onPreviewFrame?(frame)
+            }
+        }
+        timer.resume()
+        previewTimer = timer
+    }
+
+    /// Encode the latest frames; with `changedOnly`, frames already sent are left out.
+    /// Called on previewQueue
+    private func makePreviewFrame(settings: PreviewSettings, changedOnly: Bool) -> PreviewResponse {
+        previewLock.lock()
+        let sessionBuffer = latestVideoBuffer
+        let screen = sessionBuffer ?? latestPreviewBuffer
+        let screenNumber = screenFrameNumber
+        let camera = latestCameraImage
+        let cameraNumber = cameraFrameNumber
+        previewLock.unlock()
+
+        var frame = PreviewResponse(sessionId: sessionBuffer == nil ? nil : currentSessionId)
+        if let screen, !(changedOnly && sentScreenFrame == screenNumber),
+           let encoded = encodePreviewImage(CIImage(cvPixelBuffer: screen), settings: settings) {
+            frame.videoFrame = encoded.dataURL
+            frame.videoSize = encoded.size
+            if changedOnly {
+                sentScreenFrame = screenNumber
+            }
+        }
+        if let camera, !(changedOnly && sentCameraFrame == cameraNumber),
+           let encoded = encodePreviewImage(CIImage(cgImage: camera), settings: settings) {
+            frame.cameraFrame = encoded.dataURL
+            frame.cameraSize = encoded.size
+            if changedOnly {
+                sentCameraFrame = cameraNumber
+            }
+        }
+        return frame
+    }
+
+    private func encodePreviewImage(_ image: CIImage, settings: PreviewSettings) -> (dataURL: String, size: PreviewResponse.Size)? {
+        let extent = image.extent
+        let size = Self.previewSize(width: Int(extent.width), height: Int(extent.height), settings: settings)
+        let scaled = image.transformed(by: CGAffineTransform(
+            scaleX: CGFloat(size.width) / max(1, extent.width),
+            y: CGFloat(size.height) / max(1, extent.height)
+        ))
+        guard
+            let cgImage = ciContext.createCGImage(scaled, from: CGRect(x: 0, y: 0, width: size.width, height: size.height)),
+            let data = cgImage.encoded(as: settings.format, quality: settings.quality)
+        else { return nil }
+        return (
+            "data:\(settings.format.mimeType);base64,\(data.base64EncodedString())",
+            PreviewResponse.Size(width: size.width, height: size.height)
+        )
+    }
+
+    /// Largest size with the same aspect ratio inside the preview bounds; never scales up
+    private static func previewSize(width: Int, height: Int, settings: PreviewSettings) -> (width: Int, height: Int) {
+        let maxHeight = Double(settings.maxHeight ?? Int.max)
+        let scale = min(1, Double(settings.maxWidth) / Double(max(1, width)), maxHeight / Double(max(1, height)))
+        return (max(1, Int((Double(width) * scale).rounded())), max(1, Int((Double(height) * scale).rounded())))
+    }
+
     func checkPermissions() -> PermissionsResponse {
         // 1. Screen Recording (ScreenCaptureKit)
         let screenRecording = CGPreflightScreenCaptureAccess()
@@ -710,126 +1763,288 @@ final class ScreenCaptureCoordinator: NSObject {
         switch outputType {
         case .screen:
             handleVideoSampleBuffer(sampleBuffer)
-        case .audio, .microphone:
-            appendAudioSampleBuffer(sampleBuffer)
+        case .audio:
+            appendAudioSampleBuffer(sampleBuffer, to: .system)
+        case .microphone:
+            appendAudioSampleBuffer(sampleBuffer, to: .microphone)
         @unknown default:
             break
         }
     }
 
     private func resolveOutputURL(for payload: StartSessionPayload) throws -> URL {
+        let fileExtension = (payload.encoder?.screen?.container ?? .mp4).rawValue
         if let outputPath = payload.outputPath {
             // Create project directory
             let projectDir = URL(fileURLWithPath: outputPath)
             try FileManager.default.createDirectory(at: projectDir, withIntermediateDirectories: true)
             // Save reference to project directory
             self.projectDirURL = projectDir
-            // Return path to screen.mp4 inside directory
-            return projectDir.appendingPathComponent("screen.mp4")
+            // Return path to screen.mp4 (or .mov) inside directory
+            return projectDir.appendingPathComponent("screen.\(fileExtension)")
         }
         let moviesURL = FileManager.default.urls(for: .moviesDirectory, in: .userDomainMask).first
         let folderURL = moviesURL?.appendingPathComponent("SkreenRecord", isDirectory: true)
 
         if let folderURL {
             try FileManager.default.createDirectory(at: folderURL, withIntermediateDirectories: true)
-            let filename = "Recording-\(ISO8601DateFormatter().string(from: Date())).mp4"
+            let filename = "Recording-\(ISO8601DateFormatter().string(from: Date())).\(fileExtension)"
             return folderURL.appendingPathComponent(filename)
         }
 
         let tempURL = FileManager.default.temporaryDirectory
-        let filename = "Recording-\(UUID().uuidString).mp4"
+        let filename = "Recording-\(UUID().uuidString).\(fileExtension)"
         return tempURL.appendingPathComponent(filename)
     }
 
-    private func resolveCameraOutputURL(basedOn baseURL: URL) throws -> URL {
-        // baseURL is screen.mp4, take parent directory and add camera.mp4
-        return baseURL.deletingLastPathComponent().appendingPathComponent("camera.mp4")
+    private func resolveCameraOutputURL(basedOn baseURL: URL, container: EncoderSettings.Container) throws -> URL {
+        // baseURL is screen.mp4, take parent directory and add camera.mp4 (or .mov)
+        return baseURL.deletingLastPathComponent().appendingPathComponent("camera.\(container.rawValue)")
+    }
+
+    private static func fileType(for container: EncoderSettings.Container?) -> AVFileType {
+        container == .mov ? .mov : .mp4
+    }
+
+    /// AVAssetWriterInput settings for a video track; defaults to H.264 High at `defaultBitrate`
+    private static func videoOutputSettings(_ settings: EncoderSettings.Video?, width: Int, height: Int, defaultBitrate: Int) throws -> [String: Any] {
+        let codec = settings?.codec ?? .h264
+        let container = settings?.container ?? .mp4
+        var outputSettings: [String: Any] = [
+            AVVideoWidthKey: width,
+            AVVideoHeightKey: height
+        ]
+
+        switch codec {
+        case .prores:
+            guard container == .mov else {
+                throw ScreenCaptureError.unsupportedEncoderSettings("ProRes needs the mov container")
+            }
+            guard settings?.bitrate == nil, settings?.quality == nil, settings?.keyframeInterval == nil else {
+                throw ScreenCaptureError.unsupportedEncoderSettings("ProRes does not take bitrate, quality or keyframeInterval")
+            }
+            let flavors: [String: AVVideoCodecType] = [
+                "proxy": .proRes422Proxy,
+                "lt": .proRes422LT,
+                "422": .proRes422,
+                "hq": .proRes422HQ,
+                "4444": .proRes4444
+            ]
+            guard let flavor = flavors[settings?.profile ?? "422"] else {
+                throw ScreenCaptureError.unsupportedEncoderSettings("unknown ProRes profile \(settings?.profile ?? "")")
+            }
+            outputSettings[AVVideoCodecKey] = flavor
+            return outputSettings
+
+        case .h264, .hevc:
+            let profiles: [String: String] = codec == .h264
+                ? [
+                    "baseline": AVVideoProfileLevelH264BaselineAutoLevel,
+                    "main": AVVideoProfileLevelH264MainAutoLevel,
+                    "high": AVVideoProfileLevelH264HighAutoLevel
+                ]
+                : [
+                    "main": kVTProfileLevel_HEVC_Main_AutoLevel as String,
+                    "main10": kVTProfileLevel_HEVC_Main10_AutoLevel as String
+                ]
+            let profileName = settings?.profile ?? (codec == .h264 ? "high" : "main")
+            guard let profile = profiles[profileName] else {
+                throw ScreenCaptureError.unsupportedEncoderSettings("unknown \(codec.rawValue) profile \(profileName)")
+            }
+            if settings?.bitrate != nil, settings?.quality != nil {
+                throw ScreenCaptureError.unsupportedEncoderSettings("bitrate and quality are mutually exclusive")
+            }
+
+            var compression: [String: Any] = [AVVideoProfileLevelKey: profile]
+            if let quality = settings?.quality {
+                compression[AVVideoQualityKey] = quality
+            } else {
+                compression[AVVideoAverageBitRateKey] = settings?.bitrate ?? defaultBitrate
+            }
+            if let keyframeInterval = settings?.keyframeInterval {
+                compression[AVVideoMaxKeyFrameIntervalDurationKey] = keyframeInterval
+            }
+
+            outputSettings[AVVideoCodecKey] = codec == .h264 ? AVVideoCodecType.h264 : AVVideoCodecType.hevc
+            outputSettings[AVVideoCompressionPropertiesKey] = compression
+            return outputSettings
+        }
+    }
+
+    /// AVAssetWriterInput settings for an audio track; defaults to AAC 48 kHz at 256 kbps
+    private static func audioOutputSettings(_ settings: EncoderSettings.Audio?, container: EncoderSettings.Container, channels: Int) throws -> [String: Any] {
+        let sampleRate = settings?.sampleRate ?? 48000
+
+        switch settings?.codec ?? .aac {
+        case .aac:
+            return [
+                AVFormatIDKey: kAudioFormatMPEG4AAC,
+                AVSampleRateKey: sampleRate,
+                AVNumberOfChannelsKey: channels,
+                AVEncoderBitRateKey: settings?.bitrate ?? 128000 * channels
+            ]
+        case .alac:
+            return [
+                AVFormatIDKey: kAudioFormatAppleLossless,
+                AVSampleRateKey: sampleRate,
+                AVNumberOfChannelsKey: channels,
+                AVEncoderBitDepthHintKey: 16
+            ]
+        case .pcm:
+            guard container == .mov else {
+                throw ScreenCaptureError.unsupportedEncoderSettings("PCM audio needs the mov container")
+            }
+            return [
+                AVFormatIDKey: kAudioFormatLinearPCM,
+                AVSampleRateKey: sampleRate,
+                AVNumberOfChannelsKey: channels,
+                AVLinearPCMBitDepthKey: 16,
+                AVLinearPCMIsFloatKey: false,
+                AVLinearPCMIsBigEndianKey: false,
+                AVLinearPCMIsNonInterleaved: false
+            ]
+        }
     }
 
     private func makeContentFilter(for payload: StartSessionPayload, content: SCShareableContent, configuration: SCStreamConfiguration) throws -> SCContentFilter {
-        switch payload.mode {
+        let target = try resolveCaptureTarget(
+            mode: payload.mode,
+            displayId: payload.displayId,
+            windowId: payload.windowId,
+            region: payload.region,
+            content: content,
+            excludedWindows: resolveExcludedWindows(from: content, id: excludedWindowId, titles: excludedWindowTitle),
+            systemAudio: payload.systemAudio
+        )
+
+        // Save parameters for cursor coordinate transformation
+        captureMode = payload.mode.rawValue
+        displayScaleFactor = CGFloat(target.scale)
+        captureOffset = target.offset
+        fputs("[Swift] \(captureMode) mode: displayScaleFactor = \(displayScaleFactor)\n", stderr)
+
+        target.apply(to: configuration)
+        captureSize = CGSize(
+            width: max(1.0, CGFloat(configuration.width)),
+            height: max(1.0, CGFloat(configuration.height))
+        )
+        return target.filter
+    }
+
+    /// What a capture mode points at. Leaves the session's cursor transform alone,
+    /// so screenshots can resolve targets while a recording runs
+    private func resolveCaptureTarget(
+        mode: StartSessionPayload.Mode,
+        displayId: String?,
+        windowId: String?,
+        region: StartSessionPayload.Region?,
+        content: SCShareableContent,
+        excludedWindows: [SCWindow],
+        systemAudio: StartSessionPayload.SystemAudio?
+    ) throws -> CaptureTarget {
+        switch mode {
         case .display:
             guard
-                let displayId = payload.displayId,
-            let display = content.displays.first(where: { String($0.displayID) == displayId })
+                let displayId,
+                let display = content.displays.first(where: { String($0.displayID) == displayId })
             else {
                 throw ScreenCaptureError.displayNotFound
             }
-
-            let excludedWindows = resolveExcludedWindows(from: content)
-            let attributes = ScreenCaptureCoordinator.displayAttributes(for: display.displayID)
-
-            // Save parameters for cursor coordinate transformation
-            captureMode = "display"
-            displayScaleFactor = CGFloat(attributes.scale)
-            captureOffset = display.frame.origin  // Display offset on screen
-
-            fputs("[Swift] Display mode: displayScaleFactor = \(displayScaleFactor)\n", stderr)
-
-            configuration.width = Int(display.frame.width * attributes.scale)
-            configuration.height = Int(display.frame.height * attributes.scale)
-            captureSize = CGSize(
-                width: max(1.0, CGFloat(configuration.width)),
-                height: max(1.0, CGFloat(configuration.height))
+            let scale = ScreenCaptureCoordinator.displayAttributes(for: display.displayID).scale
+            return CaptureTarget(
+                filter: try makeDisplayFilter(display: display, content: content, excludedWindows: excludedWindows, systemAudio: systemAudio),
+                width: Int(display.frame.width * scale),
+                height: Int(display.frame.height * scale),
+                scale: scale,
+                offset: display.frame.origin,  // Display offset on screen
+                sourceRect: nil
             )
-            return SCContentFilter(display: display, excludingWindows: excludedWindows)
 
         case .window:
             guard
-                let windowIdString = payload.windowId,
+                let windowIdString = windowId,
                 let windowId = UInt32(windowIdString),
                 let window = content.windows.first(where: { $0.windowID == windowId })
             else {
                 throw ScreenCaptureError.windowNotFound
             }
             let scale = ScreenCaptureCoordinator.scale(for: window, content: content)
-
-            // Save parameters for cursor coordinate transformation
-            captureMode = "window"
-            displayScaleFactor = CGFloat(scale)
-            captureOffset = window.frame.origin  // Window offset on screen
-
-            configuration.width = Int(window.frame.width * scale)
-            configuration.height = Int(window.frame.height * scale)
-            captureSize = CGSize(
-                width: max(1.0, CGFloat(configuration.width)),
-                height: max(1.0, CGFloat(configuration.height))
+            return CaptureTarget(
+                filter: SCContentFilter(desktopIndependentWindow: window),
+                width: Int(window.frame.width * scale),
+                height: Int(window.frame.height * scale),
+                scale: scale,
+                offset: window.frame.origin,  // Window offset on screen
+                sourceRect: nil
             )
-            return SCContentFilter(desktopIndependentWindow: window)
 
         case .region:
-            guard let region = payload.region else {
+            guard let region else {
                 throw ScreenCaptureError.invalidRegion
             }
             let rect = CGRect(x: region.x, y: region.y, width: region.width, height: region.height)
             let display = content.displays.first ?? {
                 fatalError("No displays available")
             }()
-            let excludedWindows = resolveExcludedWindows(from: content)
-            let attributes = ScreenCaptureCoordinator.displayAttributes(for: display.displayID)
-
-            // Save parameters for cursor coordinate transformation
-            captureMode = "region"
-            displayScaleFactor = CGFloat(attributes.scale)
-            captureOffset = rect.origin  // Region offset
-
-            configuration.sourceRect = rect
-            configuration.width = Int(rect.width * attributes.scale)
-            configuration.height = Int(rect.height * attributes.scale)
-            captureSize = CGSize(
-                width: max(1.0, CGFloat(configuration.width)),
-                height: max(1.0, CGFloat(configuration.height))
+            let scale = ScreenCaptureCoordinator.displayAttributes(for: display.displayID).scale
+            return CaptureTarget(
+                filter: try makeDisplayFilter(display: display, content: content, excludedWindows: excludedWindows, systemAudio: systemAudio),
+                width: Int(rect.width * scale),
+                height: Int(rect.height * scale),
+                scale: scale,
+                offset: rect.origin,  // Region offset
+                sourceRect: rect
             )
+        }
+    }
+
+    private func makeDisplayFilter(
+        display: SCDisplay,
+        content: SCShareableContent,
+        excludedWindows: [SCWindow],
+        systemAudio: StartSessionPayload.SystemAudio?
+    ) throws -> SCContentFilter {
+        let silencedApps = resolveSilencedApplications(from: content, systemAudio: systemAudio)
+        guard !silencedApps.isEmpty else {
             return SCContentFilter(display: display, excludingWindows: excludedWindows)
         }
+
+        // Excluding an app drops its audio and its windows; its windows stay in the
+        // picture unless excluded themselves. Other apps' windows cannot be excluded then
+        let silencedPids = Set(silencedApps.map(\.processID))
+        let excludedIds = Set(excludedWindows.map(\.windowID))
+        if excludedWindows.contains(where: { !silencedPids.contains($0.owningApplication?.processID ?? -1) }) {
+            throw ScreenCaptureError.windowExclusionConflict
+        }
+        let keptWindows = content.windows.filter { window in
+            guard let app = window.owningApplication else { return false }
+            return silencedPids.contains(app.processID) && !excludedIds.contains(window.windowID)
+        }
+        return SCContentFilter(display: display, excludingApplications: silencedApps, exceptingWindows: keptWindows)
     }
 
-    private func resolveExcludedWindows(from content: SCShareableContent) -> [SCWindow] {
+    /// The app whose audio is left out of system audio (the parent process unless the
+    /// client names one) and its helper processes, which extend its bundle identifier
+    private func resolveSilencedApplications(from content: SCShareableContent, systemAudio: StartSessionPayload.SystemAudio?) -> [SCRunningApplication] {
+        guard let systemAudio, systemAudio.enabled, systemAudio.excludeOwnAudio else {
+            return []
+        }
+        let pid = systemAudio.excludeProcessId ?? getppid()
+        guard let host = content.applications.first(where: { $0.processID == pid }) else {
+            return []
+        }
+        let helperPrefix = host.bundleIdentifier + "."
+        return content.applications.filter { app in
+            app.processID == pid || (!host.bundleIdentifier.isEmpty && app.bundleIdentifier.hasPrefix(helperPrefix))
+        }
+    }
+
+    private func resolveExcludedWindows(from content: SCShareableContent, id: UInt32?, titles: [String]?) -> [SCWindow] {
         content.windows.filter { window in
-            if let excludedWindowId, window.windowID == excludedWindowId {
+            if let id, window.windowID == id {
                 return true
             }
-            if isWindowExcludedByTitle(window.title) {
+            if isWindowExcluded(title: window.title, by: titles) {
                 return true
             }
             return false
@@ -837,21 +2052,16 @@ final class ScreenCaptureCoordinator: NSObject {
     }
 
     private func setupCameraAssetWriter(url: URL) throws {
-        cameraAssetWriter = try AVAssetWriter(outputURL: url, fileType: .mp4)
+        cameraAssetWriter = try AVAssetWriter(outputURL: url, fileType: Self.fileType(for: cameraEncoder?.container))
+        if let crashSafe {
+            cameraAssetWriter?.movieFragmentInterval = CMTime(seconds: crashSafe.fragmentInterval, preferredTimescale: 600)
+        }
 
         // Use configured camera dimensions
         let width = self.cameraWidth
         let height = self.cameraHeight
 
-        let videoSettings: [String: Any] = [
-            AVVideoCodecKey: AVVideoCodecType.h264,
-            AVVideoWidthKey: width,
-            AVVideoHeightKey: height,
-            AVVideoCompressionPropertiesKey: [
-                AVVideoAverageBitRateKey: 2_000_000,
-                AVVideoProfileLevelKey: AVVideoProfileLevelH264HighAutoLevel
-            ]
-        ]
+        let videoSettings = try Self.videoOutputSettings(cameraEncoder, width: width, height: height, defaultBitrate: 2_000_000)
         let videoInput = AVAssetWriterInput(mediaType: .video, outputSettings: videoSettings)
         videoInput.expectsMediaDataInRealTime = true
 
@@ -876,8 +2086,20 @@ final class ScreenCaptureCoordinator: NSObject {
 
     }
 
-    private func setupAssetWriter(url: URL, configuration: SCStreamConfiguration, captureAudio: Bool) throws {
-        assetWriter = try AVAssetWriter(outputURL: url, fileType: .mp4)
+    private func setupAssetWriter(
+        url: URL,
+        configuration: SCStreamConfiguration,
+        microphone: (deviceId: String, gain: Float)?,
+        systemAudio: StartSessionPayload.SystemAudio?,
+        encoder: EncoderSettings?
+    ) throws {
+        let container = encoder?.screen?.container ?? .mp4
+        let writer = try AVAssetWriter(outputURL: url, fileType: Self.fileType(for: container))
+        assetWriter = writer
+        if let crashSafe {
+            // Interrupted files stay playable up to the last complete fragment
+            writer.movieFragmentInterval = CMTime(seconds: crashSafe.fragmentInterval, preferredTimescale: 600)
+        }
 
         let targetWidth: Int
         let targetHeight: Int
@@ -889,15 +2111,11 @@ final class ScreenCaptureCoordinator: NSObject {
             targetHeight = 1080
         }
 
-        let videoSettings: [String: Any] = [
-            AVVideoCodecKey: AVVideoCodecType.h264,
-            AVVideoWidthKey: targetWidth,
-            AVVideoHeightKey: targetHeight,
-            AVVideoCompressionPropertiesKey: [
-                AVVideoAverageBitRateKey: 12_000_000,
-                AVVideoProfileLevelKey: AVVideoProfileLevelH264HighAutoLevel
-            ]
-        ]
+        let videoSettings = try Self.videoOutputSettings(encoder?.screen, width: targetWidth, height: targetHeight, defaultBitrate: 12_000_000)
+        // e.g. HEVC on a Mac without a hardware encoder for this size
+        guard writer.canApply(outputSettings: videoSettings, forMediaType: .video) else {
+            throw ScreenCaptureError.unsupportedEncoderSettings("this Mac cannot encode \((encoder?.screen?.codec ?? .h264).rawValue) at \(targetWidth)x\(targetHeight)")
+        }
         let videoInput = AVAssetWriterInput(mediaType: .video, outputSettings: videoSettings)
         videoInput.expectsMediaDataInRealTime = true
 
@@ -916,29 +2134,60 @@ final class ScreenCaptureCoordinator: NSObject {
             self.videoInput = videoInput
         }
 
-        if captureAudio {
-            let audioSettings: [String: Any] = [
-                AVFormatIDKey: kAudioFormatMPEG4AAC,
-                AVSampleRateKey: 48000,
-                AVNumberOfChannelsKey: 1,
-                AVEncoderBitRateKey: 256000
-            ]
-            let audioInput = AVAssetWriterInput(mediaType: .audio, outputSettings: audioSettings)
-            audioInput.expectsMediaDataInRealTime = true
-
-            if assetWriter?.canAdd(audioInput) == true {
-                assetWriter?.add(audioInput)
-                self.audioInput = audioInput
-            }
-        }
+        // One track per audio source, the microphone first as in recordings without system audio
+        var audioTracks: [AudioTrack] = []
+        let sampleRate = encoder?.audio?.sampleRate ?? 48000
+        if let microphone, let input = try addAudioInput(to: writer, channels: 1, gain: microphone.gain, encoder: encoder?.audio, container: container) {
+            audioInput = input
+            audioTracks.append(AudioTrack(
+                kind: .microphone,
+                file: url.lastPathComponent,
+                trackIndex: audioTracks.count,
+                deviceId: microphone.deviceId,
+                gain: Double(microphone.gain),
+                sampleRate: sampleRate,
+                channels: 1
+            ))
+        }
+        if let systemAudio, let input = try addAudioInput(to: writer, channels: 2, gain: systemAudio.gain, encoder: encoder?.audio, container: container) {
+            systemAudioInput = input
+            audioTracks.append(AudioTrack(
+                kind: .system,
+                file: url.lastPathComponent,
+                trackIndex: audioTracks.count,
+                deviceId: nil,
+                gain: Double(systemAudio.gain),
+                sampleRate: sampleRate,
+                channels: 2
+            ))
+        }
+        sessionAudioTracks = audioTracks
 
         assetWriter?.startWriting()
         // Session will be started with the first frame's timestamp in handleVideoSampleBuffer
         sessionStarted = false
         firstFrameTime = nil
+    }
 
-        if captureAudio {
-        }
+    private func addAudioInput(
+        to writer: AVAssetWriter,
+        channels: Int,
+        gain: Float,
+        encoder: EncoderSettings.Audio?,
+        container: EncoderSettings.Container
+    ) throws -> AVAssetWriterInput? {
+        let audioSettings = try Self.audioOutputSettings(encoder, container: container, channels: channels)
+        guard writer.canApply(outputSettings: audioSettings, forMediaType: .audio) else {
+            throw ScreenCaptureError.unsupportedEncoderSettings("\((encoder?.codec ?? .aac).rawValue) audio cannot be written with these settings")
+        }
+        let input = AVAssetWriterInput(mediaType: .audio, outputSettings: audioSettings)
+        input.expectsMediaDataInRealTime = true
+        // Gain is stored as the track volume, which players apply
+        input.preferredVolume = gain
+
+        guard writer.canAdd(input) else { return nil }
+        writer.add(input)
+        return input
     }
 
     private func handleVideoSampleBuffer(_ sampleBuffer: CMSampleBuffer) {
@@ -956,10 +2205,18 @@ final class ScreenCaptureCoordinator: NSObject {
             let finalImage: CIImage = baseImage
 
             ciContext.render(finalImage, to: pixelBuffer, bounds: finalImage.extent, colorSpace: rgbColorSpace)
-            latestVideoImage = ciContext.createCGImage(finalImage, from: finalImage.extent)
         }
+        storePreviewFrame(screen: pixelBuffer, fromSession: true)
 
-        guard let videoInput, videoInput.isReadyForMoreMediaData else {
+        guard let videoInput, !isPaused else {
+            return
+        }
+        guard videoInput.isReadyForMoreMediaData else {
+            // Encoder is behind; SCStream keeps delivering, so this frame is lost
+            writerQueue.async { [weak self] in
+                self?.screenCounters.captured += 1
+                self?.screenCounters.dropped += 1
+            }
             return
         }
 
@@ -970,6 +2227,7 @@ final class ScreenCaptureCoordinator: NSObject {
                 let writer = self.assetWriter
             else { return }
 
+            self.screenCounters.captured += 1
             let time = CMSampleBufferGetPresentationTimeStamp(sampleBuffer)
 
             // Start the session with the timestamp of the first frame
@@ -981,18 +2239,35 @@ final class ScreenCaptureCoordinator: NSObject {
                 self.recordingStartMediaTime = CACurrentMediaTime()
             }
 
-            guard writer.status == .writing else {
+            guard writer.status == .writing, !self.isPaused else {
+                self.screenCounters.dropped += 1
                 return
             }
 
-            if !adaptor.append(pixelBuffer, withPresentationTime: time) {
+            // Shift frames after a pause back by the paused time; frames captured
+            // just before pausing may arrive late and must not go backwards
+            let presentationTime = CMTimeSubtract(time, self.pausedTimeOffset())
+            if let last = self.lastVideoPresentationTime, CMTimeCompare(presentationTime, last) <= 0 {
+                self.screenCounters.dropped += 1
+                return
+            }
+            self.lastVideoPresentationTime = presentationTime
+
+            if adaptor.append(pixelBuffer, withPresentationTime: presentationTime) {
+                self.screenCounters.written += 1
+            } else {
+                self.screenCounters.dropped += 1
             }
         }
     }
 
-    private func appendAudioSampleBuffer(_ sampleBuffer: CMSampleBuffer) {
-        guard let audioInput, audioInput.isReadyForMoreMediaData else {
-            if audioInput == nil {
+    private func appendAudioSampleBuffer(_ sampleBuffer: CMSampleBuffer, to kind: AudioTrack.Kind) {
+        guard let input = kind == .system ? systemAudioInput : audioInput, !isPaused else {
+            return
+        }
+        guard input.isReadyForMoreMediaData else {
+            writerQueue.async { [weak self] in
+                self?.audioCounters[kind, default: AudioCounters()].buffersDropped += 1
             }
             return
         }
@@ -1013,14 +2288,57 @@ final class ScreenCaptureCoordinator: NSObject {
                 self.recordingStartMediaTime = CACurrentMediaTime()
             }
 
-            guard writer.status == .writing else {
+            guard writer.status == .writing, !self.isPaused else {
+                return
+            }
+
+            let offset = self.pausedTimeOffset()
+            let presentationTime = CMTimeSubtract(time, offset)
+            if let last = self.lastAudioPresentationTimes[kind], CMTimeCompare(presentationTime, last) <= 0 {
+                return
+            }
+            guard let buffer = offset == .zero ? sampleBuffer : Self.retime(sampleBuffer, by: offset) else {
                 return
             }
+            self.lastAudioPresentationTimes[kind] = presentationTime
 
-            if !audioInput.append(sampleBuffer) {
+            if input.append(buffer) {
+                self.audioCounters[kind, default: AudioCounters()].samples += Int64(CMSampleBufferGetNumSamples(buffer))
+            } else {
+                self.audioCounters[kind, default: AudioCounters()].buffersDropped += 1
             }
         }
     }
+
+    /// Total paused time as a CMTime, subtracted from capture timestamps (call on writerQueue)
+    private func pausedTimeOffset() -> CMTime {
+        totalPausedDuration > 0 ? CMTime(seconds: totalPausedDuration, preferredTimescale: 1_000_000_000) : .zero
+    }
+
+    /// Copy of an audio sample buffer with all timestamps shifted back by `offset`
+    private static func retime(_ sampleBuffer: CMSampleBuffer, by offset: CMTime) -> CMSampleBuffer? {
+        var count: CMItemCount = 0
+        CMSampleBufferGetSampleTimingInfoArray(sampleBuffer, entryCount: 0, arrayToFill: nil, entriesNeededOut: &count)
+        var timing = [CMSampleTimingInfo](repeating: CMSampleTimingInfo(), count: count)
+        CMSampleBufferGetSampleTimingInfoArray(sampleBuffer, entryCount: count, arrayToFill: &timing, entriesNeededOut: &count)
+
+        for index in timing.indices {
+            timing[index].presentationTimeStamp = CMTimeSubtract(timing[index].presentationTimeStamp, offset)
+            if timing[index].decodeTimeStamp.isValid {
+                timing[index].decodeTimeStamp = CMTimeSubtract(timing[index].decodeTimeStamp, offset)
+            }
+        }
+
+        var retimed: CMSampleBuffer?
+        CMSampleBufferCreateCopyWithNewTiming(
+            allocator: kCFAllocatorDefault,
+            sampleBuffer: sampleBuffer,
+            sampleTimingEntryCount: count,
+            sampleTimingArray: &timing,
+            sampleBufferOut: &retimed
+        )
+        return retimed
+    }
 }
 
 extension ScreenCaptureCoordinator {
@@ -1066,14 +2384,20 @@ extension ScreenCaptureCoordinator {
 }
 
 extension ScreenCaptureCoordinator {
-    enum ScreenCaptureError: LocalizedError {
+    enum ScreenCaptureError: LocalizedError, CodedError {
         case shareableContentUnavailable
         case sessionAlreadyRunning
         case sessionNotRunning
+        case sessionAlreadyPaused
+        case sessionNotPaused
         case displayNotFound
         case windowNotFound
         case invalidRegion
         case outputUnavailable
+        case unsupportedEncoderSettings(String)
+        case screenshotFailed
+        case previewNotRunning
+        case windowExclusionConflict
 
         var errorDescription: String? {
             switch self {
@@ -1083,6 +2407,10 @@ extension ScreenCaptureCoordinator {
                 return "Session already running."
             case .sessionNotRunning:
                 return "Session not running."
+            case .sessionAlreadyPaused:
+                return "Session already paused."
+            case .sessionNotPaused:
+                return "Session not paused."
             case .displayNotFound:
                 return "Display not found."
             case .windowNotFound:
@@ -1091,6 +2419,45 @@ extension ScreenCaptureCoordinator {
                 return "Invalid capture region."
             case .outputUnavailable:
                 return "No recording file."
+            case .unsupportedEncoderSettings(let reason):
+                return "Unsupported encoder settings: \(reason)."
+            case .screenshotFailed:
+                return "Failed to encode the screenshot."
+            case .previewNotRunning:
+                return "Neither a preview nor a session is running."
+            case .windowExclusionConflict:
+                return "Windows of other apps cannot be excluded while excluding own audio."
+            }
+        }
+
+        var code: String {
+            switch self {
+            case .shareableContentUnavailable:
+                return "SHAREABLE_CONTENT_UNAVAILABLE"
+            case .sessionAlreadyRunning:
+                return "SESSION_ALREADY_RUNNING"
+            case .sessionNotRunning:
+                return "SESSION_NOT_RUNNING"
+            case .sessionAlreadyPaused:
+                return "SESSION_ALREADY_PAUSED"
+            case .sessionNotPaused:
+                return "SESSION_NOT_PAUSED"
+            case .displayNotFound:
+                return "DISPLAY_NOT_FOUND"
+            case .windowNotFound:
+                return "WINDOW_NOT_FOUND"
+            case .invalidRegion:
+                return "INVALID_REGION"
+            case .outputUnavailable:
+                return "OUTPUT_UNAVAILABLE"
+            case .unsupportedEncoderSettings:
+                return "UNSUPPORTED_ENCODER_SETTINGS"
+            case .screenshotFailed:
+                return "SCREENSHOT_FAILED"
+            case .previewNotRunning:
+                return "PREVIEW_NOT_RUNNING"
+            case .windowExclusionConflict:
+                return "WINDOW_EXCLUSION_CONFLICT"
             }
         }
     }
@@ -1164,6 +2531,8 @@ extension ScreenCaptureCoordinator {
     }
 
     private func pollCursorPosition() {
+        guard !isPaused else { return }
+
         // Get current cursor position
         let location = CGEvent(source: nil)?.location ?? .zero
 
@@ -1188,7 +2557,7 @@ extension ScreenCaptureCoordinator {
             // Video hasn't started yet - don't record
             return
         }
-        let t = CACurrentMediaTime() - recordingStartMediaTime
+        let t = CACurrentMediaTime() - recordingStartMediaTime - totalPausedDuration
 
         // Get cursor type
         let cursor = getCurrentCursorType()
@@ -1568,13 +2937,80 @@ extension ScreenCaptureCoordinator {
 
     private func recordMouseEvent(_ event: [String: Any]) {
         mouseEventsQueue.async { [weak self] in
-            self?.mouseEvents.append(event)
+            guard let self else { return }
+            self.mouseEvents.append(event)
+            self.queueLiveEvent(event)
+        }
+    }
+
+    /// Add an event to the next live batch. Moves are throttled to the latest
+    /// sample per batch; button and wheel events are always kept. Runs on mouseEventsQueue.
+    private func queueLiveEvent(_ event: [String: Any]) {
+        guard let liveEvents, liveEvents.enabled else { return }
+
+        if event["type"] as? String == "move" {
+            guard liveEvents.moves else { return }
+            if let last = liveEventBatch.last, last["type"] as? String == "move" {
+                liveEventBatch[liveEventBatch.count - 1] = event
+                return
+            }
+        }
+        liveEventBatch.append(event)
+    }
+
+    private func startLiveEvents(_ options: StartSessionPayload.LiveEvents?, sessionId: String) {
+        mouseEventsQueue.sync {
+            liveEvents = options
+            liveEventBatch.removeAll()
+        }
+        guard let options, options.enabled else { return }
+
+        let timer = DispatchSource.makeTimerSource(queue: mouseEventsQueue)
+        timer.schedule(deadline: .now() + .milliseconds(options.interval), repeating: .milliseconds(options.interval))
+        timer.setEventHandler { [weak self] in
+            self?.flushLiveEvents(sessionId: sessionId)
+        }
+        timer.resume()
+        liveEventTimer = timer
+    }
+
+    /// Runs on mouseEventsQueue
+    private func flushLiveEvents(sessionId: String) {
+        guard !liveEventBatch.isEmpty else { return }
+        let batch = liveEventBatch
+        liveEventBatch.removeAll()
+        onMouseEvents?(sessionId, batch)
+    }
+
+    /// Stop streaming; with a session id, events recorded since the last batch are still sent
+    private func stopLiveEvents(flushingFor sessionId: String?) {
+        liveEventTimer?.cancel()
+        liveEventTimer = nil
+        mouseEventsQueue.sync {
+            if let sessionId {
+                flushLiveEvents(sessionId: sessionId)
+            }
+            liveEvents = nil
+            liveEventBatch.removeAll()
         }
     }
 
     private func resetMouseEventsStorage() {
         mouseEventsQueue.sync {
             mouseEvents.removeAll(keepingCapacity: false)
+            keyboardEvents.removeAll(keepingCapacity: false)
+        }
+    }
+
+    private func recordKeyboardEvent(_ event: [String: Any]) {
+        mouseEventsQueue.async { [weak self] in
+            self?.keyboardEvents.append(event)
+        }
+    }
+
+    private func snapshotKeyboardEvents() -> [[String: Any]] {
+        mouseEventsQueue.sync {
+            keyboardEvents
         }
     }
 
@@ -1602,8 +3038,8 @@ extension ScreenCaptureCoordinator {
         let normalizedY = max(0.0, min(1.0, Double(scaledY / height)))
 
         // Calculate timestamp using CGEvent host-time for tighter sync with video frames
-        guard recordingStartMediaTime > 0 else {
-            // Video hasn't started yet - don't record cursor events
+        guard recordingStartMediaTime > 0, !isPaused else {
+            // Video hasn't started yet or is paused - don't record cursor events
             return
         }
         let currentMediaTime = CACurrentMediaTime()
@@ -1618,7 +3054,7 @@ extension ScreenCaptureCoordinator {
             return
         }
 
-        let t = eventTimeSeconds - eventStart
+        let t = eventTimeSeconds - eventStart - totalPausedDuration
 
         // Get cursor type
         let cursor = getCurrentCursorType()
@@ -1708,27 +3144,76 @@ extension ScreenCaptureCoordinator {
             ])
 
         case .keyDown:
-            // Get pressed key (track but don't save)
-            if let nsEvent = NSEvent(cgEvent: event),
-               let characters = nsEvent.characters {
-                keyboardEvents.append([
-                    "key": characters,
-                    "keyCode": nsEvent.keyCode
-                ])
-            }
+            handleKeyDown(event, t: t)
 
         default:
             break
         }
     }
 
+    // MARK: - Keyboard Events
+
+    private static let specialKeyNames: [Int64: String] = [
+        36: "↩", 48: "⇥", 49: "Space", 51: "⌫", 53: "⎋", 117: "⌦",
+        123: "←", 124: "→", 125: "↓", 126: "↑",
+        115: "↖", 119: "↘", 116: "⇞", 121: "⇟",
+        122: "F1", 120: "F2", 99: "F3", 118: "F4", 96: "F5", 97: "F6",
+        98: "F7", 100: "F8", 101: "F9", 109: "F10", 103: "F11", 111: "F12"
+    ]
+
+    private func handleKeyDown(_ event: CGEvent, t: Double) {
+        guard keyboardCapture != .off else { return }
+
+        let flags = event.flags
+        var modifiers: [String] = []
+        var symbols = ""
+        if flags.contains(.maskControl) { modifiers.append("control"); symbols += "⌃" }
+        if flags.contains(.maskAlternate) { modifiers.append("option"); symbols += "⌥" }
+        if flags.contains(.maskShift) { modifiers.append("shift"); symbols += "⇧" }
+        if flags.contains(.maskCommand) { modifiers.append("command"); symbols += "⌘" }
+        let isShortcut = modifiers.contains { $0 != "shift" }
+
+        var entry: [String: Any] = ["type": "key", "t": t]
+
+        switch keyboardCapture {
+        case .off:
+            return
+        case .timing:
+            recordKeyboardEvent(entry)
+            return
+        case .shortcuts:
+            guard isShortcut else { return }
+        case .full:
+            break
+        }
+
+        let keyCode = event.getIntegerValueField(.keyboardEventKeycode)
+        let nsEvent = NSEvent(cgEvent: event)
+        // Base key without Shift/Option applied, so ⌘⇧4 reads "4" rather than "$"
+        let key = ScreenCaptureCoordinator.specialKeyNames[keyCode]
+            ?? nsEvent?.characters(byApplyingModifiers: [])?.uppercased()
+            ?? ""
+
+        entry["key"] = key
+        entry["modifiers"] = modifiers
+        if isShortcut {
+            entry["combo"] = symbols + key
+        }
+        if keyboardCapture == .full {
+            entry["keyCode"] = Int(keyCode)
+            entry["characters"] = nsEvent?.characters ?? ""
+        }
+
+        recordKeyboardEvent(entry)
+    }
+
     // MARK: - Recording Metadata Helpers
 
     private func calculateRecordingDuration() -> Double {
         guard let startTime = sessionStartTime else {
             return 0.0
         }
-        return CFAbsoluteTimeGetCurrent() - startTime
+        return CFAbsoluteTimeGetCurrent() - startTime - totalPausedDuration
     }
 
     private func convertEventsToJSON(_ events: [[String: Any]]) throws -> [JSONValue] {
@@ -1738,6 +3223,76 @@ extension ScreenCaptureCoordinator {
     }
 }
 
+/// Hands out the first complete frame of a stream, for screenshots on macOS 13
+private final class SingleFrameOutput: NSObject, SCStreamOutput, SCStreamDelegate {
+    private let ciContext: CIContext
+    private let lock = NSLock()
+    private var result: Result<CGImage, Error>?
+    private var continuation: CheckedContinuation<CGImage, Error>?
+
+    init(ciContext: CIContext) {
+        self.ciContext = ciContext
+    }
+
+    func firstFrame() async throws -> CGImage {
+        try await withCheckedThrowingContinuation { continuation in
+            lock.lock()
+            if let result {
+                lock.unlock()
+                continuation.resume(with: result)
+                return
+            }
+            self.continuation = continuation
+            lock.unlock()
+        }
+    }
+
+    func finish(_ result: Result<CGImage, Error>) {
+        lock.lock()
+        guard self.result == nil else {
+            lock.unlock()
+            return
+        }
+        self.result = result
+        let continuation = self.continuation
+        self.continuation = nil
+        lock.unlock()
+        continuation?.resume(with: result)
+    }
+
+    func stream(_ stream: SCStream, didOutputSampleBuffer sampleBuffer: CMSampleBuffer, of type: SCStreamOutputType) {
+        guard type == .screen, let pixelBuffer = sampleBuffer.completeFrame else { return }
+
+        if let image = ciContext.createCGImage(from: pixelBuffer) {
+            finish(.success(image))
+        } else {
+            finish(.failure(ScreenCaptureCoordinator.ScreenCaptureError.screenshotFailed))
+        }
+    }
+
+    func stream(_ stream: SCStream, didStopWithError error: Error) {
+        finish(.failure(error))
+    }
+}
+
+/// Hands the complete frames of the preview stream to a closure
+private final class PreviewStreamOutput: NSObject, SCStreamOutput, SCStreamDelegate {
+    private let onFrame: (CVPixelBuffer) -> Void
+
+    init(onFrame: @escaping (CVPixelBuffer) -> Void) {
+        self.onFrame = onFrame
+    }
+
+    func stream(_ stream: SCStream, didOutputSampleBuffer sampleBuffer: CMSampleBuffer, of type: SCStreamOutputType) {
+        guard type == .screen, let pixelBuffer = sampleBuffer.completeFrame else { return }
+        onFrame(pixelBuffer)
+    }
+
+    func stream(_ stream: SCStream, didStopWithError error: Error) {
+        fputs("[Swift] Preview stream stopped: \(error.localizedDescription)\n", stderr)
+    }
+}
+
 final class StreamSampleHandler: NSObject, SCStreamOutput, SCStreamDelegate {
     weak var coordinator: ScreenCaptureCoordinator?
     private var isValid = true
@@ -1767,13 +3322,26 @@ private extension CIContext {
     }
 }
 
+private extension CMSampleBuffer {
+    /// The image of a complete frame; idle and blank frames carry none
+    var completeFrame: CVPixelBuffer? {
+        guard
+            let attachments = CMSampleBufferGetSampleAttachmentsArray(self, createIfNecessary: false) as? [[SCStreamFrameInfo: Any]],
+            let rawStatus = attachments.first?[.status] as? Int,
+            SCFrameStatus(rawValue: rawStatus) == .complete
+        else { return nil }
+        return imageBuffer
+    }
+}
+
 private extension CGImage {
-    func pngBase64(ciContext: CIContext) -> String? {
-        // Using JPEG instead of PNG for much faster encoding (3-5x speedup)
-        // Quality of 0.6 provides good balance between speed and visual quality
-        guard let data = NSBitmapImageRep(cgImage: self).representation(using: .jpeg, properties: [.compressionFactor: 0.6]) else {
-            return nil
+    func encoded(as format: ImageFormat, quality: Double) -> Data? {
+        let representation = NSBitmapImageRep(cgImage: self)
+        switch format {
+        case .png:
+            return representation.representation(using: .png, properties: [:])
+        case .jpeg:
+            return representation.representation(using: .jpeg, properties: [.compressionFactor: quality])
         }
-        return "data:image/jpeg;base64,\(data.base64EncodedString())"
     }
 }
@@ -0,0 +1,66 @@
+import { InvalidParamsError } from './errors';
+import type { SessionPreset, StartSessionParams } from './types';
+
+/**
+ * Presets available to every client, by name
+ */
+export const BUILTIN_PRESETS: Readonly<Record<string, SessionPreset>> = {
+  // Small files that still show every click and shortcut
+  'bug-report': {
+    frameRate: 30,
+    keyboard: 'shortcuts',
+    encoder: {
+      screen: { codec: 'h264', bitrate: 4_000_000, keyframeInterval: 2 }
+    }
+  },
+  // Smooth motion for tutorials; the bitrate suits a 1080p display, the capture keeps the display's native size
+  'tutorial-60fps': {
+    frameRate: 60,
+    keyboard: 'shortcuts',
+    encoder: {
+      screen: { codec: 'h264', profile: 'high', bitrate: 16_000_000, keyframeInterval: 2 },
+      audio: { codec: 'aac', sampleRate: 48000, bitrate: 192_000 }
+    }
+  },
+  'webcam-square': {
+    cameraFormat: 'square',
+    cameraWidth: 1080,
+    cameraHeight: 1080,
+    encoder: {
+      camera: { codec: 'h264', bitrate: 6_000_000 }
+    }
+  },
+  // Intermediate files for editing: visually lossless ProRes and uncompressed audio
+  'prores-4444': {
+    encoder: {
+      screen: { codec: 'prores', profile: '4444', container: 'mov' },
+      camera: { codec: 'prores', profile: 'hq', container: 'mov' },
+      audio: { codec: 'pcm', sampleRate: 48000 }
+    }
+  }
+};
+
+/**
+ * Merge the preset named by `params.preset` into the params. Params win over
+ * the preset; encoder settings are merged per track, so a track given in the
+ * params replaces the preset's settings for that track.
+ */
+export function applyPreset(
+  params: StartSessionParams,
+  presets: Record<string, SessionPreset> = BUILTIN_PRESETS
+): StartSessionParams {
+  const { preset: name, ...rest } = params;
+  if (name === undefined) return params;
+
+  const preset = Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : undefined;
+  if (!preset) {
+    const problem = { path: 'preset', message: `must be one of ${Object.keys(presets).join(', ')}, got ${name}` };
+    throw new InvalidParamsError('INVALID_PARAMS', `Unknown preset: ${name}`, { command: 'startSession' }, [problem]);
+  }
+
+  const merged: StartSessionParams = { ...preset, ...rest };
+  if (preset.encoder && rest.encoder) {
+    merged.encoder = { ...preset.encoder, ...rest.encoder };
+  }
+  return merged;
+}
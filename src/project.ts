@@ -0,0 +1,191 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { ProjectError } from './errors';
+import type {
+  AudioTrack,
+  PausedInterval,
+  ProjectAudioTrack,
+  ProjectManifest,
+  ProjectTrack,
+  RecordingProject,
+  RecordingSource
+} from './types';
+
+/**
+ * Newest project.json version this library reads
+ */
+export const PROJECT_MANIFEST_VERSION = 1;
+
+const MANIFEST_FILE = 'project.json';
+const PARTIAL_MANIFEST_FILE = 'project.partial.json';
+const MODES = ['display', 'window', 'region'];
+const CONTAINERS = ['mp4', 'mov'];
+const AUDIO_KINDS = ['microphone', 'system'];
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+async function fileSize(file: string): Promise<number | null> {
+  try {
+    const stat = await fs.promises.stat(file);
+    return stat.isFile() ? stat.size : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Open a recording folder (or a `*.project.json` of a recording saved without
+ * `outputPath`), check that the files it references exist and return its metadata
+ */
+export async function loadProject(location: string): Promise<RecordingProject> {
+  const target = path.resolve(location);
+  let stat: fs.Stats;
+  try {
+    stat = await fs.promises.stat(target);
+  } catch {
+    throw new ProjectError('PROJECT_NOT_FOUND', `No recording at ${target}`, target);
+  }
+
+  if (!stat.isDirectory()) {
+    return readManifest(target);
+  }
+  const manifestPath = path.join(target, MANIFEST_FILE);
+  if ((await fileSize(manifestPath)) !== null) {
+    return readManifest(manifestPath);
+  }
+  if ((await fileSize(path.join(target, PARTIAL_MANIFEST_FILE))) !== null) {
+    throw new ProjectError('INVALID_PROJECT', `Recording in ${target} was interrupted, run recoverSession() on it first`, target);
+  }
+  return scanFolder(target);
+}
+
+async function readManifest(manifestPath: string): Promise<RecordingProject> {
+  const dir = path.dirname(manifestPath);
+  const invalid = (detail: string) =>
+    new ProjectError('INVALID_PROJECT', `Invalid project ${manifestPath}: ${detail}`, manifestPath);
+
+  let manifest: ProjectManifest;
+  try {
+    manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+  } catch (err) {
+    throw invalid(err instanceof Error ? err.message : String(err));
+  }
+  if (!isObject(manifest) || !Number.isInteger(manifest.version) || manifest.version < 1) {
+    throw invalid('missing version');
+  }
+  if (manifest.version > PROJECT_MANIFEST_VERSION) {
+    throw new ProjectError(
+      'UNSUPPORTED_PROJECT_VERSION',
+      `Project ${manifestPath} has version ${manifest.version}, this version of SkreenmeCaptureKIT reads up to ${PROJECT_MANIFEST_VERSION}`,
+      manifestPath
+    );
+  }
+
+  const { capture, tracks, events } = manifest;
+  if (typeof manifest.sessionId !== 'string' || typeof manifest.createdAt !== 'string' || !isNumber(manifest.duration)) {
+    throw invalid('sessionId, createdAt and duration are required');
+  }
+  if (!isObject(capture) || !MODES.includes(capture.mode) || !isObject(capture.offset)
+    || !isNumber(capture.offset.x) || !isNumber(capture.offset.y) || !isNumber(capture.scaleFactor)) {
+    throw invalid('capture must have a mode, an offset and a scaleFactor');
+  }
+  if (!Array.isArray(manifest.pausedIntervals)
+    || !manifest.pausedIntervals.every(interval => isObject(interval) && isNumber(interval.start) && isNumber(interval.duration))) {
+    throw invalid('pausedIntervals must be a list of { start, duration }');
+  }
+  if (!isObject(tracks) || !isObject(events)) {
+    throw invalid('tracks and events are required');
+  }
+
+  const track = async (name: string, source: RecordingSource | undefined): Promise<ProjectTrack | undefined> => {
+    if (source === undefined) return undefined;
+    if (!isObject(source) || typeof source.file !== 'string' || !isNumber(source.size) || !isNumber(source.fps)
+      || !isObject(source.resolution) || !isNumber(source.resolution.width) || !isNumber(source.resolution.height)) {
+      throw invalid(`tracks.${name} must have a file, size, resolution and fps`);
+    }
+    const file = path.join(dir, source.file);
+    if ((await fileSize(file)) === null) {
+      throw invalid(`${source.file} is missing`);
+    }
+    return { ...source, path: file };
+  };
+
+  const screen = await track('screen', tracks.screen);
+  if (!screen) {
+    throw invalid('no screen track');
+  }
+  const camera = await track('camera', tracks.camera);
+
+  const audioTracks: unknown = tracks.audio ?? [];
+  if (!Array.isArray(audioTracks)) {
+    throw invalid('tracks.audio must be a list');
+  }
+
+  const audio = audioTracks.map((entry, index): ProjectAudioTrack => {
+    const track = entry as AudioTrack;
+    if (!isObject(track) || !AUDIO_KINDS.includes(track.kind) || typeof track.file !== 'string'
+      || !Number.isInteger(track.trackIndex) || !isNumber(track.gain) || !isNumber(track.sampleRate) || !isNumber(track.channels)) {
+      throw invalid(`tracks.audio[${index}] must have a kind, file, trackIndex, gain, sampleRate and channels`);
+    }
+    return { ...track, path: path.join(dir, track.file) };
+  });
+
+  const eventFile = async (name: 'mouse' | 'keyboard'): Promise<string | undefined> => {
+    const file = events[name];
+    if (file === undefined) return undefined;
+    if (typeof file !== 'string' || (await fileSize(path.join(dir, file))) === null) {
+      throw invalid(`events.${name} ${String(file)} is missing`);
+    }
+    return path.join(dir, file);
+  };
+
+  return {
+    version: manifest.version,
+    dir,
+    manifestPath,
+    sessionId: manifest.sessionId,
+    createdAt: manifest.createdAt,
+    duration: manifest.duration,
+    capture: { mode: capture.mode, offset: { x: capture.offset.x, y: capture.offset.y }, scaleFactor: capture.scaleFactor },
+    tracks: { screen, camera, audio },
+    events: { mouse: await eventFile('mouse'), keyboard: await eventFile('keyboard') },
+    pausedIntervals: manifest.pausedIntervals.map(({ start, duration }: PausedInterval) => ({ start, duration })),
+    params: isObject(manifest.params) ? manifest.params as ProjectManifest['params'] : undefined,
+    recovered: manifest.recovered === true || undefined
+  };
+}
+
+/**
+ * Folders recorded before project.json existed: pick up the files by their fixed names
+ */
+async function scanFolder(dir: string): Promise<RecordingProject> {
+  const find = async (base: string): Promise<ProjectTrack | undefined> => {
+    for (const extension of CONTAINERS) {
+      const file = `${base}.${extension}`;
+      const size = await fileSize(path.join(dir, file));
+      if (size !== null) return { file, path: path.join(dir, file), size };
+    }
+    return undefined;
+  };
+  const optional = async (file: string): Promise<string | undefined> =>
+    (await fileSize(path.join(dir, file))) !== null ? path.join(dir, file) : undefined;
+
+  const screen = await find('screen');
+  if (!screen) {
+    throw new ProjectError('PROJECT_NOT_FOUND', `${dir} has neither ${MANIFEST_FILE} nor a screen recording`, dir);
+  }
+
+  return {
+    version: 0,
+    dir,
+    tracks: { screen, camera: await find('camera'), audio: [] },
+    events: { mouse: await optional('screen.events.json'), keyboard: await optional('screen.keyboard.json') },
+    pausedIntervals: []
+  };
+}
@@ -0,0 +1,245 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { ProjectError } from './errors';
+import type {
+  ProjectManifest,
+  RecordingSource,
+  RecoveryReport,
+  TrackRecovery
+} from './types';
+
+const PARTIAL_SUFFIX = 'project.partial.json';
+
+// Top-level boxes that may follow a complete fragment
+const TRAILING_BOXES = new Set(['free', 'skip', 'sidx', 'mfra', 'udta']);
+
+interface MovieLayout {
+  size: number;
+  hasMovieHeader: boolean;
+  complete: boolean;  // Every box ends within the file and the last one ends at its end
+  playableEnd: number;  // End of the last complete movie header or fragment
+}
+
+/**
+ * Walk the top-level MP4/QuickTime boxes. A fragmented file is playable up to
+ * the end of its last complete `moof` + `mdat` pair.
+ */
+async function inspectMovie(file: string): Promise<MovieLayout> {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    let hasMovieHeader = false;
+    let inFragment = false;
+    let playableEnd = 0;
+
+    while (offset < size) {
+      const { bytesRead } = await handle.read(header, 0, 16, offset);
+      if (bytesRead < 8) break;
+
+      const type = header.toString('latin1', 4, 8);
+      let boxSize = header.readUInt32BE(0);
+      if (boxSize === 1) {
+        if (bytesRead < 16) break;
+        boxSize = Number(header.readBigUInt64BE(8));
+      } else if (boxSize === 0) {
+        // Extends to the end of the file: an mdat whose size was never written
+        break;
+      }
+      if (boxSize < 8 || offset + boxSize > size) break;
+      offset += boxSize;
+
+      if (type === 'moov') {
+        hasMovieHeader = true;
+        playableEnd = offset;
+      } else if (type === 'moof') {
+        inFragment = true;
+      } else if (type === 'mdat' && inFragment) {
+        inFragment = false;
+        playableEnd = offset;
+      } else if (!inFragment && (type === 'ftyp' || TRAILING_BOXES.has(type))) {
+        playableEnd = Math.max(playableEnd, hasMovieHeader ? offset : 0);
+      }
+    }
+
+    return { size, hasMovieHeader, complete: offset === size, playableEnd };
+  } finally {
+    await handle.close();
+  }
+}
+
+async function recoverTrack(dir: string, file: string): Promise<TrackRecovery> {
+  const original = path.join(dir, file);
+  let layout: MovieLayout;
+  try {
+    layout = await inspectMovie(original);
+  } catch {
+    return { status: 'missing', file, bytesDropped: 0 };
+  }
+
+  if (!layout.hasMovieHeader) {
+    return {
+      status: 'unrecoverable',
+      file,
+      bytesDropped: layout.size,
+      reason: layout.size === 0
+        ? 'the file is empty'
+        : 'the file has no movie header, it was probably recorded without crashSafe'
+    };
+  }
+  if (layout.complete) {
+    return { status: 'intact', file, bytesDropped: 0 };
+  }
+
+  const extension = path.extname(file);
+  const recovered = `${path.basename(file, extension)}.recovered${extension}`;
+  await fs.promises.copyFile(original, path.join(dir, recovered));
+  await fs.promises.truncate(path.join(dir, recovered), layout.playableEnd);
+  return { status: 'recovered', file: recovered, bytesDropped: layout.size - layout.playableEnd };
+}
+
+/**
+ * Name of the JSON array file rebuilt from a *.jsonl journal
+ */
+function eventsFileFor(dir: string, journal: string): string {
+  const file = path.join(path.dirname(journal), path.basename(journal, path.extname(journal)) + '.json');
+  if (file === path.normalize(journal)) {
+    // The events would replace the journal they are read from
+    const journalPath = path.join(dir, journal);
+    throw new ProjectError('INVALID_PROJECT', `Invalid project: events journal ${journalPath} is not a *.jsonl file`, journalPath);
+  }
+  return file;
+}
+
+/**
+ * Turn an append-only *.jsonl journal into the JSON array file written by stopSession
+ */
+async function recoverEvents(dir: string, journal: string, file: string): Promise<{ file: string; count: number; skipped: number }> {
+  let text = '';
+  try {
+    text = await fs.promises.readFile(path.join(dir, journal), 'utf8');
+  } catch {
+    // Nothing was flushed before the interruption
+  }
+
+  const events: unknown[] = [];
+  let skipped = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+
+  await fs.promises.writeFile(path.join(dir, file), JSON.stringify(events, null, 2));
+  return { file, count: events.length, skipped };
+}
+
+async function recoverManifest(partialPath: string): Promise<RecoveryReport> {
+  const dir = path.dirname(partialPath);
+  let partial: ProjectManifest;
+  try {
+    partial = JSON.parse(await fs.promises.readFile(partialPath, 'utf8'));
+  } catch (err) {
+    throw new ProjectError('INVALID_PROJECT', `Invalid project ${partialPath}: ${err instanceof Error ? err.message : String(err)}`, partialPath);
+  }
+  if (!partial?.tracks?.screen?.file || typeof partial.sessionId !== 'string') {
+    throw new ProjectError('INVALID_PROJECT', `Invalid project ${partialPath}: no screen track`, partialPath);
+  }
+
+  // Checked before anything is written
+  const mouseJournal = partial.events?.mouse;
+  const keyboardJournal = partial.events?.keyboard;
+  const mouseFile = mouseJournal ? eventsFileFor(dir, mouseJournal) : undefined;
+  const keyboardFile = keyboardJournal ? eventsFileFor(dir, keyboardJournal) : undefined;
+
+  const screen = await recoverTrack(dir, partial.tracks.screen.file);
+  const camera = partial.tracks.camera ? await recoverTrack(dir, partial.tracks.camera.file) : undefined;
+
+  const mouse = mouseJournal ? await recoverEvents(dir, mouseJournal, mouseFile!) : undefined;
+  const keyboard = keyboardJournal ? await recoverEvents(dir, keyboardJournal, keyboardFile!) : undefined;
+
+  const report: RecoveryReport = {
+    dir,
+    sessionId: partial.sessionId,
+    duration: partial.duration,
+    screen,
+    camera,
+    events: {
+      mouse: mouse?.count ?? 0,
+      keyboard: keyboard?.count,
+      skippedLines: (mouse?.skipped ?? 0) + (keyboard?.skipped ?? 0)
+    }
+  };
+
+  // Without a playable screen track there is nothing to reopen; the partial manifest stays for another attempt
+  if (screen.status !== 'intact' && screen.status !== 'recovered') {
+    return report;
+  }
+
+  const playable = async (source: RecordingSource, track: TrackRecovery): Promise<RecordingSource> => ({
+    ...source,
+    file: track.file,
+    size: (await fs.promises.stat(path.join(dir, track.file))).size
+  });
+  const cameraPlayable = camera?.status === 'intact' || camera?.status === 'recovered';
+
+  const manifest: ProjectManifest = {
+    ...partial,
+    tracks: {
+      ...partial.tracks,
+      screen: await playable(partial.tracks.screen, screen),
+      camera: partial.tracks.camera && cameraPlayable ? await playable(partial.tracks.camera, camera!) : undefined
+    },
+    events: { mouse: mouse?.file, keyboard: keyboard?.file },
+    recovered: true
+  };
+  if (Array.isArray(manifest.tracks.audio)) {
+    manifest.tracks.audio = manifest.tracks.audio.map(track => ({ ...track, file: screen.file }));
+  }
+
+  const manifestPath = partialPath.slice(0, -PARTIAL_SUFFIX.length) + 'project.json';
+  await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  for (const journal of [partialPath, partial.events?.mouse, partial.events?.keyboard]) {
+    if (journal) await fs.promises.rm(path.resolve(dir, journal), { force: true });
+  }
+
+  return { ...report, manifestPath };
+}
+
+/**
+ * Find recordings that never reached stopSession and salvage them: cut
+ * fragmented movie files back to their last complete fragment, rebuild the
+ * event files from their journals and write project.json, so the result can
+ * be opened with `loadProject`.
+ *
+ * `location` may be a recording folder, a folder containing recording folders,
+ * or the shared folder of recordings made without `outputPath`.
+ */
+export async function recoverSession(location: string): Promise<RecoveryReport[]> {
+  const dir = path.resolve(location);
+  let entries: fs.Dirent[];
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    throw new ProjectError('PROJECT_NOT_FOUND', `No folder at ${dir}`, dir);
+  }
+
+  const partials = entries
+    .filter(entry => entry.isFile() && entry.name.endsWith(PARTIAL_SUFFIX))
+    .map(entry => path.join(dir, entry.name));
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const candidate = path.join(dir, entry.name, PARTIAL_SUFFIX);
+    if (fs.existsSync(candidate)) partials.push(candidate);
+  }
+
+  const reports: RecoveryReport[] = [];
+  for (const partialPath of partials.sort()) {
+    reports.push(await recoverManifest(partialPath));
+  }
+  return reports;
+}
@@ -0,0 +1,360 @@
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as net from 'net';
+import LineDecoder, { encodeLine } from '../transports/LineDecoder';
+import type { WebSocketLike } from '../transports/WebSocketTransport';
+import type { Transport, TransportFactory } from '../types';
+
+// Commands that act on an existing session and are reserved for its owner
+const OWNED_COMMANDS = new Set(['stopSession', 'pauseSession', 'resumeSession']);
+
+export interface RelayServerOptions {
+  /**
+   * Backend to share, e.g. `() => StdioTransport.native()`
+   */
+  transport: TransportFactory;
+
+  /**
+   * Unix domain socket to listen on. Without it only connections passed to
+   * `handleSocket()` / `handleWebSocket()` are served.
+   */
+  socketPath?: string;
+}
+
+interface RelayClient {
+  id: string;
+  send: (line: string) => void;
+  close: () => void;
+}
+
+interface RelayedCommand {
+  clientId: string | null;  // null for commands the relay sends itself
+  id: string;  // Id the client used
+  command: string;
+  sessionId?: string;
+}
+
+/**
+ * RelayServer - Exposes one backend to several clients.
+ *
+ * Commands are forwarded with relay-assigned ids and the responses routed back
+ * to the client that sent them; push events go to every client. The client
+ * that started a session owns it: stop, pause and resume from anyone else are
+ * answered with SESSION_NOT_OWNED, and the session is stopped when its owner
+ * disconnects.
+ *
+ * Events: 'client-connected' (clientId), 'client-disconnected' (clientId),
+ * 'stderr' (chunk), 'backend-exit' (code, signal), 'error' (err)
+ *
+ * @example
+ * ```typescript
+ * const relay = new RelayServer({ transport: () => StdioTransport.native(), socketPath: '/tmp/skreenme.sock' });
+ * await relay.listen();
+ * ```
+ */
+export default class RelayServer extends EventEmitter {
+  private backend: Transport | null = null;
+  private server: net.Server | null = null;
+  private readonly clients = new Map<string, RelayClient>();
+  private readonly pending = new Map<string, RelayedCommand>();
+  // sessionId -> id of the client controlling it
+  private readonly owners = new Map<string, string>();
+  private commandSeq = 0;
+  private clientSeq = 0;
+
+  constructor(private readonly options: RelayServerOptions) {
+    super();
+  }
+
+  /**
+   * Open the backend and start accepting connections on `socketPath`
+   */
+  async listen(): Promise<void> {
+    if (this.backend) return;
+
+    // Checked first so a relay that cannot listen does not start a backend
+    const { socketPath } = this.options;
+    if (socketPath) {
+      await this._removeStaleSocket(socketPath);
+    }
+
+    const backend = this.options.transport();
+    this._setupBackendHandlers(backend);
+    await backend.open();
+    this.backend = backend;
+
+    if (!socketPath) return;
+
+    const server = net.createServer(socket => this.handleSocket(socket));
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    server.on('error', err => this.emit('error', err));
+    this.server = server;
+  }
+
+  /**
+   * Serve a client connected through a socket or any other net.Socket
+   */
+  handleSocket(socket: net.Socket): string {
+    const decoder = new LineDecoder();
+    const client = this._addClient({
+      send: line => socket.write(line),
+      close: () => socket.destroy()
+    });
+
+    socket.setEncoding('utf8');
+    socket.on('data', (data: string) => {
+      for (const line of decoder.push(data)) {
+        this._handleClientLine(client, line);
+      }
+    });
+    socket.on('error', () => undefined);  // 'close' follows and does the cleanup
+    socket.on('close', () => this._removeClient(client));
+
+    return client.id;
+  }
+
+  /**
+   * Serve a client connected through a WebSocket accepted by your own server,
+   * e.g. `wss.on('connection', ws => relay.handleWebSocket(ws))` with the `ws` package
+   */
+  handleWebSocket(socket: WebSocketLike): string {
+    const decoder = new LineDecoder();
+    const client = this._addClient({
+      send: line => socket.send(line),
+      close: () => socket.close()
+    });
+
+    socket.onmessage = ({ data }) => {
+      const text = typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+      for (const line of decoder.push(text)) {
+        this._handleClientLine(client, line);
+      }
+    };
+    socket.onclose = () => this._removeClient(client);
+    socket.onerror = () => undefined;
+
+    return client.id;
+  }
+
+  /**
+   * Disconnect every client, stop listening and close the backend
+   */
+  async close(): Promise<void> {
+    const server = this.server;
+    this.server = null;
+    const closed = server ? new Promise<void>(resolve => server.close(() => resolve())) : null;
+
+    // server.close() only completes once the open connections are gone
+    for (const client of [...this.clients.values()]) {
+      client.close();
+    }
+    this.clients.clear();
+    await closed;
+
+    const backend = this.backend;
+    this.backend = null;
+    if (backend) {
+      await backend.close();
+    }
+  }
+
+  /**
+   * Id of the client controlling a session
+   */
+  getOwner(sessionId: string): string | undefined {
+    return this.owners.get(sessionId);
+  }
+
+  private _setupBackendHandlers(backend: Transport): void {
+    backend.on('line', (line: string) => {
+      let message: any;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        return;  // Not protocol output, nothing any client could match
+      }
+
+      if (message.event) {
+        this._broadcast(line);
+      } else {
+        this._handleBackendResponse(message);
+      }
+    });
+
+    backend.on('stderr', (chunk: string) => this.emit('stderr', chunk));
+
+    backend.on('error', (err: Error) => this.emit('error', err));
+
+    backend.on('exit', (code: number | null, signal: NodeJS.Signals | null) => {
+      if (this.backend !== backend) return;
+      this.backend = null;
+      this.pending.clear();
+      this.owners.clear();
+
+      // Clients see the closed connection the way they would see the process exit
+      for (const client of [...this.clients.values()]) {
+        client.close();
+      }
+      this.clients.clear();
+      this.server?.close();
+      this.server = null;
+
+      this.emit('backend-exit', code, signal);
+    });
+  }
+
+  private _handleBackendResponse(response: any): void {
+    const relayed = this.pending.get(response.id);
+    if (!relayed) return;
+    this.pending.delete(response.id);
+
+    const succeeded = response.success && !response.error;
+    const startedSessionId: string | undefined = succeeded && relayed.command === 'startSession'
+      ? response.payload?.sessionId
+      : undefined;
+    if (startedSessionId && relayed.clientId) {
+      this.owners.set(startedSessionId, relayed.clientId);
+    } else if (startedSessionId) {
+      // The client disconnected while its session was starting
+      this._forward({ clientId: null, id: '', command: 'stopSession', sessionId: startedSessionId }, { sessionId: startedSessionId });
+    } else if (succeeded && relayed.command === 'stopSession' && relayed.sessionId) {
+      this.owners.delete(relayed.sessionId);
+    }
+
+    const client = relayed.clientId ? this.clients.get(relayed.clientId) : undefined;
+    client?.send(encodeLine({ ...response, id: relayed.id }));
+  }
+
+  private _handleClientLine(client: RelayClient, line: string): void {
+    let envelope: any;
+    try {
+      envelope = JSON.parse(line);
+    } catch (err) {
+      client.send(encodeLine({
+        id: 'unknown',
+        success: false,
+        error: `Invalid command: ${err instanceof Error ? err.message : String(err)}`,
+        errorCode: 'INVALID_COMMAND'
+      }));
+      return;
+    }
+
+    const { id, command } = envelope;
+    let payload = envelope.payload;
+    const sessionId: string | undefined = payload?.sessionId;
+
+    if (OWNED_COMMANDS.has(command) && sessionId) {
+      const owner = this.owners.get(sessionId);
+      if (owner && owner !== client.id) {
+        client.send(encodeLine({
+          id,
+          success: false,
+          error: `Session ${sessionId} is controlled by another client`,
+          errorCode: 'SESSION_NOT_OWNED'
+        }));
+        return;
+      }
+    }
+
+    if (command === 'cancel' && payload?.commandId) {
+      // Cancellation refers to the client's id, the backend only knows the relayed one
+      const target = [...this.pending.entries()].find(([, relayed]) =>
+        relayed.clientId === client.id && relayed.id === payload.commandId
+      );
+      if (!target) {
+        client.send(encodeLine({ id, success: true, payload: { cancelled: false } }));
+        return;
+      }
+      payload = { ...payload, commandId: target[0] };
+    }
+
+    this._forward({ clientId: client.id, id, command, sessionId }, payload);
+  }
+
+  private _forward(relayed: RelayedCommand, payload: unknown): void {
+    if (!this.backend) {
+      const client = relayed.clientId ? this.clients.get(relayed.clientId) : undefined;
+      client?.send(encodeLine({
+        id: relayed.id,
+        success: false,
+        error: 'Backend process is not running',
+        errorCode: 'PROCESS_TERMINATED'
+      }));
+      return;
+    }
+
+    const relayId = `r${++this.commandSeq}`;
+    this.pending.set(relayId, relayed);
+    this.backend.send(encodeLine({ id: relayId, command: relayed.command, payload }));
+  }
+
+  private _broadcast(line: string): void {
+    const framed = line + '\n';
+    for (const client of this.clients.values()) {
+      client.send(framed);
+    }
+  }
+
+  private _addClient(connection: Omit<RelayClient, 'id'>): RelayClient {
+    const client: RelayClient = { id: `c${++this.clientSeq}`, ...connection };
+    this.clients.set(client.id, client);
+    this.emit('client-connected', client.id);
+    return client;
+  }
+
+  private _removeClient(client: RelayClient): void {
+    if (!this.clients.delete(client.id)) return;
+
+    // Answers to a gone client are dropped
+    for (const [relayId, relayed] of this.pending.entries()) {
+      if (relayed.clientId === client.id) {
+        this.pending.set(relayId, { ...relayed, clientId: null });
+      }
+    }
+
+    // A session nobody controls would record until the backend exits
+    for (const [sessionId, owner] of [...this.owners.entries()]) {
+      if (owner !== client.id) continue;
+      this.owners.delete(sessionId);
+      this._forward({ clientId: null, id: '', command: 'stopSession', sessionId }, { sessionId });
+    }
+
+    this.emit('client-disconnected', client.id);
+  }
+
+  /**
+   * Remove a socket file left behind by a relay that did not shut down cleanly.
+   * A socket that still accepts connections belongs to a running relay and is
+   * reported as EADDRINUSE instead.
+   */
+  private async _removeStaleSocket(socketPath: string): Promise<void> {
+    try {
+      if (!fs.statSync(socketPath).isSocket()) return;  // listen() reports it
+    } catch {
+      return;  // Nothing there
+    }
+
+    const refused = await new Promise<boolean>(resolve => {
+      const probe = net.connect(socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(false);
+      });
+      probe.once('error', (err: NodeJS.ErrnoException) => resolve(err.code === 'ECONNREFUSED'));
+    });
+
+    if (!refused) {
+      const err: NodeJS.ErrnoException = new Error(`listen EADDRINUSE: address already in use ${socketPath}`);
+      err.code = 'EADDRINUSE';
+      err.syscall = 'listen';
+      throw err;
+    }
+    fs.unlinkSync(socketPath);
+  }
+}
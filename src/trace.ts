@@ -0,0 +1,177 @@
+import * as fs from 'fs';
+import type { TraceRecord, TraceRecordType, TracedCommand, TraceSummary } from './types';
+
+/**
+ * Appends protocol traffic to a JSONL file, one record per line.
+ * Writes are synchronous so the trace survives a crash of the host process.
+ */
+export class TraceWriter {
+  private failed = false;
+
+  constructor(
+    readonly filePath: string,
+    private readonly onError: (error: Error) => void = () => undefined
+  ) {}
+
+  write(type: TraceRecordType, data: unknown): void {
+    if (this.failed) return;
+
+    const record: TraceRecord = { time: Date.now(), type, data };
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    } catch (err) {
+      // A broken trace must never break recording, report once and stop tracing
+      this.failed = true;
+      this.onError(err instanceof Error ? err : new Error(String(err)));
+    }
+  }
+}
+
+/**
+ * Read a trace written with the `trace` option
+ */
+export function readTrace(filePath: string): TraceRecord[] {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line) as TraceRecord;
+      } catch {
+        throw new Error(`Invalid trace record on line ${index + 1} of ${filePath}`);
+      }
+    });
+}
+
+/**
+ * Pair commands with their responses and collect everything that went wrong.
+ * Command ids restart with every `spawn` record, so pairing is done per process.
+ */
+export function inspectTrace(records: TraceRecord[]): TraceSummary {
+  const commands: TracedCommand[] = [];
+  const events: Record<string, number> = {};
+  const stderr: string[] = [];
+  const exits: TraceSummary['exits'] = [];
+  let byId = new Map<string, TracedCommand>();
+  let stderrTail = '';
+
+  for (const record of records) {
+    switch (record.type) {
+      case 'spawn':
+        byId = new Map();
+        break;
+
+      case 'command': {
+        const traced: TracedCommand = {
+          id: record.data.id,
+          command: record.data.command,
+          payload: record.data.payload,
+          sentAt: record.time
+        };
+        commands.push(traced);
+        byId.set(traced.id, traced);
+        break;
+      }
+
+      case 'response': {
+        const traced = byId.get(record.data.id);
+        if (!traced || traced.duration !== undefined) break;
+        traced.duration = record.time - traced.sentAt;
+        traced.success = Boolean(record.data.success && !record.data.error);
+        traced.error = record.data.error;
+        traced.errorCode = record.data.errorCode;
+        break;
+      }
+
+      case 'event':
+        events[record.data.event] = (events[record.data.event] || 0) + 1;
+        break;
+
+      case 'stderr': {
+        const lines = (stderrTail + record.data).split('\n');
+        stderrTail = lines.pop() || '';
+        for (const line of lines) {
+          if (line.trim()) stderr.push(line);
+        }
+        break;
+      }
+
+      case 'exit':
+        exits.push({ time: record.time, code: record.data.code, signal: record.data.signal || null });
+        break;
+    }
+  }
+  if (stderrTail.trim()) stderr.push(stderrTail);
+
+  return {
+    commands,
+    failed: commands.filter(command => command.success === false),
+    unanswered: commands.filter(command => command.duration === undefined),
+    events,
+    stderr,
+    exits
+  };
+}
+
+/**
+ * Render a trace as a human-readable timeline, one line per record.
+ * Push events are folded into counts to keep cursor updates from drowning the rest.
+ */
+export function formatTrace(records: TraceRecord[]): string {
+  if (records.length === 0) return '';
+
+  const start = records[0].time;
+  const lines: string[] = [];
+  const stamp = (time: number) => `+${((time - start) / 1000).toFixed(3)}s`.padStart(10);
+  let folded: { event: string; count: number; time: number } | null = null;
+
+  const flushEvents = () => {
+    if (!folded) return;
+    lines.push(`${stamp(folded.time)}  event     ${folded.event}${folded.count > 1 ? ` x${folded.count}` : ''}`);
+    folded = null;
+  };
+
+  for (const record of records) {
+    if (record.type === 'event') {
+      if (folded && folded.event === record.data.event) {
+        folded.count++;
+      } else {
+        flushEvents();
+        folded = { event: record.data.event, count: 1, time: record.time };
+      }
+      continue;
+    }
+    flushEvents();
+
+    const at = stamp(record.time);
+    switch (record.type) {
+      case 'spawn':
+        lines.push(`${at}  spawn     ${record.data.backend || record.data.transport} ${record.data.target || record.data.binaryPath || ''}`.trimEnd());
+        break;
+      case 'command':
+        lines.push(`${at}  -> ${record.data.id.padEnd(5)} ${record.data.command} ${JSON.stringify(record.data.payload ?? null)}`);
+        break;
+      case 'response': {
+        const outcome = record.data.success && !record.data.error
+          ? 'ok'
+          : `${record.data.errorCode || 'ERROR'} ${record.data.error || ''}`.trim();
+        lines.push(`${at}  <- ${String(record.data.id).padEnd(5)} ${outcome}`);
+        break;
+      }
+      case 'stderr':
+        for (const line of String(record.data).split('\n').filter(text => text.trim())) {
+          lines.push(`${at}  stderr    ${line}`);
+        }
+        break;
+      case 'stdout':
+        lines.push(`${at}  stdout    ${record.data}`);
+        break;
+      case 'exit':
+        lines.push(`${at}  exit      ${record.data.signal ? `signal ${record.data.signal}` : `code ${record.data.code}`}`);
+        break;
+    }
+  }
+  flushEvents();
+
+  return lines.join('\n');
+}
@@ -0,0 +1,28 @@
+/**
+ * Splits a stream of chunks into newline-delimited protocol lines.
+ * Shared by every transport and the relay so framing behaves identically.
+ */
+export default class LineDecoder {
+  private buffer = '';
+
+  /**
+   * Feed a chunk and get back the complete, non-empty lines it finished
+   */
+  push(chunk: string | Buffer): string[] {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop() || '';
+    return lines.filter(line => line.trim());
+  }
+
+  reset(): void {
+    this.buffer = '';
+  }
+}
+
+/**
+ * Frame a protocol message as a single line
+ */
+export function encodeLine(message: object): string {
+  return JSON.stringify(message) + '\n';
+}
@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+import { spawn, ChildProcess } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import { StartupError } from '../errors';
+import LineDecoder from './LineDecoder';
+import type { Transport, MockBackendOptions } from '../types';
+
+const MOCK_SERVER_PATH = path.join(__dirname, '..', 'mock', 'server.js');
+
+// How long close() waits after SIGTERM before killing the process
+const TERMINATE_TIMEOUT = 1000;
+
+export interface StdioTransportOptions {
+  /**
+   * Executable to spawn, or a function resolving it when the transport opens
+   */
+  command: string | (() => string);
+  args?: string[];
+  env?: NodeJS.ProcessEnv;
+}
+
+/**
+ * Get default Swift binary path based on environment.
+ * Probes every candidate location and returns the first one that exists.
+ */
+function findDefaultBinary(): { binaryPath: string | null; triedPaths: string[] } {
+  const isDev = process.env.NODE_ENV === 'development';
+  const buildType = isDev ? 'debug' : 'release';
+
+  // Try to find the binary in multiple locations
+  const possiblePaths = [
+    // When installed as npm package
+    path.join(__dirname, `../../bin/SkreenmeCaptureKIT`),
+    // When running from source
+    path.join(__dirname, `../../src/native/.build/${buildType}/SkreenmeCaptureKIT`),
+    // Legacy path for compatibility
+    path.join(__dirname, `../../../native/.build/${buildType}/SkreenmeCaptureKIT`)
+  ];
+
+  const binaryPath = possiblePaths.find(candidate => fs.existsSync(candidate)) || null;
+  return { binaryPath, triedPaths: possiblePaths };
+}
+
+/**
+ * Resolve the Swift binary and verify it can be executed
+ */
+export function resolveNativeBinary(explicitPath?: string): string {
+  // The package installs anywhere so the mock and replay backends run on Linux CI
+  if (process.platform !== 'darwin') {
+    throw new StartupError(
+      'UNSUPPORTED_PLATFORM',
+      `The native SkreenmeCaptureKIT backend needs macOS, this is ${process.platform}. Use backend: 'mock' or 'replay' instead`
+    );
+  }
+
+  const { binaryPath, triedPaths } = explicitPath
+    ? {
+        binaryPath: fs.existsSync(explicitPath) ? explicitPath : null,
+        triedPaths: [explicitPath]
+      }
+    : findDefaultBinary();
+
+  if (!binaryPath) {
+    throw new StartupError(
+      'BINARY_NOT_FOUND',
+      `SkreenmeCaptureKIT binary not found. Tried: ${triedPaths.join(', ')}`,
+      { triedPaths }
+    );
+  }
+
+  try {
+    fs.accessSync(binaryPath, fs.constants.X_OK);
+  } catch {
+    throw new StartupError(
+      'NOT_EXECUTABLE',
+      `SkreenmeCaptureKIT binary is not executable: ${binaryPath}`,
+      { binaryPath, triedPaths }
+    );
+  }
+
+  return binaryPath;
+}
+
+/**
+ * StdioTransport - Spawns the backend and talks to it over stdin/stdout
+ */
+export default class StdioTransport extends EventEmitter implements Transport {
+  readonly kind = 'stdio';
+  private child: ChildProcess | null = null;
+  private resolvedCommand = '';
+  private readonly decoder = new LineDecoder();
+
+  constructor(private readonly options: StdioTransportOptions) {
+    super();
+  }
+
+  /**
+   * The Swift binary, located like the default client does unless `binaryPath` is given
+   */
+  static native(binaryPath?: string): StdioTransport {
+    return new StdioTransport({ command: () => resolveNativeBinary(binaryPath) });
+  }
+
+  /**
+   * The bundled Node mock backend with scripted data
+   */
+  static mock(options: MockBackendOptions = {}): StdioTransport {
+    // process.execPath is the Electron binary inside Electron apps
+    return new StdioTransport({
+      command: process.execPath,
+      args: [MOCK_SERVER_PATH],
+      env: { ...process.env, ELECTRON_RUN_AS_NODE: '1', SKREENME_MOCK_CONFIG: JSON.stringify(options) }
+    });
+  }
+
+  /**
+   * The bundled Node backend playing back a recorded trace
+   */
+  static replay(tracePath: string): StdioTransport {
+    return new StdioTransport({
+      command: process.execPath,
+      args: [MOCK_SERVER_PATH],
+      env: { ...process.env, ELECTRON_RUN_AS_NODE: '1', SKREENME_REPLAY_TRACE: path.resolve(tracePath) }
+    });
+  }
+
+  get target(): string {
+    return this.resolvedCommand || (typeof this.options.command === 'string' ? this.options.command : '');
+  }
+
+  async open(): Promise<void> {
+    const { command, args = [], env } = this.options;
+    this.resolvedCommand = typeof command === 'function' ? command() : command;
+    this.decoder.reset();
+
+    const child = spawn(this.resolvedCommand, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env
+    });
+    this.child = child;
+
+    child.stdout?.on('data', (data: Buffer) => {
+      for (const line of this.decoder.push(data)) {
+        this.emit('line', line);
+      }
+    });
+
+    child.stderr?.on('data', (data: Buffer) => {
+      this.emit('stderr', data.toString());
+    });
+
+    child.on('close', (code: number | null, signal: NodeJS.Signals | null) => {
+      if (this.child === child) this.child = null;
+      this.emit('exit', code, signal);
+    });
+
+    child.on('error', (err: Error) => {
+      this.emit('error', err);
+    });
+
+    // Writes to a process that failed to spawn surface as EPIPE; 'close' handles the cleanup
+    child.stdin?.on('error', () => undefined);
+  }
+
+  send(line: string): void {
+    this.child?.stdin?.write(line);
+  }
+
+  /**
+   * Ask the process to terminate, killing it if it is still running after a second
+   */
+  async close(): Promise<void> {
+    const child = this.child;
+    if (!child) return;
+
+    await new Promise<void>(resolve => {
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        resolve();
+      }, TERMINATE_TIMEOUT);
+      child.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+  }
+
+  destroy(): void {
+    this.child?.kill('SIGKILL');
+  }
+}
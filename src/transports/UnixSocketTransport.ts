@@ -0,0 +1,72 @@
+import { EventEmitter } from 'events';
+import * as net from 'net';
+import LineDecoder from './LineDecoder';
+import type { Transport } from '../types';
+
+/**
+ * UnixSocketTransport - Connects to a backend shared through a Unix domain socket,
+ * typically a `RelayServer` running in another process
+ */
+export default class UnixSocketTransport extends EventEmitter implements Transport {
+  readonly kind = 'unix';
+  private socket: net.Socket | null = null;
+  private readonly decoder = new LineDecoder();
+
+  constructor(readonly target: string) {
+    super();
+  }
+
+  open(): Promise<void> {
+    this.decoder.reset();
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.target);
+      this.socket = socket;
+      let connected = false;
+
+      socket.setEncoding('utf8');
+      socket.on('data', (data: string) => {
+        for (const line of this.decoder.push(data)) {
+          this.emit('line', line);
+        }
+      });
+
+      socket.once('connect', () => {
+        connected = true;
+        resolve();
+      });
+
+      socket.on('error', (err: Error) => {
+        if (!connected) {
+          reject(err);
+          return;
+        }
+        this.emit('error', err);
+      });
+
+      // A closed connection is this transport's equivalent of the process exiting
+      socket.on('close', () => {
+        if (this.socket === socket) this.socket = null;
+        if (connected) this.emit('exit', null, null);
+      });
+    });
+  }
+
+  send(line: string): void {
+    this.socket?.write(line);
+  }
+
+  async close(): Promise<void> {
+    const socket = this.socket;
+    if (!socket) return;
+
+    await new Promise<void>(resolve => {
+      socket.once('close', () => resolve());
+      socket.end();
+    });
+  }
+
+  destroy(): void {
+    this.socket?.destroy();
+  }
+}
@@ -0,0 +1,109 @@
+import { EventEmitter } from 'events';
+import LineDecoder from './LineDecoder';
+import type { Transport } from '../types';
+
+/**
+ * The subset of the WHATWG WebSocket API used here, implemented by the global
+ * WebSocket (browsers, Node 22+) and by the `ws` package
+ */
+export interface WebSocketLike {
+  binaryType: string;
+  onopen: ((event: any) => void) | null;
+  onmessage: ((event: { data: any }) => void) | null;
+  onerror: ((event: any) => void) | null;
+  onclose: ((event: any) => void) | null;
+  send(data: string): void;
+  close(): void;
+}
+
+export type WebSocketConstructor = new (url: string) => WebSocketLike;
+
+export interface WebSocketTransportOptions {
+  /**
+   * WebSocket implementation, defaults to the global `WebSocket`
+   */
+  WebSocket?: WebSocketConstructor;
+}
+
+/**
+ * WebSocketTransport - Connects to a backend shared over WebSocket, e.g. from a
+ * sandboxed renderer. Messages carry the same newline-delimited JSON as stdio.
+ */
+export default class WebSocketTransport extends EventEmitter implements Transport {
+  readonly kind = 'websocket';
+  private socket: WebSocketLike | null = null;
+  private readonly decoder = new LineDecoder();
+  private readonly textDecoder = new TextDecoder();
+  private readonly WebSocketImpl?: WebSocketConstructor;
+
+  constructor(readonly target: string, options: WebSocketTransportOptions = {}) {
+    super();
+    this.WebSocketImpl = options.WebSocket || (globalThis as any).WebSocket;
+  }
+
+  open(): Promise<void> {
+    if (!this.WebSocketImpl) {
+      return Promise.reject(new Error('No WebSocket implementation available, pass one via the WebSocket option'));
+    }
+    this.decoder.reset();
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocketImpl!(this.target);
+      socket.binaryType = 'arraybuffer';
+      this.socket = socket;
+      let connected = false;
+
+      socket.onopen = () => {
+        connected = true;
+        resolve();
+      };
+
+      socket.onmessage = ({ data }) => {
+        const text = typeof data === 'string' ? data : this.textDecoder.decode(data);
+        for (const line of this.decoder.push(text)) {
+          this.emit('line', line);
+        }
+      };
+
+      socket.onerror = (event) => {
+        const error = event?.error instanceof Error ? event.error : new Error(`WebSocket error on ${this.target}`);
+        if (!connected) {
+          reject(error);
+          return;
+        }
+        this.emit('error', error);
+      };
+
+      socket.onclose = (event) => {
+        if (this.socket === socket) this.socket = null;
+        if (connected) {
+          this.emit('exit', null, null);
+        } else {
+          reject(new Error(`WebSocket closed before connecting (code ${event?.code})`));
+        }
+      };
+    });
+  }
+
+  send(line: string): void {
+    this.socket?.send(line);
+  }
+
+  async close(): Promise<void> {
+    const socket = this.socket;
+    if (!socket) return;
+
+    await new Promise<void>(resolve => {
+      const onclose = socket.onclose;
+      socket.onclose = (event) => {
+        onclose?.(event);
+        resolve();
+      };
+      socket.close();
+    });
+  }
+
+  destroy(): void {
+    this.socket?.close();
+  }
+}
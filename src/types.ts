@@ -43,6 +43,42 @@ export interface SourcesData {
   audio: AudioDevice[];
 }
 
+export interface WatchSourcesOptions {
+  interval?: number;  // Milliseconds between checks, defaults to 2000 (minimum 500)
+}
+
+/**
+ * Sources that appeared, went away, or changed name or frame
+ */
+export interface SourceChanges<T> {
+  added: T[];
+  removed: T[];
+  updated: T[];  // New state of changed sources
+}
+
+export interface SourcesChangedEvent {
+  displays: SourceChanges<Display>;
+  windows: SourceChanges<Window>;
+  cameras: SourceChanges<Camera>;
+  audio: SourceChanges<AudioDevice>;
+  sources: SourcesData;  // Full lists after the change
+}
+
+export type SourceKind = 'display' | 'window' | 'camera' | 'microphone';
+
+/**
+ * What a session does when a source it records goes away
+ */
+export type SourceLostPolicy = 'stop' | 'pause' | 'continue';
+
+export interface SourceLostInfo {
+  sessionId: string;
+  kind: SourceKind;  // Regions report the display they are on
+  id: string;
+  name?: string;
+  action: SourceLostPolicy;  // What the client did about it, from `onSourceLost`
+}
+
 // Recording parameters
 export interface RegionParams {
   x: number;
@@ -57,20 +93,165 @@ export interface StartSessionParams {
   windowId?: string;
   region?: RegionParams;
   cameraSourceId?: string;
-  audioSourceId?: string;
-  cameraWidth?: number;  // Camera video width in pixels, defaults to 640
-  cameraHeight?: number;  // Camera video height in pixels, defaults to 640 (square)
+  audioSourceId?: string;  // Microphone to record, same as `microphone: { deviceId }`
+  microphone?: MicrophoneOptions;
+  systemAudio?: boolean | SystemAudioOptions;  // Record what the Mac plays on its own track, defaults to false
+  cameraWidth?: number;  // Camera video width in pixels, required with cameraSourceId
+  cameraHeight?: number;  // Camera video height in pixels, required with cameraSourceId
   cameraFormat?: 'wide' | 'square';  // Camera aspect ratio: 'square' (1:1) or 'wide' (16:9), defaults to 'square'
   frameRate?: number;  // Frame rate (FPS), 30 or 60, defaults to 30
   outputPath?: string;
   showCursor?: boolean;  // Whether to show cursor in video, defaults to true (captures actual visual cursor)
+  excludedWindowId?: number;  // Window left out of display and region captures
+  excludedWindowTitle?: string[];  // Windows left out of display and region captures by title, case-insensitive
+  keyboard?: KeyboardCaptureMode;  // Keyboard activity to record, defaults to 'off'
+  liveEvents?: boolean | LiveEventsOptions;  // Stream mouse events while recording, defaults to false
+  statsInterval?: number;  // Milliseconds between 'session-stats' events, 0 disables, defaults to 1000
+  encoder?: EncoderSettings;  // Defaults: H.264 in .mp4 at 12 Mbps (screen) / 2 Mbps (camera), AAC 48 kHz 256 kbps
+  preset?: string;  // Name of a built-in or user-defined preset; the other params override it
+  crashSafe?: boolean | CrashSafeOptions;  // Keep the files recoverable with `recoverSession`, defaults to false
+  onSourceLost?: SourceLostPolicy;  // When the display, window, camera or microphone goes away, defaults to 'continue'
 }
 
+/**
+ * Audio gain is stored as the track volume, which players apply; the recorded
+ * samples are left untouched. 0 to 2, defaults to 1.
+ */
+export interface MicrophoneOptions {
+  deviceId: string;
+  gain?: number;
+}
+
+/**
+ * While `excludeOwnAudio` is on (the default), `excludedWindowId` and
+ * `excludedWindowTitle` may only name windows of this app; windows of other
+ * apps fail the start with `WINDOW_EXCLUSION_CONFLICT`. Set `excludeOwnAudio:
+ * false` to hide them.
+ */
+export interface SystemAudioOptions {
+  excludeOwnAudio?: boolean;  // Leave out the audio of this app and its helper processes, defaults to true
+  gain?: number;
+}
+
+/**
+ * Writing that survives a killed backend or a sleeping Mac: fragmented movie
+ * files and events appended to *.events.jsonl while recording
+ */
+export interface CrashSafeOptions {
+  fragmentInterval?: number;  // Seconds of video per movie fragment, defaults to 2 (minimum 0.5)
+  eventsFlushInterval?: number;  // Milliseconds between event journal writes, defaults to 1000 (minimum 100)
+}
+
+/**
+ * Recording settings shared by many sessions, applied with `StartSessionParams.preset`.
+ * Sources and output location always come from the session params.
+ */
+export type SessionPreset = Partial<Omit<StartSessionParams,
+  'mode' | 'displayId' | 'windowId' | 'region' | 'cameraSourceId' | 'audioSourceId' | 'microphone' | 'outputPath' | 'excludedWindowId' | 'preset'>>;
+
+/**
+ * One reason why session params would be rejected
+ */
+export interface SessionParamsProblem {
+  path: string;  // Field path, e.g. 'region.width' or 'encoder.screen.bitrate'
+  message: string;
+}
+
+export type VideoCodec = 'h264' | 'hevc' | 'prores';
+export type AudioCodec = 'aac' | 'alac' | 'pcm';
+export type VideoContainer = 'mp4' | 'mov';
+
+export interface VideoEncoderSettings {
+  codec?: VideoCodec;  // Defaults to 'h264'
+  bitrate?: number;  // Average bits per second (h264, hevc)
+  quality?: number;  // 0..1 instead of a bitrate (h264, hevc)
+  keyframeInterval?: number;  // Maximum seconds between keyframes (h264, hevc)
+  profile?: string;  // h264: baseline/main/high, hevc: main/main10, prores: proxy/lt/422/hq/4444
+  container?: VideoContainer;  // Defaults to 'mp4', ProRes needs 'mov'
+}
+
+export interface AudioEncoderSettings {
+  codec?: AudioCodec;  // Defaults to 'aac', 'pcm' needs a 'mov' screen container
+  sampleRate?: number;  // Hz, defaults to 48000
+  bitrate?: number;  // Bits per second (aac only)
+}
+
+/**
+ * Encoder settings per output file; audio is written into the screen file.
+ * Checked by the client before starting (see `ENCODER_OPTIONS`).
+ */
+export interface EncoderSettings {
+  screen?: VideoEncoderSettings;
+  camera?: VideoEncoderSettings;
+  audio?: AudioEncoderSettings;
+}
+
+/**
+ * Live `mouse-event` / `click` streaming during a session
+ */
+export interface LiveEventsOptions {
+  interval?: number;  // Milliseconds between batches from the backend, defaults to 50 (minimum 16)
+  moves?: boolean;  // Stream move samples (only the latest per batch), defaults to true
+}
+
+export interface MouseEventsBatch {
+  sessionId: string;
+  events: MouseEvent[];
+}
+
+/**
+ * - 'off': no keyboard events
+ * - 'timing': only the time of each key press, no key information
+ * - 'shortcuts': only key presses with Control, Option or Command held (e.g. "⌘⇧4")
+ * - 'full': every key press including typed characters
+ */
+export type KeyboardCaptureMode = 'off' | 'timing' | 'shortcuts' | 'full';
+
+export type KeyModifier = 'control' | 'option' | 'shift' | 'command';
+
 export interface StartSessionResponse {
   sessionId: string;
   outputPath: string;
 }
 
+export type ImageFormat = 'png' | 'jpeg';
+
+/**
+ * A still image of the same targets a session records; no session is needed
+ */
+export interface ScreenshotParams extends Pick<StartSessionParams,
+  'mode' | 'displayId' | 'windowId' | 'region' | 'showCursor' | 'excludedWindowId' | 'excludedWindowTitle'> {
+  format?: ImageFormat;  // Defaults to 'jpeg' for a .jpg/.jpeg outputPath, else 'png'
+  quality?: number;  // JPEG quality 0..1, defaults to 0.9
+  outputPath?: string;  // Image file to write; without it the image is returned as `buffer`
+}
+
+export interface ScreenshotCursor {
+  x: number;  // Normalized to the image and clamped to 0..1, like recorded mouse events
+  y: number;
+  inside: boolean;  // Whether the pointer was over the captured area
+  cursor: string;
+}
+
+export interface ScreenshotResult {
+  format: ImageFormat;
+  outputPath?: string;
+  buffer?: Buffer;  // Encoded image when no outputPath was given
+  width: number;  // Pixels
+  height: number;
+  scaleFactor: number;
+  offset: Point;  // Top-left corner of the captured area in global points
+  cursor: ScreenshotCursor;
+  capturedAt: string;  // ISO 8601
+}
+
+/**
+ * captureScreenshot as sent by the backend, with the image base64-encoded in `data`
+ */
+export interface ScreenshotResponse extends Omit<ScreenshotResult, 'buffer'> {
+  data?: string;
+}
+
 export interface RecordingSource {
   file: string;
   size: number;
@@ -79,6 +260,7 @@ export interface RecordingSource {
     height: number;
   };
   fps: number;
+  pixelDensity?: number;  // Display scale factor of the screen track, 1 for the camera
 }
 
 export interface RecordingMetadata {
@@ -87,6 +269,21 @@ export interface RecordingMetadata {
   duration: number;
   screen?: RecordingSource;
   camera?: RecordingSource;
+  audio: AudioTrack[];  // Empty without audio
+  manifest?: string;  // File name of the project manifest in outputPath, see `loadProject`
+}
+
+/**
+ * One audio track of a recording; every source is recorded on its own track
+ */
+export interface AudioTrack {
+  kind: 'microphone' | 'system';
+  file: string;  // Audio is stored in the screen file
+  trackIndex: number;  // Position among the audio tracks of `file`, the microphone comes first
+  deviceId?: string;  // Microphone only
+  gain: number;  // Track volume
+  sampleRate: number;
+  channels: number;  // 1 for the microphone, 2 for system audio
 }
 
 export interface MouseEvent {
@@ -99,9 +296,516 @@ export interface MouseEvent {
   delta?: number;
 }
 
+export interface KeyboardEvent {
+  type: 'key';
+  t: number;
+  key?: string;  // Base key without Shift/Option applied, e.g. "4", "A", "↩" ('shortcuts' and 'full')
+  modifiers?: KeyModifier[];  // ('shortcuts' and 'full')
+  combo?: string;  // Display string for shortcuts, e.g. "⌘⇧4"
+  keyCode?: number;  // Virtual key code ('full' only)
+  characters?: string;  // Characters produced by the key press ('full' only)
+}
+
 export interface StopSessionResponse {
   recording: RecordingMetadata;
   events: MouseEvent[];
+  keyboard?: KeyboardEvent[];  // Present when keyboard capture was enabled, also saved as *.keyboard.json
+  pausedIntervals: PausedInterval[];  // Empty when the session was never paused
+}
+
+export interface TrackStats {
+  started: boolean;  // The writer received its first frame
+  framesCaptured: number;
+  framesWritten: number;
+  framesDropped: number;  // Writer not ready, append failed or frame out of order
+  fps: number;  // Frames written per second since the previous report
+  bytes: number;  // Size of the output file so far
+}
+
+/**
+ * Periodic health report of a recording session, payload of 'session-stats'
+ */
+export interface SessionStats {
+  sessionId: string;
+  t: number;  // Position on the output timeline in seconds (pauses excluded)
+  paused: boolean;
+  screen: TrackStats;  // screen.mp4, its size includes the audio track
+  camera?: TrackStats;  // Present when recording a camera
+  audio?: AudioTrackStats;  // Present when recording a microphone
+  systemAudio?: AudioTrackStats;  // Present when recording system audio
+  freeDiskSpace?: number;  // Bytes available on the output volume
+}
+
+export interface AudioTrackStats {
+  samples: number;
+  buffersDropped: number;
+}
+
+export type SessionWarningCode =
+  | 'LOW_DISK_SPACE'
+  | 'NO_FRAMES'  // The screen writer wrote nothing for `noFramesTimeout`
+  | 'FRAMES_DROPPED'  // More than `maxDropRate` of the frames since the previous report were dropped
+  | 'CAMERA_NOT_STARTED'  // The camera writer has not received a frame after `cameraStartTimeout`
+  | 'NO_AUDIO';  // No microphone samples for `noFramesTimeout`
+
+export interface SessionWarning {
+  sessionId: string;
+  code: SessionWarningCode;
+  message: string;
+  track?: 'screen' | 'camera' | 'audio';
+  t: number;
+  stats: SessionStats;
+}
+
+/**
+ * Thresholds for 'session-warning'. Each warning is emitted once and again
+ * only after its condition has cleared.
+ */
+export interface HealthThresholds {
+  /**
+   * Warn when the output volume has less free space, in bytes
+   * @default 1073741824 (1 GiB)
+   */
+  minFreeDiskSpace?: number;
+
+  /**
+   * Seconds of recording without written screen frames (or audio samples)
+   * @default 3
+   */
+  noFramesTimeout?: number;
+
+  /**
+   * Fraction of dropped frames between two reports
+   * @default 0.1
+   */
+  maxDropRate?: number;
+
+  /**
+   * Seconds of recording before a camera that never started is reported
+   * @default 5
+   */
+  cameraStartTimeout?: number;
+}
+
+export interface PausedInterval {
+  start: number;  // Position on the recorded timeline where the pause was cut out
+  duration: number;  // Wall-clock seconds the session was paused
+}
+
+/**
+ * project.json as written by the backend when a session stops
+ */
+export interface ProjectManifest {
+  version: number;
+  sessionId: string;
+  createdAt: string;  // ISO 8601
+  duration: number;
+  capture: {
+    mode: RecordingMode;
+    offset: { x: number; y: number };  // Origin of the captured area in screen points
+    scaleFactor: number;
+  };
+  tracks: {
+    screen?: RecordingSource;
+    camera?: RecordingSource;
+    audio: AudioTrack[];
+  };
+  events: {
+    mouse?: string;
+    keyboard?: string;
+  };
+  pausedIntervals: PausedInterval[];
+  params?: StartSessionParams;  // startSession params as sent to the backend
+  recovered?: boolean;  // Rebuilt by `recoverSession` after the backend was interrupted
+}
+
+export interface ProjectTrack {
+  file: string;
+  path: string;  // Absolute path of `file`
+  size: number;
+  // Unknown for recordings without a manifest
+  resolution?: { width: number; height: number };
+  fps?: number;
+  pixelDensity?: number;
+}
+
+export interface ProjectAudioTrack extends AudioTrack {
+  path: string;  // Absolute path of `file`
+}
+
+/**
+ * A recording reopened with `loadProject`. Folders recorded before project.json
+ * existed load as version 0 with only what can be found on disk.
+ */
+export interface RecordingProject {
+  version: number;
+  dir: string;
+  manifestPath?: string;
+  sessionId?: string;
+  createdAt?: string;
+  duration?: number;
+  capture?: ProjectManifest['capture'];
+  tracks: {
+    screen: ProjectTrack;
+    camera?: ProjectTrack;
+    audio: ProjectAudioTrack[];
+  };
+  events: {
+    mouse?: string;  // Absolute paths of the event files
+    keyboard?: string;
+  };
+  pausedIntervals: PausedInterval[];
+  params?: StartSessionParams;
+  recovered?: boolean;
+}
+
+/**
+ * - 'intact': the file was finished or is complete as it is
+ * - 'recovered': incomplete data was cut off, the playable part was saved as *.recovered.mp4/.mov
+ * - 'unrecoverable': the file has no movie header, e.g. it was not recorded with `crashSafe`
+ * - 'missing': the file does not exist
+ */
+export type TrackRecoveryStatus = 'intact' | 'recovered' | 'unrecoverable' | 'missing';
+
+export interface TrackRecovery {
+  status: TrackRecoveryStatus;
+  file: string;  // Playable file, or the original for 'unrecoverable' and 'missing'
+  bytesDropped: number;  // Incomplete data at the end that was not kept
+  reason?: string;  // Why the track could not be recovered
+}
+
+/**
+ * What `recoverSession` salvaged from one interrupted recording
+ */
+export interface RecoveryReport {
+  dir: string;
+  sessionId: string;
+  manifestPath?: string;  // project.json written for the recovered session, absent when the screen track was lost
+  duration: number;  // Timeline position at the last journal flush
+  screen: TrackRecovery;
+  camera?: TrackRecovery;
+  events: {
+    mouse: number;  // Events saved to the events file
+    keyboard?: number;
+    skippedLines: number;  // Journal lines cut off mid-write
+  };
+}
+
+// Composite export (see export/CompositeExporter.ts)
+export type CameraBubblePosition = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+export type CameraBubbleShape = 'circle' | 'rounded' | 'rectangle';
+
+export interface CameraBubbleOptions {
+  position?: CameraBubblePosition;  // Defaults to 'bottom-right'
+  size?: number;  // Bubble width as a fraction of the output width, defaults to 0.2
+  margin?: number;  // Distance from the edges as a fraction of the output width, defaults to 0.03
+  shape?: CameraBubbleShape;  // Defaults to 'circle' for square cameras and 'rounded' for wide ones
+  cornerRadius?: number;  // Corners of 'rounded' as a fraction of the bubble's shorter side, defaults to 0.15
+  mirror?: boolean;  // Flip horizontally like a selfie view, defaults to false
+}
+
+export interface ClickHighlightOptions {
+  color?: string;  // '#rrggbb', defaults to '#ffffff'
+  size?: number;  // Largest ripple diameter as a fraction of the output width, defaults to 0.05
+  duration?: number;  // Seconds, defaults to 0.5
+}
+
+export interface CursorOverlayOptions {
+  smoothing?: number;  // 0 follows the recorded path, 1 smooths over about a quarter second; defaults to 0.5
+  size?: number;  // Dot diameter as a fraction of the output width, defaults to 0.015
+  color?: string;  // '#rrggbb', defaults to '#ffffff'
+  image?: string;  // Image drawn instead of the dot, its top-left corner at the pointer
+}
+
+export interface CompositeExportOptions {
+  outputPath: string;
+  trim?: { start?: number; end?: number };  // Seconds on the recorded timeline
+  resolution?: { width?: number; height?: number };  // Defaults to the screen size; a different aspect ratio is letterboxed
+  fps?: number;  // Defaults to the recording's frame rate
+  camera?: boolean | CameraBubbleOptions;  // Defaults to true when the recording has a camera track
+  clicks?: boolean | ClickHighlightOptions;  // Defaults to true
+  cursor?: boolean | CursorOverlayOptions;  // Draw the pointer from the events, for recordings made with `showCursor: false`
+  audio?: boolean | { microphone?: number; system?: number };  // false drops audio, numbers replace the recorded gain per kind
+  videoCodec?: string;  // ffmpeg encoder, defaults to 'libx264'
+  crf?: number;  // Quality for libx264 and libx265, defaults to 20
+  signal?: AbortSignal;  // Aborting stops ffmpeg and removes the partial output
+}
+
+export interface ExportProgress {
+  outputPath: string;
+  t: number;  // Seconds of video written
+  duration?: number;  // Length of the export, unknown for folders without project.json unless trimmed
+  fraction?: number;  // 0 to 1
+  fps?: number;  // Frames encoded per second
+  speed?: number;  // Encoding speed as a multiple of real time
+}
+
+export interface CompositeExportResult {
+  outputPath: string;
+  duration: number;  // Seconds of video written
+  size: number;  // Bytes
+}
+
+export interface PauseSessionResponse {
+  sessionId: string;
+  paused: boolean;
+  t: number;  // Position on the recorded timeline where the pause begins
+}
+
+// Event analysis (see analysis.ts). Times are seconds, coordinates are normalized 0..1
+export type MouseButton = 'left' | 'right' | 'middle';
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+export interface TimedPoint extends Point {
+  t: number;
+}
+
+export interface Click extends TimedPoint {
+  button: MouseButton;
+  duration: number;  // Time between down and up
+  count: number;  // 1 for single clicks, 2 for the second click of a double-click, ...
+  cursor?: string;
+}
+
+/**
+ * Returned by `createClickDetector`; feed events in time order
+ */
+export interface ClickDetector {
+  push(event: MouseEvent): Click | null;  // The click completed by this event, if any
+}
+
+export interface Drag {
+  button: MouseButton;
+  start: TimedPoint;
+  end: TimedPoint;
+  duration: number;
+  distance: number;  // Path length in normalized units
+  path: TimedPoint[];
+}
+
+export interface ScrollBurst extends Point {
+  start: number;
+  end: number;
+  count: number;  // Number of wheel events in the burst
+  delta: number;  // Sum of wheel deltas
+}
+
+export interface IdlePeriod {
+  start: number;
+  end: number;
+  duration: number;
+}
+
+export type ActivityState = 'idle' | 'moving' | 'clicking' | 'dragging' | 'scrolling';
+
+export interface ActivitySegment {
+  start: number;
+  end: number;
+  state: ActivityState;
+  intensity: number;  // 0..1, relative to the busiest segment of the recording
+  distance: number;
+  clicks: number;
+  scrolls: number;
+}
+
+export interface AnalysisOptions {
+  /**
+   * Maximum pointer travel between down and up for a click, beyond it the press is a drag
+   * @default 0.01
+   */
+  clickMaxDistance?: number;
+
+  /**
+   * Maximum gap between clicks of a multi-click, in seconds
+   * @default 0.5
+   */
+  doubleClickInterval?: number;
+
+  /**
+   * Maximum distance between clicks of a multi-click
+   * @default 0.02
+   */
+  doubleClickDistance?: number;
+
+  /**
+   * Wheel events further apart than this many seconds start a new burst
+   * @default 0.3
+   */
+  scrollGap?: number;
+
+  /**
+   * Largest allowed deviation of the thinned move path from the original
+   * @default 0.002
+   */
+  simplifyTolerance?: number;
+
+  /**
+   * Minimum length of an idle period in seconds
+   * @default 2
+   */
+  idleThreshold?: number;
+
+  /**
+   * Length of activity timeline segments in seconds
+   * @default 1
+   */
+  segmentDuration?: number;
+
+  /**
+   * Recording duration in seconds, used to close the timeline and trailing idle period
+   */
+  duration?: number;
+}
+
+// Auto-zoom (see autoZoom.ts)
+export type ZoomEasing = 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out';
+
+export type ZoomReason = 'reset' | 'click' | 'typing' | 'dwell';
+
+export interface ZoomKeyframe {
+  t: number;  // Time in seconds at which the camera reaches this state
+  center: Point;  // Normalized center of the visible area
+  scale: number;  // 1 = full frame, 2 = half the width and height visible
+  easing: ZoomEasing;  // Easing used to interpolate from the previous keyframe
+  reason: ZoomReason;
+}
+
+export interface ZoomTrack {
+  version: 1;
+  duration: number;
+  keyframes: ZoomKeyframe[];
+}
+
+export interface AutoZoomOptions {
+  /**
+   * Largest zoom factor
+   * @default 2.5
+   */
+  maxScale?: number;
+
+  /**
+   * Zoom factor used for a single point of focus, lower if the focus area is wider
+   * @default 2
+   */
+  defaultScale?: number;
+
+  /**
+   * Shortest time to stay on a focus area, in seconds
+   * @default 1.5
+   */
+  minHold?: number;
+
+  /**
+   * Duration of zoom and pan transitions, in seconds
+   * @default 0.6
+   */
+  transition?: number;
+
+  /**
+   * 0 follows every focus change, 1 only pans once the focus leaves the visible area
+   * @default 0.5
+   */
+  smoothing?: number;
+
+  /**
+   * Clicks closer than this (normalized) belong to the same cluster
+   * @default 0.15
+   */
+  clusterRadius?: number;
+
+  /**
+   * Clicks further apart than this many seconds start a new cluster
+   * @default 2
+   */
+  clusterGap?: number;
+
+  /**
+   * Minimum time the cursor must rest to count as a dwell, in seconds
+   * @default 1.5
+   */
+  dwellTime?: number;
+
+  /**
+   * Maximum cursor travel during a dwell (normalized)
+   * @default 0.03
+   */
+  dwellRadius?: number;
+
+  /**
+   * How long to stay zoomed after a click into a text field, in seconds
+   * @default 3
+   */
+  typingHold?: number;
+
+  /**
+   * Easing for generated transitions
+   * @default 'ease-in-out'
+   */
+  easing?: ZoomEasing;
+
+  /**
+   * Recording duration in seconds, taken from the response or the last event if omitted
+   */
+  duration?: number;
+}
+
+// Caption tracks, chapters and cursor CSV (see formats.ts)
+export interface Marker {
+  t: number;  // Seconds on the output timeline
+  label: string;
+  duration?: number;  // How long the caption stays on screen, defaults to `markerDuration`
+}
+
+export type CaptionCueKind = 'click' | 'shortcut' | 'marker';
+
+export interface CaptionCue {
+  start: number;
+  end: number;
+  text: string;
+  kind: CaptionCueKind;
+}
+
+export interface CaptionOptions {
+  clicks?: boolean;  // Defaults to true
+  shortcuts?: boolean;  // Defaults to true; needs a recording made with keyboard 'shortcuts' or 'full'
+  markers?: Marker[];
+  clickDuration?: number;  // Seconds on screen, defaults to 1
+  shortcutDuration?: number;  // Seconds on screen, defaults to 1.5
+  markerDuration?: number;  // Seconds on screen, defaults to 3
+  labels?: Partial<Record<'click' | 'doubleClick' | 'tripleClick' | 'rightClick' | 'middleClick', string>>;  // Caption text per click kind
+  duration?: number;  // Recording duration, cues are cut at it; taken from the response if omitted
+}
+
+export interface Chapter {
+  start: number;
+  end: number;
+  title: string;
+}
+
+export interface ChapterOptions {
+  minDuration?: number;  // Shorter stretches of one activity merge into a neighbour, in seconds; defaults to 10
+  titles?: Partial<Record<ActivityState, string>>;  // Chapter title per activity state
+  markers?: Marker[];  // Each marker starts a chapter titled with its label
+}
+
+export interface CursorCSVOptions {
+  moves?: boolean;  // Only `move` events, defaults to false
+  size?: { width: number; height: number };  // Adds px and py columns scaled to this size
+}
+
+export interface EventAnalysis {
+  clicks: Click[];
+  doubleClicks: Click[];
+  drags: Drag[];
+  scrolls: ScrollBurst[];
+  idle: IdlePeriod[];
+  activity: ActivitySegment[];
+  simplified: MouseEvent[];
 }
 
 // Camera parameters
@@ -120,6 +824,299 @@ export interface PermissionsStatus {
   accessibility: boolean;
 }
 
+export type BackendType = 'native' | 'mock' | 'replay';
+
+// Error codes reported by the native backend (`errorCode` in responses)
+export type NativeErrorCode =
+  | 'SHAREABLE_CONTENT_UNAVAILABLE'
+  | 'SESSION_ALREADY_RUNNING'
+  | 'SESSION_NOT_RUNNING'
+  | 'SESSION_ALREADY_PAUSED'
+  | 'SESSION_NOT_PAUSED'
+  | 'SESSION_NOT_OWNED'  // Sent by RelayServer when another client controls the session
+  | 'DISPLAY_NOT_FOUND'
+  | 'WINDOW_NOT_FOUND'
+  | 'INVALID_REGION'
+  | 'OUTPUT_UNAVAILABLE'
+  | 'UNSUPPORTED_ENCODER_SETTINGS'  // The encoder rejected the settings on this Mac
+  | 'SCREENSHOT_FAILED'
+  | 'PREVIEW_NOT_RUNNING'  // getPreview without a preview or a session
+  | 'WINDOW_EXCLUSION_CONFLICT'  // Excluded windows of other apps while excluding own audio
+  | 'CAMERA_NOT_FOUND'
+  | 'CAMERA_INPUT_FAILURE'
+  | 'CAMERA_OUTPUT_FAILURE'
+  | 'AUDIO_DEVICE_NOT_FOUND'
+  | 'AUDIO_INPUT_FAILURE'
+  | 'AUDIO_OUTPUT_FAILURE'
+  | 'MISSING_PAYLOAD'
+  | 'INVALID_PAYLOAD'
+  | 'INVALID_COMMAND'
+  | 'UNKNOWN_COMMAND'
+  | 'CANCELLED'
+  | 'NATIVE_ERROR';  // Native error without a dedicated code
+
+// Error codes produced by the client itself
+export type ClientErrorCode =
+  | 'TIMEOUT'
+  | 'PROCESS_TERMINATED'
+  | 'NOT_INITIALIZED'
+  | 'INVALID_PARAMS'
+  | 'ABORTED';
+
+export type StartupErrorCode =
+  | 'BINARY_NOT_FOUND'  // No binary at the configured path or any default location
+  | 'NOT_EXECUTABLE'  // Binary exists but cannot be executed (permissions, quarantine)
+  | 'UNSUPPORTED_PLATFORM'  // The native backend was asked for on a platform other than macOS
+  | 'EXITED_DURING_STARTUP'  // Process exited before answering the handshake
+  | 'HANDSHAKE_TIMEOUT'  // Process is running but never answered the handshake
+  | 'CONNECTION_FAILED';  // A socket or WebSocket transport could not connect
+
+export type ProjectErrorCode =
+  | 'PROJECT_NOT_FOUND'  // Neither a manifest nor a screen recording at the path
+  | 'INVALID_PROJECT'  // Unreadable manifest or a file it references is missing
+  | 'UNSUPPORTED_PROJECT_VERSION';  // Manifest written by a newer version
+
+export type ExportErrorCode =
+  | 'FFMPEG_NOT_FOUND'  // The ffmpeg executable could not be started
+  | 'EXPORT_FAILED'  // ffmpeg exited with an error
+  | 'EXPORT_ABORTED';  // Aborted through `signal`
+
+export type ErrorCode = NativeErrorCode | ClientErrorCode | StartupErrorCode | ProjectErrorCode | ExportErrorCode;
+
+export interface MockBackendOptions {
+  /**
+   * Sources returned by listSources (merged over the built-in mock display, window, camera and microphone)
+   */
+  sources?: Partial<SourcesData>;
+
+  /**
+   * Permissions returned by checkPermissions, defaults to everything granted
+   */
+  permissions?: Partial<PermissionsStatus>;
+
+  /**
+   * Permissions reported after requestPermissions, defaults to `permissions`
+   */
+  grantedPermissions?: Partial<PermissionsStatus>;
+
+  /**
+   * Mouse events returned by stopSession and written to events.json
+   */
+  events?: MouseEvent[];
+
+  /**
+   * Keyboard events (as captured in 'full' mode), reduced to the session's keyboard mode
+   */
+  keyboardEvents?: KeyboardEvent[];
+
+  /**
+   * Artificial delay before every response in milliseconds
+   * @default 0
+   */
+  responseDelay?: number;
+
+  /**
+   * Simulated recording problems reflected in 'session-stats'
+   */
+  health?: {
+    freeDiskSpace?: number;  // Reported free space in bytes
+    dropRate?: number;  // Fraction of captured frames reported as dropped
+    stallAfter?: number;  // Seconds after which no more frames are written
+  };
+
+  /**
+   * Source lists that replace `sources` this many milliseconds after the backend
+   * starts, reported to `watchSources` and to a running session like real changes
+   */
+  sourceChanges?: { after: number; sources: Partial<SourcesData> }[];
+}
+
+export interface SupervisorOptions {
+  /**
+   * Maximum number of consecutive restart attempts before giving up
+   * @default 5
+   */
+  maxRestarts?: number;
+
+  /**
+   * Delay before the first restart attempt in milliseconds
+   * @default 500
+   */
+  initialDelay?: number;
+
+  /**
+   * Upper bound for the backoff delay in milliseconds
+   * @default 30000
+   */
+  maxDelay?: number;
+
+  /**
+   * Multiplier applied to the delay after each failed attempt
+   * @default 2
+   */
+  backoffFactor?: number;
+
+  /**
+   * Uptime in milliseconds after which the restart counter is reset
+   * @default 60000
+   */
+  resetAfter?: number;
+}
+
+export type SessionState = 'starting' | 'recording' | 'paused' | 'stopping' | 'completed' | 'failed';
+
+export interface SessionInfo {
+  sessionId: string | null;  // null until the backend has accepted the session
+  state: SessionState;
+  params: StartSessionParams;
+  startedAt: number;  // Unix time in milliseconds
+  stoppedAt?: number;  // Unix time in milliseconds, set once completed or failed
+  outputPath?: string;
+  recording?: RecordingMetadata;  // Set once completed
+  error?: Error;  // Set once failed
+  stats?: SessionStats;  // Latest health report
+}
+
+export interface LostSessionInfo {
+  sessionId: string;
+  outputPath: string;  // Partially written recording, may be salvageable
+  params: StartSessionParams;
+  startedAt: number;  // Unix time in milliseconds
+  exitCode: number | null;
+}
+
+export interface ReconnectingInfo {
+  attempt: number;
+  delay: number;
+  maxRestarts: number;
+}
+
+export interface ReconnectedInfo {
+  attempt: number;
+  permissions: PermissionsStatus | null;  // null if the permission re-check failed
+  lostSession: LostSessionInfo | null;
+}
+
+export interface ReconnectFailedInfo {
+  attempts: number;
+  error: Error;
+}
+
+export type CommandName =
+  | 'listSources'
+  | 'startSession'
+  | 'stopSession'
+  | 'pauseSession'
+  | 'resumeSession'
+  | 'captureScreenshot'
+  | 'startPreview'
+  | 'stopPreview'
+  | 'getPreview'
+  | 'checkPermissions'
+  | 'requestPermissions'
+  | 'configureCamera'
+  | 'configureAudio'
+  | 'watchSources'
+  | 'unwatchSources';
+
+export interface CommandOptions {
+  /**
+   * Timeout in milliseconds, overrides the per-command default
+   */
+  timeout?: number;
+
+  /**
+   * Aborting rejects the call with CommandAbortedError and cancels the native work
+   */
+  signal?: AbortSignal;
+}
+
+export interface LateResponseInfo {
+  commandId: string;
+  command: string;
+  reason: 'timeout' | 'aborted';  // Why the caller stopped waiting
+  elapsed: number;  // Milliseconds since the command was sent
+  success: boolean;
+  payload?: unknown;
+  error?: string;
+  errorCode?: string;
+}
+
+// Protocol traces (see trace.ts), one JSON record per line
+export type TraceRecordType = 'spawn' | 'command' | 'response' | 'event' | 'stderr' | 'stdout' | 'exit';
+
+export interface TraceRecord {
+  time: number;  // Unix time in milliseconds
+  type: TraceRecordType;
+  // spawn: { backend, binaryPath }, command/response/event: the protocol message,
+  // stderr: raw chunk, stdout: unparseable line, exit: { code, signal, shuttingDown }
+  data: any;
+}
+
+export interface TracedCommand {
+  id: string;
+  command: string;
+  payload: unknown;
+  sentAt: number;
+  duration?: number;  // Milliseconds, undefined if no response was recorded
+  success?: boolean;
+  error?: string;
+  errorCode?: string;
+}
+
+export interface TraceSummary {
+  commands: TracedCommand[];
+  failed: TracedCommand[];
+  unanswered: TracedCommand[];
+  events: Record<string, number>;  // Push event counts by name
+  stderr: string[];
+  exits: Array<{ time: number; code: number | null; signal: NodeJS.Signals | null }>;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogFields {
+  command?: string;
+  commandId?: string;
+  sessionId?: string;
+  duration?: number;  // Milliseconds
+  source?: 'client' | 'native';  // 'native' for records parsed from the Swift stderr
+  [key: string]: unknown;
+}
+
+/**
+ * Structured logger, called as `logger.info(fields, message)` like pino
+ */
+export interface Logger {
+  debug(fields: LogFields, message: string): void;
+  info(fields: LogFields, message: string): void;
+  warn(fields: LogFields, message: string): void;
+  error(fields: LogFields, message: string): void;
+}
+
+/**
+ * Carries protocol lines between the client and a backend. Implementations:
+ * StdioTransport, UnixSocketTransport and WebSocketTransport.
+ *
+ * Events: 'line' (line), 'stderr' (chunk), 'exit' (code, signal), 'error' (err)
+ */
+export interface Transport {
+  readonly kind: string;  // 'stdio', 'unix', 'websocket' or a custom name
+  readonly target: string;  // Binary path, socket path or URL
+  open(): Promise<void>;
+  send(line: string): void;
+  close(): Promise<void>;  // Graceful, resolves once the connection is gone
+  destroy(): void;  // Immediate
+  on(event: 'line', listener: (line: string) => void): this;
+  on(event: 'stderr', listener: (chunk: string) => void): this;
+  on(event: 'exit', listener: (code: number | null, signal: NodeJS.Signals | null) => void): this;
+  on(event: 'error', listener: (err: Error) => void): this;
+  off(event: string, listener: (...args: any[]) => void): this;
+}
+
+// Called for every (re)start, so each connection gets a fresh transport
+export type TransportFactory = () => Transport;
+
 export interface SkreenmeCaptureKITOptions {
   /**
    * Path to Swift binary. If not provided, uses default based on NODE_ENV
@@ -127,15 +1124,112 @@ export interface SkreenmeCaptureKITOptions {
   binaryPath?: string;
 
   /**
-   * Default timeout for commands in milliseconds
+   * Backend to spawn: the native Swift binary, or the bundled Node mock that
+   * speaks the same protocol (for Linux CI and tests)
+   * @default 'native'
+   */
+  backend?: BackendType;
+
+  /**
+   * Scripted data for the mock backend, ignored for the native backend
+   */
+  mock?: MockBackendOptions;
+
+  /**
+   * Connect through a custom transport instead of spawning `backend`,
+   * e.g. `() => new UnixSocketTransport('/tmp/skreenme.sock')`
+   */
+  transport?: TransportFactory;
+
+  /**
+   * Trace file to play back with `backend: 'replay'`
+   */
+  replay?: string;
+
+  /**
+   * Append every command, response, event and stderr chunk to this JSONL file
+   */
+  trace?: string;
+
+  /**
+   * Default timeout for commands in milliseconds, used for commands without
+   * an entry in `timeouts` or a built-in default
    * @default 30000
    */
   timeout?: number;
+
+  /**
+   * Timeouts per command in milliseconds. Built-in defaults: listSources and
+   * checkPermissions 10000, stopSession 60000, requestPermissions 300000.
+   */
+  timeouts?: Partial<Record<CommandName, number>>;
+
+  /**
+   * Restart the backend automatically when it exits unexpectedly.
+   * `true` enables the supervisor with default settings.
+   * @default false
+   */
+  supervise?: boolean | SupervisorOptions;
+
+  /**
+   * How long initialize() waits for the backend to answer the readiness handshake, in milliseconds
+   * @default 10000
+   */
+  startupTimeout?: number;
+
+  /**
+   * Receives structured log records. Nothing is logged without one.
+   */
+  logger?: Logger;
+
+  /**
+   * Minimum level passed to `logger`
+   * @default 'info'
+   */
+  logLevel?: LogLevel;
+
+  /**
+   * Thresholds for 'session-warning' events
+   */
+  health?: HealthThresholds;
+
+  /**
+   * Additional presets for `StartSessionParams.preset`; a name of a built-in preset replaces it
+   */
+  presets?: Record<string, SessionPreset>;
+
+  /**
+   * Completed and failed sessions kept for listSessions(); older ones are dropped
+   * @default 50
+   */
+  sessionHistory?: number;
+}
+
+/**
+ * Size, rate and encoding of preview frames
+ */
+export interface PreviewOptions {
+  maxWidth?: number;  // Frames are scaled down to fit, never up; defaults to 640
+  maxHeight?: number;
+  fps?: number;  // 'preview-frame' events per second, 1..30, defaults to 10
+  format?: ImageFormat;  // Defaults to 'jpeg'
+  quality?: number;  // JPEG quality 0..1, defaults to 0.6
 }
 
+/**
+ * A preview source for when no session runs: a display, window or region and/or
+ * a camera. During a session the frames always come from the recording.
+ */
+export interface PreviewParams extends PreviewOptions, Partial<Pick<StartSessionParams,
+  'mode' | 'displayId' | 'windowId' | 'region' | 'showCursor' | 'excludedWindowId' | 'excludedWindowTitle' |
+  'cameraSourceId' | 'cameraWidth' | 'cameraHeight' | 'cameraFormat'>> {}
+
 export interface PreviewResponse {
-  videoFrame?: string;
+  videoFrame?: string;  // data: URL, usable as an <img> src
   cameraFrame?: string;
+  videoSize?: { width: number; height: number };  // Pixels
+  cameraSize?: { width: number; height: number };
+  sessionId?: string;  // Set while the screen frames come from a recording
 }
 
 export interface SkreenmeCaptureKITEvents {
@@ -164,13 +1258,87 @@ export interface SkreenmeCaptureKITEvents {
    */
   'session-stopped': (data: StopSessionResponse) => void;
 
+  /**
+   * Emitted when a recording session is paused
+   */
+  'session-paused': (data: PauseSessionResponse) => void;
+
+  /**
+   * Emitted when a paused recording session is resumed
+   */
+  'session-resumed': (data: PauseSessionResponse) => void;
+
   /**
    * Emitted for Swift stderr output
    */
   stderr: (message: string) => void;
 
   /**
-   * Emitted when cursor position updates
+   * Emitted when the process dies while a session is recording
+   */
+  'session-lost': (info: LostSessionInfo) => void;
+
+  /**
+   * Emitted when a reply arrives for a command that already timed out or was aborted
+   */
+  'late-response': (info: LateResponseInfo) => void;
+
+  /**
+   * Emitted before each supervised restart attempt
+   */
+  reconnecting: (info: ReconnectingInfo) => void;
+
+  /**
+   * Emitted when a supervised restart succeeded and permissions were re-checked
+   */
+  reconnected: (info: ReconnectedInfo) => void;
+
+  /**
+   * Emitted when the supervisor has exhausted its restart attempts
+   */
+  'reconnect-failed': (info: ReconnectFailedInfo) => void;
+
+  /**
+   * Emitted when the kind of cursor under the pointer changes, e.g. 'arrow', 'pointer', 'ibeam'
+   */
+  'cursor-update': (cursor: string) => void;
+
+  /**
+   * Emitted periodically while recording (see `statsInterval`)
+   */
+  'session-stats': (stats: SessionStats) => void;
+
+  /**
+   * Emitted when a session-stats report crosses a `health` threshold
+   */
+  'session-warning': (warning: SessionWarning) => void;
+
+  /**
+   * Emitted while watching sources (see `watchSources`) when a display, window,
+   * camera or microphone appears, goes away or changes
+   */
+  'sources-changed': (changes: SourcesChangedEvent) => void;
+
+  /**
+   * Emitted when a source of the running session goes away, before the
+   * session's `onSourceLost` policy is applied
+   */
+  'source-lost': (info: SourceLostInfo) => void;
+
+  /**
+   * Emitted while a preview runs (see `startPreview`). Only frames that changed
+   * since the last event are included.
+   */
+  'preview-frame': (frame: PreviewResponse) => void;
+
+  /**
+   * Emitted for every live mouse event of a session started with `liveEvents`.
+   * Same normalized coordinates and `t` as the events returned by stopSession.
+   */
+  'mouse-event': (event: MouseEvent, sessionId: string) => void;
+
+  /**
+   * Emitted when a live down/up pair completes a click (see `detectClicks`)
    */
-  'cursor-update': (cursor: { x: number; y: number }) => void;
+  click: (click: Click, sessionId: string) => void;
 }
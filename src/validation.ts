@@ -0,0 +1,238 @@
+import { checkEncoderSettings } from './encoder';
+import type { PreviewParams, ScreenshotParams, SessionParamsProblem, SourcesData, StartSessionParams } from './types';
+
+const MODES = ['display', 'window', 'region'];
+const FRAME_RATES = [30, 60];
+const CAMERA_FORMATS = ['wide', 'square'];
+const KEYBOARD_MODES = ['off', 'timing', 'shortcuts', 'full'];
+const IMAGE_FORMATS = ['png', 'jpeg'];
+const SOURCE_LOST_POLICIES = ['stop', 'pause', 'continue'];
+
+function isPositiveInteger(value: unknown): boolean {
+  return typeof value === 'number' && Number.isInteger(value) && value > 0;
+}
+
+function isGain(value: unknown): boolean {
+  return typeof value === 'number' && value >= 0 && value <= 2;
+}
+
+type ProblemReporter = (path: string, message: string) => void;
+
+/**
+ * Checks shared by sessions and screenshots: the display, window or region and the excluded windows
+ */
+function checkCaptureTarget(
+  params: Pick<StartSessionParams, 'mode' | 'displayId' | 'windowId' | 'region' | 'excludedWindowId' | 'excludedWindowTitle'>,
+  sources: SourcesData | undefined,
+  problem: ProblemReporter
+): void {
+  if (!MODES.includes(params.mode)) {
+    problem('mode', `must be one of ${MODES.join(', ')}, got ${String(params.mode)}`);
+  }
+
+  if (params.mode === 'display') {
+    if (!params.displayId) {
+      problem('displayId', 'is required in display mode');
+    } else if (sources && !sources.displays.some(display => display.id === params.displayId)) {
+      problem('displayId', `no display with id ${params.displayId}`);
+    }
+  }
+
+  if (params.mode === 'window') {
+    if (!params.windowId) {
+      problem('windowId', 'is required in window mode');
+    } else if (sources && !sources.windows.some(window => window.id === params.windowId)) {
+      problem('windowId', `no window with id ${params.windowId}`);
+    }
+  }
+
+  if (params.mode === 'region') {
+    const { region } = params;
+    if (!region) {
+      problem('region', 'is required in region mode');
+    } else {
+      let regionInvalid = false;
+      for (const key of ['x', 'y'] as const) {
+        if (typeof region[key] !== 'number' || !(region[key] >= 0)) {
+          problem(`region.${key}`, 'must be a number of points, at least 0');
+          regionInvalid = true;
+        }
+      }
+      for (const key of ['width', 'height'] as const) {
+        if (typeof region[key] !== 'number' || !(region[key] > 0)) {
+          problem(`region.${key}`, 'must be a number of points greater than 0');
+          regionInvalid = true;
+        }
+      }
+
+      // The backend records regions of the first display, in its own coordinates
+      const frame = sources?.displays[0]?.frame;
+      if (frame && !regionInvalid) {
+        if (region.x + region.width > frame.width) {
+          problem('region.width', `region ends at x ${region.x + region.width}, outside the ${frame.width} points wide display`);
+        }
+        if (region.y + region.height > frame.height) {
+          problem('region.height', `region ends at y ${region.y + region.height}, outside the ${frame.height} points high display`);
+        }
+      }
+    }
+  }
+
+  if (params.excludedWindowId !== undefined && !isPositiveInteger(params.excludedWindowId)) {
+    problem('excludedWindowId', 'must be a window id number');
+  }
+  if (params.excludedWindowTitle !== undefined
+    && !(Array.isArray(params.excludedWindowTitle) && params.excludedWindowTitle.every(title => typeof title === 'string'))) {
+    problem('excludedWindowTitle', 'must be a list of window titles');
+  }
+}
+
+/**
+ * Checks shared by sessions and previews: the camera and its size
+ */
+function checkCamera(
+  params: Pick<StartSessionParams, 'cameraSourceId' | 'cameraWidth' | 'cameraHeight' | 'cameraFormat'>,
+  sources: SourcesData | undefined,
+  problem: ProblemReporter
+): void {
+  if (params.cameraSourceId && sources && !sources.cameras.some(camera => camera.id === params.cameraSourceId)) {
+    problem('cameraSourceId', `no camera with id ${params.cameraSourceId}`);
+  }
+  for (const key of ['cameraWidth', 'cameraHeight'] as const) {
+    if (params[key] !== undefined && !isPositiveInteger(params[key])) {
+      problem(key, 'must be a positive number of pixels');
+    }
+  }
+  if (params.cameraFormat !== undefined && !CAMERA_FORMATS.includes(params.cameraFormat)) {
+    problem('cameraFormat', `must be one of ${CAMERA_FORMATS.join(', ')}, got ${String(params.cameraFormat)}`);
+  }
+}
+
+/**
+ * Check session params before they are sent to the backend and return every
+ * problem found, or an empty list. With `sources` (from `listSources()`), the
+ * referenced display, window, camera and audio device must exist and a region
+ * must fit inside the display. Resolve `preset` first with `applyPreset()`.
+ */
+export function validateSessionParams(params: StartSessionParams, sources?: SourcesData): SessionParamsProblem[] {
+  const problems: SessionParamsProblem[] = [];
+  const problem = (path: string, message: string) => problems.push({ path, message });
+
+  checkCaptureTarget(params, sources, problem);
+
+  if (params.cameraSourceId) {
+    // The backend has no default camera size
+    for (const key of ['cameraWidth', 'cameraHeight'] as const) {
+      if (params[key] === undefined) {
+        problem(key, 'is required with cameraSourceId');
+      }
+    }
+  }
+  checkCamera(params, sources, problem);
+
+  if (params.audioSourceId && sources && !sources.audio.some(device => device.id === params.audioSourceId)) {
+    problem('audioSourceId', `no audio device with id ${params.audioSourceId}`);
+  }
+  if (params.microphone !== undefined) {
+    const { deviceId, gain } = params.microphone;
+    if (params.audioSourceId) {
+      problem('microphone', 'audioSourceId and microphone are mutually exclusive');
+    }
+    if (typeof deviceId !== 'string' || !deviceId) {
+      problem('microphone.deviceId', 'is required');
+    } else if (sources && !sources.audio.some(device => device.id === deviceId)) {
+      problem('microphone.deviceId', `no audio device with id ${deviceId}`);
+    }
+    if (gain !== undefined && !isGain(gain)) {
+      problem('microphone.gain', 'must be a number from 0 to 2');
+    }
+  }
+  if (typeof params.systemAudio === 'object' && params.systemAudio.gain !== undefined && !isGain(params.systemAudio.gain)) {
+    problem('systemAudio.gain', 'must be a number from 0 to 2');
+  }
+
+  if (params.frameRate !== undefined && !FRAME_RATES.includes(params.frameRate)) {
+    problem('frameRate', `must be one of ${FRAME_RATES.join(', ')}, got ${String(params.frameRate)}`);
+  }
+  if (params.keyboard !== undefined && !KEYBOARD_MODES.includes(params.keyboard)) {
+    problem('keyboard', `must be one of ${KEYBOARD_MODES.join(', ')}, got ${String(params.keyboard)}`);
+  }
+  if (params.statsInterval !== undefined && !(typeof params.statsInterval === 'number' && params.statsInterval >= 0)) {
+    problem('statsInterval', 'must be a number of milliseconds, 0 to disable');
+  }
+
+  if (params.onSourceLost !== undefined && !SOURCE_LOST_POLICIES.includes(params.onSourceLost)) {
+    problem('onSourceLost', `must be one of ${SOURCE_LOST_POLICIES.join(', ')}, got ${String(params.onSourceLost)}`);
+  }
+
+  if (typeof params.crashSafe === 'object') {
+    for (const key of ['fragmentInterval', 'eventsFlushInterval'] as const) {
+      const value = params.crashSafe[key];
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        problem(`crashSafe.${key}`, 'must be a positive number');
+      }
+    }
+  }
+
+  if (params.encoder) {
+    for (const { path, message } of checkEncoderSettings(params.encoder)) {
+      problem(`encoder.${path}`, message);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check screenshot params like `validateSessionParams` checks the capture target of a session
+ */
+export function validateScreenshotParams(params: ScreenshotParams, sources?: SourcesData): SessionParamsProblem[] {
+  const problems: SessionParamsProblem[] = [];
+  const problem = (path: string, message: string) => problems.push({ path, message });
+
+  checkCaptureTarget(params, sources, problem);
+
+  if (params.format !== undefined && !IMAGE_FORMATS.includes(params.format)) {
+    problem('format', `must be one of ${IMAGE_FORMATS.join(', ')}, got ${String(params.format)}`);
+  }
+  if (params.quality !== undefined && !(typeof params.quality === 'number' && params.quality >= 0 && params.quality <= 1)) {
+    problem('quality', 'must be a number from 0 to 1');
+  }
+  if (params.outputPath !== undefined && (typeof params.outputPath !== 'string' || !params.outputPath)) {
+    problem('outputPath', 'must be a file path');
+  }
+
+  return problems;
+}
+
+/**
+ * Check preview params, or just the frame options given to `getPreview`. The
+ * target is checked like a session's when `mode` is set; the camera size is
+ * optional and defaults to 640x640.
+ */
+export function validatePreviewParams(params: PreviewParams, sources?: SourcesData): SessionParamsProblem[] {
+  const problems: SessionParamsProblem[] = [];
+  const problem = (path: string, message: string) => problems.push({ path, message });
+
+  if (params.mode !== undefined) {
+    checkCaptureTarget({ ...params, mode: params.mode }, sources, problem);
+  }
+  checkCamera(params, sources, problem);
+
+  for (const key of ['maxWidth', 'maxHeight'] as const) {
+    if (params[key] !== undefined && !isPositiveInteger(params[key])) {
+      problem(key, 'must be a positive number of pixels');
+    }
+  }
+  if (params.fps !== undefined && !(Number.isInteger(params.fps) && params.fps >= 1 && params.fps <= 30)) {
+    problem('fps', 'must be a whole number from 1 to 30');
+  }
+  if (params.format !== undefined && !IMAGE_FORMATS.includes(params.format)) {
+    problem('format', `must be one of ${IMAGE_FORMATS.join(', ')}, got ${String(params.format)}`);
+  }
+  if (params.quality !== undefined && !(typeof params.quality === 'number' && params.quality >= 0 && params.quality <= 1)) {
+    problem('quality', 'must be a number from 0 to 1');
+  }
+
+  return problems;
+}
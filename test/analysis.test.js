@@ -0,0 +1,128 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  readEventsFile,
+  createClickDetector,
+  detectClicks,
+  detectDoubleClicks,
+  detectDrags,
+  detectScrolls,
+  simplifyMoves,
+  detectIdlePeriods,
+  buildActivityTimeline,
+  analyzeEvents
+} = require('../dist/analysis');
+
+const events = readEventsFile(path.join(__dirname, 'fixtures', 'session.events.json'));
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+};
+
+test('detectClicks pairs presses and counts repeats', () => {
+  const clicks = detectClicks(events);
+  assert.deepStrictEqual(
+    clicks.map(click => [click.t, click.button, click.count]),
+    [[1, 'left', 1], [3, 'left', 1], [3.25, 'left', 2], [4, 'right', 1]]
+  );
+  close(clicks[0].duration, 0.08, 'click duration');
+});
+
+test('detectDoubleClicks keeps only the second click of a pair', () => {
+  const doubleClicks = detectDoubleClicks(events);
+  assert.strictEqual(doubleClicks.length, 1);
+  assert.strictEqual(doubleClicks[0].t, 3.25);
+  assert.strictEqual(doubleClicks[0].x, 0.501);
+});
+
+test('double-click pairing respects interval and distance', () => {
+  const pair = (dt, dx) => [
+    { type: 'down', x: 0.5, y: 0.5, t: 0, button: 'left' },
+    { type: 'up', x: 0.5, y: 0.5, t: 0.05, button: 'left' },
+    { type: 'down', x: 0.5 + dx, y: 0.5, t: 0.05 + dt, button: 'left' },
+    { type: 'up', x: 0.5 + dx, y: 0.5, t: 0.1 + dt, button: 'left' }
+  ];
+  assert.strictEqual(detectDoubleClicks(pair(0.4, 0)).length, 1);
+  assert.strictEqual(detectDoubleClicks(pair(0.6, 0)).length, 0);
+  assert.strictEqual(detectDoubleClicks(pair(0.1, 0.05)).length, 0);
+});
+
+test('createClickDetector gives the same clicks as detectClicks', () => {
+  const detector = createClickDetector();
+  const live = [];
+  for (const event of [...events].sort((a, b) => a.t - b.t)) {
+    const click = detector.push(event);
+    if (click) live.push(click);
+  }
+  assert.deepStrictEqual(live, detectClicks(events));
+});
+
+test('detectDrags reports presses that travelled', () => {
+  const drags = detectDrags(events);
+  assert.strictEqual(drags.length, 1);
+  const [drag] = drags;
+  assert.strictEqual(drag.button, 'left');
+  assert.deepStrictEqual([drag.start.x, drag.start.y], [0.1, 0.8]);
+  assert.deepStrictEqual([drag.end.x, drag.end.y], [0.4, 0.8]);
+  close(drag.duration, 0.4, 'drag duration');
+  close(drag.distance, 0.3, 'drag distance');
+  assert.strictEqual(drag.path.length, 5);
+});
+
+test('detectScrolls splits wheel events into bursts', () => {
+  assert.deepStrictEqual(detectScrolls(events), [
+    { x: 0.5, y: 0.5, start: 9, end: 9.2, count: 3, delta: -3 },
+    { x: 0.5, y: 0.5, start: 10, end: 10, count: 1, delta: 2 }
+  ]);
+});
+
+test('simplifyMoves drops collinear samples and keeps other events', () => {
+  const simplified = simplifyMoves(events);
+  assert.strictEqual(simplified.length, events.length - 4);
+  assert.deepStrictEqual(
+    simplified.filter(event => event.t >= 11).map(event => [event.x, event.y]),
+    [[0.1, 0.1], [0.5, 0.5], [0.6, 0.1]]
+  );
+  assert.deepStrictEqual(
+    simplified.filter(event => event.type !== 'move'),
+    events.filter(event => event.type !== 'move')
+  );
+});
+
+test('detectIdlePeriods finds gaps, including the tail up to duration', () => {
+  assert.deepStrictEqual(
+    detectIdlePeriods(events).map(period => [period.start, period.end]),
+    [[5.4, 9]]
+  );
+  assert.deepStrictEqual(
+    detectIdlePeriods(events, { duration: 14 }).map(period => [period.start, period.end]),
+    [[5.4, 9], [11.5, 14]]
+  );
+});
+
+test('buildActivityTimeline labels each segment', () => {
+  const activity = buildActivityTimeline(events, { duration: 14 });
+  assert.strictEqual(activity.length, 14);
+  assert.deepStrictEqual(activity.map(segment => segment.state), [
+    'idle', 'clicking', 'idle', 'clicking', 'clicking', 'dragging', 'idle',
+    'idle', 'idle', 'scrolling', 'scrolling', 'moving', 'idle', 'idle'
+  ]);
+  const peak = Math.max(...activity.map(segment => segment.intensity));
+  assert.strictEqual(peak, 1);
+  assert.strictEqual(activity[0].intensity, 0);
+});
+
+test('analyzeEvents combines the individual detectors', () => {
+  const analysis = analyzeEvents(events, { duration: 14 });
+  assert.deepStrictEqual(analysis.clicks, detectClicks(events));
+  assert.deepStrictEqual(analysis.doubleClicks, detectDoubleClicks(events));
+  assert.deepStrictEqual(analysis.drags, detectDrags(events));
+  assert.deepStrictEqual(analysis.scrolls, detectScrolls(events));
+  assert.deepStrictEqual(analysis.idle, detectIdlePeriods(events, { duration: 14 }));
+  assert.strictEqual(analysis.activity.length, 14);
+  assert.strictEqual(analysis.simplified.length, events.length - 4);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { SkreenmeCaptureKIT } = require('../dist');
+
+const RESPONSE_DELAY = 200;
+
+const slowCapturer = async (t, options = {}) => {
+  const capturer = new SkreenmeCaptureKIT({ backend: 'mock', mock: { responseDelay: RESPONSE_DELAY }, ...options });
+  t.after(() => capturer.shutdown());
+  await capturer.initialize();
+  return capturer;
+};
+
+const lateResponse = (capturer) => new Promise(resolve => capturer.once('late-response', resolve));
+
+test('an aborted command rejects with ABORTED and the backend cancels it', async (t) => {
+  const capturer = await slowCapturer(t);
+  const controller = new AbortController();
+  const late = lateResponse(capturer);
+
+  const listing = capturer.listSources({ signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(listing, { name: 'CommandAbortedError', code: 'ABORTED', command: 'listSources' });
+
+  const info = await late;
+  assert.strictEqual(info.command, 'listSources');
+  assert.strictEqual(info.reason, 'aborted');
+  assert.strictEqual(info.success, false);
+  assert.strictEqual(info.errorCode, 'CANCELLED');
+});
+
+test('a signal that is already aborted sends nothing', async (t) => {
+  const capturer = await slowCapturer(t);
+  let late = false;
+  capturer.on('late-response', () => { late = true; });
+
+  await assert.rejects(capturer.listSources({ signal: AbortSignal.abort() }), { code: 'ABORTED' });
+  await new Promise(resolve => setTimeout(resolve, RESPONSE_DELAY * 2));
+  assert.strictEqual(late, false);
+});
+
+test('a command past its timeout rejects with TIMEOUT and is cancelled', async (t) => {
+  const capturer = await slowCapturer(t);
+  const late = lateResponse(capturer);
+
+  await assert.rejects(capturer.checkPermissions({ timeout: 30 }), { name: 'CommandTimeoutError', code: 'TIMEOUT', command: 'checkPermissions' });
+
+  const info = await late;
+  assert.strictEqual(info.command, 'checkPermissions');
+  assert.strictEqual(info.reason, 'timeout');
+  assert.strictEqual(info.errorCode, 'CANCELLED');
+});
+
+test('timeouts apply per command', async (t) => {
+  const capturer = await slowCapturer(t, { timeouts: { listSources: 30 } });
+
+  await assert.rejects(capturer.listSources(), { code: 'TIMEOUT' });
+  const permissions = await capturer.checkPermissions();
+  assert.strictEqual(permissions.screenRecording, true);
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { checkEncoderSettings, validateEncoderSettings } = require('../dist/encoder');
+const { InvalidParamsError } = require('../dist/errors');
+
+function paths(settings) {
+  return checkEncoderSettings(settings).map(problem => problem.path);
+}
+
+test('accepts the defaults and every codec in its own container', () => {
+  assert.deepStrictEqual(checkEncoderSettings({}), []);
+  assert.deepStrictEqual(checkEncoderSettings({
+    screen: { codec: 'hevc', profile: 'main10', bitrate: 20_000_000, keyframeInterval: 2 },
+    camera: { codec: 'h264', quality: 0.7 },
+    audio: { codec: 'aac', sampleRate: 48000, bitrate: 192_000 }
+  }), []);
+  assert.deepStrictEqual(checkEncoderSettings({
+    screen: { codec: 'prores', profile: '422', container: 'mov' },
+    audio: { codec: 'pcm', sampleRate: 44100 }
+  }), []);
+});
+
+test('rejects unknown codecs, profiles and sample rates', () => {
+  assert.deepStrictEqual(paths({ screen: { codec: 'vp9' } }), ['screen.codec']);
+  assert.deepStrictEqual(paths({ camera: { codec: 'h264', profile: 'main10' } }), ['camera.profile']);
+  assert.deepStrictEqual(paths({ audio: { codec: 'alac', sampleRate: 22050 } }), ['audio.sampleRate']);
+});
+
+test('rejects containers a codec cannot be written to', () => {
+  const [problem] = checkEncoderSettings({ screen: { codec: 'prores', container: 'mp4' } });
+  assert.deepStrictEqual(problem, { path: 'screen.container', message: 'prores cannot be written to mp4, use mov' });
+
+  assert.deepStrictEqual(paths({ camera: { codec: 'prores' } }), ['camera.container']);
+  // Audio goes into the screen file
+  assert.deepStrictEqual(paths({ audio: { codec: 'pcm' } }), ['audio.codec']);
+});
+
+test('rejects rate control the codec does not take', () => {
+  assert.deepStrictEqual(paths({ screen: { bitrate: 8_000_000, quality: 0.5 } }), ['screen.quality']);
+  assert.deepStrictEqual(
+    paths({ screen: { codec: 'prores', container: 'mov', bitrate: 8_000_000, keyframeInterval: 1 } }),
+    ['screen.bitrate', 'screen.keyframeInterval']
+  );
+  assert.deepStrictEqual(paths({ screen: { bitrate: 50 } }), ['screen.bitrate']);
+  assert.deepStrictEqual(paths({ screen: { quality: 0 } }), ['screen.quality']);
+  assert.deepStrictEqual(paths({ screen: { keyframeInterval: -1 } }), ['screen.keyframeInterval']);
+  assert.deepStrictEqual(paths({ audio: { codec: 'alac', bitrate: 256_000 } }), ['audio.bitrate']);
+  assert.deepStrictEqual(paths({ audio: { bitrate: 1_000_000 } }), ['audio.bitrate']);
+});
+
+test('validateEncoderSettings throws INVALID_PARAMS with every problem', () => {
+  assert.doesNotThrow(() => validateEncoderSettings({ screen: { codec: 'h264' } }));
+
+  assert.throws(
+    () => validateEncoderSettings({ screen: { codec: 'prores', container: 'mp4' }, audio: { codec: 'pcm' } }),
+    err => {
+      assert.ok(err instanceof InvalidParamsError);
+      assert.strictEqual(err.code, 'INVALID_PARAMS');
+      assert.strictEqual(err.command, 'startSession');
+      assert.strictEqual(err.message, 'Invalid encoder settings: screen.container: prores cannot be written to mp4, use mov');
+      assert.deepStrictEqual(err.problems.map(problem => problem.path), ['screen.container', 'audio.codec']);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const errors = require('../dist/errors');
+
+const { createNativeError } = errors;
+
+// Code -> error class
+const CLASSES = {
+  SESSION_ALREADY_RUNNING: 'SessionStateError',
+  SESSION_NOT_RUNNING: 'SessionStateError',
+  SESSION_ALREADY_PAUSED: 'SessionStateError',
+  SESSION_NOT_PAUSED: 'SessionStateError',
+  SESSION_NOT_OWNED: 'SessionStateError',
+  DISPLAY_NOT_FOUND: 'SourceNotFoundError',
+  WINDOW_NOT_FOUND: 'SourceNotFoundError',
+  CAMERA_NOT_FOUND: 'SourceNotFoundError',
+  AUDIO_DEVICE_NOT_FOUND: 'SourceNotFoundError',
+  INVALID_REGION: 'InvalidParamsError',
+  UNSUPPORTED_ENCODER_SETTINGS: 'InvalidParamsError',
+  WINDOW_EXCLUSION_CONFLICT: 'InvalidParamsError',
+  MISSING_PAYLOAD: 'InvalidParamsError',
+  INVALID_PAYLOAD: 'InvalidParamsError',
+  INVALID_COMMAND: 'InvalidParamsError',
+  UNKNOWN_COMMAND: 'UnknownCommandError',
+  SHAREABLE_CONTENT_UNAVAILABLE: 'NativeCommandError',
+  OUTPUT_UNAVAILABLE: 'NativeCommandError',
+  SCREENSHOT_FAILED: 'NativeCommandError',
+  PREVIEW_NOT_RUNNING: 'NativeCommandError',
+  CAMERA_INPUT_FAILURE: 'NativeCommandError',
+  CAMERA_OUTPUT_FAILURE: 'NativeCommandError',
+  AUDIO_INPUT_FAILURE: 'NativeCommandError',
+  AUDIO_OUTPUT_FAILURE: 'NativeCommandError',
+  CANCELLED: 'NativeCommandError',
+  NATIVE_ERROR: 'NativeCommandError'
+};
+
+// Descriptions sent by binaries built before `errorCode` existed -> code
+const LEGACY_MESSAGES = {
+  'Failed to get device list.': 'SHAREABLE_CONTENT_UNAVAILABLE',
+  'Session already running.': 'SESSION_ALREADY_RUNNING',
+  'Session not running.': 'SESSION_NOT_RUNNING',
+  'Session already paused.': 'SESSION_ALREADY_PAUSED',
+  'Session not paused.': 'SESSION_NOT_PAUSED',
+  'Display not found.': 'DISPLAY_NOT_FOUND',
+  'Window not found.': 'WINDOW_NOT_FOUND',
+  'Invalid capture region.': 'INVALID_REGION',
+  'No recording file.': 'OUTPUT_UNAVAILABLE',
+  'Camera not found.': 'CAMERA_NOT_FOUND',
+  'Failed to configure camera input.': 'CAMERA_INPUT_FAILURE',
+  'Failed to configure camera output.': 'CAMERA_OUTPUT_FAILURE',
+  'Audio device not found.': 'AUDIO_DEVICE_NOT_FOUND',
+  'Failed to configure audio input.': 'AUDIO_INPUT_FAILURE',
+  'Failed to configure audio output.': 'AUDIO_OUTPUT_FAILURE',
+  'Command payload missing.': 'MISSING_PAYLOAD',
+  'Invalid command: Unexpected end of JSON input': 'INVALID_COMMAND',
+  'Unknown command frobnicate.': 'UNKNOWN_COMMAND'
+};
+
+test('createNativeError picks the class for each code', () => {
+  for (const [code, className] of Object.entries(CLASSES)) {
+    const error = createNativeError(code, 'message', { command: 'startSession', commandId: '7' });
+    assert.ok(error instanceof errors[className], `${code} should be a ${className}`);
+    assert.ok(error instanceof errors.SkreenmeCaptureKITError);
+    assert.strictEqual(error.name, className);
+    assert.strictEqual(error.code, code);
+    assert.strictEqual(error.message, 'message');
+    assert.strictEqual(error.command, 'startSession');
+    assert.strictEqual(error.commandId, '7');
+  }
+});
+
+test('createNativeError maps legacy messages to codes', () => {
+  for (const [message, code] of Object.entries(LEGACY_MESSAGES)) {
+    const error = createNativeError(undefined, message);
+    assert.strictEqual(error.code, code, message);
+    assert.ok(error instanceof errors[CLASSES[code]], `${message} should be a ${CLASSES[code]}`);
+  }
+});
+
+test('an explicit code wins over the message, unknown messages are NATIVE_ERROR', () => {
+  assert.strictEqual(createNativeError('WINDOW_NOT_FOUND', 'Display not found.').code, 'WINDOW_NOT_FOUND');
+  const error = createNativeError(undefined, 'Something else went wrong.');
+  assert.strictEqual(error.code, 'NATIVE_ERROR');
+  assert.strictEqual(error.constructor, errors.NativeCommandError);
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadSource } = require('../dist/eventSource');
+
+const fixture = path.join(__dirname, 'fixtures', 'session.events.json');
+
+const sessionFolder = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-source-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+};
+
+test('a folder with project.json loads the listed files and the duration', (t) => {
+  const events = fs.readFileSync(fixture, 'utf8');
+  const dir = sessionFolder({
+    'project.json': { version: 2, duration: 14, events: { mouse: 'b.events.json', keyboard: 'b.keyboard.json' } },
+    'a.events.json': '[]',
+    'b.events.json': events,
+    'b.keyboard.json': [{ type: 'key', t: 2 }]
+  });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const loaded = loadSource(dir);
+  assert.deepStrictEqual(loaded.events, JSON.parse(events));
+  assert.deepStrictEqual(loaded.keyboard, [{ type: 'key', t: 2 }]);
+  assert.strictEqual(loaded.duration, 14);
+});
+
+test('a folder without project.json needs exactly one events file', (t) => {
+  const single = sessionFolder({ 'screen.events.json': fs.readFileSync(fixture, 'utf8') });
+  const several = sessionFolder({ 'a.events.json': '[]', 'b.events.json': '[]' });
+  t.after(() => {
+    fs.rmSync(single, { recursive: true, force: true });
+    fs.rmSync(several, { recursive: true, force: true });
+  });
+
+  assert.strictEqual(loadSource(single).events.length, 24);
+  assert.strictEqual(loadSource(single).duration, undefined);
+  assert.throws(() => loadSource(several), /several \*\.events\.json files/);
+});
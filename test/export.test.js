@@ -0,0 +1,188 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CompositeExporter, ExportError, InvalidParamsError } = require('../dist');
+
+const EVENTS = path.join(__dirname, 'fixtures', 'session.events.json');
+
+/**
+ * Stand-in for ffmpeg that logs its arguments and the sendcmd script, writes
+ * the output file and reports progress like `-progress pipe:1`
+ */
+function fakeFfmpeg(dir, { exitCode = 0 } = {}) {
+  const file = path.join(dir, 'ffmpeg');
+  const log = path.join(dir, 'ffmpeg.json');
+  fs.writeFileSync(file, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+const graph = args[args.indexOf('-filter_complex') + 1];
+const script = /sendcmd=f='([^']+)'/.exec(graph);
+fs.writeFileSync(${JSON.stringify(log)}, JSON.stringify({ args, cursor: script ? fs.readFileSync(script[1], 'utf8') : null }));
+if (${exitCode} !== 0) {
+  process.stderr.write('frame=    0\\nError opening output file\\n');
+  process.exit(${exitCode});
+}
+fs.writeFileSync(args[args.length - 1], 'video');
+process.stdout.write('out_time_us=1000000\\nfps=120.5\\nspeed=2.01x\\nprogress=continue\\nout_time_us=2000000\\nprogress=end\\n');
+`, { mode: 0o755 });
+  return { ffmpegPath: file, calls: () => JSON.parse(fs.readFileSync(log, 'utf8')) };
+}
+
+function project(dir, overrides = {}) {
+  return {
+    version: 1,
+    dir,
+    duration: 10,
+    tracks: {
+      screen: { file: 'screen.mp4', path: path.join(dir, 'screen.mp4'), size: 1000, resolution: { width: 1920, height: 1080 }, fps: 60 },
+      camera: { file: 'camera.mp4', path: path.join(dir, 'camera.mp4'), size: 1000, resolution: { width: 1080, height: 1080 }, fps: 30 },
+      audio: [
+        { kind: 'microphone', file: 'screen.mp4', path: path.join(dir, 'screen.mp4'), trackIndex: 0, gain: 1, sampleRate: 48000, channels: 1, deviceId: 'mic' },
+        { kind: 'system', file: 'screen.mp4', path: path.join(dir, 'screen.mp4'), trackIndex: 1, gain: 0.5, sampleRate: 48000, channels: 2 }
+      ]
+    },
+    events: { mouse: EVENTS },
+    pausedIntervals: [],
+    params: { mode: 'display', displayId: '1', showCursor: false, cameraFormat: 'square' },
+    ...overrides
+  };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-export-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function valueAfter(args, flag) {
+  return args[args.indexOf(flag) + 1];
+}
+
+test('plans the camera bubble, click ripples, pointer and audio mix for the trimmed range', async t => {
+  const dir = tempDir(t);
+  const ffmpeg = fakeFfmpeg(dir);
+  const exporter = new CompositeExporter({ ffmpegPath: ffmpeg.ffmpegPath });
+  const progress = [];
+  exporter.on('progress', update => progress.push(update));
+  const outputPath = path.join(dir, 'out.mp4');
+
+  const result = await exporter.export(project(dir), {
+    outputPath,
+    trim: { start: 2, end: 6 },
+    resolution: { width: 1280 },
+    cursor: true,
+    audio: { system: 1.5 }
+  });
+
+  assert.deepStrictEqual(result, { outputPath, duration: 2, size: 5 });
+  assert.deepStrictEqual(progress.map(({ t, fraction }) => [t, fraction]), [[1, 0.25], [2, 0.5]]);
+  assert.strictEqual(progress[0].fps, 120.5);
+  assert.strictEqual(progress[0].speed, 2.01);
+
+  const { args, cursor } = ffmpeg.calls();
+  assert.deepStrictEqual(args.filter((arg, i) => args[i - 1] === '-i'), [path.join(dir, 'screen.mp4'), path.join(dir, 'camera.mp4')]);
+  assert.deepStrictEqual(args.slice(args.indexOf('-ss'), args.indexOf('-ss') + 6), ['-ss', '2', '-t', '4', '-i', path.join(dir, 'screen.mp4')]);
+  assert.strictEqual(valueAfter(args, '-crf'), '20');
+  assert.strictEqual(valueAfter(args, '-r'), '60');
+  assert.strictEqual(args[args.length - 1], outputPath);
+
+  const graph = valueAfter(args, '-filter_complex').split(';');
+  assert.strictEqual(graph[0], '[0:v]fps=60,scale=1280:720:flags=lanczos,setsar=1[base]');
+  assert.ok(graph[1].startsWith('[1:v]fps=60,scale=256:256:flags=lanczos,setsar=1,format=rgba,geq='), graph[1]);
+  assert.ok(graph.includes('[base][camera]overlay=x=986:y=426:eof_action=pass[v0]'));
+
+  // Clicks at 3, 3.25 and 4 fall inside the trim, the one at 1 does not
+  assert.ok(graph.some(filter => /split=3\[ripple0\]\[ripple1\]\[ripple2\]$/.test(filter)));
+  assert.deepStrictEqual(graph.filter(filter => filter.includes('setpts')).map(filter => filter.split('+')[1]), [
+    '1.000/TB[ripple0at]',
+    '1.250/TB[ripple1at]',
+    '2.000/TB[ripple2at]'
+  ]);
+  assert.ok(graph.includes('[v0][ripple0at]overlay=x=608:y=328:eof_action=pass[v1]'));
+
+  assert.ok(graph.includes('[v4][pointer]overlay@cursor=x=-1280:y=-720:eof_action=pass[v5]'));
+  assert.ok(graph.includes('[v5]format=yuv420p[vout]'));
+  const commands = cursor.trim().split('\n');
+  assert.match(commands[0], /^0\.000 overlay@cursor x -?\d+, overlay@cursor y -?\d+;$/);
+  assert.ok(commands.every(line => parseFloat(line) <= 4));
+
+  assert.ok(graph.includes('[0:a:0]volume=1[a0]'));
+  assert.ok(graph.includes('[0:a:1]volume=1.5[a1]'));
+  assert.ok(graph.includes('[a0][a1]amix=inputs=2:duration=longest:dropout_transition=0,volume=2[aout]'));
+  assert.deepStrictEqual(args.slice(args.indexOf('[aout]') - 1, args.indexOf('[aout]') + 5), ['-map', '[aout]', '-c:a', 'aac', '-b:a', '192k']);
+});
+
+test('letterboxes a different aspect ratio and leaves out disabled overlays', async t => {
+  const dir = tempDir(t);
+  const ffmpeg = fakeFfmpeg(dir);
+  const exporter = new CompositeExporter({ ffmpegPath: ffmpeg.ffmpegPath });
+
+  const result = await exporter.export(project(dir), {
+    outputPath: path.join(dir, 'square.mp4'),
+    resolution: { width: 1080, height: 1080 },
+    camera: false,
+    clicks: false,
+    audio: false,
+    videoCodec: 'h264_videotoolbox'
+  });
+
+  assert.strictEqual(result.duration, 2);
+  const { args, cursor } = ffmpeg.calls();
+  assert.strictEqual(cursor, null);
+  assert.deepStrictEqual(valueAfter(args, '-filter_complex').split(';'), [
+    '[0:v]fps=60,scale=1080:608:flags=lanczos,setsar=1,pad=1080:1080:0:236:black[base]',
+    '[base]format=yuv420p[vout]'
+  ]);
+  assert.deepStrictEqual(args.filter(arg => arg === '-map').length, 1);
+  assert.strictEqual(valueAfter(args, '-c:v'), 'h264_videotoolbox');
+  assert.ok(!args.includes('-crf'));
+  assert.deepStrictEqual(args.slice(args.indexOf('-ss'), args.indexOf('-ss') + 4), ['-ss', '0', '-t', '10']);
+});
+
+test('rejects options that do not fit the recording before starting ffmpeg', async t => {
+  const dir = tempDir(t);
+  const exporter = new CompositeExporter({ ffmpegPath: path.join(dir, 'missing-ffmpeg') });
+  const legacy = project(dir, { version: 0, duration: undefined, params: undefined });
+  legacy.tracks = { ...legacy.tracks, screen: { ...legacy.tracks.screen, resolution: undefined }, camera: undefined };
+
+  await assert.rejects(
+    exporter.export(legacy, { outputPath: path.join(dir, 'out.mp4'), camera: true, crf: 60, clicks: { color: 'red' } }),
+    err => {
+      assert.ok(err instanceof InvalidParamsError);
+      assert.strictEqual(err.code, 'INVALID_PARAMS');
+      assert.deepStrictEqual(err.problems.map(problem => problem.path), ['resolution', 'crf', 'camera', 'clicks.color']);
+      return true;
+    }
+  );
+  await assert.rejects(
+    exporter.export(project(dir, { params: { mode: 'display', displayId: '1' } }), { outputPath: path.join(dir, 'out.mp4'), cursor: true }),
+    err => err instanceof InvalidParamsError && err.problems[0].path === 'cursor'
+  );
+});
+
+test('reports a missing ffmpeg and a failed run with their codes', async t => {
+  const dir = tempDir(t);
+  const outputPath = path.join(dir, 'out.mp4');
+
+  await assert.rejects(
+    new CompositeExporter({ ffmpegPath: path.join(dir, 'missing-ffmpeg') }).export(project(dir), { outputPath }),
+    err => err instanceof ExportError && err.code === 'FFMPEG_NOT_FOUND'
+  );
+
+  const failing = fakeFfmpeg(dir, { exitCode: 1 });
+  await assert.rejects(
+    new CompositeExporter({ ffmpegPath: failing.ffmpegPath }).export(project(dir), { outputPath }),
+    err => {
+      assert.ok(err instanceof ExportError);
+      assert.strictEqual(err.code, 'EXPORT_FAILED');
+      assert.strictEqual(err.message, 'ffmpeg failed: Error opening output file');
+      assert.strictEqual(err.exitCode, 1);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { toWebVTT, toSRT } = require('../dist/formats');
+
+const cues = [
+  { start: 1, end: 2.5, text: 'Click', kind: 'click' },
+  { start: 3, end: 4, text: 'Step 1\n\n  \r\nA --> B <b>', kind: 'marker' }
+];
+
+test('toWebVTT writes one block per cue and keeps the cue text in one block', () => {
+  assert.strictEqual(toWebVTT(cues), [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:02.500',
+    'Click',
+    '',
+    '00:00:03.000 --> 00:00:04.000',
+    'Step 1',
+    'A -&gt; B &lt;b&gt;',
+    ''
+  ].join('\n'));
+});
+
+test('toSRT numbers the cues and keeps the cue text in one block', () => {
+  assert.strictEqual(toSRT(cues), [
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    'Click',
+    '',
+    '2',
+    '00:00:03,000 --> 00:00:04,000',
+    'Step 1',
+    'A -> B <b>',
+    ''
+  ].join('\n'));
+});
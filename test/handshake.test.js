@@ -0,0 +1,49 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+
+const { SkreenmeCaptureKIT } = require('../dist');
+
+// Answers every command with `reply(command)`, or not at all when it returns null
+class ScriptedTransport extends EventEmitter {
+  constructor(reply) {
+    super();
+    this.kind = 'scripted';
+    this.target = 'scripted';
+    this.reply = reply;
+  }
+  async open() {}
+  send(line) {
+    const command = JSON.parse(line);
+    const response = this.reply(command);
+    if (response) setImmediate(() => this.emit('line', JSON.stringify({ id: command.id, ...response })));
+  }
+  async close() { this.emit('exit', 0, null); }
+  destroy() { setImmediate(() => this.emit('exit', null, 'SIGTERM')); }
+}
+
+const capturerWith = (reply, options = {}) => {
+  const capturer = new SkreenmeCaptureKIT({ transport: () => new ScriptedTransport(reply), ...options });
+  capturer.on('error', () => undefined);
+  return capturer;
+};
+
+test('initialize() resolves once ping is answered', async () => {
+  const capturer = capturerWith(() => ({ success: true, payload: {} }));
+  await capturer.initialize();
+  assert.ok(capturer.ready);
+  await capturer.shutdown();
+});
+
+test('an unanswered ping fails with HANDSHAKE_TIMEOUT', async () => {
+  const capturer = capturerWith(() => null, { startupTimeout: 50 });
+  await assert.rejects(capturer.initialize(), { name: 'StartupError', code: 'HANDSHAKE_TIMEOUT' });
+});
+
+test('an error reply to ping keeps its own code', async () => {
+  const capturer = capturerWith(() => ({ success: false, error: 'Screen capture is not available.', errorCode: 'SHAREABLE_CONTENT_UNAVAILABLE' }));
+  await assert.rejects(capturer.initialize(), { name: 'NativeCommandError', code: 'SHAREABLE_CONTENT_UNAVAILABLE' });
+  assert.strictEqual(capturer.ready, false);
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { HealthMonitor } = require('../dist/health');
+
+const GB = 1024 * 1024 * 1024;
+
+function track(captured, dropped, started = true) {
+  return { started, framesCaptured: captured, framesWritten: captured - dropped, framesDropped: dropped, fps: 30, bytes: captured * 1000 };
+}
+
+function stats(t, overrides = {}) {
+  return {
+    sessionId: 's1',
+    t,
+    paused: false,
+    screen: track(t * 30, 0),
+    freeDiskSpace: 10 * GB,
+    ...overrides
+  };
+}
+
+function codes(warnings) {
+  return warnings.map(warning => warning.code);
+}
+
+test('warns once when free disk space drops below the threshold and re-arms when it recovers', () => {
+  const monitor = new HealthMonitor('s1', { minFreeDiskSpace: 2 * GB });
+
+  assert.deepStrictEqual(monitor.check(stats(1)), []);
+
+  const [warning, ...rest] = monitor.check(stats(2, { freeDiskSpace: 1.5 * GB }));
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(warning.code, 'LOW_DISK_SPACE');
+  assert.strictEqual(warning.sessionId, 's1');
+  assert.strictEqual(warning.t, 2);
+  assert.strictEqual(warning.message, 'Only 1.5 GB left on the output volume');
+
+  assert.deepStrictEqual(monitor.check(stats(3, { freeDiskSpace: GB })), []);
+  assert.deepStrictEqual(monitor.check(stats(4)), []);
+  assert.deepStrictEqual(codes(monitor.check(stats(5, { freeDiskSpace: 100 * 1024 * 1024 }))), ['LOW_DISK_SPACE']);
+});
+
+test('reports a screen stall after noFramesTimeout without written frames', () => {
+  const monitor = new HealthMonitor('s1', { noFramesTimeout: 3 });
+  const stalled = t => stats(t, { screen: track(30, 0) });
+
+  assert.deepStrictEqual(monitor.check(stalled(1)), []);
+  assert.deepStrictEqual(monitor.check(stalled(3.5)), []);
+
+  const [warning] = monitor.check(stalled(4));
+  assert.strictEqual(warning.code, 'NO_FRAMES');
+  assert.strictEqual(warning.track, 'screen');
+  assert.strictEqual(warning.message, 'No screen frames written for 3.0s');
+  assert.deepStrictEqual(monitor.check(stalled(5)), []);
+
+  // Progress clears the stall
+  assert.deepStrictEqual(monitor.check(stats(6)), []);
+  assert.deepStrictEqual(monitor.check(stats(7)), []);
+});
+
+test('reports missing microphone samples only when recording audio', () => {
+  const monitor = new HealthMonitor('s1', { noFramesTimeout: 2 });
+  const audio = { samples: 48000, buffersDropped: 0 };
+
+  assert.deepStrictEqual(monitor.check(stats(1, { audio })), []);
+  assert.deepStrictEqual(codes(monitor.check(stats(3, { audio }))), ['NO_AUDIO']);
+
+  const silent = new HealthMonitor('s1', { noFramesTimeout: 2 });
+  assert.deepStrictEqual(silent.check(stats(1)), []);
+  assert.deepStrictEqual(silent.check(stats(5)), []);
+});
+
+test('compares dropped frames with the frames captured since the previous report', () => {
+  const monitor = new HealthMonitor('s1', { maxDropRate: 0.1 });
+
+  assert.deepStrictEqual(monitor.check(stats(1, { screen: track(30, 3) })), []);
+  const [warning] = monitor.check(stats(2, { screen: track(60, 18) }));
+  assert.strictEqual(warning.code, 'FRAMES_DROPPED');
+  assert.strictEqual(warning.track, 'screen');
+  assert.strictEqual(warning.message, '50% of screen frames dropped');
+});
+
+test('warns when the camera has not started after cameraStartTimeout', () => {
+  const monitor = new HealthMonitor('s1', { cameraStartTimeout: 2 });
+  const camera = track(0, 0, false);
+
+  assert.deepStrictEqual(monitor.check(stats(1, { camera })), []);
+  assert.deepStrictEqual(codes(monitor.check(stats(2, { camera }))), ['CAMERA_NOT_STARTED']);
+  assert.deepStrictEqual(monitor.check(stats(3, { camera: { ...camera, started: true } })), []);
+});
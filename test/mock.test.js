@@ -0,0 +1,57 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SkreenmeCaptureKIT } = require('../dist');
+
+const events = [
+  { type: 'move', x: 0.4, y: 0.4, t: 0.5 },
+  { type: 'down', x: 0.5, y: 0.5, t: 1.2, button: 'left' },
+  { type: 'up', x: 0.5, y: 0.5, t: 1.3, button: 'left' }
+];
+
+test('the mock backend records a session end to end', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-mock-'));
+  const capturer = new SkreenmeCaptureKIT({ backend: 'mock', mock: { events } });
+  t.after(async () => {
+    await capturer.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  await capturer.initialize();
+  assert.ok(capturer.ready);
+
+  const sources = await capturer.listSources();
+  assert.strictEqual(sources.displays[0].id, '1');
+  assert.strictEqual(sources.cameras[0].id, 'mock-camera');
+
+  const outputPath = path.join(dir, 'session');
+  const started = await capturer.startSession({ mode: 'display', displayId: sources.displays[0].id, outputPath, statsInterval: 0 });
+  assert.strictEqual(started.outputPath, path.join(outputPath, 'screen.mp4'));
+  assert.strictEqual(capturer.getActiveSession().state, 'recording');
+
+  const stopped = await capturer.stopSession(started.sessionId);
+  assert.strictEqual(stopped.recording.status, 'completed');
+  assert.strictEqual(stopped.recording.outputPath, outputPath);
+  assert.deepStrictEqual(stopped.events, events);
+  assert.strictEqual(capturer.getActiveSession(), null);
+
+  assert.deepStrictEqual(fs.readdirSync(outputPath).sort(), ['project.json', 'screen.events.json', 'screen.mp4']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(outputPath, 'screen.events.json'), 'utf8')), events);
+  const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, 'project.json'), 'utf8'));
+  assert.strictEqual(manifest.sessionId, started.sessionId);
+  assert.strictEqual(manifest.duration, stopped.recording.duration);
+  assert.deepStrictEqual(manifest.events, { mouse: 'screen.events.json' });
+  assert.strictEqual(manifest.tracks.screen.file, 'screen.mp4');
+});
+
+test('the native backend is refused outside macOS', { skip: process.platform === 'darwin' }, async () => {
+  const capturer = new SkreenmeCaptureKIT();
+  capturer.on('error', () => undefined);
+  await assert.rejects(capturer.initialize(), { name: 'StartupError', code: 'UNSUPPORTED_PLATFORM' });
+  assert.strictEqual(capturer.ready, false);
+});
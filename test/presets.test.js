@@ -0,0 +1,86 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { BUILTIN_PRESETS, applyPreset, validateSessionParams, InvalidParamsError } = require('../dist');
+
+const SOURCES = {
+  displays: [{ id: '1', name: 'Built-in', frame: { x: 0, y: 0, width: 1440, height: 900 } }],
+  windows: [{ id: '42', name: 'Editor', ownerName: 'Code' }],
+  cameras: [{ id: 'cam', name: 'FaceTime HD' }],
+  audio: [{ id: 'mic', name: 'MacBook Microphone', type: 'input' }]
+};
+
+function paths(params, sources) {
+  return validateSessionParams(params, sources).map(problem => problem.path);
+}
+
+test('every built-in preset passes validation', () => {
+  for (const name of Object.keys(BUILTIN_PRESETS)) {
+    const params = applyPreset({ mode: 'display', displayId: '1', cameraWidth: 1080, cameraHeight: 1080, preset: name });
+    assert.deepStrictEqual(validateSessionParams(params, SOURCES), [], name);
+  }
+});
+
+test('params win over the preset and encoder settings merge per track', () => {
+  const params = applyPreset({
+    mode: 'display',
+    displayId: '1',
+    preset: 'tutorial-60fps',
+    frameRate: 30,
+    encoder: { screen: { codec: 'hevc' } }
+  });
+
+  assert.strictEqual(params.preset, undefined);
+  assert.strictEqual(params.frameRate, 30);
+  assert.strictEqual(params.keyboard, 'shortcuts');
+  assert.deepStrictEqual(params.encoder.screen, { codec: 'hevc' });
+  assert.deepStrictEqual(params.encoder.audio, BUILTIN_PRESETS['tutorial-60fps'].encoder.audio);
+});
+
+test('an unknown preset throws INVALID_PARAMS naming the known presets', () => {
+  assert.throws(
+    () => applyPreset({ mode: 'display', displayId: '1', preset: 'lossless' }),
+    err => {
+      assert.ok(err instanceof InvalidParamsError);
+      assert.strictEqual(err.code, 'INVALID_PARAMS');
+      assert.strictEqual(err.message, 'Unknown preset: lossless');
+      assert.deepStrictEqual(err.problems, [{
+        path: 'preset',
+        message: `must be one of ${Object.keys(BUILTIN_PRESETS).join(', ')}, got lossless`
+      }]);
+      return true;
+    }
+  );
+  assert.throws(() => applyPreset({ mode: 'display', displayId: '1', preset: 'toString' }), InvalidParamsError);
+});
+
+test('reports missing and unknown capture targets', () => {
+  assert.deepStrictEqual(paths({ mode: 'display' }), ['displayId']);
+  assert.deepStrictEqual(paths({ mode: 'window', windowId: '7' }, SOURCES), ['windowId']);
+  assert.deepStrictEqual(paths({ mode: 'region', region: { x: 0, y: -1, width: 0, height: 10 } }), ['region.y', 'region.width']);
+  assert.deepStrictEqual(paths({ mode: 'region', region: { x: 1000, y: 0, width: 800, height: 600 } }, SOURCES), ['region.width']);
+});
+
+test('reports invalid session options with their paths', () => {
+  assert.deepStrictEqual(paths({
+    mode: 'display',
+    displayId: '1',
+    cameraSourceId: 'cam',
+    frameRate: 24,
+    keyboard: 'all',
+    microphone: { deviceId: 'usb', gain: 3 },
+    systemAudio: { gain: -1 },
+    encoder: { screen: { codec: 'prores' } }
+  }, SOURCES), [
+    'cameraWidth',
+    'cameraHeight',
+    'microphone.deviceId',
+    'microphone.gain',
+    'systemAudio.gain',
+    'frameRate',
+    'keyboard',
+    'encoder.screen.container'
+  ]);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { recoverSession, loadProject } = require('../dist');
+
+const box = (type, payload = Buffer.alloc(0)) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+};
+
+const HEADER = Buffer.concat([box('ftyp', Buffer.from('isom')), box('moov', box('mvex'))]);
+const FRAGMENT = Buffer.concat([box('moof', Buffer.alloc(16)), box('mdat', Buffer.alloc(64, 1))]);
+
+const partialManifest = (events) => ({
+  version: 1,
+  sessionId: 'A1B2',
+  createdAt: '2026-10-19T12:00:00.000Z',
+  duration: 4.5,
+  capture: { mode: 'display', offset: { x: 0, y: 0 }, scaleFactor: 2 },
+  tracks: {
+    screen: { file: 'screen.mp4', size: 0, resolution: { width: 3840, height: 2160 }, fps: 30 },
+    camera: { file: 'camera.mp4', size: 0, resolution: { width: 1080, height: 1080 }, fps: 30 },
+    audio: []
+  },
+  events,
+  pausedIntervals: []
+});
+
+const recordingFolder = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-recovery-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'object' && !Buffer.isBuffer(content) ? JSON.stringify(content) : content);
+  }
+  return dir;
+};
+
+test('recoverSession cuts a fragmented movie back to its last complete fragment', async (t) => {
+  // The second fragment's mdat claims more bytes than were written
+  const truncated = Buffer.concat([box('moof', Buffer.alloc(16)), box('mdat', Buffer.alloc(64, 2)).subarray(0, 40)]);
+  const screen = Buffer.concat([HEADER, FRAGMENT, truncated]);
+  const dir = recordingFolder(t, {
+    'project.partial.json': partialManifest({ mouse: 'screen.events.jsonl' }),
+    'screen.mp4': screen,
+    'camera.mp4': Buffer.concat([HEADER, FRAGMENT]),
+    'screen.events.jsonl': '{"type":"move","x":0.1,"y":0.1,"t":0.5}\n{"type":"down","x":0.1,"y":0.1,"t":1,"button":"left"}\n{"type":"up","x":0.1,'
+  });
+
+  const [report] = await recoverSession(dir);
+
+  assert.deepStrictEqual(report.screen, { status: 'recovered', file: 'screen.recovered.mp4', bytesDropped: truncated.length });
+  assert.deepStrictEqual(report.camera, { status: 'intact', file: 'camera.mp4', bytesDropped: 0 });
+  assert.deepStrictEqual(report.events, { mouse: 2, keyboard: undefined, skippedLines: 1 });
+  assert.strictEqual(report.manifestPath, path.join(dir, 'project.json'));
+
+  const recovered = fs.readFileSync(path.join(dir, 'screen.recovered.mp4'));
+  assert.deepStrictEqual(recovered, Buffer.concat([HEADER, FRAGMENT]));
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['camera.mp4', 'project.json', 'screen.events.json', 'screen.mp4', 'screen.recovered.mp4']);
+
+  const project = await loadProject(dir);
+  assert.strictEqual(project.recovered, true);
+  assert.strictEqual(project.tracks.screen.file, 'screen.recovered.mp4');
+  assert.strictEqual(project.tracks.screen.size, recovered.length);
+  assert.strictEqual(project.events.mouse, path.join(dir, 'screen.events.json'));
+  assert.strictEqual(JSON.parse(fs.readFileSync(project.events.mouse, 'utf8')).length, 2);
+});
+
+test('a movie without a header is unrecoverable and the partial manifest stays', async (t) => {
+  const dir = recordingFolder(t, {
+    'project.partial.json': partialManifest({}),
+    'screen.mp4': Buffer.concat([box('ftyp', Buffer.from('isom')), box('mdat', Buffer.alloc(32))]).subarray(0, 30),
+    'camera.mp4': ''
+  });
+
+  const [report] = await recoverSession(dir);
+
+  assert.strictEqual(report.screen.status, 'unrecoverable');
+  assert.strictEqual(report.camera.status, 'unrecoverable');
+  assert.strictEqual(report.manifestPath, undefined);
+  assert.ok(fs.existsSync(path.join(dir, 'project.partial.json')));
+  assert.ok(!fs.existsSync(path.join(dir, 'project.json')));
+});
+
+test('a journal not named *.jsonl is refused instead of overwritten', async (t) => {
+  const journal = '{"type":"move","x":0.1,"y":0.1,"t":0.5}\n';
+  const dir = recordingFolder(t, {
+    'project.partial.json': partialManifest({ mouse: 'screen.events.json' }),
+    'screen.mp4': Buffer.concat([HEADER, FRAGMENT]),
+    'camera.mp4': Buffer.concat([HEADER, FRAGMENT]),
+    'screen.events.json': journal
+  });
+
+  await assert.rejects(recoverSession(dir), { name: 'ProjectError', code: 'INVALID_PROJECT' });
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'screen.events.json'), 'utf8'), journal);
+  assert.ok(fs.existsSync(path.join(dir, 'project.partial.json')));
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const RelayServer = require('../dist/relay/RelayServer').default;
+
+class FakeTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.kind = 'fake';
+    this.target = 'fake';
+    this.sent = [];
+  }
+  async open() {}
+  send(line) { this.sent.push(line); }
+  async close() { this.emit('exit', 0, null); }
+  destroy() { this.emit('exit', null, 'SIGKILL'); }
+}
+
+const tempSocket = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-relay-')), 'relay.sock');
+
+test('commands sent while no backend is running are answered with PROCESS_TERMINATED', () => {
+  const relay = new RelayServer({ transport: () => new FakeTransport() });
+  const replies = [];
+  const socket = {
+    binaryType: 'arraybuffer',
+    onopen: null, onmessage: null, onerror: null, onclose: null,
+    send: line => replies.push(JSON.parse(line)),
+    close: () => undefined
+  };
+  relay.handleWebSocket(socket);
+  socket.onmessage({ data: JSON.stringify({ id: '1', command: 'getDisplays' }) + '\n' });
+
+  assert.deepStrictEqual(replies, [{
+    id: '1',
+    success: false,
+    error: 'Backend process is not running',
+    errorCode: 'PROCESS_TERMINATED'
+  }]);
+});
+
+test('listen() replaces a socket file nobody is listening on', async () => {
+  const socketPath = tempSocket();
+  // A process that exits without closing its server leaves the file behind
+  execFileSync(process.execPath, ['-e', `require('net').createServer().listen(${JSON.stringify(socketPath)}, () => process.exit(0))`]);
+  assert.ok(fs.statSync(socketPath).isSocket());
+
+  const relay = new RelayServer({ transport: () => new FakeTransport(), socketPath });
+  await relay.listen();
+  await new Promise((resolve, reject) => {
+    const client = net.connect(socketPath, () => {
+      client.destroy();
+      resolve();
+    });
+    client.once('error', reject);
+  });
+  await relay.close();
+  fs.rmSync(path.dirname(socketPath), { recursive: true, force: true });
+});
+
+test('listen() fails with EADDRINUSE while another relay uses the socket', async () => {
+  const socketPath = tempSocket();
+  let started = 0;
+  const first = new RelayServer({ transport: () => new FakeTransport(), socketPath });
+  const second = new RelayServer({ transport: () => { started++; return new FakeTransport(); }, socketPath });
+  await first.listen();
+
+  await assert.rejects(second.listen(), { code: 'EADDRINUSE' });
+  assert.strictEqual(started, 0);
+  assert.ok(fs.statSync(socketPath).isSocket());
+
+  await first.close();
+  fs.rmSync(path.dirname(socketPath), { recursive: true, force: true });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SkreenmeCaptureKIT } = require('../dist');
+
+const events = [
+  { type: 'move', x: 0.4, y: 0.4, t: 0 },
+  { type: 'down', x: 0.5, y: 0.5, t: 0.01, button: 'left' },
+  { type: 'up', x: 0.5, y: 0.5, t: 0.02, button: 'left' }
+];
+
+/**
+ * The same calls against either backend, collecting results, error codes and push events
+ */
+async function runScenario(capturer, outputPath) {
+  const pushed = [];
+  capturer.on('mouse-event', (event, sessionId) => pushed.push(['mouse-event', event, sessionId]));
+  capturer.on('click', (click, sessionId) => pushed.push(['click', click, sessionId]));
+  capturer.on('session-stats', stats => pushed.push(['session-stats', stats]));
+
+  const results = [];
+  const settle = async (call) => {
+    try {
+      results.push({ result: await call() });
+    } catch (err) {
+      results.push({ code: err.code, name: err.name });
+    }
+  };
+
+  await capturer.initialize();
+  await settle(() => capturer.listSources());
+  await settle(() => capturer.checkPermissions());
+  await settle(() => capturer.startSession({ mode: 'display', displayId: '1', outputPath, liveEvents: { interval: 16 }, statsInterval: 100 }));
+  await new Promise(resolve => setTimeout(resolve, 250));
+  const { sessionId } = results[2].result;
+  await settle(() => capturer.resumeSession(sessionId));
+  await settle(() => capturer.stopSession(sessionId));
+  await capturer.shutdown();
+
+  return { results, pushed };
+}
+
+test('a recorded trace replays with the same results, errors and events', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const trace = path.join(dir, 'trace.jsonl');
+
+  const recorded = await runScenario(
+    new SkreenmeCaptureKIT({ backend: 'mock', mock: { events }, trace }),
+    path.join(dir, 'session')
+  );
+  const replayed = await runScenario(
+    new SkreenmeCaptureKIT({ backend: 'replay', replay: trace }),
+    path.join(dir, 'unused')
+  );
+
+  assert.deepStrictEqual(recorded.results.map(entry => entry.code), [undefined, undefined, undefined, 'SESSION_NOT_PAUSED', undefined]);
+  assert.ok(recorded.pushed.some(([name]) => name === 'click'));
+  assert.ok(recorded.pushed.some(([name]) => name === 'session-stats'));
+  assert.deepStrictEqual(replayed.results, recorded.results);
+  assert.deepStrictEqual(replayed.pushed, recorded.pushed);
+});
+
+test('a command the trace does not have fails with NATIVE_ERROR', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const trace = path.join(dir, 'trace.jsonl');
+
+  const recorder = new SkreenmeCaptureKIT({ backend: 'mock', trace });
+  await recorder.initialize();
+  await recorder.shutdown();
+
+  const capturer = new SkreenmeCaptureKIT({ backend: 'replay', replay: trace });
+  t.after(() => capturer.shutdown());
+  await capturer.initialize();
+  await assert.rejects(capturer.listSources(), { code: 'NATIVE_ERROR', message: /no recorded listSources command left/ });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SkreenmeCaptureKIT } = require('../dist');
+
+const display = { mode: 'display', displayId: '1', statsInterval: 0 };
+
+const mockCapturer = async (t, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skreenme-sessions-'));
+  const capturer = new SkreenmeCaptureKIT({ backend: 'mock', ...options });
+  t.after(async () => {
+    await capturer.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await capturer.initialize();
+  return { capturer, dir };
+};
+
+test('the registry follows sessions through their states', async (t) => {
+  const { capturer, dir } = await mockCapturer(t);
+
+  const { sessionId } = await capturer.startSession({ ...display, outputPath: path.join(dir, 'one') });
+  assert.deepStrictEqual(capturer.listSessions().map(session => session.state), ['recording']);
+  await assert.rejects(capturer.startSession(display), { code: 'SESSION_ALREADY_RUNNING' });
+
+  await capturer.pauseSession(sessionId);
+  assert.strictEqual(capturer.getActiveSession().state, 'paused');
+  await capturer.resumeSession(sessionId);
+  const stopped = await capturer.stopSession(sessionId);
+
+  await assert.rejects(capturer.startSession({ ...display, displayId: '99' }), { code: 'DISPLAY_NOT_FOUND' });
+
+  const [completed, failed] = capturer.listSessions();
+  assert.strictEqual(completed.sessionId, sessionId);
+  assert.strictEqual(completed.state, 'completed');
+  assert.deepStrictEqual(completed.recording, stopped.recording);
+  assert.ok(completed.stoppedAt >= completed.startedAt);
+  assert.strictEqual(failed.sessionId, null);
+  assert.strictEqual(failed.state, 'failed');
+  assert.strictEqual(failed.error.code, 'DISPLAY_NOT_FOUND');
+  assert.strictEqual(capturer.getActiveSession(), null);
+});
+
+test('only the last sessionHistory finished sessions are kept', async (t) => {
+  const { capturer, dir } = await mockCapturer(t, { sessionHistory: 2 });
+
+  const ids = [];
+  for (const name of ['one', 'two', 'three']) {
+    const { sessionId } = await capturer.startSession({ ...display, outputPath: path.join(dir, name) });
+    ids.push(sessionId);
+    await capturer.stopSession(sessionId);
+  }
+  const { sessionId: active } = await capturer.startSession({ ...display, outputPath: path.join(dir, 'four') });
+
+  assert.deepStrictEqual(capturer.listSessions().map(session => session.sessionId), [ids[1], ids[2], active]);
+  assert.strictEqual(capturer.getActiveSession().sessionId, active);
+});
+
+test('shutdown() stops the active session so its files are written', async (t) => {
+  const { capturer, dir } = await mockCapturer(t);
+  const outputPath = path.join(dir, 'session');
+  const { sessionId } = await capturer.startSession({ ...display, outputPath });
+
+  const stopped = new Promise(resolve => capturer.once('session-stopped', resolve));
+  await capturer.shutdown();
+
+  assert.strictEqual((await stopped).recording.outputPath, outputPath);
+  const [record] = capturer.listSessions();
+  assert.strictEqual(record.sessionId, sessionId);
+  assert.strictEqual(record.state, 'completed');
+  assert.ok(fs.existsSync(path.join(outputPath, 'project.json')));
+  assert.strictEqual(capturer.ready, false);
+});
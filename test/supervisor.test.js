@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { SkreenmeCaptureKIT, StdioTransport } = require('../dist');
+
+const supervise = { initialDelay: 10, maxDelay: 10, maxRestarts: 3 };
+
+// Records the lifecycle events in the order they arrive
+const recordEvents = (capturer) => {
+  const seen = [];
+  for (const name of ['process-exit', 'session-lost', 'reconnecting', 'reconnected', 'reconnect-failed']) {
+    capturer.on(name, () => seen.push(name));
+  }
+  capturer.on('error', () => undefined);
+  return seen;
+};
+
+const reconnected = (capturer) => new Promise(resolve => capturer.once('reconnected', resolve));
+
+test('a killed backend is restarted once and its session ends failed', async (t) => {
+  const transports = [];
+  const capturer = new SkreenmeCaptureKIT({
+    supervise,
+    transport: () => {
+      const transport = StdioTransport.mock();
+      transports.push(transport);
+      return transport;
+    }
+  });
+  t.after(() => capturer.shutdown());
+  const seen = recordEvents(capturer);
+
+  await capturer.initialize();
+  const { sessionId } = await capturer.startSession({ mode: 'display', displayId: '1', statsInterval: 0 });
+
+  const restarted = reconnected(capturer);
+  transports[0].destroy();
+  const info = await restarted;
+
+  assert.deepStrictEqual(seen, ['session-lost', 'process-exit', 'reconnecting', 'reconnected']);
+  assert.strictEqual(info.attempt, 1);
+  assert.strictEqual(info.lostSession.sessionId, sessionId);
+  assert.strictEqual(transports.length, 2);
+  assert.ok(capturer.ready);
+
+  const [record] = capturer.listSessions();
+  assert.strictEqual(record.sessionId, sessionId);
+  assert.strictEqual(record.state, 'failed');
+  assert.strictEqual(record.error.code, 'PROCESS_TERMINATED');
+  assert.strictEqual(capturer.getActiveSession(), null);
+});
+
+test('a failed restart attempt does not report another process exit', async (t) => {
+  const transports = [];
+  const capturer = new SkreenmeCaptureKIT({
+    supervise,
+    transport: () => {
+      // The first restart exits before answering the handshake
+      const transport = transports.length === 1
+        ? new StdioTransport({ command: process.execPath, args: ['-e', 'process.exit(3)'] })
+        : StdioTransport.mock();
+      transports.push(transport);
+      return transport;
+    }
+  });
+  t.after(() => capturer.shutdown());
+  const seen = recordEvents(capturer);
+
+  await capturer.initialize();
+  const restarted = reconnected(capturer);
+  transports[0].destroy();
+  const info = await restarted;
+
+  // Give the failed transport's exit time to arrive
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(seen, ['process-exit', 'reconnecting', 'reconnecting', 'reconnected']);
+  assert.strictEqual(info.attempt, 2);
+  assert.strictEqual(transports.length, 3);
+  assert.ok(capturer.ready);
+});